@@ -1,18 +1,84 @@
 // ----------------------------------------------------------------------------
 // src/App.jsx
 // Main application component for the warehouse admin portal.
-// Manages view state and renders the appropriate component
-// for payment processing, warehouse settlement, or order history.
-// Utilizes React hooks for state management.
+// Shows the login screen until there is a session, then manages view state
+// and renders the appropriate component for payment processing, warehouse
+// settlement (one order at a time or a CSV batch), order history, or the
+// analytics dashboard (whose charts drill down into a filtered order
+// history). Only the views the user's role may use are offered. Utilizes
+// React hooks for state management.
 // ----------------------------------------------------------------------------
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import WarehouseSettlement from './components/WarehouseSettlement.jsx';
+import BatchSettlement from './components/BatchSettlement.jsx';
+import SettlementBatches from './components/SettlementBatches.jsx';
+import Reconciliation from './components/Reconciliation.jsx';
 import PaymentProcessingUI from './components/PaymentProcessingUI.jsx';
 import OrderHistory from './components/OrderHistory.jsx';
+import AnalyticsDashboard from './components/AnalyticsDashboard.jsx';
+import LoginScreen from './components/LoginScreen.jsx';
+import { getSession, logout, onUnauthorized } from './lib/api.js';
+
+const VIEW_LABELS = {
+  checkout: 'Checkout (Authorize)',
+  warehouse: 'Warehouse Settlement',
+  orders: 'Orders Viewer',
+  analytics: 'Analytics',
+};
+
+// Mirrors the server's per-router roles (admin can use everything)
+const ROLE_VIEWS = {
+  admin: ['checkout', 'warehouse', 'orders', 'analytics'],
+  checkout: ['checkout'],
+  warehouse: ['warehouse', 'orders', 'analytics'],
+  viewer: ['orders', 'analytics'],
+};
+
+// Sub-screens of the warehouse view
+const WAREHOUSE_TABS = {
+  single: 'Single order',
+  batch: 'Batch upload',
+  batches: 'Batches',
+  reconciliation: 'Reconciliation',
+};
+
+const viewsFor = (session) => ROLE_VIEWS[session?.user?.role] || [];
 
 export default function App() {
-  // 'checkout' | 'warehouse' | 'orders'
-  const [view, setView] = useState('checkout');
+  const [session, setSession] = useState(getSession);
+  // 'checkout' | 'warehouse' | 'orders' | 'analytics'
+  const [view, setView] = useState(() => viewsFor(getSession())[0]);
+  const [warehouseTab, setWarehouseTab] = useState('single');
+  // Orders Viewer filter picked on the analytics dashboard (null = all orders)
+  const [ordersDrillDown, setOrdersDrillDown] = useState(null);
+
+  // the server rejected our token (expired / account disabled) → back to login
+  useEffect(() => onUnauthorized(() => setSession(null)), []);
+
+  const views = viewsFor(session);
+  const activeView = views.includes(view) ? view : views[0];
+
+  const handleLogin = (next) => {
+    setSession(next);
+    setOrdersDrillDown(null);
+    setView(viewsFor(next)[0]);
+  };
+
+  const showView = (next) => {
+    setOrdersDrillDown(null);
+    setView(next);
+  };
+
+  // a new id remounts OrderHistory so it starts from the drill-down filters
+  const handleDrillDown = (filter) => {
+    setOrdersDrillDown({ ...filter, id: Date.now() });
+    setView('orders');
+  };
+
+  const handleLogout = () => {
+    logout();
+    setSession(null);
+  };
 
   return (
     <div>
@@ -27,38 +93,71 @@ export default function App() {
             </div>
           </div>
 
-          {/* View toggle buttons */}
-          <div className="btn-group" role="group" aria-label="Views">
-            <button
-              className={`btn ${view === 'checkout' ? 'btn-dark' : 'btn-outline-dark'}`}
-              onClick={() => setView('checkout')}
-              type="button"
-            >
-              Checkout (Authorize)
-            </button>
-            <button
-              className={`btn ${view === 'warehouse' ? 'btn-dark' : 'btn-outline-dark'}`}
-              onClick={() => setView('warehouse')}
-              type="button"
-            >
-              Warehouse Settlement
-            </button>
-            <button
-              className={`btn ${view === 'orders' ? 'btn-dark' : 'btn-outline-dark'}`}
-              onClick={() => setView('orders')}
-              type="button"
-            >
-              Orders Viewer
-            </button>
-          </div>
+          {session && (
+            <div className="d-flex align-items-center gap-4">
+              {/* View toggle buttons (only the views this role may use) */}
+              {views.length > 1 && (
+                <div className="btn-group" role="group" aria-label="Views">
+                  {views.map((v) => (
+                    <button
+                      key={v}
+                      className={`btn ${activeView === v ? 'btn-dark' : 'btn-outline-dark'}`}
+                      onClick={() => showView(v)}
+                      type="button"
+                    >
+                      {VIEW_LABELS[v]}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <div className="d-flex align-items-center gap-3">
+                <div className="text-end">
+                  <p className="user-name">{session.user.username}</p>
+                  <p className="user-info-text text-capitalize">{session.user.role}</p>
+                </div>
+                <button className="btn btn-outline-dark btn-sm" onClick={handleLogout} type="button">
+                  Sign out
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
       <div className="main-content">
         <div className="content-container">
-          {view === 'checkout' && <PaymentProcessingUI />}
-          {view === 'warehouse' && <WarehouseSettlement />}
-          {view === 'orders' && <OrderHistory />}
+          {!session && <LoginScreen onLogin={handleLogin} />}
+          {session && activeView === 'checkout' && <PaymentProcessingUI />}
+          {session && activeView === 'warehouse' && (
+            <>
+              <ul className="nav nav-pills justify-content-center mb-3">
+                {Object.entries(WAREHOUSE_TABS).map(([tab, label]) => (
+                  <li className="nav-item" key={tab}>
+                    <button
+                      type="button"
+                      className={`nav-link ${warehouseTab === tab ? 'active' : ''}`}
+                      onClick={() => setWarehouseTab(tab)}
+                    >
+                      {label}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {warehouseTab === 'single' && <WarehouseSettlement />}
+              {warehouseTab === 'batch' && <BatchSettlement />}
+              {warehouseTab === 'batches' && <SettlementBatches />}
+              {warehouseTab === 'reconciliation' && <Reconciliation />}
+            </>
+          )}
+          {session && activeView === 'orders' && (
+            <OrderHistory
+              key={ordersDrillDown?.id ?? 'all'}
+              drillDown={ordersDrillDown}
+              onClearDrillDown={() => setOrdersDrillDown(null)}
+            />
+          )}
+          {session && activeView === 'analytics' && <AnalyticsDashboard onDrillDown={handleDrillDown} />}
         </div>
       </div>
     </div>
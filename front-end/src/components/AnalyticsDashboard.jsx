@@ -0,0 +1,332 @@
+// ----------------------------------------------------------------------------
+// src/components/AnalyticsDashboard.jsx
+// Analytics dashboard built on GET /api/reports/summary: KPI cards, volume
+// over time, approval vs decline mix, settlement backlog by age and top
+// decline reasons for a chosen date range. Clicking a bar, slice or card
+// calls onDrillDown({ label, statuses, from, to }) so App can open the
+// Orders Viewer filtered to those orders.
+// ----------------------------------------------------------------------------
+import { useEffect, useState } from 'react';
+import { getReportSummary } from '../lib/api.js';
+import { BarChart, DonutChart, HorizontalBars } from './DashboardCharts.jsx';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRESETS = [7, 30, 90];
+
+// report dates are UTC days (YYYY-MM-DD)
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+const today = () => isoDay(Date.now());
+const addDays = (day, n) => isoDay(Date.parse(day) + n * DAY_MS);
+const maxDay = (a, b) => (a > b ? a : b);
+const minDay = (a, b) => (a < b ? a : b);
+
+const formatMoney = (n) =>
+  `$${Number(n ?? 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatShortMoney = (n) =>
+  n >= 1000 ? `$${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k` : `$${Math.round(n)}`;
+const formatPercent = (rate) => (rate == null ? '—' : `${(rate * 100).toFixed(1)}%`);
+
+// Order statuses a drill-down lands on, by authorization outcome
+const APPROVED_STATUSES = ['AUTHORIZED', 'SETTLED', 'VOIDED', 'EXPIRED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+const OUTCOME_STYLE = {
+  SUCCESS: { label: 'Approved', color: '#198754', statuses: APPROVED_STATUSES },
+  INSUFFICIENT_FUNDS: { label: 'Insufficient funds', color: '#dc3545', statuses: ['ERROR'] },
+  INCORRECT_DETAILS: { label: 'Incorrect details', color: '#fd7e14', statuses: ['ERROR'] },
+  SERVER_ERROR: { label: 'Provider error', color: '#6c757d', statuses: ['ERROR'] },
+  PENDING: { label: 'Pending', color: '#0dcaf0', statuses: ['PENDING_PROVIDER'] },
+};
+const DECLINE_OUTCOMES = ['INSUFFICIENT_FUNDS', 'INCORRECT_DETAILS', 'SERVER_ERROR'];
+const AGING_COLORS = ['#0dcaf0', '#0d6efd', '#ffc107', '#dc3545'];
+
+const VOLUME_SERIES = [
+  { key: 'authorized', label: 'Authorized', color: '#0d6efd' },
+  { key: 'settled', label: 'Settled', color: '#198754' },
+];
+
+function KpiCard({ title, value, detail, onClick }) {
+  const body = (
+    <>
+      <div className="small text-muted">{title}</div>
+      <div className="fs-4 fw-semibold">{value}</div>
+      {detail && <div className="small text-muted">{detail}</div>}
+    </>
+  );
+  return (
+    <div className="col-6 col-md-4 col-xl-2">
+      {onClick ? (
+        <button type="button" className="panel w-100 h-100 p-3 text-start" onClick={onClick} title="Show these orders">
+          {body}
+        </button>
+      ) : (
+        <div className="panel h-100 p-3">{body}</div>
+      )}
+    </div>
+  );
+}
+
+export default function AnalyticsDashboard({ onDrillDown }) {
+  const [range, setRange] = useState(() => ({ from: addDays(today(), -29), to: today() }));
+  const [groupBy, setGroupBy] = useState('day');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refresh, setRefresh] = useState(0);
+
+  useEffect(() => {
+    let active = true;
+    if (!range.from || !range.to || range.from > range.to) return undefined;
+
+    (async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await getReportSummary({ ...range, groupBy });
+        if (active) setReport(data);
+      } catch (e) {
+        console.error('Failed to load summary report', e);
+        if (!active) return;
+        setError(
+          e?.response?.data?.code === 'RANGE_TOO_LARGE'
+            ? `Choose a range of at most ${e.response.data.maxDays} days.`
+            : 'Unable to load the report from the server.'
+        );
+      } finally {
+        if (active) setLoading(false);
+      }
+    })();
+
+    return () => {
+      active = false;
+    };
+  }, [range, groupBy, refresh]);
+
+  const applyPreset = (days) => {
+    setRange({ from: addDays(today(), -(days - 1)), to: today() });
+    setGroupBy(days > 31 ? 'week' : 'day');
+  };
+  const presetDays = range.to === today() ? PRESETS.find((d) => range.from === addDays(today(), -(d - 1))) : null;
+
+  const drill = (label, statuses, from = report.from, to = report.to) =>
+    onDrillDown?.({ label, statuses, from: maxDay(from, report.from), to: minDay(to, report.to) });
+
+  const totals = report?.totals;
+  const rangeLabel = report ? `${report.from} → ${report.to}` : '';
+
+  const volumeData = (report?.periods || []).map((p) => ({
+    key: p.period,
+    label: groupBy === 'week' ? `wk ${p.period.slice(5)}` : p.period.slice(5),
+    period: p.period,
+    values: { authorized: p.authorizedAmount, settled: p.settledAmount },
+  }));
+
+  const mixSlices = totals
+    ? Object.entries(OUTCOME_STYLE).map(([outcome, s]) => ({
+        key: outcome,
+        label: s.label,
+        color: s.color,
+        value: totals.outcomes[outcome] ?? 0,
+      }))
+    : [];
+
+  const declineReasons = totals
+    ? DECLINE_OUTCOMES.map((outcome) => ({
+        key: outcome,
+        label: OUTCOME_STYLE[outcome].label,
+        color: OUTCOME_STYLE[outcome].color,
+        value: totals.outcomes[outcome] ?? 0,
+      })).sort((a, b) => b.value - a.value)
+    : [];
+  const declineCount = declineReasons.reduce((sum, r) => sum + r.value, 0);
+
+  const agingItems = (report?.aging || []).map((b, i) => ({
+    key: b.label,
+    label: b.maxDays == null ? `${b.minDays}+ days` : `${b.minDays}–${b.maxDays} days`,
+    value: b.amount,
+    color: AGING_COLORS[i % AGING_COLORS.length],
+    detail: `${b.count} order${b.count === 1 ? '' : 's'}`,
+    bucket: b,
+  }));
+
+  // approvals in an age bucket were made between (today - maxDays) and (today - minDays)
+  const drillAging = (item) => {
+    const { minDays, maxDays } = item.bucket;
+    const from = maxDays == null ? report.from : addDays(today(), -maxDays);
+    drill(`Unsettled authorizations aged ${item.label}`, ['AUTHORIZED'], from, addDays(today(), -minDays));
+  };
+
+  return (
+    <div className="container py-4">
+      <div className="panel mb-3">
+        <div className="panel-header">
+          <div>
+            <h2 className="panel-title">Analytics</h2>
+            <p className="panel-description">
+              Payment volume, approvals and settlement backlog. Click a chart to see the orders behind it.
+            </p>
+          </div>
+        </div>
+
+        {/* Date range controls */}
+        <div className="d-flex flex-wrap gap-2 align-items-end">
+          <div className="btn-group" role="group" aria-label="Date range presets">
+            {PRESETS.map((days) => (
+              <button
+                key={days}
+                type="button"
+                className={`btn btn-sm ${presetDays === days ? 'btn-light' : 'btn-outline-light'}`}
+                onClick={() => applyPreset(days)}
+              >
+                Last {days} days
+              </button>
+            ))}
+          </div>
+          <div>
+            <label className="form-label form-label-custom mb-1 small" htmlFor="analyticsFrom">
+              From
+            </label>
+            <input
+              id="analyticsFrom"
+              type="date"
+              className="form-control form-control-sm"
+              value={range.from}
+              max={range.to}
+              onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))}
+            />
+          </div>
+          <div>
+            <label className="form-label form-label-custom mb-1 small" htmlFor="analyticsTo">
+              To
+            </label>
+            <input
+              id="analyticsTo"
+              type="date"
+              className="form-control form-control-sm"
+              value={range.to}
+              min={range.from}
+              onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))}
+            />
+          </div>
+          <div>
+            <label className="form-label form-label-custom mb-1 small" htmlFor="analyticsGroupBy">
+              Group by
+            </label>
+            <select
+              id="analyticsGroupBy"
+              className="form-select form-select-sm"
+              value={groupBy}
+              onChange={(e) => setGroupBy(e.target.value)}
+            >
+              <option value="day">Day</option>
+              <option value="week">Week</option>
+            </select>
+          </div>
+          <button
+            type="button"
+            className="btn btn-outline-light btn-sm"
+            onClick={() => setRefresh((n) => n + 1)}
+            disabled={loading}
+          >
+            {loading ? 'Loading…' : 'Refresh'}
+          </button>
+        </div>
+        {error && <div className="alert alert-danger mt-3 mb-0">{error}</div>}
+      </div>
+
+      {report && (
+        <>
+          {/* KPI cards */}
+          <div className="row g-3 mb-3">
+            <KpiCard
+              title="Authorized"
+              value={formatMoney(totals.authorizedAmount)}
+              detail={`${totals.approvedCount} approved`}
+              onClick={() => drill(`Approved orders, ${rangeLabel}`, APPROVED_STATUSES)}
+            />
+            <KpiCard
+              title="Settled"
+              value={formatMoney(totals.settledAmount)}
+              detail={`${totals.settlementCount} settlements`}
+              onClick={() =>
+                drill(`Settled orders, ${rangeLabel}`, ['SETTLED', 'PARTIALLY_REFUNDED', 'REFUNDED'])
+              }
+            />
+            <KpiCard
+              title="Outstanding"
+              value={formatMoney(totals.outstandingAmount)}
+              detail={`${totals.outstandingCount} open authorizations`}
+              onClick={() => drill(`Unsettled authorizations, ${rangeLabel}`, ['AUTHORIZED'])}
+            />
+            <KpiCard
+              title="Approval rate"
+              value={formatPercent(totals.approvalRate)}
+              detail={`${totals.authorizationCount} attempts`}
+            />
+            <KpiCard title="Average ticket" value={totals.averageTicket == null ? '—' : formatMoney(totals.averageTicket)} />
+            <KpiCard
+              title="Declines"
+              value={declineCount}
+              detail={formatPercent(totals.authorizationCount ? declineCount / totals.authorizationCount : null)}
+              onClick={() => drill(`Declined orders, ${rangeLabel}`, ['ERROR'])}
+            />
+          </div>
+
+          <div className="row g-3 mb-3">
+            <div className="col-lg-8">
+              <div className="panel h-100">
+                <h3 className="section-title">Volume over time</h3>
+                <BarChart
+                  data={volumeData}
+                  series={VOLUME_SERIES}
+                  formatValue={formatShortMoney}
+                  onSelect={(d) =>
+                    drill(
+                      groupBy === 'week' ? `Orders, week of ${d.period}` : `Orders, ${d.period}`,
+                      null,
+                      d.period,
+                      groupBy === 'week' ? addDays(d.period, 6) : d.period
+                    )
+                  }
+                />
+              </div>
+            </div>
+            <div className="col-lg-4">
+              <div className="panel h-100">
+                <h3 className="section-title">Approval vs decline mix</h3>
+                <DonutChart
+                  slices={mixSlices}
+                  centerLabel={formatPercent(totals.approvalRate)}
+                  centerSubLabel="approved"
+                  onSelect={(s) => drill(`${s.label} orders, ${rangeLabel}`, OUTCOME_STYLE[s.key].statuses)}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="row g-3">
+            <div className="col-lg-6">
+              <div className="panel h-100">
+                <h3 className="section-title">Settlement backlog by age</h3>
+                <HorizontalBars
+                  items={agingItems}
+                  formatValue={formatMoney}
+                  onSelect={drillAging}
+                  emptyText="Nothing waiting to be settled."
+                />
+              </div>
+            </div>
+            <div className="col-lg-6">
+              <div className="panel h-100">
+                <h3 className="section-title">Top decline reasons</h3>
+                <HorizontalBars
+                  items={declineReasons}
+                  onSelect={(r) => drill(`Declined orders (${r.label.toLowerCase()}), ${rangeLabel}`, ['ERROR'])}
+                  emptyText="No declines in this range."
+                />
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
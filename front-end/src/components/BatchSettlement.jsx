@@ -0,0 +1,284 @@
+// ----------------------------------------------------------------------------
+// src/components/BatchSettlement.jsx
+// End-of-shift batch settlement for the warehouse: upload (or paste) a CSV
+// of orderId,amount rows, send it to POST /api/settlements/batch and show
+// the per-row report. Failed rows can be downloaded as a CSV, fixed and
+// uploaded again (the extra error column is ignored by the server).
+// ----------------------------------------------------------------------------
+import { useRef, useState } from 'react';
+import { postSettlementBatch } from '../lib/api.js';
+
+const SAMPLE = 'orderId,amount\nORD-1001,25.00\nORD-1002,40';
+
+const formatMoney = (n) => `$${Number(n ?? 0).toFixed(2)}`;
+
+// batch row result → short explanation (same wording as the single settlement screen)
+function describeFailure(r) {
+  switch (r.code) {
+    case 'AMOUNT_EXCEEDS_AVAILABLE':
+      return `Amount exceeds available (${formatMoney(r.availableToSettle)}).`;
+    case 'NO_APPROVED_AUTH':
+      return 'No approved authorization found for this order.';
+    case 'AUTH_EXPIRED':
+      return 'The authorization for this order has expired.';
+    case 'INVALID_STATE_TRANSITION':
+      return `This order can't be settled while it is ${r.from || 'in its current status'}.`;
+    case 'ORDER_VOIDED':
+      return 'This order has been voided.';
+    case 'ORDER_NOT_FOUND':
+      return 'Order not found.';
+    case 'INVALID_AMOUNT':
+    case 'INVALID_AMOUNT_PRECISION':
+      return 'Invalid amount. Use a positive number with ≤ 2 decimals.';
+    case 'BAD_REQUEST':
+      return 'Missing order ID or amount.';
+    default:
+      return 'Something went wrong—try again.';
+  }
+}
+
+const escapeCell = (val) => `"${String(val ?? '').replace(/"/g, '""')}"`;
+
+export default function BatchSettlement() {
+  const [csvText, setCsvText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [msg, setMsg] = useState(null);
+  const [report, setReport] = useState(null);
+  const [failuresOnly, setFailuresOnly] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Idempotency-Key for the batch in flight; resubmitting the same CSV after a
+  // dropped connection replays the stored report instead of settling twice.
+  const batchKeyRef = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setCsvText(await file.text());
+    setReport(null);
+    setMsg(null);
+  };
+
+  const clearInput = () => {
+    setCsvText('');
+    setFileName('');
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (!csvText.trim()) return;
+
+    if (batchKeyRef.current?.signature !== csvText) {
+      batchKeyRef.current = { signature: csvText, key: crypto.randomUUID() };
+    }
+
+    setSubmitting(true);
+    setMsg(null);
+    try {
+      const data = await postSettlementBatch(csvText, { idempotencyKey: batchKeyRef.current.key });
+      batchKeyRef.current = null;
+      setReport(data);
+      setFailuresOnly(data.failed > 0);
+      setMsg(
+        data.failed === 0
+          ? { type: 'success', text: `All ${data.total} settlements recorded.` }
+          : {
+              type: 'warning',
+              text: `${data.succeeded} of ${data.total} settlements recorded; ${data.failed} failed.`,
+            }
+      );
+      clearInput();
+    } catch (err) {
+      const code = err?.response?.data?.code || 'SERVER_ERROR';
+      // the first submit is still being processed; let it report the result
+      if (code === 'IDEMPOTENCY_REQUEST_IN_PROGRESS') return;
+      if (err?.response) batchKeyRef.current = null;
+      let text = 'Unable to process the batch—try again.';
+      if (code === 'BATCH_TOO_LARGE') {
+        text = `Too many rows: at most ${err.response.data.maxRows} per batch.`;
+      } else if (code === 'BAD_REQUEST') {
+        text = 'The file has no orderId,amount rows.';
+      }
+      setMsg({ type: 'danger', text });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const failures = report ? report.results.filter((r) => !r.ok) : [];
+  const visibleResults = report ? (failuresOnly ? failures : report.results) : [];
+
+  const handleDownloadFailures = () => {
+    if (!failures.length) return;
+    const lines = [
+      ['orderId', 'amount', 'error'],
+      ...failures.map((r) => [r.orderId ?? '', r.amount ?? '', `${r.code}: ${describeFailure(r)}`]),
+    ];
+    const blob = new Blob([lines.map((l) => l.map(escapeCell).join(',')).join('\r\n')], {
+      type: 'text/csv;charset=utf-8;',
+    });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    const ts = new Date().toISOString().replace(/[:.]/g, '-');
+    a.download = `settlement-failures-${ts}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      {msg && (
+        <div className={`alert alert-${msg.type} text-center`} role="alert">
+          {msg.text}
+        </div>
+      )}
+
+      <div className="card portal-card mb-4">
+        <div className="card-body">
+          <h4 className="mb-3 text-center">Batch Settlement</h4>
+
+          <form onSubmit={onSubmit} className="mx-auto text-start" style={{ maxWidth: '520px' }}>
+            <div className="mb-3">
+              <label className="form-label" htmlFor="batchFile">
+                CSV file:
+              </label>
+              <input
+                id="batchFile"
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,text/csv"
+                className="form-control"
+                onChange={handleFile}
+              />
+              <div className="form-text text-muted">
+                One <code>orderId,amount</code> row per order; a header row is optional.
+              </div>
+            </div>
+
+            <div className="mb-3">
+              <label className="form-label" htmlFor="batchText">
+                {fileName ? `Contents of ${fileName}:` : 'Or paste rows:'}
+              </label>
+              <textarea
+                id="batchText"
+                className="form-control font-monospace"
+                rows={6}
+                value={csvText}
+                onChange={(e) => setCsvText(e.target.value)}
+                placeholder={SAMPLE}
+              />
+            </div>
+
+            <div className="d-flex gap-2">
+              <button
+                className="btn btn-dark flex-grow-1"
+                type="submit"
+                disabled={submitting || !csvText.trim()}
+              >
+                {submitting ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true" />
+                    Settling…
+                  </>
+                ) : (
+                  'Settle batch'
+                )}
+              </button>
+              {csvText && (
+                <button className="btn btn-outline-light" type="button" onClick={clearInput} disabled={submitting}>
+                  Clear
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+
+      {report && (
+        <>
+          <h5 className="mb-2 text-center">Results</h5>
+          <div className="card portal-card">
+            <div className="card-body">
+              <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+                <div>
+                  <span className="badge bg-success me-2">{report.succeeded} settled</span>
+                  <span className={`badge ${report.failed ? 'bg-danger' : 'bg-secondary'}`}>
+                    {report.failed} failed
+                  </span>
+                </div>
+                <div className="d-flex gap-2 align-items-center">
+                  <div className="form-check mb-0">
+                    <input
+                      id="failuresOnly"
+                      type="checkbox"
+                      className="form-check-input"
+                      checked={failuresOnly}
+                      onChange={(e) => setFailuresOnly(e.target.checked)}
+                    />
+                    <label className="form-check-label small" htmlFor="failuresOnly">
+                      Failures only
+                    </label>
+                  </div>
+                  <button
+                    type="button"
+                    className="btn btn-outline-light btn-sm"
+                    onClick={handleDownloadFailures}
+                    disabled={!failures.length}
+                  >
+                    Download failures
+                  </button>
+                </div>
+              </div>
+
+              {visibleResults.length === 0 ? (
+                <p className="text-muted mb-0 text-center">No rows to show.</p>
+              ) : (
+                <div className="table-responsive">
+                  <table className="table table-sm align-middle mb-0">
+                    <thead>
+                      <tr>
+                        <th scope="col">Row</th>
+                        <th scope="col">Order ID</th>
+                        <th scope="col" className="text-end">Amount</th>
+                        <th scope="col">Result</th>
+                        <th scope="col">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {visibleResults.map((r) => (
+                        <tr key={r.row}>
+                          <td className="text-muted">{r.row}</td>
+                          <td className="fw-semibold">{r.orderId || '—'}</td>
+                          <td className="text-end">{r.amount === '' || r.amount == null ? '—' : r.amount}</td>
+                          <td>
+                            {r.ok ? (
+                              <span className={`badge ${r.status === 'SETTLED' ? 'bg-primary' : 'bg-success'}`}>
+                                {r.status}
+                              </span>
+                            ) : (
+                              <span className="badge bg-danger">{r.code}</span>
+                            )}
+                          </td>
+                          <td className="small">
+                            {r.ok ? `Remaining ${formatMoney(r.availableToSettle)}` : describeFailure(r)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+// ----------------------------------------------------------------------------
+// src/components/DashboardCharts.jsx
+// Small SVG / Bootstrap charts for the analytics dashboard (no chart
+// library): grouped vertical bars, horizontal bars and a donut. Every
+// chart takes an optional onSelect(item) so a bar or slice can drill down.
+// ----------------------------------------------------------------------------
+
+const AXIS_TEXT = 'rgba(255, 255, 255, 0.65)';
+const GRID_LINE = 'rgba(255, 255, 255, 0.12)';
+
+/**
+ * Grouped vertical bars, one group per data point.
+ * data:   [{ key, label, values: { [seriesKey]: number } }]
+ * series: [{ key, label, color }]
+ */
+export function BarChart({ data, series, formatValue = String, onSelect, height = 220 }) {
+  const width = 640;
+  const margin = { top: 10, right: 10, bottom: 28, left: 64 };
+  const plotW = width - margin.left - margin.right;
+  const plotH = height - margin.top - margin.bottom;
+
+  const max = Math.max(1, ...data.flatMap((d) => series.map((s) => d.values[s.key] || 0)));
+  const groupW = plotW / Math.max(1, data.length);
+  const barW = (groupW * 0.8) / series.length;
+  const labelEvery = Math.ceil(data.length / 10);
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => f * max);
+  const y = (v) => margin.top + plotH - (v / max) * plotH;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%" role="img" aria-label="Bar chart">
+        {ticks.map((t) => (
+          <g key={t}>
+            <line x1={margin.left} x2={width - margin.right} y1={y(t)} y2={y(t)} stroke={GRID_LINE} />
+            <text x={margin.left - 6} y={y(t) + 4} textAnchor="end" fontSize="11" fill={AXIS_TEXT}>
+              {formatValue(t)}
+            </text>
+          </g>
+        ))}
+        {data.map((d, i) => {
+          const x0 = margin.left + i * groupW + groupW * 0.1;
+          return (
+            <g
+              key={d.key}
+              onClick={onSelect ? () => onSelect(d) : undefined}
+              style={onSelect ? { cursor: 'pointer' } : undefined}
+            >
+              <title>
+                {`${d.label}\n${series.map((s) => `${s.label}: ${formatValue(d.values[s.key] || 0)}`).join('\n')}`}
+              </title>
+              {/* full-height hit area so small bars are easy to click */}
+              <rect x={x0} y={margin.top} width={groupW * 0.8} height={plotH} fill="transparent" />
+              {series.map((s, j) => {
+                const v = d.values[s.key] || 0;
+                return (
+                  <rect
+                    key={s.key}
+                    x={x0 + j * barW}
+                    y={y(v)}
+                    width={Math.max(1, barW - 1)}
+                    height={margin.top + plotH - y(v)}
+                    fill={s.color}
+                  />
+                );
+              })}
+              {i % labelEvery === 0 && (
+                <text x={x0 + groupW * 0.4} y={height - 8} textAnchor="middle" fontSize="11" fill={AXIS_TEXT}>
+                  {d.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      <Legend items={series} />
+    </div>
+  );
+}
+
+/**
+ * Horizontal bars, longest first as given.
+ * items: [{ key, label, value, color, detail? }]
+ */
+export function HorizontalBars({ items, formatValue = String, onSelect, emptyText = 'No data.' }) {
+  const max = Math.max(0, ...items.map((i) => i.value));
+  if (max === 0) {
+    return <p className="text-muted small mb-0">{emptyText}</p>;
+  }
+  return (
+    <div className="d-flex flex-column gap-2">
+      {items.map((item) => (
+        <button
+          key={item.key}
+          type="button"
+          className="btn btn-link p-0 text-start text-decoration-none"
+          style={{ color: 'inherit' }}
+          onClick={onSelect ? () => onSelect(item) : undefined}
+          disabled={!onSelect || item.value === 0}
+        >
+          <div className="d-flex justify-content-between small mb-1">
+            <span>{item.label}</span>
+            <span>
+              {formatValue(item.value)}
+              {item.detail && <span className="text-muted"> · {item.detail}</span>}
+            </span>
+          </div>
+          <div className="progress" style={{ height: 10, background: GRID_LINE }}>
+            <div
+              className="progress-bar"
+              style={{ width: `${(item.value / max) * 100}%`, background: item.color }}
+            />
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Donut with a legend. slices: [{ key, label, value, color }]
+ */
+export function DonutChart({ slices, centerLabel, centerSubLabel, onSelect }) {
+  const total = slices.reduce((sum, s) => sum + s.value, 0);
+  const r = 60;
+  const circumference = 2 * Math.PI * r;
+
+  // each slice is a dash of the circle's stroke, starting where the previous one ended
+  const arcs = [];
+  let start = 0;
+  for (const s of slices) {
+    if (total === 0 || s.value === 0) continue;
+    const length = (s.value / total) * circumference;
+    arcs.push({ ...s, length, start });
+    start += length;
+  }
+
+  return (
+    <div className="d-flex flex-column align-items-center">
+      <svg viewBox="0 0 160 160" width="180" role="img" aria-label="Donut chart">
+        <circle cx="80" cy="80" r={r} fill="none" stroke={GRID_LINE} strokeWidth="22" />
+        {arcs.map((s) => (
+          <circle
+            key={s.key}
+            cx="80"
+            cy="80"
+            r={r}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="22"
+            strokeDasharray={`${s.length} ${circumference - s.length}`}
+            strokeDashoffset={-s.start}
+            transform="rotate(-90 80 80)"
+            onClick={onSelect ? () => onSelect(s) : undefined}
+            style={onSelect ? { cursor: 'pointer' } : undefined}
+          >
+            <title>{`${s.label}: ${s.value} (${Math.round((s.value / total) * 100)}%)`}</title>
+          </circle>
+        ))}
+        <text x="80" y="78" textAnchor="middle" fontSize="20" fontWeight="600" fill="#fff">
+          {centerLabel}
+        </text>
+        {centerSubLabel && (
+          <text x="80" y="98" textAnchor="middle" fontSize="11" fill={AXIS_TEXT}>
+            {centerSubLabel}
+          </text>
+        )}
+      </svg>
+      <Legend items={slices.map((s) => ({ ...s, label: `${s.label} (${s.value})` }))} />
+    </div>
+  );
+}
+
+function Legend({ items }) {
+  return (
+    <div className="d-flex flex-wrap justify-content-center gap-3 small mt-2">
+      {items.map((i) => (
+        <span key={i.key} className="d-inline-flex align-items-center gap-1">
+          <span style={{ width: 10, height: 10, background: i.color, display: 'inline-block' }} />
+          {i.label}
+        </span>
+      ))}
+    </div>
+  );
+}
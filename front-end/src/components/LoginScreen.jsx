@@ -0,0 +1,87 @@
+// ----------------------------------------------------------------------------
+// src/components/LoginScreen.jsx
+// Sign-in form shown before the portal when there is no session.
+// Calls POST /api/auth/login and hands the session to App via onLogin.
+// ----------------------------------------------------------------------------
+import React, { useState } from 'react';
+import { login } from '../lib/api.js';
+
+export default function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const session = await login(username.trim(), password);
+      onLogin(session);
+    } catch (err) {
+      const code = err?.response?.data?.code;
+      setError(
+        code === 'INVALID_CREDENTIALS'
+          ? 'Incorrect username or password.'
+          : code === 'BAD_REQUEST'
+            ? 'Enter your username and password.'
+            : 'Unable to sign in right now. Please try again.'
+      );
+      setPassword('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container py-5" style={{ maxWidth: '28rem' }}>
+      <div className="panel">
+        <div className="panel-header">
+          <div>
+            <h2 className="panel-title">Sign in</h2>
+            <p className="panel-description">Use the account your administrator gave you.</p>
+          </div>
+        </div>
+
+        {error && <div className="alert alert-custom error mb-3">{error}</div>}
+
+        <form onSubmit={handleSubmit} noValidate>
+          <div className="mb-3">
+            <label className="form-label form-label-custom" htmlFor="login-username">
+              Username
+            </label>
+            <input
+              id="login-username"
+              className="form-control"
+              autoComplete="username"
+              autoFocus
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+            />
+          </div>
+          <div className="mb-4">
+            <label className="form-label form-label-custom" htmlFor="login-password">
+              Password
+            </label>
+            <input
+              id="login-password"
+              type="password"
+              className="form-control"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </div>
+          <button
+            type="submit"
+            className="btn btn-primary btn-process-payment w-100"
+            disabled={submitting || !username.trim() || !password}
+          >
+            {submitting ? 'Signing in…' : 'Sign in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -3,9 +3,17 @@
 //  OrderHistory component for the Manhattan Associates Warehouse Portal
 //  Displays a list of orders with filtering, sorting, pagination, and detail view
 //  Fetches data from backend API via lib/api.js
+//  drillDown ({ label, statuses, from, to }) opens it pre-filtered, e.g. from
+//  the Analytics dashboard; statuses null means every status
 // --------------------------------------------------------------
-import { useEffect, useMemo, useState } from 'react';
-import { listOrders, getOrderDetails } from '../lib/api.js';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  listOrders,
+  getOrderDetails,
+  listAuthorizations,
+  listAuditEvents,
+  subscribeToOrderEvents,
+} from '../lib/api.js';
 
 // Map status → badge class using existing visual cues
 function badgeClass(status) {
@@ -13,27 +21,84 @@ function badgeClass(status) {
   if (s === 'AUTHORIZED' || s === 'SUCCESS') return 'badge bg-success';
   if (s === 'SETTLED') return 'badge bg-primary';
   if (s === 'PENDING') return 'badge bg-secondary';
+  if (s === 'PENDING_PROVIDER') return 'badge bg-info text-dark';
   if (s === 'ERROR') return 'badge bg-danger';
+  if (s === 'EXPIRED') return 'badge bg-warning text-dark';
+  if (s === 'VOIDED') return 'badge bg-dark';
+  if (s === 'PARTIALLY_REFUNDED' || s === 'REFUNDED') return 'badge bg-info text-dark';
   return 'badge bg-secondary';
 }
 
-// helpers
-const cmpStr = (a = '', b = '') => a.localeCompare(b, undefined, { sensitivity: 'base' });
-const cmpNum = (a = 0, b = 0) => a - b;
-const cmpDate = (a, b) => {
-  const da = a ? new Date(a).getTime() : 0;
-  const db = b ? new Date(b).getTime() : 0;
-  return da - db;
+// table column → GET /api/orders sort field
+const SORT_FIELDS = {
+  orderNumber: 'order_id',
+  customer: 'customer_name',
+  date: 'created_at',
+  total: 'amount',
+  status: 'status',
 };
 
-const CURRENT_STATUSES = new Set(['PENDING', 'AUTHORIZED']);
-const PAST_STATUSES = new Set(['SETTLED', 'ERROR']);
+// API order row → table row
+const toRow = (o) => ({
+  id: o.order_id || o.id,
+  orderNumber: o.order_id || o.order_number || o.id,
+  date: o.created_at || o.date,
+  total: o.amount ?? o.total ?? 0,
+  status: o.status,
+  customer: o.customer_name || '',
+  cardLast4: o.card_last4 || o.cardLast4 || '',
+});
 
-export default function OrderHistory() {
+// Audit entry → one-line description of what changed
+const AUDIT_EVENT_TYPES = [
+  'order.created',
+  'authorization.attempted',
+  'authorization.resolved',
+  'order.status_changed',
+  'settlement.created',
+  'settlement.capture_attempted',
+  'void.created',
+  'refund.created',
+];
+function describeAuditChange(e) {
+  if (e.eventType === 'order.status_changed') {
+    const reason = e.after?.reason ? ` (${e.after.reason})` : '';
+    return `${e.before?.status ?? '—'} → ${e.after?.status ?? '—'}${reason}`;
+  }
+  if (e.eventType === 'authorization.resolved') {
+    return `${e.before?.outcome ?? '—'} → ${e.after?.outcome ?? '—'}`;
+  }
+  if (e.eventType === 'settlement.capture_attempted') {
+    const error = e.after?.error ? ` (${e.after.error})` : '';
+    return `capture ${e.before?.captureStatus ?? '—'} → ${e.after?.captureStatus ?? '—'}${error}`;
+  }
+  return Object.entries(e.after || {})
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join(', ');
+}
+
+const CURRENT_STATUSES = new Set(['PENDING', 'PENDING_PROVIDER', 'AUTHORIZED']);
+const PAST_STATUSES = new Set([
+  'SETTLED',
+  'ERROR',
+  'EXPIRED',
+  'VOIDED',
+  'PARTIALLY_REFUNDED',
+  'REFUNDED',
+]);
+
+export default function OrderHistory({ drillDown = null, onClearDrillDown }) {
   const [tab, setTab] = useState('current'); // "current" | "past"
-  const [orders, setOrders] = useState([]);
+  const [orders, setOrders] = useState([]); // current page only
+  const [total, setTotal] = useState(0); // matches across all pages
+  const [nextCursor, setNextCursor] = useState(null);
+  const [tabCounts, setTabCounts] = useState({ current: null, past: null });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [listRefresh, setListRefresh] = useState(0); // bumped by live updates
+  const quietReloadRef = useRef(false); // live-update reloads keep the table on screen
 
   // Search (debounced)
   const [searchInput, setSearchInput] = useState('');
@@ -41,9 +106,9 @@ export default function OrderHistory() {
   const [sortKey, setSortKey] = useState('date');   // default sort by date
   const [sortDir, setSortDir] = useState('desc');   // 'asc' | 'desc'
 
-  // Date range filters (client-side)
-  const [fromDate, setFromDate] = useState('');
-  const [toDate, setToDate] = useState('');
+  // Date range filters (UTC dates, applied by the server)
+  const [fromDate, setFromDate] = useState(drillDown?.from ?? '');
+  const [toDate, setToDate] = useState(drillDown?.to ?? '');
 
   // Status filter (only applied on "past" tab)
   const [statusFilter, setStatusFilter] = useState('');
@@ -53,37 +118,57 @@ export default function OrderHistory() {
   const [selectedOrderDetails, setSelectedOrderDetails] = useState(null);
   const [detailLoading, setDetailLoading] = useState(false);
   const [detailError, setDetailError] = useState(null);
+  const [authAttempts, setAuthAttempts] = useState([]);
+
+  // Detail panel tabs: "details" | "audit"
+  const [detailTab, setDetailTab] = useState('details');
+  const [auditEvents, setAuditEvents] = useState([]);
+  const [auditLoading, setAuditLoading] = useState(false);
+  const [auditError, setAuditError] = useState(null);
+  const [auditTypeFilter, setAuditTypeFilter] = useState('');
+  const [auditRefresh, setAuditRefresh] = useState(0); // bumped by live updates
 
-  // Pagination state (client-side)
+  // Pagination state (server-side, keyset cursors)
   const [pageSize, setPageSize] = useState(20);
-  const [page, setPage] = useState(1);
 
-  // Load orders once from backend
+  // Query sent to GET /api/orders for the current tab (or drill-down), filters and sort
+  const listQuery = useMemo(() => {
+    const tabStatuses = tab === 'current' ? CURRENT_STATUSES : PAST_STATUSES;
+    const tabStatus = tab === 'past' && statusFilter ? statusFilter : [...tabStatuses].join(',');
+    return {
+      status: drillDown ? drillDown.statuses?.join(',') : tabStatus,
+      q: search.trim() || undefined,
+      from: fromDate || undefined,
+      to: toDate || undefined,
+      sort: SORT_FIELDS[sortKey] || 'created_at',
+      dir: sortDir,
+    };
+  }, [drillDown, tab, statusFilter, search, fromDate, toDate, sortKey, sortDir]);
+
+  // cursors[i] starts page i + 1; a cursor only fits the query it was issued
+  // for, so any change of query or page size starts again from page 1
+  const queryKey = JSON.stringify([listQuery, pageSize]);
+  const [paging, setPaging] = useState({ key: queryKey, page: 1, cursors: [null] });
+  const { page, cursors } = paging.key === queryKey ? paging : { page: 1, cursors: [null] };
+  const pageCursor = cursors[page - 1];
+
+  // Load the current page
   useEffect(() => {
     let mounted = true;
+    const quiet = quietReloadRef.current;
+    quietReloadRef.current = false;
 
     (async () => {
       try {
-        setLoading(true);
+        if (!quiet) setLoading(true);
         setError(null);
 
-        const resp = await listOrders({});
-        const body = resp && resp.data ? resp.data : resp;
-
-        const raw = Array.isArray(body) ? body : body?.data || [];
+        const resp = await listOrders({ ...listQuery, limit: pageSize, cursor: pageCursor || undefined });
         if (!mounted) return;
 
-        const mapped = raw.map((o) => ({
-          id: o.order_id || o.id,
-          orderNumber: o.order_id || o.order_number || o.id,
-          date: o.created_at || o.date,
-          total: o.amount ?? o.total ?? 0,
-          status: o.status,
-          customer: o.customer_name || '',
-          cardLast4: o.card_last4 || o.cardLast4 || '',
-        }));
-
-        setOrders(mapped);
+        setOrders((resp?.data || []).map(toRow));
+        setTotal(resp?.total ?? 0);
+        setNextCursor(resp?.nextCursor ?? null);
       } catch (e) {
         console.error('Failed to load orders', e);
         if (!mounted) return;
@@ -96,8 +181,91 @@ export default function OrderHistory() {
     return () => {
       mounted = false;
     };
+  }, [listQuery, pageSize, pageCursor, listRefresh]);
+
+  // Tab badges: totals for each tab, ignoring the other filters
+  useEffect(() => {
+    let active = true;
+    const countOf = (statuses) =>
+      listOrders({ status: [...statuses].join(','), limit: 1 }).then((resp) => resp?.total ?? 0);
+
+    Promise.all([countOf(CURRENT_STATUSES), countOf(PAST_STATUSES)])
+      .then(([current, past]) => {
+        if (active) setTabCounts({ current, past });
+      })
+      .catch((e) => console.error('Failed to load order counts', e));
+
+    return () => {
+      active = false;
+    };
+  }, [listRefresh]);
+
+  // Live updates over SSE: update statuses on the page, reload the page and
+  // tab counts (new orders, rows moving between tabs), and refresh the open
+  // detail panel when its order changes. A resync (events were missed) reloads
+  // both.
+  const selectedOrderIdRef = useRef(null);
+  useEffect(() => {
+    selectedOrderIdRef.current = selectedOrderId;
+  }, [selectedOrderId]);
+
+  useEffect(() => {
+    return subscribeToOrderEvents(async (type, data) => {
+      const resync = type === 'resync';
+      if (data.order) {
+        const row = toRow(data.order);
+        setOrders((prev) => prev.map((o) => (o.id === row.id ? { ...o, status: row.status } : o)));
+      }
+      if (data.order || resync) {
+        quietReloadRef.current = true;
+        setListRefresh((n) => n + 1);
+      }
+
+      const orderId = resync ? selectedOrderIdRef.current : data.orderId;
+      if (orderId && orderId === selectedOrderIdRef.current) {
+        setAuditRefresh((n) => n + 1);
+        try {
+          const [resp, attempts] = await Promise.all([
+            getOrderDetails(orderId),
+            listAuthorizations(orderId).catch(() => []),
+          ]);
+          if (selectedOrderIdRef.current !== orderId) return;
+          setSelectedOrderDetails(resp && resp.data ? resp.data : resp);
+          setAuthAttempts(Array.isArray(attempts) ? attempts : []);
+        } catch (e) {
+          console.error('Failed to refresh order details', e);
+        }
+      }
+    });
   }, []);
 
+  // Audit tab: load the selected order's audit trail
+  useEffect(() => {
+    if (!selectedOrderId || detailTab !== 'audit') return undefined;
+    let active = true;
+
+    (async () => {
+      setAuditLoading(true);
+      setAuditError(null);
+      try {
+        const rows = await listAuditEvents({
+          orderId: selectedOrderId,
+          eventType: auditTypeFilter || undefined,
+        });
+        if (active) setAuditEvents(Array.isArray(rows) ? rows : []);
+      } catch (e) {
+        console.error('Failed to load audit trail', e);
+        if (active) setAuditError('Unable to load the audit trail.');
+      } finally {
+        if (active) setAuditLoading(false);
+      }
+    })();
+
+    return () => {
+      active = false;
+    };
+  }, [selectedOrderId, detailTab, auditTypeFilter, auditRefresh]);
+
   // Debounce search input → search query
   useEffect(() => {
     const handle = setTimeout(() => setSearch(searchInput), 300);
@@ -114,130 +282,28 @@ export default function OrderHistory() {
     }
   };
 
-  // Tab counts (based on full orders list)
-  const currentCount = useMemo(
-    () =>
-      orders.filter((o) =>
-        CURRENT_STATUSES.has(String(o.status || '').toUpperCase())
-      ).length,
-    [orders]
-  );
-
-  const pastCount = useMemo(
-    () =>
-      orders.filter((o) =>
-        PAST_STATUSES.has(String(o.status || '').toUpperCase())
-      ).length,
-    [orders]
-  );
+  const currentCount = tabCounts.current;
+  const pastCount = tabCounts.past;
 
   // Available statuses for "past" tab status filter
-  const pastStatusOptions = useMemo(() => {
-    const set = new Set();
-    orders.forEach((o) => {
-      const s = String(o.status || '').toUpperCase();
-      if (PAST_STATUSES.has(s)) {
-        set.add(s);
-      }
-    });
-    return Array.from(set);
-  }, [orders]);
-
-  // Filter + search + sort derived list
-  const filteredAndSorted = useMemo(() => {
-    let rows = [...orders];
-
-    // Tab filter (current vs past)
-    rows = rows.filter((o) => {
-      const s = String(o.status || '').toUpperCase();
-      if (tab === 'current') return CURRENT_STATUSES.has(s);
-      return PAST_STATUSES.has(s);
-    });
-
-    // Status filter (only for "past" tab)
-    if (tab === 'past' && statusFilter) {
-      const target = statusFilter.toUpperCase();
-      rows = rows.filter(
-        (o) => String(o.status || '').toUpperCase() === target
-      );
-    }
+  const pastStatusOptions = [...PAST_STATUSES];
 
-    // Date range filter (inclusive)
-    if (fromDate) {
-      const fromTime = new Date(fromDate).getTime();
-      rows = rows.filter((o) => {
-        const t = o.date ? new Date(o.date).getTime() : 0;
-        return t >= fromTime;
-      });
-    }
-    if (toDate) {
-      // Treat toDate as end-of-day for that date
-      const to = new Date(toDate);
-      to.setHours(23, 59, 59, 999);
-      const toTime = to.getTime();
-      rows = rows.filter((o) => {
-        const t = o.date ? new Date(o.date).getTime() : 0;
-        return t <= toTime;
-      });
-    }
-
-    // Text search (order #, customer, status)
-    if (search.trim()) {
-      const needle = search.trim().toLowerCase();
-      rows = rows.filter((o) => {
-        return (
-          String(o.orderNumber || '').toLowerCase().includes(needle) ||
-          String(o.customer || '').toLowerCase().includes(needle) ||
-          String(o.status || '').toLowerCase().includes(needle)
-        );
-      });
-    }
-
-    // Sort
-    const dirSign = sortDir === 'asc' ? 1 : -1;
-    rows.sort((a, b) => {
-      let delta = 0;
-      switch (sortKey) {
-        case 'orderNumber':
-          delta = cmpStr(String(a.orderNumber), String(b.orderNumber));
-          break;
-        case 'customer':
-          delta = cmpStr(String(a.customer), String(b.customer));
-          break;
-        case 'date':
-          delta = cmpDate(a.date, b.date);
-          break;
-        case 'total':
-          delta = cmpNum(Number(a.total || 0), Number(b.total || 0));
-          break;
-        case 'status':
-          delta = cmpStr(String(a.status), String(b.status));
-          break;
-        default:
-          delta = cmpDate(a.date, b.date);
-      }
-      return dirSign * delta;
-    });
-
-    return rows;
-  }, [orders, tab, search, sortKey, sortDir, fromDate, toDate, statusFilter]);
-
-  // When filters / tab change, reset to first page
-  useEffect(() => {
-    setPage(1);
-  }, [tab, search, fromDate, toDate, statusFilter, sortKey, sortDir]);
-
-  // Pagination: derive page slice from filteredAndSorted
-  const totalRows = filteredAndSorted.length;
+  // Pagination: the server returns one page at a time
+  const totalRows = total;
   const totalPages = totalRows > 0 ? Math.ceil(totalRows / pageSize) : 1;
-  const currentPage = Math.min(page, totalPages);
-  const startIndex = totalRows === 0 ? 0 : (currentPage - 1) * pageSize;
-  const endIndex = totalRows === 0 ? 0 : Math.min(startIndex + pageSize, totalRows);
+  const currentPage = page;
+  const startIndex = (currentPage - 1) * pageSize;
+  const endIndex = startIndex + orders.length;
+  const paginatedRows = orders;
 
-  const paginatedRows = useMemo(
-    () => filteredAndSorted.slice(startIndex, endIndex),
-    [filteredAndSorted, startIndex, endIndex]
-  );
+  const goToPage = (nextPage) => {
+    setPaging({
+      key: queryKey,
+      page: nextPage,
+      // moving forward records where the new page starts
+      cursors: nextPage > page ? [...cursors.slice(0, page), nextCursor] : cursors,
+    });
+  };
 
   // Sort header click handler — simple + reliable toggle
   const handleSort = (key) => {
@@ -256,9 +322,33 @@ export default function OrderHistory() {
     return sortDir === 'asc' ? 'ascending' : 'descending';
   };
 
+  // Every row matching the current filters and sort, fetched page by page
+  const fetchAllMatching = async () => {
+    const all = [];
+    let cursor;
+    do {
+      const resp = await listOrders({ ...listQuery, limit: 500, cursor });
+      all.push(...(resp?.data || []).map(toRow));
+      cursor = resp?.nextCursor || undefined;
+    } while (cursor);
+    return all;
+  };
+
   // CSV export of current filtered + sorted list (all rows, not just current page)
-  const handleExportCsv = () => {
-    if (!filteredAndSorted.length) return;
+  const handleExportCsv = async () => {
+    if (!totalRows || exporting) return;
+
+    let matching;
+    setExporting(true);
+    try {
+      matching = await fetchAllMatching();
+    } catch (e) {
+      console.error('Failed to export orders', e);
+      setError('Unable to export orders.');
+      return;
+    } finally {
+      setExporting(false);
+    }
 
     const header = [
       'Order ID',
@@ -269,7 +359,7 @@ export default function OrderHistory() {
       'Card Last4',
     ];
 
-    const rows = filteredAndSorted.map((o) => [
+    const rows = matching.map((o) => [
       o.orderNumber || '',
       o.customer || '',
       formatDate(o.date),
@@ -313,13 +403,19 @@ export default function OrderHistory() {
 
     setSelectedOrderId(orderId);
     setSelectedOrderDetails(null);
+    setAuthAttempts([]);
     setDetailError(null);
     setDetailLoading(true);
 
     try {
-      const resp = await getOrderDetails(orderId);
+      const [resp, attempts] = await Promise.all([
+        getOrderDetails(orderId),
+        // attempt history is a nice-to-have; don't fail the panel without it
+        listAuthorizations(orderId).catch(() => []),
+      ]);
       const data = resp && resp.data ? resp.data : resp;
       setSelectedOrderDetails(data);
+      setAuthAttempts(Array.isArray(attempts) ? attempts : []);
     } catch (e) {
       console.error('Failed to load order details', e);
       setDetailError('Unable to load order details.');
@@ -348,7 +444,6 @@ export default function OrderHistory() {
   const handlePageSizeChange = (e) => {
     const nextSize = Number(e.target.value) || 20;
     setPageSize(nextSize);
-    setPage(1);
   };
 
   const detail = selectedOrderDetails || {};
@@ -356,9 +451,10 @@ export default function OrderHistory() {
   const detailAuth = detail.authorization;
   const detailSettlements = detail.settlements || [];
   const detailAvailable = detail.availableToSettle;
+  const detailRefunds = detail.refunds || [];
 
   const canPrev = currentPage > 1;
-  const canNext = currentPage < totalPages;
+  const canNext = Boolean(nextCursor);
 
   return (
     <div className="container py-4">
@@ -372,43 +468,54 @@ export default function OrderHistory() {
           </div>
         </div>
 
-        {/* Tabs: Current vs Past */}
-        <ul className="nav nav-pills mb-3">
-          <li className="nav-item">
-            <button
-              type="button"
-              className={`nav-link ${tab === 'current' ? 'active' : ''}`}
-              onClick={() => {
-                setTab('current');
-                setStatusFilter('');
-              }}
-            >
-              Current
-              {typeof currentCount === 'number' && (
-                <span className="badge bg-light text-dark ms-2">
-                  {currentCount}
-                </span>
-              )}
-            </button>
-          </li>
-          <li className="nav-item">
-            <button
-              type="button"
-              className={`nav-link ${tab === 'past' ? 'active' : ''}`}
-              onClick={() => {
-                setTab('past');
-                setStatusFilter('');
-              }}
-            >
-              Past
-              {typeof pastCount === 'number' && (
-                <span className="badge bg-light text-dark ms-2">
-                  {pastCount}
-                </span>
-              )}
+        {/* Drill-down banner replaces the Current / Past tabs */}
+        {drillDown ? (
+          <div className="alert alert-info d-flex flex-wrap justify-content-between align-items-center gap-2 py-2">
+            <span>
+              Filtered from Analytics: <strong>{drillDown.label}</strong>
+            </span>
+            <button type="button" className="btn btn-outline-dark btn-sm" onClick={onClearDrillDown}>
+              Show all orders
             </button>
-          </li>
-        </ul>
+          </div>
+        ) : (
+          <ul className="nav nav-pills mb-3">
+            <li className="nav-item">
+              <button
+                type="button"
+                className={`nav-link ${tab === 'current' ? 'active' : ''}`}
+                onClick={() => {
+                  setTab('current');
+                  setStatusFilter('');
+                }}
+              >
+                Current
+                {typeof currentCount === 'number' && (
+                  <span className="badge bg-light text-dark ms-2">
+                    {currentCount}
+                  </span>
+                )}
+              </button>
+            </li>
+            <li className="nav-item">
+              <button
+                type="button"
+                className={`nav-link ${tab === 'past' ? 'active' : ''}`}
+                onClick={() => {
+                  setTab('past');
+                  setStatusFilter('');
+                }}
+              >
+                Past
+                {typeof pastCount === 'number' && (
+                  <span className="badge bg-light text-dark ms-2">
+                    {pastCount}
+                  </span>
+                )}
+              </button>
+            </li>
+          </ul>
+        )}
 
         {/* Filters + Search + Export row */}
         <div className="d-flex flex-wrap gap-2 justify-content-between align-items-center mb-2">
@@ -498,9 +605,9 @@ export default function OrderHistory() {
               type="button"
               className="btn btn-outline-light btn-sm"
               onClick={handleExportCsv}
-              disabled={!filteredAndSorted.length}
+              disabled={!totalRows || exporting}
             >
-              Export CSV
+              {exporting ? 'Exporting…' : 'Export CSV'}
             </button>
           </div>
         </div>
@@ -545,7 +652,103 @@ export default function OrderHistory() {
                     </button>
                   </div>
 
-                  {detailLoading ? (
+                  <ul className="nav nav-tabs mb-3">
+                    <li className="nav-item">
+                      <button
+                        type="button"
+                        className={`nav-link ${detailTab === 'details' ? 'active' : ''}`}
+                        onClick={() => setDetailTab('details')}
+                      >
+                        Details
+                      </button>
+                    </li>
+                    <li className="nav-item">
+                      <button
+                        type="button"
+                        className={`nav-link ${detailTab === 'audit' ? 'active' : ''}`}
+                        onClick={() => setDetailTab('audit')}
+                      >
+                        Audit
+                      </button>
+                    </li>
+                  </ul>
+
+                  {detailTab === 'audit' ? (
+                    <div>
+                      <div className="d-flex align-items-center gap-2 mb-2">
+                        <label className="small text-muted mb-0" htmlFor="audit-type-filter">
+                          Event
+                        </label>
+                        <select
+                          id="audit-type-filter"
+                          className="form-select form-select-sm"
+                          style={{ maxWidth: '16rem' }}
+                          value={auditTypeFilter}
+                          onChange={(e) => setAuditTypeFilter(e.target.value)}
+                        >
+                          <option value="">All events</option>
+                          {AUDIT_EVENT_TYPES.map((t) => (
+                            <option key={t} value={t}>
+                              {t}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+
+                      {auditLoading ? (
+                        <div className="d-flex align-items-center py-2">
+                          <div
+                            className="spinner-border spinner-border-sm me-2"
+                            role="status"
+                            aria-hidden="true"
+                          />
+                          <span>Loading audit trail…</span>
+                        </div>
+                      ) : auditError ? (
+                        <div className="alert alert-danger mb-0">{auditError}</div>
+                      ) : auditEvents.length === 0 ? (
+                        <div className="text-muted small">No audit entries for this order.</div>
+                      ) : (
+                        <div className="table-responsive">
+                          <table className="table table-sm mb-0 small">
+                            <thead>
+                              <tr>
+                                <th scope="col">When</th>
+                                <th scope="col">Event</th>
+                                <th scope="col">Actor</th>
+                                <th scope="col">Change</th>
+                                <th scope="col">Source</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {auditEvents.map((e) => (
+                                <tr key={e.id}>
+                                  <td className="text-nowrap">
+                                    {formatDate(`${String(e.createdAt).replace(' ', 'T')}Z`)}
+                                  </td>
+                                  <td className="text-nowrap">{e.eventType}</td>
+                                  <td>{e.actor}</td>
+                                  <td>{describeAuditChange(e) || '—'}</td>
+                                  <td className="text-muted">
+                                    <div>{e.sourceIp || '—'}</div>
+                                    {e.requestId && (
+                                      <div
+                                        className="text-truncate"
+                                        style={{ maxWidth: '10rem' }}
+                                        title={e.requestId}
+                                      >
+                                        {e.requestId}
+                                      </div>
+                                    )}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </div>
+                  ) : detailLoading ? (
                     <div className="d-flex align-items-center py-2">
                       <div
                         className="spinner-border spinner-border-sm me-2"
@@ -613,6 +816,12 @@ export default function OrderHistory() {
                                 <span className="text-muted">Amount: </span>
                                 {formatMoney(detailAuth.amount)}
                               </div>
+                              {detailAuth.expires_at && (
+                                <div>
+                                  <span className="text-muted">Expires: </span>
+                                  {formatDate(`${detailAuth.expires_at.replace(' ', 'T')}Z`)}
+                                </div>
+                              )}
                               <div className="mt-1">
                                 <span className="text-muted">Token: </span>
                                 <span
@@ -622,6 +831,25 @@ export default function OrderHistory() {
                                   {detailAuth.provider_token || '—'}
                                 </span>
                               </div>
+                              {authAttempts.length > 1 && (
+                                <div className="mt-2">
+                                  <div className="text-muted">
+                                    Attempts ({authAttempts.length}):
+                                  </div>
+                                  {authAttempts.map((a) => (
+                                    <div
+                                      key={a.auth_id}
+                                      className="d-flex justify-content-between align-items-center mt-1"
+                                    >
+                                      <span className="text-muted">
+                                        {formatDate(a.created_at)}
+                                        {a.provider_status ? ` · HTTP ${a.provider_status}` : ''}
+                                      </span>
+                                      <span className={badgeClass(a.outcome)}>{a.outcome}</span>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
                             </div>
                           ) : (
                             <div className="text-muted small">
@@ -670,6 +898,9 @@ export default function OrderHistory() {
                                     </div>
                                     <div className="text-muted small">
                                       {formatDate(s.created_at)}
+                                      {s.batch_id
+                                        ? ` · batch #${s.batch_id} · ${s.capture_status}`
+                                        : ''}
                                     </div>
                                   </div>
                                   <span className={badgeClass(s.outcome)}>
@@ -679,6 +910,34 @@ export default function OrderHistory() {
                               ))}
                             </div>
                           )}
+
+                          {detailRefunds.length > 0 && (
+                            <>
+                              <h6 className="mt-3 mb-2">Refunds</h6>
+                              {detailRefunds.map((r) => (
+                                <div
+                                  key={r.refund_id}
+                                  className="d-flex justify-content-between align-items-center mb-1"
+                                >
+                                  <div className="small">
+                                    <div>
+                                      <span className="text-muted">Amount: </span>
+                                      {formatMoney(r.amount)}
+                                    </div>
+                                    {r.reason && (
+                                      <div className="text-muted small">{r.reason}</div>
+                                    )}
+                                    <div className="text-muted small">
+                                      {formatDate(r.created_at)}
+                                    </div>
+                                  </div>
+                                  <span className={badgeClass(r.outcome)}>
+                                    {r.outcome}
+                                  </span>
+                                </div>
+                              ))}
+                            </>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -811,7 +1070,7 @@ export default function OrderHistory() {
                       type="button"
                       className="btn btn-outline-light btn-sm"
                       disabled={!canPrev}
-                      onClick={() => canPrev && setPage(currentPage - 1)}
+                      onClick={() => canPrev && goToPage(currentPage - 1)}
                     >
                       Previous
                     </button>
@@ -823,7 +1082,7 @@ export default function OrderHistory() {
                       type="button"
                       className="btn btn-outline-light btn-sm"
                       disabled={!canNext}
-                      onClick={() => canNext && setPage(currentPage + 1)}
+                      onClick={() => canNext && goToPage(currentPage + 1)}
                     >
                       Next
                     </button>
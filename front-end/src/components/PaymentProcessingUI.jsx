@@ -11,6 +11,7 @@ import { getNextOrder, postAuthorize } from '../lib/api.js';
 function resolveOutcome(resp) {
   if (!resp || typeof resp !== 'object') return 'SERVER_ERROR';
   if (resp.outcome) return String(resp.outcome);
+  if (resp.status === 'PENDING_PROVIDER') return 'PENDING';
   if (resp.authorization?.outcome) return String(resp.authorization.outcome);
   if (resp.code) return String(resp.code);
   return 'SUCCESS';
@@ -108,6 +109,13 @@ function isValidCvvForType(rawCvv, cardType) {
   return digits.length === 3 || digits.length === 4;
 }
 
+/* ---------- Server field errors (422 VALIDATION_FAILED → inline messages) ---------- */
+const CARD_NUMBER_ERROR_TEXT = {
+  REQUIRED: 'Please enter a card number.',
+  INVALID_LENGTH: 'This card number has the wrong number of digits for its brand.',
+  LUHN_FAILED: 'This card number is not valid. Please check for typos.',
+};
+
 /* ---------- Card type icon (visual only) ---------- */
 function cardTypeIcon(type) {
   switch (type) {
@@ -218,10 +226,15 @@ export default function PaymentProcessingUI() {
   const [zipError, setZipError] = useState(false);
   const [expiryError, setExpiryError] = useState(false);
   const [cvvError, setCvvError] = useState(false);
+  const [cardNumberError, setCardNumberError] = useState(null); // message from server validation
 
   // Right-panel: this-session activity (no backend storage)
   const [sessionTxns, setSessionTxns] = useState([]);
 
+  // Idempotency-Key for the authorization in flight; reused only when the
+  // exact same payload is retried after a network failure.
+  const authKeyRef = useRef(null);
+
   // Ref for CVV (for auto-advance from expiry)
   const cvvInputRef = useRef(null);
 
@@ -265,6 +278,7 @@ export default function PaymentProcessingUI() {
     const detected = detectCardType(raw);
     setCardType(detected);
     setCardNumber(formatCardNumberForType(raw, detected));
+    setCardNumberError(null);
   };
   const onCardNumberPaste = (e) => {
     const text = (e.clipboardData || window.clipboardData).getData('text');
@@ -325,6 +339,7 @@ export default function PaymentProcessingUI() {
     setZipError(false);
     setExpiryError(false);
     setCvvError(false);
+    setCardNumberError(null);
 
     // ZIP validation (5 digits)
     const zipDigits = String(zip || '').replace(/\D/g, '');
@@ -405,18 +420,32 @@ export default function PaymentProcessingUI() {
         expiryDate: expiry
       };
 
-      const resp = await postAuthorize(payload);
+      const signature = JSON.stringify(payload);
+      if (authKeyRef.current?.signature !== signature) {
+        authKeyRef.current = { signature, key: crypto.randomUUID() };
+      }
+
+      const resp = await postAuthorize(payload, { idempotencyKey: authKeyRef.current.key });
+      authKeyRef.current = null;
 
       const outcome = resolveOutcome(resp);
       appendSessionTxn({ orderId, amount, outcome, when: new Date().toISOString() });
 
-      // Success banner
+      // Success banner (or "pending" when the provider confirms later by webhook)
       const maskedLast4 = pan.slice(-4).padStart(4, '•');
-      setNotice({
-        type: 'success',
-        title: 'Payment authorized',
-        detail: `Order ${orderId} authorized for ${fmtMoney(amount)} (Card •••• ${maskedLast4}).`
-      });
+      setNotice(
+        outcome === 'PENDING'
+          ? {
+              type: 'info',
+              title: 'Payment pending confirmation',
+              detail: `Order ${orderId} for ${fmtMoney(amount)} (Card •••• ${maskedLast4}) is awaiting confirmation from the payment provider. Check the Orders Viewer for the final result.`
+            }
+          : {
+              type: 'success',
+              title: 'Payment authorized',
+              detail: `Order ${orderId} authorized for ${fmtMoney(amount)} (Card •••• ${maskedLast4}).`
+            }
+      );
 
       // Fetch next suggested order/amount for rapid testing
       try {
@@ -426,6 +455,8 @@ export default function PaymentProcessingUI() {
       } catch {}
     } catch (err) {
       console.error(err);
+      // a response means the attempt completed; a retry should be a fresh attempt
+      if (err?.response) authKeyRef.current = null;
       const code =
         err?.response?.data?.code ||
         err?.code ||
@@ -434,12 +465,37 @@ export default function PaymentProcessingUI() {
       let title = 'Authorization failed';
       let detail = 'Please verify your details and try again.';
       const up = String(code).toUpperCase();
-      if (up.includes('INSUFFICIENT')) {
+      const fields = err?.response?.data?.fields;
+      if (up === 'VALIDATION_FAILED' && fields) {
+        // show the server's field-level errors inline
+        title = 'Please correct the highlighted fields';
+        detail = 'Some payment details were rejected by the server.';
+        if (fields['card.number']) {
+          setCardNumberError(CARD_NUMBER_ERROR_TEXT[fields['card.number']] || CARD_NUMBER_ERROR_TEXT.LUHN_FAILED);
+        }
+        if (fields['card.expiry']) setExpiryError(true);
+        if (fields['card.cvv']) setCvvError(true);
+        if (fields['customer.zip']) setZipError(true);
+      } else if (up === 'RATE_LIMITED') {
+        const wait = Number(err?.response?.data?.retryAfter) || 60;
+        const minutes = Math.ceil(wait / 60);
+        title = 'Too many attempts';
+        detail = `Please wait ${wait < 60 ? `${wait} seconds` : `${minutes} minute${minutes === 1 ? '' : 's'}`} before trying this payment again.`;
+      } else if (up.includes('INSUFFICIENT')) {
         title = 'Insufficient funds';
         detail = 'The issuing bank declined the charge due to insufficient funds.';
       } else if (up.includes('INCORRECT')) {
         title = 'Incorrect card details';
         detail = 'One or more card fields appear invalid. Please double-check and retry.';
+      } else if (up === 'ORDER_ALREADY_AUTHORIZED') {
+        title = 'Order already authorized';
+        detail = 'This order has already been authorized, so it was not charged again. Start a new order to pay again.';
+      } else if (up === 'INVALID_STATE_TRANSITION') {
+        title = 'Order already processed';
+        detail = `This order is ${err?.response?.data?.from || 'no longer pending'} and can't be authorized again. Start a new order to pay again.`;
+      } else if (up === 'PROVIDER_UNAVAILABLE') {
+        title = 'Payment service unavailable';
+        detail = 'The payment service is not responding right now. Please wait a moment and try again.';
       } else if (up.includes('PROVIDER')) {
         title = 'Payment provider error';
         detail = 'There was a temporary problem with the payment service. Please try again.';
@@ -482,7 +538,7 @@ export default function PaymentProcessingUI() {
 
       {/* Friendly banner (replaces raw JSON) */}
       {notice && (
-        <div className={`alert alert-${notice.type} alert-custom ${notice.type === 'success' ? 'success' : 'error'} mb-3`}>
+        <div className={`alert alert-${notice.type} alert-custom ${notice.type === 'danger' ? 'error' : notice.type} mb-3`}>
           <strong>{notice.title}</strong>
           {notice.detail && <div className="mt-1">{notice.detail}</div>}
         </div>
@@ -707,7 +763,7 @@ export default function PaymentProcessingUI() {
                     </span>
                   </label>
                   <input
-                    className="form-control"
+                    className={`form-control${cardNumberError ? ' is-invalid' : ''}`}
                     value={cardNumber}
                     onChange={onCardNumberChange}
                     onPaste={onCardNumberPaste}
@@ -715,7 +771,11 @@ export default function PaymentProcessingUI() {
                     inputMode="numeric"
                     placeholder=""
                     autoComplete="cc-number"
+                    aria-invalid={cardNumberError ? 'true' : undefined}
                   />
+                  {cardNumberError && (
+                    <div className="invalid-feedback d-block">{cardNumberError}</div>
+                  )}
                 </div>
 
                 {/* Expiry */}
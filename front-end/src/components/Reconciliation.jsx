@@ -0,0 +1,330 @@
+// ----------------------------------------------------------------------------
+// src/components/Reconciliation.jsx
+// Reconciliation for the warehouse: upload a provider settlement report
+// (CSV or JSON), send it to POST /api/reconciliations and review how each
+// order compares with our captured settlements. Earlier runs stay listed
+// and can be reopened.
+// ----------------------------------------------------------------------------
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { postReconciliation, listReconciliations, getReconciliation } from '../lib/api.js';
+
+const formatMoney = (n) => (n == null ? '—' : `$${Number(n).toFixed(2)}`);
+
+const RESULTS = {
+  AMOUNT_MISMATCH: { label: 'Amount mismatch', badge: 'bg-warning text-dark', count: 'amountMismatch' },
+  MISSING: { label: 'Missing from report', badge: 'bg-danger', count: 'missing' },
+  EXTRA: { label: 'Extra in report', badge: 'bg-info text-dark', count: 'extra' },
+  MATCHED: { label: 'Matched', badge: 'bg-success', count: 'matched' },
+};
+
+function describeItem(item) {
+  switch (item.result) {
+    case 'AMOUNT_MISMATCH': {
+      const diff = Number(item.reportedAmount) - Number(item.expectedAmount);
+      return `Report is ${diff > 0 ? 'over' : 'under'} by ${formatMoney(Math.abs(diff))}.`;
+    }
+    case 'MISSING':
+      return 'Captured here but not in the provider report.';
+    case 'EXTRA':
+      return item.note === 'NOT_CAPTURED'
+        ? 'In the report, but we have no captured settlement for this order.'
+        : 'In the report, but matches no order or provider token here.';
+    default:
+      return '';
+  }
+}
+
+function describeError(err) {
+  const data = err?.response?.data;
+  switch (data?.code) {
+    case 'INVALID_REPORT':
+      return `The report could not be read: ${(data.errors || [])
+        .slice(0, 3)
+        .map((e) => (e.line ? `line ${e.line}: ${e.message}` : e.message))
+        .join('; ')}`;
+    case 'PERIOD_REQUIRED':
+      return 'The report has no dates—choose the period it covers.';
+    case 'INVALID_PERIOD':
+      return 'The period start must be on or before its end.';
+    case 'BAD_REQUEST':
+      return 'The report has no lines, or is not valid CSV / JSON.';
+    default:
+      return 'Unable to reconcile the report—try again.';
+  }
+}
+
+export default function Reconciliation() {
+  const [report, setReport] = useState(null); // { name, text, format }
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [running, setRunning] = useState(false);
+  const [msg, setMsg] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [showMatched, setShowMatched] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      setRuns(await listReconciliations({ limit: 20 }));
+    } catch {
+      setMsg({ type: 'danger', text: 'Unable to load earlier reconciliations.' });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    setReport({ name: file.name, text: await file.text(), format });
+    setMsg(null);
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (!report) return;
+
+    setRunning(true);
+    setMsg(null);
+    try {
+      const run = await postReconciliation(report.text, { format: report.format, fileName: report.name, from, to });
+      setSelected(run);
+      setShowMatched(false);
+      const problems = run.counts.amountMismatch + run.counts.missing + run.counts.extra;
+      setMsg(
+        problems === 0
+          ? { type: 'success', text: `All ${run.counts.matched} orders match the provider report.` }
+          : { type: 'warning', text: `${problems} discrepancies found; ${run.counts.matched} orders match.` }
+      );
+      setReport(null);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      loadRuns();
+    } catch (err) {
+      setMsg({ type: 'danger', text: describeError(err) });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const openRun = async (runId) => {
+    try {
+      setSelected(await getReconciliation(runId));
+      setShowMatched(false);
+    } catch {
+      setMsg({ type: 'danger', text: 'Unable to load that reconciliation.' });
+    }
+  };
+
+  const visibleItems = selected
+    ? selected.items
+        .filter((i) => showMatched || i.result !== 'MATCHED')
+        .sort((a, b) => Object.keys(RESULTS).indexOf(a.result) - Object.keys(RESULTS).indexOf(b.result))
+    : [];
+
+  return (
+    <div>
+      {msg && (
+        <div className={`alert alert-${msg.type} text-center`} role="alert">
+          {msg.text}
+        </div>
+      )}
+
+      <div className="card portal-card mb-4">
+        <div className="card-body">
+          <h4 className="mb-3 text-center">Reconciliation</h4>
+
+          <form onSubmit={onSubmit} className="mx-auto text-start" style={{ maxWidth: '520px' }}>
+            <div className="mb-3">
+              <label className="form-label" htmlFor="reconFile">
+                Provider report:
+              </label>
+              <input
+                id="reconFile"
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                className="form-control"
+                onChange={handleFile}
+              />
+              <div className="form-text text-muted">
+                CSV with a header row, or JSON lines. Needs an <code>amount</code> and a{' '}
+                <code>providerToken</code> or <code>orderId</code> per line.
+              </div>
+            </div>
+
+            <div className="row g-2 mb-3">
+              <div className="col">
+                <label className="form-label" htmlFor="reconFrom">
+                  Period from:
+                </label>
+                <input
+                  id="reconFrom"
+                  type="date"
+                  className="form-control"
+                  value={from}
+                  onChange={(e) => setFrom(e.target.value)}
+                />
+              </div>
+              <div className="col">
+                <label className="form-label" htmlFor="reconTo">
+                  to:
+                </label>
+                <input
+                  id="reconTo"
+                  type="date"
+                  className="form-control"
+                  value={to}
+                  onChange={(e) => setTo(e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="form-text text-muted mb-3">
+              Leave the period empty to use the first and last dates in the report.
+            </div>
+
+            <button className="btn btn-dark w-100" type="submit" disabled={running || !report}>
+              {running ? (
+                <>
+                  <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true" />
+                  Reconciling…
+                </>
+              ) : (
+                'Reconcile'
+              )}
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {selected && (
+        <>
+          <h5 className="mb-2 text-center">
+            Run #{selected.id}
+            {selected.fileName ? ` · ${selected.fileName}` : ''}
+          </h5>
+          <div className="card portal-card mb-4">
+            <div className="card-body">
+              <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+                <div className="d-flex flex-wrap gap-2 align-items-center">
+                  <span className="small text-muted me-2">
+                    {selected.periodFrom} → {selected.periodTo} · {selected.lineCount} lines
+                  </span>
+                  {Object.entries(RESULTS).map(([result, r]) => (
+                    <span key={result} className={`badge ${r.badge}`}>
+                      {selected.counts[r.count]} {r.label.toLowerCase()}
+                    </span>
+                  ))}
+                </div>
+                <div className="form-check mb-0">
+                  <input
+                    id="showMatched"
+                    type="checkbox"
+                    className="form-check-input"
+                    checked={showMatched}
+                    onChange={(e) => setShowMatched(e.target.checked)}
+                  />
+                  <label className="form-check-label small" htmlFor="showMatched">
+                    Show matched
+                  </label>
+                </div>
+              </div>
+
+              {visibleItems.length === 0 ? (
+                <p className="text-muted mb-0 text-center">
+                  {selected.items.length ? 'No discrepancies.' : 'Nothing to compare in this period.'}
+                </p>
+              ) : (
+                <div className="table-responsive">
+                  <table className="table table-sm align-middle mb-0">
+                    <thead>
+                      <tr>
+                        <th scope="col">Result</th>
+                        <th scope="col">Order ID</th>
+                        <th scope="col">Provider token</th>
+                        <th scope="col" className="text-end">Ours</th>
+                        <th scope="col" className="text-end">Report</th>
+                        <th scope="col">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {visibleItems.map((i) => (
+                        <tr key={i.id}>
+                          <td>
+                            <span className={`badge ${RESULTS[i.result]?.badge || 'bg-secondary'}`}>
+                              {RESULTS[i.result]?.label || i.result}
+                            </span>
+                          </td>
+                          <td className="fw-semibold">{i.orderId || '—'}</td>
+                          <td className="small text-truncate" style={{ maxWidth: '12rem' }} title={i.providerToken || ''}>
+                            {i.providerToken || '—'}
+                          </td>
+                          <td className="text-end">{formatMoney(i.expectedAmount)}</td>
+                          <td className="text-end">{formatMoney(i.reportedAmount)}</td>
+                          <td className="small">
+                            {describeItem(i)}
+                            {i.reportLines.length > 0 && (
+                              <span className="text-muted"> (report line {i.reportLines.join(', ')})</span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {runs.length > 0 && (
+        <>
+          <h5 className="mb-2 text-center">Earlier runs</h5>
+          <div className="card portal-card">
+            <div className="card-body">
+              <div className="table-responsive">
+                <table className="table table-sm align-middle mb-0">
+                  <thead>
+                    <tr>
+                      <th scope="col">Run</th>
+                      <th scope="col">File</th>
+                      <th scope="col">Period</th>
+                      <th scope="col" className="text-end">Matched</th>
+                      <th scope="col" className="text-end">Discrepancies</th>
+                      <th scope="col">By</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {runs.map((r) => {
+                      const problems = r.counts.amountMismatch + r.counts.missing + r.counts.extra;
+                      return (
+                        <tr key={r.id} className={selected?.id === r.id ? 'table-active' : ''}>
+                          <td>
+                            <button type="button" className="btn btn-link btn-sm p-0" onClick={() => openRun(r.id)}>
+                              #{r.id}
+                            </button>
+                          </td>
+                          <td className="small">{r.fileName || '—'}</td>
+                          <td className="small">
+                            {r.periodFrom} → {r.periodTo}
+                          </td>
+                          <td className="text-end">{r.counts.matched}</td>
+                          <td className={`text-end ${problems ? 'text-danger fw-semibold' : ''}`}>{problems}</td>
+                          <td className="small">{r.createdBy || '—'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,299 @@
+// ----------------------------------------------------------------------------
+// src/components/SettlementBatches.jsx
+// End-of-day settlement batches for the warehouse. Settlements collect in the
+// open batch; here it is closed and submitted, which captures each settlement
+// with the provider. Lists recent batches with their totals and shows the
+// capture result of every settlement in the selected batch.
+// ----------------------------------------------------------------------------
+import { useCallback, useEffect, useState } from 'react';
+import {
+  listSettlementBatches,
+  getSettlementBatch,
+  openSettlementBatch,
+  closeSettlementBatch,
+  submitSettlementBatch,
+} from '../lib/api.js';
+
+const formatMoney = (n) => `$${Number(n ?? 0).toFixed(2)}`;
+const formatTime = (t) => (t ? new Date(`${t.replace(' ', 'T')}Z`).toLocaleString() : '—');
+
+const BATCH_BADGE = {
+  OPEN: 'bg-info text-dark',
+  CLOSED: 'bg-secondary',
+  SUBMITTING: 'bg-warning text-dark',
+  SUBMITTED: 'bg-success',
+  SUBMITTED_WITH_ERRORS: 'bg-danger',
+};
+
+const CAPTURE_BADGE = {
+  PENDING: 'bg-secondary',
+  CAPTURED: 'bg-success',
+  FAILED: 'bg-danger',
+};
+
+function describeCaptureError(code) {
+  switch (code) {
+    case 'PROVIDER_UNAVAILABLE':
+      return 'Provider unavailable; submit again to retry.';
+    case 'PROVIDER_ERROR':
+      return 'The provider rejected the capture; submit again to retry.';
+    default:
+      return code || '';
+  }
+}
+
+function describeActionError(err) {
+  switch (err?.response?.data?.code) {
+    case 'BATCH_EMPTY':
+      return 'This batch has no settlements yet.';
+    case 'INVALID_BATCH_STATE':
+      return `The batch is ${err.response.data.status} and can't do that now—refresh and try again.`;
+    case 'BATCH_ALREADY_OPEN':
+      return `Batch #${err.response.data.batchId} is already open.`;
+    case 'BATCH_NOT_FOUND':
+      return 'Batch not found.';
+    default:
+      return 'Something went wrong—try again.';
+  }
+}
+
+export default function SettlementBatches() {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [msg, setMsg] = useState(null);
+
+  const loadBatches = useCallback(async () => {
+    try {
+      setBatches(await listSettlementBatches({ limit: 50 }));
+    } catch {
+      setMsg({ type: 'danger', text: 'Unable to load settlement batches.' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  const showBatch = async (batchId) => {
+    try {
+      setSelected(await getSettlementBatch(batchId));
+    } catch (err) {
+      setMsg({ type: 'danger', text: describeActionError(err) });
+    }
+  };
+
+  // runs a close / submit / open call, then refreshes the list and the detail card
+  const runAction = async (batchId, action, describeResult) => {
+    setBusyId(batchId);
+    setMsg(null);
+    try {
+      const batch = await action();
+      setSelected(batch);
+      setMsg(describeResult(batch));
+    } catch (err) {
+      setMsg({ type: 'danger', text: describeActionError(err) });
+    } finally {
+      setBusyId(null);
+      loadBatches();
+    }
+  };
+
+  const handleOpen = () =>
+    runAction('new', openSettlementBatch, (b) => ({ type: 'success', text: `Batch #${b.id} opened.` }));
+
+  const handleClose = (batch) =>
+    runAction(batch.id, () => closeSettlementBatch(batch.id), (b) => ({
+      type: 'success',
+      text: `Batch #${b.id} closed with ${b.settlementCount} settlements (${formatMoney(b.totalAmount)}).`,
+    }));
+
+  const handleSubmit = (batch) =>
+    runAction(batch.id, () => submitSettlementBatch(batch.id), (b) =>
+      b.failed.count === 0
+        ? { type: 'success', text: `Batch #${b.id} submitted: ${formatMoney(b.captured.amount)} captured.` }
+        : {
+            type: 'warning',
+            text: `Batch #${b.id}: ${b.captured.count} captured, ${b.failed.count} failed (${formatMoney(
+              b.failed.amount
+            )}). Submit again to retry the failures.`,
+          }
+    );
+
+  const hasOpenBatch = batches.some((b) => b.status === 'OPEN');
+
+  const renderActions = (b) => {
+    const busy = busyId === b.id;
+    if (b.status === 'OPEN') {
+      return (
+        <button
+          type="button"
+          className="btn btn-outline-light btn-sm"
+          onClick={() => handleClose(b)}
+          disabled={busy || b.settlementCount === 0}
+        >
+          {busy ? 'Closing…' : 'Close'}
+        </button>
+      );
+    }
+    if (b.status === 'CLOSED' || b.status === 'SUBMITTED_WITH_ERRORS') {
+      return (
+        <button type="button" className="btn btn-dark btn-sm" onClick={() => handleSubmit(b)} disabled={busy}>
+          {busy ? 'Submitting…' : b.status === 'CLOSED' ? 'Submit' : 'Retry failed'}
+        </button>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div>
+      {msg && (
+        <div className={`alert alert-${msg.type} text-center`} role="alert">
+          {msg.text}
+        </div>
+      )}
+
+      <div className="card portal-card mb-4">
+        <div className="card-body">
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <h4 className="mb-0">Settlement Batches</h4>
+            <div className="d-flex gap-2">
+              {!loading && !hasOpenBatch && (
+                <button
+                  type="button"
+                  className="btn btn-outline-light btn-sm"
+                  onClick={handleOpen}
+                  disabled={busyId === 'new'}
+                >
+                  Open batch
+                </button>
+              )}
+              <button type="button" className="btn btn-outline-light btn-sm" onClick={loadBatches}>
+                Refresh
+              </button>
+            </div>
+          </div>
+
+          {loading ? (
+            <p className="text-muted mb-0 text-center">Loading…</p>
+          ) : batches.length === 0 ? (
+            <p className="text-muted mb-0 text-center">
+              No batches yet. The first settlement of the day opens one.
+            </p>
+          ) : (
+            <div className="table-responsive">
+              <table className="table table-sm align-middle mb-0">
+                <thead>
+                  <tr>
+                    <th scope="col">Batch</th>
+                    <th scope="col">Status</th>
+                    <th scope="col">Opened</th>
+                    <th scope="col" className="text-end">Settlements</th>
+                    <th scope="col" className="text-end">Total</th>
+                    <th scope="col" className="text-end">Captured</th>
+                    <th scope="col" className="text-end">Failed</th>
+                    <th scope="col" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {batches.map((b) => (
+                    <tr key={b.id} className={selected?.id === b.id ? 'table-active' : ''}>
+                      <td>
+                        <button type="button" className="btn btn-link btn-sm p-0" onClick={() => showBatch(b.id)}>
+                          #{b.id}
+                        </button>
+                      </td>
+                      <td>
+                        <span className={`badge ${BATCH_BADGE[b.status] || 'bg-secondary'}`}>{b.status}</span>
+                      </td>
+                      <td className="small">{formatTime(b.openedAt)}</td>
+                      <td className="text-end">{b.settlementCount}</td>
+                      <td className="text-end">{formatMoney(b.totalAmount)}</td>
+                      <td className="text-end">
+                        {b.captured.count} · {formatMoney(b.captured.amount)}
+                      </td>
+                      <td className={`text-end ${b.failed.count ? 'text-danger' : ''}`}>
+                        {b.failed.count} · {formatMoney(b.failed.amount)}
+                      </td>
+                      <td className="text-end">{renderActions(b)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {selected && (
+        <>
+          <h5 className="mb-2 text-center">Batch #{selected.id}</h5>
+          <div className="card portal-card">
+            <div className="card-body">
+              <div className="d-flex flex-wrap gap-3 small mb-3">
+                <span>
+                  Status:{' '}
+                  <span className={`badge ${BATCH_BADGE[selected.status] || 'bg-secondary'}`}>{selected.status}</span>
+                </span>
+                <span>
+                  Opened {formatTime(selected.openedAt)} by {selected.openedBy}
+                </span>
+                {selected.closedAt && (
+                  <span>
+                    Closed {formatTime(selected.closedAt)} by {selected.closedBy}
+                  </span>
+                )}
+                {selected.submittedAt && (
+                  <span>
+                    Submitted {formatTime(selected.submittedAt)} by {selected.submittedBy}
+                  </span>
+                )}
+              </div>
+
+              {selected.settlements.length === 0 ? (
+                <p className="text-muted mb-0 text-center">No settlements in this batch yet.</p>
+              ) : (
+                <div className="table-responsive">
+                  <table className="table table-sm align-middle mb-0">
+                    <thead>
+                      <tr>
+                        <th scope="col">Order ID</th>
+                        <th scope="col" className="text-end">Amount</th>
+                        <th scope="col">Settled</th>
+                        <th scope="col">Capture</th>
+                        <th scope="col">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selected.settlements.map((s) => (
+                        <tr key={s.id}>
+                          <td className="fw-semibold">{s.orderId}</td>
+                          <td className="text-end">{formatMoney(s.amount)}</td>
+                          <td className="small">{formatTime(s.createdAt)}</td>
+                          <td>
+                            <span className={`badge ${CAPTURE_BADGE[s.captureStatus] || 'bg-secondary'}`}>
+                              {s.captureStatus}
+                            </span>
+                          </td>
+                          <td className="small">
+                            {s.captureStatus === 'CAPTURED'
+                              ? formatTime(s.capturedAt)
+                              : describeCaptureError(s.captureError)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
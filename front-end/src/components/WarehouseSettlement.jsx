@@ -5,19 +5,27 @@
 // and submit settlements while providing real-time feedback.
 // Utilizes React hooks for state management and side effects.
 // ------------------------------------------------------------------------------
-import { useMemo, useState } from 'react';
-import { postSettlement, getOrderDetails } from '../lib/api.js';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { postSettlement, postVoid, getOrderDetails, subscribeToOrderEvents } from '../lib/api.js';
+
+// at most two decimals (19.01 * 100 isn't exactly 1901 in floating point)
+const hasTwoDecimalsMax = (n) => Number(n.toFixed(2)) === n;
 
 export default function WarehouseSettlement() {
   const [orderId, setOrderId] = useState('');
   const [amount, setAmount] = useState('');
   const [loading, setLoading] = useState(false);
+  const [voiding, setVoiding] = useState(false);
   const [detailsLoading, setDetailsLoading] = useState(false);
   const [msg, setMsg] = useState(null);
   const [details, setDetails] = useState(null);
   const [recentOrders, setRecentOrders] = useState([]);
   const [shake, setShake] = useState(false);
 
+  // Idempotency-Key for the settlement in flight; a double-click or a retry of
+  // the same order/amount reuses it so the server can't record it twice.
+  const settleKeyRef = useRef(null);
+
   const toMoney = (n) => Number(Number(n).toFixed(2));
   const formatMoney = (n) => `$${toMoney(n ?? 0).toFixed(2)}`;
 
@@ -25,7 +33,7 @@ export default function WarehouseSettlement() {
     if (!orderId.trim()) return false;
     const num = Number(amount);
     if (!Number.isFinite(num) || num <= 0) return false;
-    return Math.round(num * 100) === num * 100;
+    return hasTwoDecimalsMax(num);
   }, [orderId, amount]);
 
   const normalizeDetails = (resp) => (resp && resp.data ? resp.data : resp);
@@ -73,8 +81,29 @@ export default function WarehouseSettlement() {
     }
   };
 
+  // Live updates: re-read the loaded order whenever the server reports a change
+  // to it (status change, settlement from another screen), so availableToSettle stays current.
+  const loadedOrderId = details?.order?.order_id || null;
+  useEffect(() => {
+    if (!loadedOrderId) return undefined;
+    return subscribeToOrderEvents(
+      async () => {
+        try {
+          const normalized = normalizeDetails(await getOrderDetails(loadedOrderId));
+          if (normalized?.order) setDetails(normalized);
+        } catch (err) {
+          console.error('Failed to refresh order details', err);
+        }
+      },
+      { orderId: loadedOrderId }
+    );
+  }, [loadedOrderId]);
+
+  const isExpired = details?.order?.status === 'EXPIRED';
+
   const isAuthorized =
     !!details &&
+    !isExpired &&
     (details.authorization?.outcome === 'SUCCESS' ||
       details.order?.status === 'AUTHORIZED');
 
@@ -91,12 +120,16 @@ export default function WarehouseSettlement() {
 
   const canSettle = isValidAmountForInput && !!details && isAuthorized && hasRemaining;
 
+  // Void: full release before any settlement, or "void remaining" once partially settled
+  const isPartiallySettled = (details?.settlements?.length ?? 0) > 0;
+  const canVoid = !!details && isAuthorized && hasRemaining;
+
   // Live preview of remaining after this settlement
   const numericAmount = Number(amount);
   const hasNumericAmount =
     Number.isFinite(numericAmount) &&
     numericAmount > 0 &&
-    Math.round(numericAmount * 100) === numericAmount * 100;
+    hasTwoDecimalsMax(numericAmount);
 
   const canPreviewRemaining =
     hasRemaining && hasNumericAmount;
@@ -112,6 +145,8 @@ export default function WarehouseSettlement() {
     if (!canSettle) {
       if (!details)
         setMsg({ type: 'danger', text: 'Load order details before settling.' });
+      else if (isExpired)
+        setMsg({ type: 'danger', text: 'The authorization for this order has expired.' });
       else if (!isAuthorized)
         setMsg({ type: 'danger', text: 'Order is not authorized for settlement.' });
       else if (!hasRemaining)
@@ -119,18 +154,24 @@ export default function WarehouseSettlement() {
       return;
     }
 
+    const payload = { orderId: orderId.trim(), amount: Number(amount) };
+    const signature = JSON.stringify(payload);
+    if (settleKeyRef.current?.signature !== signature) {
+      settleKeyRef.current = { signature, key: crypto.randomUUID() };
+    }
+
     setLoading(true);
     try {
-      const resp = await postSettlement({
-        orderId: orderId.trim(),
-        amount: Number(amount),
+      const resp = await postSettlement(payload, {
+        idempotencyKey: settleKeyRef.current.key,
       });
+      settleKeyRef.current = null;
       const data = resp && resp.data ? resp.data : resp;
       const remaining = toMoney(data.availableToSettle).toFixed(2);
 
       const text =
         remaining === '0.00'
-          ? `Order ${orderId.trim()} fully settled.`
+          ? `Order ${orderId.trim()} fully settled; it is marked settled once its batch is captured.`
           : `Settlement recorded. Remaining $${remaining}.`;
       setMsg({ type: 'success', text });
 
@@ -139,6 +180,10 @@ export default function WarehouseSettlement() {
       setAmount('');
     } catch (errObj) {
       const code = errObj?.response?.data?.code || 'SERVER_ERROR';
+      // the first click is still being processed; let it report the result
+      if (code === 'IDEMPOTENCY_REQUEST_IN_PROGRESS') return;
+      // got a definitive answer → next attempt is a new settlement
+      if (errObj?.response) settleKeyRef.current = null;
       const avail = errObj?.response?.data?.availableToSettle;
       let text = 'Something went wrong—try again.';
 
@@ -146,6 +191,16 @@ export default function WarehouseSettlement() {
         text = `Amount exceeds available ($${toMoney(avail).toFixed(2)}).`;
       } else if (code === 'NO_APPROVED_AUTH') {
         text = 'No approved authorization found for this order.';
+      } else if (code === 'VOID_IN_PROGRESS') {
+        text = 'A void of this order is in progress—try again in a moment.';
+        await fetchDetails(orderId);
+      } else if (code === 'AUTH_EXPIRED') {
+        text = 'The authorization for this order has expired.';
+        await fetchDetails(orderId);
+      } else if (code === 'INVALID_STATE_TRANSITION') {
+        const from = errObj?.response?.data?.from;
+        text = `This order can't be settled while it is ${from || 'in its current status'}.`;
+        await fetchDetails(orderId);
       } else if (code === 'ORDER_NOT_FOUND') {
         text = 'Order not found.';
         setDetails(null);
@@ -163,6 +218,46 @@ export default function WarehouseSettlement() {
     }
   };
 
+  const onVoid = async () => {
+    if (!canVoid) return;
+    const id = orderId.trim();
+    const question = isPartiallySettled
+      ? `Release the remaining ${formatMoney(available)} for order ${id}? The settled amount stays captured.`
+      : `Void the authorization for order ${id}? It can't be settled afterwards.`;
+    if (!window.confirm(question)) return;
+
+    setVoiding(true);
+    try {
+      const resp = await postVoid(id, { remainingOnly: isPartiallySettled });
+      const data = resp && resp.data ? resp.data : resp;
+      setMsg({
+        type: 'success',
+        text: isPartiallySettled
+          ? `Released remaining ${formatMoney(data.void?.amount)} for order ${id}.`
+          : `Authorization for order ${id} voided.`,
+      });
+      await fetchDetails(id);
+    } catch (errObj) {
+      const code = errObj?.response?.data?.code || 'SERVER_ERROR';
+      let text = 'Unable to void this order—try again.';
+      if (code === 'ORDER_HAS_SETTLEMENTS') {
+        text = 'This order already has settlements; only the remaining amount can be voided.';
+      } else if (code === 'ORDER_NOT_VOIDABLE' || code === 'NOTHING_TO_VOID') {
+        text = 'This order has no authorization hold left to void.';
+      } else if (code === 'VOID_IN_PROGRESS' || code === 'ORDER_CHANGED') {
+        text = 'This order changed while it was being voided—check it and try again.';
+        await fetchDetails(id);
+      } else if (code === 'PROVIDER_ERROR') {
+        text = 'The payment provider could not void the authorization.';
+      } else if (code === 'PROVIDER_UNAVAILABLE') {
+        text = 'The payment provider is unavailable right now—try again shortly.';
+      }
+      setMsg({ type: 'danger', text });
+    } finally {
+      setVoiding(false);
+    }
+  };
+
   const handleFetchKey = (e) => {
     if (e.key === 'Enter') {
       e.preventDefault();
@@ -189,9 +284,11 @@ export default function WarehouseSettlement() {
     const s = String(outcome || '').toUpperCase();
     if (s.includes('SETTLED') || s.includes('SUCCESS') || s.includes('AUTHORIZED'))
       return 'bg-success';
-    if (s.includes('INSUFFICIENT')) return 'bg-warning';
+    if (s.includes('INSUFFICIENT') || s.includes('EXPIRED')) return 'bg-warning';
     if (s.includes('INCORRECT') || s.includes('ERROR') || s.includes('SERVER'))
       return 'bg-danger';
+    if (s.includes('VOIDED')) return 'bg-dark';
+    if (s.includes('PENDING_PROVIDER')) return 'bg-info';
     return 'bg-secondary';
   };
 
@@ -313,7 +410,12 @@ export default function WarehouseSettlement() {
                     Load order details to continue.
                   </span>
                 )}
-                {details && !isAuthorized && (
+                {details && isExpired && (
+                  <span className="text-warning">
+                    Authorization expired; the order must be re-authorized.
+                  </span>
+                )}
+                {details && !isExpired && !isAuthorized && (
                   <span className="text-warning">
                     Order is not authorized for settlement.
                   </span>
@@ -344,6 +446,20 @@ export default function WarehouseSettlement() {
                     'Settle'
                   )}
                 </button>
+                {canVoid && (
+                  <button
+                    className="btn btn-outline-light mt-2"
+                    type="button"
+                    onClick={onVoid}
+                    disabled={voiding || loading}
+                  >
+                    {voiding
+                      ? 'Voiding…'
+                      : isPartiallySettled
+                        ? 'Void remaining'
+                        : 'Void authorization'}
+                  </button>
+                )}
               </div>
             </div>
           </form>
@@ -403,6 +519,17 @@ export default function WarehouseSettlement() {
                 </div>
               </div>
 
+              {details.authorization?.expires_at && (
+                <div className="mt-3 text-center">
+                  <div className="text-muted small">Authorization Expires</div>
+                  <div className="fw-semibold">
+                    {new Date(
+                      `${details.authorization.expires_at.replace(' ', 'T')}Z`
+                    ).toLocaleString()}
+                  </div>
+                </div>
+              )}
+
               <div className="mt-3 text-center">
                 <div className="text-muted small">Available to Settle</div>
                 <div className="display-6">
@@ -440,6 +567,30 @@ export default function WarehouseSettlement() {
                   </ul>
                 )}
               </div>
+
+              {details.voids?.length > 0 && (
+                <div className="mt-3">
+                  <div className="text-muted small mb-2 text-center">Voids</div>
+                  <ul className="list-group list-group-flush">
+                    {details.voids.map((v) => (
+                      <li
+                        key={v.void_id}
+                        className="list-group-item d-flex justify-content-between"
+                      >
+                        <span>
+                          {new Date(v.created_at).toLocaleString()}
+                          {v.outcome !== 'SUCCESS' && (
+                            <span className="badge bg-danger ms-2">{v.outcome}</span>
+                          )}
+                        </span>
+                        <span className="fw-semibold">
+                          {formatMoney(v.amount)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </>
           )}
         </div>
@@ -3,6 +3,7 @@
 // API helper functions for interacting with the backend service.
 // Provides methods for authorizing payments, retrieving order details,
 // posting settlements, listing orders, and fetching the next order to process.
+// Keeps the login session and sends its token with every request.
 // Utilizes Axios for HTTP requests.
 // ----------------------------------------------------------------------------
 import axios from 'axios';
@@ -12,10 +13,62 @@ const api = axios.create({
   headers: { 'Content-Type': 'application/json' },
 });
 
+// ---------- Session (POST /api/auth/login) ----------
+// { token, expiresAt, user: { username, role } } kept in localStorage
+const SESSION_KEY = 'paymentsSession';
+let unauthorizedHandler = null;
+
+export function getSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (!session?.token || new Date(session.expiresAt) <= new Date()) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+export async function login(username, password) {
+  const { data } = await api.post('/api/auth/login', { username, password });
+  localStorage.setItem(SESSION_KEY, JSON.stringify(data));
+  return data;
+}
+
+export function logout() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// handler runs when the server rejects the stored session (expired or revoked)
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+}
+
+api.interceptors.request.use((config) => {
+  const session = getSession();
+  if (session) config.headers.Authorization = `Bearer ${session.token}`;
+  return config;
+});
+
+api.interceptors.response.use(undefined, (err) => {
+  if (err.response?.status === 401 && getSession()) {
+    logout();
+    unauthorizedHandler?.();
+  }
+  return Promise.reject(err);
+});
+
 // ---------- Existing helpers ----------
-export async function postAuthorize(payload) {
+// Optional Idempotency-Key header: a retried request with the same key
+// gets the original response instead of running twice on the server.
+const idempotencyHeaders = (idempotencyKey) =>
+  idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined;
+
+export async function postAuthorize(payload, { idempotencyKey } = {}) {
   // expects: { orderId, amount, cardNumber, expiry, cvv, nameOnCard }
-  const { data } = await api.post('/api/authorize', payload);
+  const { data } = await api.post('/api/authorize', payload, idempotencyHeaders(idempotencyKey));
   return data;
 }
 
@@ -31,21 +84,135 @@ export async function getOrderDetails(orderId) {
   return data;
 }
 
-export async function postSettlement(payload) {
+export async function listAuthorizations(orderId) {
+  // every authorization attempt for the order, newest first
+  const { data } = await api.get(`/api/orders/${encodeURIComponent(orderId)}/authorizations`);
+  return data;
+}
+
+export async function postSettlement(payload, { idempotencyKey } = {}) {
   // expects: { orderId: string, amount: number }
-  const { data } = await api.post('/api/settlements', payload);
+  const { data } = await api.post('/api/settlements', payload, idempotencyHeaders(idempotencyKey));
+  return data;
+}
+
+export async function postSettlementBatch(batch, { idempotencyKey } = {}) {
+  // batch: CSV text (orderId,amount lines, header optional) or [{ orderId, amount }]
+  // returns: { total, succeeded, failed, results: [{ row, orderId, amount, ok, code?, ... }] }
+  const isCsv = typeof batch === 'string';
+  const { data } = await api.post('/api/settlements/batch', isCsv ? batch : { rows: batch }, {
+    headers: {
+      ...(isCsv ? { 'Content-Type': 'text/csv' } : {}),
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+    },
+  });
+  return data;
+}
+
+// ---------- Settlement batches ----------
+export async function listSettlementBatches(params = {}) {
+  // supports: { status, limit }; newest first, with counts and totals
+  const { data } = await api.get('/api/settlement-batches', { params });
+  return data;
+}
+
+export async function getSettlementBatch(batchId) {
+  // returns the batch plus settlements: [{ id, orderId, amount, captureStatus, captureError, ... }]
+  const { data } = await api.get(`/api/settlement-batches/${batchId}`);
+  return data;
+}
+
+export async function openSettlementBatch() {
+  const { data } = await api.post('/api/settlement-batches');
+  return data;
+}
+
+export async function closeSettlementBatch(batchId) {
+  const { data } = await api.post(`/api/settlement-batches/${batchId}/close`);
+  return data;
+}
+
+export async function submitSettlementBatch(batchId) {
+  // captures every settlement with the provider; a SUBMITTED_WITH_ERRORS batch retries its failures
+  const { data } = await api.post(`/api/settlement-batches/${batchId}/submit`);
+  return data;
+}
+
+// ---------- Reconciliation ----------
+export async function postReconciliation(report, { format = 'csv', fileName, from, to } = {}) {
+  // report: the provider report file's text (CSV with a header row, or JSON lines)
+  // returns the stored run: { id, periodFrom, periodTo, counts, items: [{ result, orderId, ... }] }
+  const { data } = await api.post('/api/reconciliations', report, {
+    params: { fileName, from: from || undefined, to: to || undefined },
+    headers: { 'Content-Type': format === 'json' ? 'application/json' : 'text/csv' },
+  });
+  return data;
+}
+
+export async function listReconciliations(params = {}) {
+  // supports: { limit }; newest first, counts only
+  const { data } = await api.get('/api/reconciliations', { params });
+  return data;
+}
+
+export async function getReconciliation(runId, params = {}) {
+  // supports: { result } (MATCHED | AMOUNT_MISMATCH | MISSING | EXTRA)
+  const { data } = await api.get(`/api/reconciliations/${runId}`, { params });
+  return data;
+}
+
+export async function postVoid(orderId, { remainingOnly = false } = {}) {
+  // full void (no settlements yet) or release of the unsettled remainder
+  const { data } = await api.post(`/api/orders/${encodeURIComponent(orderId)}/void`, {
+    remainingOnly,
+  });
+  return data;
+}
+
+export async function listAuditEvents(params = {}) {
+  // supports: { orderId, eventType, actor, from, to, limit }; newest first
+  const { data } = await api.get('/api/audit', { params });
   return data;
 }
 
 export async function listOrders(params = {}) {
-  // supports: { status, q, sort, dir, page, pageSize }
+  // supports: { status, q, from, to, sort, dir, limit, cursor }
+  // returns: { data, total, nextCursor } (pass nextCursor back as cursor for the next page)
   const { data } = await api.get('/api/orders', { params });
   return data;
 }
 
+export async function getReportSummary(params = {}) {
+  // supports: { from, to, groupBy: 'day' | 'week' } (UTC dates; defaults to the last 30 days by day)
+  // returns: { from, to, groupBy, totals, periods: [{ period, ...totals }], aging: [{ label, count, amount, ... }] }
+  const { data } = await api.get('/api/reports/summary', { params });
+  return data;
+}
+
 // ---------- New helper ----------
 export async function getNextOrder() {
   // returns: { orderId, amount }
   const { data } = await api.get('/api/orders/next');
   return data;
 }
+
+// ---------- Live updates (Server-Sent Events) ----------
+export const ORDER_EVENT_TYPES = ['order.created', 'order.status_changed', 'settlement.created'];
+
+export function subscribeToOrderEvents(onEvent, { orderId } = {}) {
+  // calls onEvent(type, data) for every event; pass orderId to only get that order's events.
+  // EventSource reconnects on its own. After a reconnect the server replays what was missed,
+  // or sends 'resync' when it can't (it restarted): reload everything shown then.
+  // Returns a function that closes the stream.
+  const url = new URL('/api/events', api.defaults.baseURL);
+  if (orderId) url.searchParams.set('orderId', orderId);
+  // EventSource can't send an Authorization header
+  const session = getSession();
+  if (session) url.searchParams.set('access_token', session.token);
+
+  const source = new EventSource(url);
+  [...ORDER_EVENT_TYPES, 'resync'].forEach((type) => {
+    source.addEventListener(type, (e) => onEvent(type, JSON.parse(e.data)));
+  });
+  return () => source.close();
+}
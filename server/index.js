@@ -8,13 +8,38 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 
-import { PROVIDER_BASE_URL } from './src/shared/constants.js';
+import { PROVIDER_BASE_URL, ROLE } from './src/shared/constants.js';
+import { logger } from './src/shared/logger.js';
+import { getProviderHealth } from './src/providers/index.js';
+import { expireLapsedAuthorizations } from './src/db/index.js';
+import { processDueWebhookDeliveries } from './src/webhooks/index.js';
+import { settleLapsedAuthorizations } from './src/settlements/index.js';
+import { requestContext } from './src/middleware/request-context.js';
+import { requestLogger } from './src/middleware/request-logger.js';
+import { httpMetrics } from './src/middleware/http-metrics.js';
+import { validateRequest } from './src/middleware/validate-request.js';
+import { openapiSpec } from './src/openapi/spec.js';
+import { requireRole } from './src/middleware/auth.js';
 
 // Routers
 import ordersRouter from './src/routes/orders.js';
 import settlementsRouter from './src/routes/settlements.js';
+import settlementBatchesRouter from './src/routes/settlement-batches.js';
+import reconciliationsRouter, { reportJsonBody } from './src/routes/reconciliations.js';
+import reportsRouter from './src/routes/reports.js';
 import authorizeRouter from './src/routes/authorize.js';
 import orderNextRouter from './src/routes/order-next.js';
+import voidsRouter from './src/routes/voids.js';
+import refundsRouter from './src/routes/refunds.js';
+import webhooksRouter from './src/routes/webhooks.js';
+import providerWebhooksRouter from './src/routes/provider-webhooks.js';
+import eventsRouter from './src/routes/events.js';
+import auditRouter from './src/routes/audit.js';
+import authRouter from './src/routes/auth.js';
+import throttleEventsRouter from './src/routes/throttle-events.js';
+import metricsRouter from './src/routes/metrics.js';
+import docsRouter from './src/routes/docs.js';
+import mockProviderRouter from './src/routes/mock-provider.js';
 
 const app = express();
 
@@ -24,7 +49,22 @@ app.use(
     origin: process.env.CORS_ORIGIN?.split(',') || ['http://localhost:3000'],
   })
 );
-app.use(express.json());
+// request ID / actor / IP for the audit trail and logs (X-Request-Id is echoed back)
+app.use(requestContext());
+app.use(requestLogger());
+// per-route request counts / latency for /metrics
+app.use(httpMetrics());
+// reconciliation reports get their route's larger limit, but only once the caller is
+// known to be allowed to send one; the parser below skips bodies already read
+app.use('/api/reconciliations', requireRole(ROLE.WAREHOUSE), reportJsonBody);
+// keep the raw body too: webhook signatures are computed over the exact bytes
+app.use(
+  express.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    },
+  })
+);
 
 // --- Health + root ---
 app.get('/', (_req, res) => {
@@ -35,32 +75,86 @@ app.get('/health', (_req, res) => {
   res.json({
     ok: true,
     service: 'payments-capstone-api',
+    provider: getProviderHealth(),
     providerBase: process.env.PROVIDER_BASE_URL || PROVIDER_BASE_URL,
     time: new Date().toISOString(),
   });
 });
 
+// Prometheus scrape endpoint (see src/metrics)
+app.use('/metrics', metricsRouter);
+
+// API description: /openapi.json and the /docs UI
+app.use(docsRouter);
+
+// Requests to documented routes must match the OpenAPI document (400 BAD_REQUEST otherwise).
+// Runs before the per-router auth: the document is public, so this reveals nothing.
+app.use(validateRequest(openapiSpec));
+
 // --- API routes ---
+// Each router is mounted behind the roles allowed to use it (admin passes every check):
+// checkout authorizes, warehouse settles/voids/refunds, viewer only reads
+const READERS = [ROLE.WAREHOUSE, ROLE.VIEWER];
+
+// Login is open; everything below needs a session token or API key
+app.use('/api/auth', authRouter);
+
 // Mount the exact path first so it can’t be treated as an :id
-app.use('/api/orders/next', orderNextRouter);
+app.use('/api/orders/next', requireRole(ROLE.CHECKOUT), orderNextRouter);
+
+// Order actions nested under /:id
+app.use('/api/orders/:id/void', requireRole(ROLE.WAREHOUSE), voidsRouter);
 
 // Then the generic orders router (which contains /:id)
-app.use('/api/orders', ordersRouter);
+app.use('/api/orders', requireRole(...READERS), ordersRouter);
 
 // Other routers
-app.use('/api/settlements', settlementsRouter);
-app.use('/api/authorize', authorizeRouter);
+app.use('/api/settlements', requireRole(ROLE.WAREHOUSE), settlementsRouter);
+app.use('/api/settlement-batches', requireRole(ROLE.WAREHOUSE), settlementBatchesRouter);
+// authenticated above, ahead of its body parser
+app.use('/api/reconciliations', reconciliationsRouter);
+app.use('/api/authorize', requireRole(ROLE.CHECKOUT), authorizeRouter);
+app.use('/api/refunds', requireRole(ROLE.WAREHOUSE), refundsRouter);
+app.use('/api/events', requireRole(...READERS), eventsRouter);
+app.use('/api/audit', requireRole(...READERS), auditRouter);
+app.use('/api/reports', requireRole(...READERS), reportsRouter);
+app.use('/api/throttle-events', requireRole(ROLE.ADMIN), throttleEventsRouter);
+// Inbound provider callbacks first so /provider isn't handled by the subscriptions router;
+// they are authenticated by their signature instead of a role
+app.use('/api/webhooks/provider', providerWebhooksRouter);
+app.use('/api/webhooks', requireRole(ROLE.ADMIN), webhooksRouter);
+
+// Bundled offline mock processor (point PROVIDER_BASE_URL at /mock-provider)
+if (String(process.env.MOCK_PROVIDER || '') === '1') {
+  app.use('/mock-provider', mockProviderRouter);
+}
 
 // --- Error handler baseline ---
 app.use((err, _req, res, _next) => {
-  console.error(err);
+  logger.error('Unhandled error', { err });
   res.status(500).json({ code: 'SERVER_ERROR' });
 });
 
+// --- Background jobs ---
+// Sweep lapsed authorizations into EXPIRED (routes also check on demand), or into
+// SETTLED when part of them was settled and captured
+const EXPIRY_SWEEP_MS = Number(process.env.AUTH_EXPIRY_SWEEP_MS) || 60_000;
+setInterval(() => {
+  expireLapsedAuthorizations()
+    .then(() => settleLapsedAuthorizations())
+    .catch((err) => logger.error('Expiry sweep failed', { err }));
+}, EXPIRY_SWEEP_MS).unref();
+
+// Retry queued webhook deliveries (new events are also sent right away)
+const WEBHOOK_DISPATCH_MS = Number(process.env.WEBHOOK_DISPATCH_MS) || 5_000;
+setInterval(() => {
+  processDueWebhookDeliveries().catch((err) => logger.error('Webhook dispatch failed', { err }));
+}, WEBHOOK_DISPATCH_MS).unref();
+
 // --- Boot ---
 const PORT = Number(process.env.PORT) || 3001;
 app.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
+  logger.info(`Server listening on http://localhost:${PORT}`, { port: PORT });
 });
 
 export default app;
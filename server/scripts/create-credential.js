@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// scripts/create-credential.js
+// Creates API credentials (roles: admin, checkout, warehouse, viewer).
+// Run with:
+//   node scripts/create-credential.js user <username> <role> [password]
+//     (a random password is generated and printed when omitted)
+//   node scripts/create-credential.js key <name> <role>
+//     (prints the API key once; only its hash is stored)
+
+import crypto from 'node:crypto';
+import { createUser, getUserByUsername, createApiKey } from '../src/db/index.js';
+import { ROLES, hashPassword, generateApiKey, hashApiKey } from '../src/auth/index.js';
+
+const USAGE = `Usage:
+  node scripts/create-credential.js user <username> <role> [password]
+  node scripts/create-credential.js key <name> <role>
+Roles: ${ROLES.join(', ')}`;
+
+async function main() {
+  const [kind, name, role, password] = process.argv.slice(2);
+  if (!['user', 'key'].includes(kind) || !name || !ROLES.includes(role)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (kind === 'user') {
+    if (await getUserByUsername(name)) {
+      console.error(`User "${name}" already exists`);
+      process.exit(1);
+    }
+    const pw = password || crypto.randomBytes(9).toString('base64url');
+    await createUser({ username: name, password_hash: hashPassword(pw), role });
+    console.log(`Created ${role} user "${name}"`);
+    if (!password) console.log(`Password: ${pw}`);
+    return;
+  }
+
+  const key = generateApiKey();
+  await createApiKey({ name, key_hash: hashApiKey(key), role });
+  console.log(`Created ${role} API key "${name}" (send as X-API-Key; it is not shown again)`);
+  console.log(key);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
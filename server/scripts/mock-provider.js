@@ -0,0 +1,17 @@
+// scripts/mock-provider.js
+// Runs the bundled mock payment provider as its own server
+// Run with: node scripts/mock-provider.js   (or: npm run mock-provider)
+// Then point the API at it: PROVIDER_BASE_URL=http://localhost:4010
+import 'dotenv/config';
+import express from 'express';
+import mockProviderRouter from '../src/routes/mock-provider.js';
+
+const PORT = Number(process.env.MOCK_PROVIDER_PORT) || 4010;
+
+const app = express();
+app.use(express.json());
+app.use('/', mockProviderRouter);
+
+app.listen(PORT, () => {
+  console.log(`Mock provider listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// scripts/reconcile.js
+// Reconciles a provider settlement report file against the database and
+// stores the run (same job as POST /api/reconciliations), e.g. from cron.
+// Run with:
+//   node scripts/reconcile.js <report.csv|report.json> [from YYYY-MM-DD] [to YYYY-MM-DD]
+// Exits with 1 when anything is missing, extra or mismatched.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseProviderReport, reconcileReport, ReportError } from '../src/reconciliation/index.js';
+import { getReconciliationRun, listReconciliationItems } from '../src/db/index.js';
+
+const USAGE = 'Usage: node scripts/reconcile.js <report.csv|report.json> [from YYYY-MM-DD] [to YYYY-MM-DD]';
+
+async function main() {
+  const [file, from, to] = process.argv.slice(2);
+  if (!file || !fs.existsSync(file)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+  const lines = parseProviderReport(fs.readFileSync(file, 'utf8'), format);
+  const runId = await reconcileReport({ fileName: path.basename(file), lines, from, to });
+
+  const run = await getReconciliationRun(runId);
+  console.log(
+    `Run #${runId} (${run.period_from} → ${run.period_to}, ${run.line_count} lines): ` +
+      `${run.matched_count} matched, ${run.mismatch_count} amount mismatches, ` +
+      `${run.missing_count} missing, ${run.extra_count} extra`
+  );
+  const problems = (await listReconciliationItems(runId)).filter((i) => i.result !== 'MATCHED');
+  problems.forEach((i) => {
+    const amounts = `ours ${i.expected_amount ?? '—'} / report ${i.reported_amount ?? '—'}`;
+    console.log(`  ${i.result.padEnd(15)} ${i.order_id ?? i.provider_token ?? '?'}  ${amounts}${i.note ? `  ${i.note}` : ''}`);
+  });
+  if (problems.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  if (e instanceof ReportError) {
+    console.error(`Report rejected: ${e.code}`);
+    (e.details.errors ?? []).forEach((err) => console.error(`  line ${err.line}: ${err.message}`));
+  } else {
+    console.error(e);
+  }
+  process.exit(1);
+});
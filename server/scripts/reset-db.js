@@ -20,12 +20,18 @@ const ORDER_STATUS = {
   AUTHORIZED: 'AUTHORIZED',
   SETTLED: 'SETTLED',
   ERROR: 'ERROR',
+  EXPIRED: 'EXPIRED',
+  VOIDED: 'VOIDED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  REFUNDED: 'REFUNDED',
+  PENDING_PROVIDER: 'PENDING_PROVIDER',
 };
 const AUTH_OUTCOME = {
   SUCCESS: 'SUCCESS',
   INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
   INCORRECT_DETAILS: 'INCORRECT_DETAILS',
   SERVER_ERROR: 'SERVER_ERROR',
+  PENDING: 'PENDING',
 };
 const STATIC_TOKEN_PREFIX = 'STATIC_TOKEN_';
 
@@ -116,7 +122,11 @@ function resetToOriginalSeven() {
     `);
 
     db.transaction(() => {
-      // wipe all data
+      // wipe all data (tables added by src/db/schema.js may not exist yet)
+      for (const table of ['order_transitions', 'refunds', 'voids']) {
+        const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table);
+        if (exists) db.prepare(`DELETE FROM ${table}`).run();
+      }
       db.prepare(`DELETE FROM settlements`).run();
       db.prepare(`DELETE FROM authorizations`).run();
       db.prepare(`DELETE FROM orders`).run();
@@ -4,12 +4,13 @@
 // Run with: node scripts/verify-db-consistency.js
 
 import { db } from '../src/db/sqlite.js';
+import { hasTwoDecimalsMax } from '../src/shared/money.js';
 
 function money(n) {
   return Number(n ?? 0);
 }
 function isTwoDecimals(n) {
-  return Math.round(n * 100) === n * 100;
+  return hasTwoDecimalsMax(n);
 }
 
 function logHead(title) {
@@ -130,6 +131,25 @@ try {
     WHERE order_id = ? AND outcome = 'SUCCESS'
   `);
 
+  // Sum of successful voids per order (voids table may not exist on old DBs)
+  const hasVoids = tables.includes('voids');
+  const sumVoidStmt = hasVoids
+    ? db.prepare(`
+        SELECT COALESCE(SUM(amount),0) AS total
+        FROM voids
+        WHERE order_id = ? AND outcome = 'SUCCESS'
+      `)
+    : null;
+
+  // Sum of successful refunds per order (refunds table may not exist on old DBs)
+  const sumRefundStmt = tables.includes('refunds')
+    ? db.prepare(`
+        SELECT COALESCE(SUM(amount),0) AS total
+        FROM refunds
+        WHERE order_id = ? AND outcome = 'SUCCESS'
+      `)
+    : null;
+
   // 4) Per-order business rules
   logHead('Per-Order Authorization vs Settlements');
 
@@ -141,6 +161,13 @@ try {
     const auth = latestSuccessAuthStmt.get(o.order_id); // may be undefined
     const settled = sumSettleStmt.get(o.order_id);
     const settledTotal = money(settled?.total || 0);
+    const voidedTotal = money(sumVoidStmt?.get(o.order_id)?.total || 0);
+    const refundedTotal = money(sumRefundStmt?.get(o.order_id)?.total || 0);
+
+    // Rule D: refunds can never exceed what was settled
+    if (refundedTotal > settledTotal + 1e-9) {
+      fail(`Over-refund: ${o.order_id} refunded ${refundedTotal} > settled ${settledTotal}`);
+    }
 
     if (auth) {
       const authAmount = money(auth.amount);
@@ -150,12 +177,17 @@ try {
         fail(`Over-settlement: ${o.order_id} settled ${settledTotal} > authorized ${authAmount}`);
       }
 
-      // Rule B: if order is SETTLED, totals must exactly match auth
-      if (String(o.status).toUpperCase() === 'SETTLED') {
-        if (Math.abs(settledTotal - authAmount) > 1e-9) {
-          fail(`SETTLED but mismatch: ${o.order_id} settled ${settledTotal} != authorized ${authAmount}`);
+      // Rule B: if order is SETTLED (or refunded afterwards), settled + voided remainder must exactly match auth
+      if (['SETTLED', 'PARTIALLY_REFUNDED', 'REFUNDED'].includes(String(o.status).toUpperCase())) {
+        if (Math.abs(settledTotal + voidedTotal - authAmount) > 1e-9) {
+          fail(`SETTLED but mismatch: ${o.order_id} settled ${settledTotal} + voided ${voidedTotal} != authorized ${authAmount}`);
         }
       }
+
+      // Rule C: a VOIDED order must not have any settlements
+      if (String(o.status).toUpperCase() === 'VOIDED' && settledTotal > 0) {
+        fail(`VOIDED but settled: ${o.order_id} settled ${settledTotal}`);
+      }
     } else {
       // No successful auth — ensure no successful settlements exist
       if (settledTotal > 0) {
@@ -0,0 +1,83 @@
+// --------------------------------------------------------------------
+// src/auth/index.js
+// Credentials for the API:
+//   - passwords: scrypt with a per-user salt, stored as scrypt$<salt>$<hash>
+//   - session tokens (issued by POST /api/auth/login):
+//       <base64url JSON { sub, role, exp }>.<base64url HMAC-SHA256 of that part>
+//     signed with AUTH_TOKEN_SECRET, valid for AUTH_TOKEN_TTL_SECONDS
+//   - API keys for machine clients: pk_<random>, only the SHA-256 is stored
+// --------------------------------------------------------------------
+import crypto from 'node:crypto';
+import { ROLE } from '../shared/constants.js';
+import { logger } from '../shared/logger.js';
+
+export const ROLES = Object.values(ROLE);
+
+const SCRYPT_KEYLEN = 64;
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored ?? '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const given = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Without AUTH_TOKEN_SECRET tokens are signed with a random per-process key,
+// so every session ends when the server restarts
+let fallbackSecret;
+function tokenSecret() {
+  if (process.env.AUTH_TOKEN_SECRET) return process.env.AUTH_TOKEN_SECRET;
+  if (!fallbackSecret) {
+    logger.warn('AUTH_TOKEN_SECRET is not set; sessions will not survive a restart');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+}
+
+const tokenTtlSeconds = () => {
+  const n = Number(process.env.AUTH_TOKEN_TTL_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : 8 * 60 * 60;
+};
+
+const sign = (data) => crypto.createHmac('sha256', tokenSecret()).update(data).digest('base64url');
+
+/**
+ * @param {{ username: string, role: string }} user
+ * @returns {{ token: string, expiresAt: string }}
+ */
+export function issueSessionToken({ username, role }) {
+  const exp = Math.floor(Date.now() / 1000) + tokenTtlSeconds();
+  const body = Buffer.from(JSON.stringify({ sub: username, role, exp })).toString('base64url');
+  return { token: `${body}.${sign(body)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * @returns {{ username: string, role: string } | null} null if malformed, forged or expired
+ */
+export function verifySessionToken(token) {
+  const [body, signature] = String(token ?? '').split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const { sub, role, exp } = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!sub || !ROLES.includes(role) || !(exp > Date.now() / 1000)) return null;
+    return { username: sub, role };
+  } catch {
+    return null;
+  }
+}
+
+export const generateApiKey = () => `pk_${crypto.randomBytes(24).toString('hex')}`;
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
@@ -3,6 +3,8 @@
 // super tiny in-memory store just for local testing
 // not for production use!
 // --------------------------------------------------------------------
+import { assertTransition } from '../shared/order-state.js';
+
 const orders = new Map([
   ['ORD1001', { order_id: 'ORD1001', status: 'AUTHORIZED', customer_name: 'Alice', card_last4: '4242', amount: 149.95, created_at: new Date().toISOString() }],
   ['ORD1002', { order_id: 'ORD1002', status: 'AUTHORIZED', customer_name: 'Bob',   card_last4: '1111', amount: 100.00, created_at: new Date().toISOString() }],
@@ -26,7 +28,7 @@ const db = {
 
   async listOrders() {
     const rows = Array.from(orders.values());
-    return { rows, total: rows.length };
+    return { rows, total: rows.length, nextAfter: null };
   },
 
   async createOrder(row) { orders.set(row.order_id, row); return row; },
@@ -34,6 +36,7 @@ const db = {
   async updateOrderStatus(orderId, newStatus) {
     const o = orders.get(orderId);
     if (!o) return null;
+    assertTransition(orderId, o.status, newStatus);
     o.status = newStatus;
     return { order_id: orderId, status: newStatus };
   },
@@ -5,6 +5,18 @@
 // used in development/testing and production
 // --------------------------------------------------------------------
 import { getDb } from './sqlite.js';
+import {
+  ORDER_STATUS,
+  AUTH_OUTCOME,
+  SETTLEMENT_BATCH_STATUS,
+  CAPTURE_STATUS,
+  RECONCILIATION_RESULT,
+} from '../shared/constants.js';
+import { authExpiryDays } from '../shared/authorization.js';
+import { assertTransition } from '../shared/order-state.js';
+import { ORDER_EVENT, publishOrderEvent } from '../events/index.js';
+import { getRequestContext } from '../middleware/request-context.js';
+import { authorizationOutcomes, settlementsTotal, settlementAmount } from '../metrics/index.js';
 
 // --- orders ---
 export async function getOrder(orderId) {
@@ -12,85 +24,387 @@ export async function getOrder(orderId) {
   return db.prepare('SELECT * FROM orders WHERE order_id = ?').get(orderId);
 }
 
-export async function listOrders({ status, q, sort, dir, page, pageSize } = {}) {
-  const db = getDb();
+// Sortable columns → SQL expression. created_at is normalised with datetime()
+// because seeded rows use ISO "T…Z" strings and new rows SQLite's "YYYY-MM-DD HH:MM:SS".
+const ORDER_SORT_EXPR = {
+  created_at: "COALESCE(datetime(created_at), '')",
+  amount: 'COALESCE(amount, 0)',
+  customer_name: 'customer_name COLLATE NOCASE',
+  status: "COALESCE(status, '')",
+  order_id: 'order_id',
+};
+
+const escapeLike = (v) => String(v).replace(/[\\%_]/g, (c) => `\\${c}`);
 
-  // Minimal filtering to preserve adapter API; expand only if routes need it.
+/**
+ * Filtered, sorted page of orders, keyset-paginated on (sort value, order_id).
+ * statuses: list of statuses; q: substring of order ID, customer name or status;
+ * from / to: datetimes compared against created_at (inclusive);
+ * after: the previous page's nextAfter.
+ * Returns { rows, total, nextAfter }: total counts every match regardless of
+ * after / limit; nextAfter ({ value, orderId } of the last row) is null on the last page.
+ */
+export async function listOrders({ statuses, q, from, to, sort, dir, limit = 50, after } = {}) {
+  const db = getDb();
   const where = [];
   const params = [];
 
-  if (status) {
-    where.push('status = ?');
-    params.push(status);
+  if (statuses?.length) {
+    where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
   }
   if (q) {
-    where.push('(order_id LIKE ? OR customer_name LIKE ?)');
-    params.push(`%${q}%`, `%${q}%`);
+    const like = `%${escapeLike(q)}%`;
+    where.push("(order_id LIKE ? ESCAPE '\\' OR customer_name LIKE ? ESCAPE '\\' OR status LIKE ? ESCAPE '\\')");
+    params.push(like, like, like);
+  }
+  if (from) {
+    where.push('datetime(created_at) >= datetime(?)');
+    params.push(from);
+  }
+  if (to) {
+    where.push('datetime(created_at) <= datetime(?)');
+    params.push(to);
   }
 
-  const orderCol = ['created_at', 'order_id', 'amount', 'status'].includes(sort) ? sort : 'created_at';
-  const orderDir = String(dir || '').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+  const filter = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM orders${filter}`).get(...params);
 
-  let sql = `SELECT * FROM orders`;
-  if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
-  sql += ` ORDER BY ${orderCol} ${orderDir}`;
+  const expr = ORDER_SORT_EXPR[sort] ?? ORDER_SORT_EXPR.created_at;
+  const desc = String(dir || '').toLowerCase() !== 'asc';
+  const cmp = desc ? '<' : '>';
+  const dirSql = desc ? 'DESC' : 'ASC';
 
-  if (pageSize && pageSize > 0) {
-    const p = Math.max(1, Number(page) || 1);
-    const ps = Math.max(1, Number(pageSize) || 10);
-    const offset = (p - 1) * ps;
-    sql += ` LIMIT ${ps} OFFSET ${offset}`;
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (after) {
+    pageWhere.push(`(${expr} ${cmp} ? OR (${expr} = ? AND order_id ${cmp} ?))`);
+    pageParams.push(after.value, after.value, after.orderId);
   }
 
-  return db.prepare(sql).all(...params);
+  let sql = `SELECT *, ${expr} AS sort_value FROM orders`;
+  if (pageWhere.length) sql += ` WHERE ${pageWhere.join(' AND ')}`;
+  sql += ` ORDER BY ${expr} ${dirSql}, order_id ${dirSql} LIMIT ?`;
+  // one extra row tells us whether there is a next page
+  const found = db.prepare(sql).all(...pageParams, limit + 1);
+
+  const page = found.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextAfter = found.length > limit ? { value: last.sort_value, orderId: last.order_id } : null;
+  const rows = page.map(({ sort_value: _sortValue, ...row }) => row);
+  return { rows, total, nextAfter };
+}
+
+const insertTransition = (db, { order_id, from_status, to_status, reason }) =>
+  db
+    .prepare(
+      `INSERT INTO order_transitions (order_id, from_status, to_status, reason)
+       VALUES (?, ?, ?, ?)`
+    )
+    .run(order_id, from_status, to_status, reason ?? null);
+
+// --- audit trail ---
+// Append-only (UPDATE/DELETE are blocked by triggers). Written inside the same
+// transaction as the change it describes; actor / IP / request ID come from
+// the request context (actor "system" for background jobs).
+const insertAuditEvent = (db, { event_type, order_id, entity_type, entity_id, before, after }) => {
+  const { actor, ip, requestId } = getRequestContext();
+  db.prepare(
+    `INSERT INTO audit_events
+       (event_type, order_id, entity_type, entity_id, actor, source_ip, request_id, before_value, after_value)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    event_type,
+    order_id ?? null,
+    entity_type,
+    entity_id == null ? null : String(entity_id),
+    actor,
+    ip,
+    requestId,
+    before == null ? null : JSON.stringify(before),
+    after == null ? null : JSON.stringify(after)
+  );
+};
+
+// authorization columns worth auditing (the masked provider response is kept on the row itself)
+const authAuditValue = (a) =>
+  a && {
+    outcome: a.outcome,
+    amount: a.amount,
+    provider_token: a.provider_token,
+    provider_status: a.provider_status,
+    expires_at: a.expires_at,
+  };
+
+export async function listAuditEvents({ orderId, eventType, actor, from, to, limit = 200 } = {}) {
+  const db = getDb();
+  const where = [];
+  const params = [];
+  if (orderId) {
+    where.push('order_id = ?');
+    params.push(orderId);
+  }
+  if (eventType) {
+    where.push('event_type = ?');
+    params.push(eventType);
+  }
+  if (actor) {
+    where.push('actor = ?');
+    params.push(actor);
+  }
+  if (from) {
+    where.push('datetime(created_at) >= datetime(?)');
+    params.push(from);
+  }
+  if (to) {
+    where.push('datetime(created_at) <= datetime(?)');
+    params.push(to);
+  }
+  let sql = 'SELECT * FROM audit_events';
+  if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
+  sql += ' ORDER BY audit_id DESC LIMIT ?';
+  return db.prepare(sql).all(...params, limit);
 }
 
 export async function createOrder({ order_id, customer_name, card_last4, amount, status }) {
   const db = getDb();
-  db.prepare(
-    `INSERT INTO orders (order_id, status, customer_name, card_last4, amount)
-     VALUES (?, ?, ?, ?, ?)`
-  ).run(order_id, status, customer_name, card_last4, amount);
-  return getOrder(order_id);
+  db.transaction(() => {
+    db.prepare(
+      `INSERT INTO orders (order_id, status, customer_name, card_last4, amount)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(order_id, status, customer_name, card_last4, amount);
+    insertTransition(db, { order_id, from_status: null, to_status: status, reason: 'order created' });
+    insertAuditEvent(db, {
+      event_type: 'order.created',
+      order_id,
+      entity_type: 'order',
+      entity_id: order_id,
+      after: { status, customer_name, card_last4, amount },
+    });
+  })();
+  const order = await getOrder(order_id);
+  publishOrderEvent(ORDER_EVENT.ORDER_CREATED, { orderId: order_id, order });
+  return order;
+}
+
+// Moves an order along the state machine (src/shared/order-state.js).
+// Throws InvalidStateTransitionError for illegal moves; allowed no-ops
+// (same status) are not recorded.
+export async function updateOrderStatus(orderId, newStatus, reason) {
+  const db = getDb();
+  const from = db.transaction(() => {
+    const current = db.prepare('SELECT status FROM orders WHERE order_id = ?').get(orderId);
+    if (!current) return null;
+    assertTransition(orderId, current.status, newStatus);
+    if (current.status === newStatus) return null;
+    db.prepare('UPDATE orders SET status = ? WHERE order_id = ?').run(newStatus, orderId);
+    insertTransition(db, { order_id: orderId, from_status: current.status, to_status: newStatus, reason });
+    insertAuditEvent(db, {
+      event_type: 'order.status_changed',
+      order_id: orderId,
+      entity_type: 'order',
+      entity_id: orderId,
+      before: { status: current.status },
+      after: { status: newStatus, reason: reason ?? null },
+    });
+    return current.status;
+  })();
+  const order = await getOrder(orderId);
+  if (from) {
+    publishOrderEvent(ORDER_EVENT.ORDER_STATUS_CHANGED, { orderId, from, to: newStatus, reason, order });
+  }
+  return order;
 }
 
-export async function updateOrderStatus(orderId, newStatus) {
+// Status history for an order, oldest first
+export async function listOrderTransitions(orderId) {
   const db = getDb();
-  db.prepare('UPDATE orders SET status = ? WHERE order_id = ?').run(newStatus, orderId);
-  return getOrder(orderId);
+  return db
+    .prepare(
+      `SELECT * FROM order_transitions
+       WHERE order_id = ?
+       ORDER BY transition_id`
+    )
+    .all(orderId);
 }
 
 // --- authorizations ---
+// Every attempt is kept as its own row. The "effective" authorization is the
+// latest SUCCESS attempt, or the latest attempt if none succeeded.
 export async function getAuthorizationByOrderId(orderId) {
   const db = getDb();
   return db
     .prepare(
       `SELECT * FROM authorizations
        WHERE order_id = ?
-       ORDER BY datetime(created_at) DESC
+       ORDER BY (outcome = 'SUCCESS') DESC, auth_id DESC
        LIMIT 1`
     )
     .get(orderId);
 }
 
-export async function createAuthorization({ order_id, provider_token, amount, outcome }) {
+// All attempts for an order, newest first
+export async function listAuthorizationsByOrderId(orderId) {
   const db = getDb();
-  // UPSERT: keep a single authorization row per order_id; update on re-authorize attempt
-  db.prepare(
-    `INSERT INTO authorizations (order_id, provider_token, amount, outcome)
-     VALUES (?, ?, ?, ?)
-     ON CONFLICT(order_id)
-     DO UPDATE SET
-       provider_token = excluded.provider_token,
-       amount         = excluded.amount,
-       outcome        = excluded.outcome,
-       created_at     = CURRENT_TIMESTAMP`
-  ).run(order_id, provider_token, amount, outcome);
+  return db
+    .prepare(
+      `SELECT * FROM authorizations
+       WHERE order_id = ?
+       ORDER BY auth_id DESC`
+    )
+    .all(orderId);
+}
+
+export async function createAuthorization({
+  order_id,
+  provider_token,
+  amount,
+  outcome,
+  provider_status,
+  provider_response,
+}) {
+  const db = getDb();
+  // SUCCESS authorizations can only be settled within the expiry window
+  const expiresIn = outcome === AUTH_OUTCOME.SUCCESS ? `+${authExpiryDays()} days` : null;
+  const auth = db.transaction(() => {
+    const info = db
+      .prepare(
+        `INSERT INTO authorizations
+           (order_id, provider_token, amount, outcome, provider_status, provider_response, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)`
+      )
+      .run(
+        order_id,
+        provider_token,
+        amount,
+        outcome,
+        provider_status ?? null,
+        provider_response == null ? null : JSON.stringify(provider_response),
+        expiresIn,
+        expiresIn
+      );
+    const auth = db.prepare('SELECT * FROM authorizations WHERE auth_id = ?').get(info.lastInsertRowid);
+    insertAuditEvent(db, {
+      event_type: 'authorization.attempted',
+      order_id,
+      entity_type: 'authorization',
+      entity_id: auth.auth_id,
+      after: authAuditValue(auth),
+    });
+    return auth;
+  })();
+  authorizationOutcomes.inc({ outcome });
+  return auth;
+}
+
+// Latest attempt carrying this provider token (tokens are per order, see STATIC_TOKEN_PREFIX)
+export async function getLatestAuthorizationByToken(providerToken) {
+  const db = getDb();
+  return db
+    .prepare(
+      `SELECT * FROM authorizations
+       WHERE provider_token = ?
+       ORDER BY auth_id DESC
+       LIMIT 1`
+    )
+    .get(providerToken);
+}
 
-  return getAuthorizationByOrderId(order_id);
+// Final outcome for a PENDING attempt (provider webhook). Only a row that is
+// still PENDING is changed; returns the updated row, or null if it was already final.
+export async function resolvePendingAuthorization(authId, { outcome, provider_response }) {
+  const db = getDb();
+  const expiresIn = outcome === AUTH_OUTCOME.SUCCESS ? `+${authExpiryDays()} days` : null;
+  const select = db.prepare('SELECT * FROM authorizations WHERE auth_id = ?');
+  const resolved = db.transaction(() => {
+    const before = select.get(authId);
+    const info = db
+      .prepare(
+        `UPDATE authorizations
+         SET outcome = ?,
+             provider_response = COALESCE(?, provider_response),
+             expires_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END
+         WHERE auth_id = ? AND outcome = ?`
+      )
+      .run(
+        outcome,
+        provider_response == null ? null : JSON.stringify(provider_response),
+        expiresIn,
+        expiresIn,
+        authId,
+        AUTH_OUTCOME.PENDING
+      );
+    if (info.changes === 0) return null;
+    const after = select.get(authId);
+    insertAuditEvent(db, {
+      event_type: 'authorization.resolved',
+      order_id: after.order_id,
+      entity_type: 'authorization',
+      entity_id: authId,
+      before: authAuditValue(before),
+      after: authAuditValue(after),
+    });
+    return after;
+  })();
+  if (resolved) authorizationOutcomes.inc({ outcome });
+  return resolved;
+}
+
+// AUTHORIZED orders whose effective (latest successful) authorization has lapsed
+const LAPSED_AUTHORIZED_ORDERS = `
+  SELECT o.order_id FROM orders o
+  WHERE o.status = :authorized
+    AND o.order_id IN (
+      SELECT a.order_id FROM authorizations a
+      WHERE a.outcome = 'SUCCESS'
+        AND a.expires_at IS NOT NULL
+        AND datetime(a.expires_at) <= datetime('now')
+        AND a.auth_id = (
+          SELECT MAX(b.auth_id) FROM authorizations b
+          WHERE b.order_id = a.order_id AND b.outcome = 'SUCCESS'
+        )
+    )`;
+const HAS_SETTLEMENTS = `EXISTS (SELECT 1 FROM settlements s WHERE s.order_id = o.order_id AND s.outcome = 'SUCCESS')`;
+
+// Moves AUTHORIZED orders whose SUCCESS authorization has lapsed to EXPIRED.
+// Only orders nothing was settled against expire: once part of a hold is
+// settled that money is (or will be) captured, so the order ends SETTLED
+// instead (see listLapsedSettledOrderIds).
+// Pass an orderId to check a single order; returns the number of orders moved.
+export async function expireLapsedAuthorizations(orderId) {
+  const db = getDb();
+  const lapsed = db
+    .prepare(
+      `${LAPSED_AUTHORIZED_ORDERS}
+         AND (:order_id IS NULL OR o.order_id = :order_id)
+         AND NOT ${HAS_SETTLEMENTS}`
+    )
+    .all({ authorized: ORDER_STATUS.AUTHORIZED, order_id: orderId ?? null });
+
+  for (const { order_id } of lapsed) {
+    await updateOrderStatus(order_id, ORDER_STATUS.EXPIRED, 'authorization expired');
+  }
+  return lapsed.length;
+}
+
+// AUTHORIZED orders whose authorization lapsed after part of it was settled:
+// the rest can't be settled any more (src/settlements settles them once their
+// settlements are captured)
+export async function listLapsedSettledOrderIds() {
+  const db = getDb();
+  return db
+    .prepare(`${LAPSED_AUTHORIZED_ORDERS} AND ${HAS_SETTLEMENTS}`)
+    .all({ authorized: ORDER_STATUS.AUTHORIZED })
+    .map((r) => r.order_id);
 }
 
 // --- settlements ---
+// Settlements that moved money: captured when their batch was submitted, or
+// recorded before batches existed (capture_status NULL, settled on the spot).
+// PENDING and FAILED ones still hold their share of the authorization (a failed
+// capture is retried with its batch) but can't be refunded or reported as settled.
+const CAPTURED_SETTLEMENT = `s.outcome = 'SUCCESS' AND (s.capture_status IS NULL OR s.capture_status = 'CAPTURED')`;
+
 export async function listSettlementsByOrderId(orderId) {
   const db = getDb();
   return db
@@ -102,6 +416,7 @@ export async function listSettlementsByOrderId(orderId) {
     .all(orderId);
 }
 
+// Everything settled against the order, captured or not (what the authorization has given up)
 export async function sumSettlementsForOrder(orderId) {
   const db = getDb();
   const row = db
@@ -114,11 +429,882 @@ export async function sumSettlementsForOrder(orderId) {
   return Number(row.total);
 }
 
+// What the provider has captured for the order (what can be refunded)
+export async function sumCapturedSettlementsForOrder(orderId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `SELECT COALESCE(SUM(s.amount), 0) AS total
+       FROM settlements s
+       WHERE s.order_id = ? AND ${CAPTURED_SETTLEMENT}`
+    )
+    .get(orderId);
+  return Number(row.total);
+}
+
+// New settlements join the open batch (opening one if needed) and wait there
+// for the provider capture that happens when the batch is submitted
 export async function createSettlement({ order_id, amount, outcome }) {
+  const db = getDb();
+  const settlement = db.transaction(() => {
+    const batch = findOpenBatch(db) ?? insertSettlementBatch(db);
+    const info = db
+      .prepare(
+        `INSERT INTO settlements (order_id, amount, outcome, batch_id, capture_status)
+         VALUES (?, ?, ?, ?, ?)`
+      )
+      .run(order_id, amount, outcome, batch.batch_id, CAPTURE_STATUS.PENDING);
+    const row = db.prepare('SELECT * FROM settlements WHERE rowid = ?').get(info.lastInsertRowid);
+    insertAuditEvent(db, {
+      event_type: 'settlement.created',
+      order_id,
+      entity_type: 'settlement',
+      entity_id: row.settlement_id ?? info.lastInsertRowid,
+      after: { amount, outcome, batchId: batch.batch_id },
+    });
+    return row;
+  })();
+  publishOrderEvent(ORDER_EVENT.SETTLEMENT_CREATED, { orderId: order_id, settlement });
+  settlementsTotal.inc({ outcome });
+  settlementAmount.inc({ outcome }, Number(amount) || 0);
+  return settlement;
+}
+
+// --- settlement batches ---
+// Counts and amounts per capture status, computed from the batch's settlements
+const BATCH_WITH_TOTALS = `
+  SELECT b.*,
+    COUNT(s.settlement_id) AS settlement_count,
+    COALESCE(SUM(s.amount), 0) AS total_amount,
+    COUNT(CASE WHEN s.capture_status = 'CAPTURED' THEN 1 END) AS captured_count,
+    COALESCE(SUM(CASE WHEN s.capture_status = 'CAPTURED' THEN s.amount END), 0) AS captured_amount,
+    COUNT(CASE WHEN s.capture_status = 'FAILED' THEN 1 END) AS failed_count,
+    COALESCE(SUM(CASE WHEN s.capture_status = 'FAILED' THEN s.amount END), 0) AS failed_amount,
+    COUNT(CASE WHEN s.capture_status = 'PENDING' THEN 1 END) AS pending_count,
+    COALESCE(SUM(CASE WHEN s.capture_status = 'PENDING' THEN s.amount END), 0) AS pending_amount
+  FROM settlement_batches b
+  LEFT JOIN settlements s ON s.batch_id = b.batch_id`;
+
+const findOpenBatch = (db) =>
+  db.prepare('SELECT * FROM settlement_batches WHERE status = ?').get(SETTLEMENT_BATCH_STATUS.OPEN);
+
+const insertSettlementBatch = (db) => {
+  const { actor } = getRequestContext();
+  const info = db
+    .prepare('INSERT INTO settlement_batches (status, opened_by) VALUES (?, ?)')
+    .run(SETTLEMENT_BATCH_STATUS.OPEN, actor);
+  const batch = db.prepare('SELECT * FROM settlement_batches WHERE batch_id = ?').get(info.lastInsertRowid);
+  insertAuditEvent(db, {
+    event_type: 'settlement_batch.opened',
+    entity_type: 'settlement_batch',
+    entity_id: batch.batch_id,
+    after: { status: batch.status },
+  });
+  return batch;
+};
+
+// Moves a batch from one of `from` to `to`, stamping the given *_at / *_by
+// columns; returns null (nothing changed) when it isn't in an allowed status
+const moveSettlementBatch = (db, batchId, from, to, stamp) => {
+  const { actor } = getRequestContext();
+  const sets = ['status = ?', ...(stamp ? [`${stamp}_at = datetime('now')`, `${stamp}_by = ?`] : [])];
+  return db.transaction(() => {
+    const before = db.prepare('SELECT status FROM settlement_batches WHERE batch_id = ?').get(batchId);
+    const info = db
+      .prepare(
+        `UPDATE settlement_batches SET ${sets.join(', ')}
+         WHERE batch_id = ? AND status IN (${from.map(() => '?').join(', ')})`
+      )
+      .run(to, ...(stamp ? [actor] : []), batchId, ...from);
+    if (info.changes === 0) return null;
+    insertAuditEvent(db, {
+      event_type: 'settlement_batch.status_changed',
+      entity_type: 'settlement_batch',
+      entity_id: batchId,
+      before: { status: before.status },
+      after: { status: to },
+    });
+    return db.prepare('SELECT * FROM settlement_batches WHERE batch_id = ?').get(batchId);
+  })();
+};
+
+export async function getSettlementBatch(batchId) {
+  const db = getDb();
+  return db.prepare(`${BATCH_WITH_TOTALS} WHERE b.batch_id = ? GROUP BY b.batch_id`).get(batchId);
+}
+
+export async function listSettlementBatches({ status, limit = 50 } = {}) {
+  const db = getDb();
+  const where = status ? 'WHERE b.status = ?' : '';
+  return db
+    .prepare(`${BATCH_WITH_TOTALS} ${where} GROUP BY b.batch_id ORDER BY b.batch_id DESC LIMIT ?`)
+    .all(...(status ? [status] : []), limit);
+}
+
+export async function listSettlementsByBatch(batchId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM settlements WHERE batch_id = ? ORDER BY settlement_id').all(batchId);
+}
+
+// Opens a batch unless one is already open; returns { batch, created }
+export async function openSettlementBatch() {
+  const db = getDb();
+  return db.transaction(() => {
+    const open = findOpenBatch(db);
+    return open ? { batch: open, created: false } : { batch: insertSettlementBatch(db), created: true };
+  })();
+}
+
+// OPEN → CLOSED; null if the batch isn't open
+export async function closeSettlementBatch(batchId) {
+  return moveSettlementBatch(
+    getDb(),
+    batchId,
+    [SETTLEMENT_BATCH_STATUS.OPEN],
+    SETTLEMENT_BATCH_STATUS.CLOSED,
+    'closed'
+  );
+}
+
+// CLOSED / SUBMITTED_WITH_ERRORS → SUBMITTING; null if the batch can't be submitted
+// (the status check and the update are one statement, so two submits can't both start)
+export async function beginSettlementBatchSubmit(batchId) {
+  return moveSettlementBatch(
+    getDb(),
+    batchId,
+    [SETTLEMENT_BATCH_STATUS.CLOSED, SETTLEMENT_BATCH_STATUS.SUBMITTED_WITH_ERRORS],
+    SETTLEMENT_BATCH_STATUS.SUBMITTING
+  );
+}
+
+// SUBMITTING → SUBMITTED / SUBMITTED_WITH_ERRORS
+export async function finishSettlementBatchSubmit(batchId, status) {
+  return moveSettlementBatch(getDb(), batchId, [SETTLEMENT_BATCH_STATUS.SUBMITTING], status, 'submitted');
+}
+
+// Result of the provider capture for one settlement
+export async function recordSettlementCapture({ settlement_id, ok, provider_status, error }) {
+  const db = getDb();
+  return db.transaction(() => {
+    const before = db.prepare('SELECT * FROM settlements WHERE settlement_id = ?').get(settlement_id);
+    const capture_status = ok ? CAPTURE_STATUS.CAPTURED : CAPTURE_STATUS.FAILED;
+    db.prepare(
+      `UPDATE settlements
+       SET capture_status = ?, capture_provider_status = ?, capture_error = ?,
+           captured_at = CASE WHEN ? THEN datetime('now') END
+       WHERE settlement_id = ?`
+    ).run(capture_status, provider_status ?? null, ok ? null : error ?? null, ok ? 1 : 0, settlement_id);
+    insertAuditEvent(db, {
+      event_type: 'settlement.capture_attempted',
+      order_id: before.order_id,
+      entity_type: 'settlement',
+      entity_id: settlement_id,
+      before: { captureStatus: before.capture_status },
+      after: { captureStatus: capture_status, providerStatus: provider_status ?? null, error: ok ? null : error },
+    });
+    return db.prepare('SELECT * FROM settlements WHERE settlement_id = ?').get(settlement_id);
+  })();
+}
+
+// --- reconciliation ---
+// Maps the references found in a provider report to our records:
+// provider token → order id, and which of the bare order ids exist
+export async function findReportReferences({ tokens = [], orderIds = [] }) {
+  const db = getDb();
+  const tokenRows = db
+    .prepare(
+      `SELECT provider_token, order_id FROM authorizations
+       WHERE provider_token IN (SELECT value FROM json_each(?))`
+    )
+    .all(JSON.stringify(tokens));
+  const orderRows = db
+    .prepare('SELECT order_id FROM orders WHERE order_id IN (SELECT value FROM json_each(?))')
+    .all(JSON.stringify(orderIds));
+  return {
+    tokenOrders: new Map(tokenRows.map((r) => [r.provider_token, r.order_id])),
+    knownOrders: new Set(orderRows.map((r) => r.order_id)),
+  };
+}
+
+// Captured totals per order, for orders with a capture dated within [from, to]
+// (YYYY-MM-DD, inclusive) plus the given orderIds whatever their dates
+export async function listCapturedTotalsByOrder({ from, to, orderIds = [] }) {
+  const db = getDb();
+  return db
+    .prepare(
+      `SELECT s.order_id,
+         ROUND(SUM(s.amount), 2) AS amount,
+         json_group_array(s.settlement_id) AS settlement_ids,
+         MAX(date(COALESCE(s.captured_at, s.created_at)) BETWEEN ? AND ?) AS in_period,
+         (SELECT a.provider_token FROM authorizations a
+          WHERE a.order_id = s.order_id
+          ORDER BY (a.outcome = 'SUCCESS') DESC, a.auth_id DESC
+          LIMIT 1) AS provider_token
+       FROM settlements s
+       WHERE ${CAPTURED_SETTLEMENT}
+       GROUP BY s.order_id
+       HAVING in_period = 1 OR s.order_id IN (SELECT value FROM json_each(?))
+       ORDER BY s.order_id`
+    )
+    .all(from, to, JSON.stringify(orderIds));
+}
+
+// Stores a run and its items in one transaction; returns the run id
+export async function createReconciliationRun({ file_name, period_from, period_to, line_count, items }) {
+  const db = getDb();
+  const { actor } = getRequestContext();
+  return db.transaction(() => {
+    const runId = db
+      .prepare(
+        `INSERT INTO reconciliation_runs (file_name, period_from, period_to, line_count, created_by)
+         VALUES (?, ?, ?, ?, ?)`
+      )
+      .run(file_name ?? null, period_from, period_to, line_count, actor).lastInsertRowid;
+    const insertItem = db.prepare(
+      `INSERT INTO reconciliation_items
+         (run_id, result, order_id, provider_token, expected_amount, reported_amount, report_lines, settlement_ids, note)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    for (const item of items) {
+      insertItem.run(
+        runId,
+        item.result,
+        item.order_id ?? null,
+        item.provider_token ?? null,
+        item.expected_amount ?? null,
+        item.reported_amount ?? null,
+        JSON.stringify(item.report_lines ?? []),
+        JSON.stringify(item.settlement_ids ?? []),
+        item.note ?? null
+      );
+    }
+    const counts = Object.fromEntries(Object.values(RECONCILIATION_RESULT).map((r) => [r, 0]));
+    items.forEach((item) => {
+      counts[item.result] += 1;
+    });
+    insertAuditEvent(db, {
+      event_type: 'reconciliation.completed',
+      entity_type: 'reconciliation_run',
+      entity_id: runId,
+      after: {
+        fileName: file_name ?? null,
+        periodFrom: period_from,
+        periodTo: period_to,
+        lineCount: line_count,
+        ...counts,
+      },
+    });
+    return Number(runId);
+  })();
+}
+
+const RUN_WITH_COUNTS = `
+  SELECT r.*,
+    COUNT(CASE WHEN i.result = 'MATCHED' THEN 1 END) AS matched_count,
+    COUNT(CASE WHEN i.result = 'AMOUNT_MISMATCH' THEN 1 END) AS mismatch_count,
+    COUNT(CASE WHEN i.result = 'MISSING' THEN 1 END) AS missing_count,
+    COUNT(CASE WHEN i.result = 'EXTRA' THEN 1 END) AS extra_count
+  FROM reconciliation_runs r
+  LEFT JOIN reconciliation_items i ON i.run_id = r.run_id`;
+
+export async function getReconciliationRun(runId) {
+  const db = getDb();
+  return db.prepare(`${RUN_WITH_COUNTS} WHERE r.run_id = ? GROUP BY r.run_id`).get(runId);
+}
+
+export async function listReconciliationRuns({ limit = 50 } = {}) {
+  const db = getDb();
+  return db.prepare(`${RUN_WITH_COUNTS} GROUP BY r.run_id ORDER BY r.run_id DESC LIMIT ?`).all(limit);
+}
+
+export async function listReconciliationItems(runId, { result } = {}) {
+  const db = getDb();
+  const where = result ? 'AND result = ?' : '';
+  return db
+    .prepare(`SELECT * FROM reconciliation_items WHERE run_id = ? ${where} ORDER BY item_id`)
+    .all(runId, ...(result ? [result] : []));
+}
+
+// --- voids ---
+export async function listVoidsByOrderId(orderId) {
+  const db = getDb();
+  return db
+    .prepare(
+      `SELECT * FROM voids
+       WHERE order_id = ?
+       ORDER BY datetime(created_at)`
+    )
+    .all(orderId);
+}
+
+export async function sumVoidsForOrder(orderId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `SELECT COALESCE(SUM(amount), 0) AS total
+       FROM voids
+       WHERE order_id = ? AND outcome = 'SUCCESS'`
+    )
+    .get(orderId);
+  return Number(row.total);
+}
+
+// Reserves a void (outcome PENDING) before the provider is called, in one
+// statement that re-checks what the route saw: the order is still AUTHORIZED,
+// no other void is in flight, the settled total is still `settled` and exactly
+// `amount` is left to release. Returns the row, or null when any of that
+// changed underneath (a concurrent void or settlement).
+export async function reserveVoid({ order_id, amount, settled }) {
+  const db = getDb();
+  const info = db
+    .prepare(
+      `INSERT INTO voids (order_id, amount, outcome)
+       SELECT o.order_id, :amount, 'PENDING'
+       FROM orders o
+       WHERE o.order_id = :order_id
+         AND o.status = 'AUTHORIZED'
+         AND NOT EXISTS (SELECT 1 FROM voids v WHERE v.order_id = o.order_id AND v.outcome = 'PENDING')
+         AND ROUND(COALESCE((SELECT SUM(s.amount) FROM settlements s
+                             WHERE s.order_id = o.order_id AND s.outcome = 'SUCCESS'), 0), 2) = :settled
+         AND ROUND(
+               (SELECT a.amount FROM authorizations a
+                WHERE a.order_id = o.order_id AND a.outcome = 'SUCCESS'
+                ORDER BY a.auth_id DESC LIMIT 1)
+                 - :settled
+                 - COALESCE((SELECT SUM(v.amount) FROM voids v
+                             WHERE v.order_id = o.order_id AND v.outcome = 'SUCCESS'), 0),
+               2) = :amount`
+    )
+    .run({ order_id, amount, settled });
+  if (info.changes !== 1) return null;
+  return db.prepare('SELECT * FROM voids WHERE void_id = ?').get(info.lastInsertRowid);
+}
+
+// Drops a reserved void the provider never answered
+export async function releaseVoid(voidId) {
+  const db = getDb();
+  db.prepare("DELETE FROM voids WHERE void_id = ? AND outcome = 'PENDING'").run(voidId);
+}
+
+// Records the provider's answer on a reserved void
+export async function completeVoid({ void_id, outcome, provider_status }) {
+  const db = getDb();
+  return db.transaction(() => {
+    db.prepare(
+      `UPDATE voids SET outcome = ?, provider_status = ?
+       WHERE void_id = ? AND outcome = 'PENDING'`
+    ).run(outcome, provider_status ?? null, void_id);
+    const row = db.prepare('SELECT * FROM voids WHERE void_id = ?').get(void_id);
+    insertAuditEvent(db, {
+      event_type: 'void.created',
+      order_id: row.order_id,
+      entity_type: 'void',
+      entity_id: void_id,
+      after: { amount: row.amount, outcome, provider_status: provider_status ?? null },
+    });
+    return row;
+  })();
+}
+
+// --- refunds ---
+export async function listRefundsByOrderId(orderId) {
+  const db = getDb();
+  return db
+    .prepare(
+      `SELECT * FROM refunds
+       WHERE order_id = ?
+       ORDER BY datetime(created_at)`
+    )
+    .all(orderId);
+}
+
+export async function sumRefundsForOrder(orderId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `SELECT COALESCE(SUM(amount), 0) AS total
+       FROM refunds
+       WHERE order_id = ? AND outcome = 'SUCCESS'`
+    )
+    .get(orderId);
+  return Number(row.total);
+}
+
+// Refunded, plus refunds still waiting for the provider's answer
+export async function sumReservedRefundsForOrder(orderId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `SELECT COALESCE(SUM(amount), 0) AS total
+       FROM refunds
+       WHERE order_id = ? AND outcome IN ('SUCCESS', 'PENDING')`
+    )
+    .get(orderId);
+  return Number(row.total);
+}
+
+// Reserves a refund (outcome PENDING) before the provider is called, in one
+// statement that re-checks the order is still in one of `statuses` and that
+// its captured settlements, less refunds made or reserved, still cover
+// `amount`. Returns the row, or null when a concurrent refund got there first.
+export async function reserveRefund({ order_id, amount, reason, statuses }) {
+  const db = getDb();
+  const info = db
+    .prepare(
+      `INSERT INTO refunds (order_id, amount, reason, outcome)
+       SELECT o.order_id, :amount, :reason, 'PENDING'
+       FROM orders o
+       WHERE o.order_id = :order_id
+         AND o.status IN (SELECT value FROM json_each(:statuses))
+         AND ROUND(
+               COALESCE((SELECT SUM(s.amount) FROM settlements s
+                         WHERE s.order_id = o.order_id AND ${CAPTURED_SETTLEMENT}), 0)
+                 - COALESCE((SELECT SUM(r.amount) FROM refunds r
+                             WHERE r.order_id = o.order_id AND r.outcome IN ('SUCCESS', 'PENDING')), 0),
+               2) >= :amount`
+    )
+    .run({ order_id, amount, reason: reason ?? null, statuses: JSON.stringify(statuses) });
+  if (info.changes !== 1) return null;
+  return db.prepare('SELECT * FROM refunds WHERE refund_id = ?').get(info.lastInsertRowid);
+}
+
+// Drops a reserved refund the provider never answered
+export async function releaseRefund(refundId) {
+  const db = getDb();
+  db.prepare("DELETE FROM refunds WHERE refund_id = ? AND outcome = 'PENDING'").run(refundId);
+}
+
+// Records the provider's answer on a reserved refund
+export async function completeRefund({ refund_id, outcome, provider_status }) {
+  const db = getDb();
+  return db.transaction(() => {
+    db.prepare(
+      `UPDATE refunds SET outcome = ?, provider_status = ?
+       WHERE refund_id = ? AND outcome = 'PENDING'`
+    ).run(outcome, provider_status ?? null, refund_id);
+    const row = db.prepare('SELECT * FROM refunds WHERE refund_id = ?').get(refund_id);
+    insertAuditEvent(db, {
+      event_type: 'refund.created',
+      order_id: row.order_id,
+      entity_type: 'refund',
+      entity_id: refund_id,
+      after: { amount: row.amount, reason: row.reason, outcome, provider_status: provider_status ?? null },
+    });
+    return row;
+  })();
+}
+
+// --- reports ---
+// Period key for a timestamp column: the day, or the Monday starting its week
+export const REPORT_BUCKET = Object.freeze({
+  day: (col) => `date(${col})`,
+  week: (col) => `date(${col}, 'weekday 0', '-6 days')`,
+});
+
+// Age buckets (days since approval) for unsettled authorizations; maxDays is exclusive
+export const AGING_BUCKETS = Object.freeze([
+  { label: '0-1d', minDays: 0, maxDays: 1 },
+  { label: '1-3d', minDays: 1, maxDays: 3 },
+  { label: '3-7d', minDays: 3, maxDays: 7 },
+  { label: '7d+', minDays: 7, maxDays: null },
+]);
+
+// Effective (latest successful) authorizations approved within [:from, :to]
+// whose order still holds them (AUTHORIZED), with what has not been captured
+// or voided yet (settlements waiting in a batch, or whose capture failed,
+// are still outstanding)
+const OPEN_AUTHORIZATIONS = `
+  open_auths AS (
+    SELECT a.order_id, a.created_at,
+      ROUND(
+        a.amount
+          - COALESCE((SELECT SUM(s.amount) FROM settlements s
+                      WHERE s.order_id = a.order_id AND ${CAPTURED_SETTLEMENT}), 0)
+          - COALESCE((SELECT SUM(v.amount) FROM voids v
+                      WHERE v.order_id = a.order_id AND v.outcome = 'SUCCESS'), 0),
+        2) AS outstanding
+    FROM authorizations a
+    JOIN orders o ON o.order_id = a.order_id
+    WHERE a.outcome = 'SUCCESS'
+      AND o.status = 'AUTHORIZED'
+      AND date(a.created_at) BETWEEN :from AND :to
+      AND a.auth_id = (SELECT MAX(b.auth_id) FROM authorizations b
+                       WHERE b.order_id = a.order_id AND b.outcome = 'SUCCESS')
+  )`;
+
+// One row of metrics per period (every period in the range, empty ones
+// included), or a single row for the whole range when bucket is omitted.
+// Authorizations count by their attempt date, captured settlements by their
+// capture date (settlements not captured yet don't count as settled), and
+// outstanding amounts by the date the authorization was approved.
+export async function getReportMetrics({ from, to, bucket }) {
+  const db = getDb();
+  const key = bucket ?? (() => "'total'");
+  return db
+    .prepare(
+      `WITH RECURSIVE
+        days(d) AS (SELECT date(:from) UNION ALL SELECT date(d, '+1 day') FROM days WHERE d < date(:to)),
+        periods AS (SELECT DISTINCT ${key('d')} AS period FROM days),
+        auths AS (
+          SELECT ${key('created_at')} AS period,
+            COUNT(*) AS attempts,
+            COUNT(CASE WHEN outcome = 'SUCCESS' THEN 1 END) AS approved,
+            COUNT(CASE WHEN outcome <> 'PENDING' THEN 1 END) AS decided,
+            ROUND(COALESCE(SUM(CASE WHEN outcome = 'SUCCESS' THEN amount END), 0), 2) AS authorized_amount,
+            ROUND(AVG(CASE WHEN outcome = 'SUCCESS' THEN amount END), 2) AS average_ticket
+          FROM authorizations
+          WHERE date(created_at) BETWEEN :from AND :to
+          GROUP BY 1
+        ),
+        outcomes AS (
+          SELECT period, json_group_object(outcome, n) AS outcome_counts
+          FROM (
+            SELECT ${key('created_at')} AS period, outcome, COUNT(*) AS n
+            FROM authorizations
+            WHERE date(created_at) BETWEEN :from AND :to
+            GROUP BY 1, 2
+          )
+          GROUP BY period
+        ),
+        settled AS (
+          SELECT ${key('settled_at')} AS period,
+            COUNT(*) AS settlement_count,
+            ROUND(SUM(amount), 2) AS settled_amount
+          FROM (
+            SELECT s.amount, COALESCE(s.captured_at, s.created_at) AS settled_at
+            FROM settlements s
+            WHERE ${CAPTURED_SETTLEMENT}
+          )
+          WHERE date(settled_at) BETWEEN :from AND :to
+          GROUP BY 1
+        ),
+        ${OPEN_AUTHORIZATIONS},
+        outstanding AS (
+          SELECT ${key('created_at')} AS period,
+            COUNT(*) AS outstanding_count,
+            ROUND(SUM(outstanding), 2) AS outstanding_amount
+          FROM open_auths
+          WHERE outstanding > 0
+          GROUP BY 1
+        )
+      SELECT p.period,
+        COALESCE(a.attempts, 0) AS attempts,
+        COALESCE(a.approved, 0) AS approved,
+        COALESCE(a.decided, 0) AS decided,
+        CASE WHEN a.decided > 0 THEN ROUND(1.0 * a.approved / a.decided, 4) END AS approval_rate,
+        COALESCE(oc.outcome_counts, '{}') AS outcome_counts,
+        COALESCE(a.authorized_amount, 0) AS authorized_amount,
+        a.average_ticket,
+        COALESCE(s.settlement_count, 0) AS settlement_count,
+        COALESCE(s.settled_amount, 0) AS settled_amount,
+        COALESCE(os.outstanding_count, 0) AS outstanding_count,
+        COALESCE(os.outstanding_amount, 0) AS outstanding_amount
+      FROM periods p
+      LEFT JOIN auths a ON a.period = p.period
+      LEFT JOIN outcomes oc ON oc.period = p.period
+      LEFT JOIN settled s ON s.period = p.period
+      LEFT JOIN outstanding os ON os.period = p.period
+      ORDER BY p.period`
+    )
+    .all({ from, to });
+}
+
+// Unsettled authorizations approved within [from, to], by age (AGING_BUCKETS)
+export async function getOutstandingAging({ from, to }) {
+  const db = getDb();
+  const bucketCase = AGING_BUCKETS.map((b) =>
+    b.maxDays == null ? `ELSE '${b.label}'` : `WHEN age_days < ${b.maxDays} THEN '${b.label}'`
+  ).join(' ');
+  return db
+    .prepare(
+      `WITH ${OPEN_AUTHORIZATIONS}
+      SELECT CASE ${bucketCase} END AS bucket,
+        COUNT(*) AS count,
+        ROUND(SUM(outstanding), 2) AS amount,
+        ROUND(MAX(age_days), 2) AS oldest_days
+      FROM (
+        SELECT outstanding, julianday('now') - julianday(created_at) AS age_days
+        FROM open_auths
+        WHERE outstanding > 0
+      )
+      GROUP BY 1`
+    )
+    .all({ from, to });
+}
+
+// --- idempotency keys ---
+export async function getIdempotencyKey(scope, key) {
+  const db = getDb();
+  return db
+    .prepare('SELECT * FROM idempotency_keys WHERE scope = ? AND idem_key = ?')
+    .get(scope, key);
+}
+
+// Claims the key for an in-flight request; returns false if it's already taken.
+// A reservation with no stored response that is older than staleAfterSeconds
+// belongs to a request that never finished (crash, lost response) and is reclaimed.
+export async function reserveIdempotencyKey({ scope, key, request_hash, staleAfterSeconds }) {
+  const db = getDb();
+  const info = db
+    .prepare(
+      `INSERT INTO idempotency_keys (scope, idem_key, request_hash)
+       VALUES (?, ?, ?)
+       ON CONFLICT(scope, idem_key) DO UPDATE
+         SET request_hash = excluded.request_hash, created_at = datetime('now')
+         WHERE status_code IS NULL AND created_at <= datetime('now', ?)`
+    )
+    .run(scope, key, request_hash, `-${Number(staleAfterSeconds)} seconds`);
+  return info.changes === 1;
+}
+
+export async function saveIdempotentResponse({ scope, key, status_code, response_body }) {
   const db = getDb();
   db.prepare(
-    `INSERT INTO settlements (order_id, amount, outcome)
-     VALUES (?, ?, ?)`
-  ).run(order_id, amount, outcome);
-  return { order_id, amount, outcome };
+    `UPDATE idempotency_keys
+     SET status_code = ?, response_body = ?
+     WHERE scope = ? AND idem_key = ?`
+  ).run(status_code, JSON.stringify(response_body ?? null), scope, key);
+}
+
+export async function releaseIdempotencyKey(scope, key) {
+  const db = getDb();
+  db.prepare('DELETE FROM idempotency_keys WHERE scope = ? AND idem_key = ?').run(scope, key);
+}
+
+// --- webhooks ---
+// event_types is stored as a JSON array of event names ('*' = all events)
+export async function createWebhookSubscription({ url, event_types, secret }) {
+  const db = getDb();
+  const info = db
+    .prepare(
+      `INSERT INTO webhook_subscriptions (url, event_types, secret)
+       VALUES (?, ?, ?)`
+    )
+    .run(url, JSON.stringify(event_types), secret);
+  return getWebhookSubscription(info.lastInsertRowid);
+}
+
+export async function getWebhookSubscription(subscriptionId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM webhook_subscriptions WHERE subscription_id = ?').get(subscriptionId);
+}
+
+export async function listWebhookSubscriptions({ activeOnly = false } = {}) {
+  const db = getDb();
+  const where = activeOnly ? 'WHERE active = 1' : '';
+  return db.prepare(`SELECT * FROM webhook_subscriptions ${where} ORDER BY subscription_id`).all();
+}
+
+export async function deactivateWebhookSubscription(subscriptionId) {
+  const db = getDb();
+  db.prepare('UPDATE webhook_subscriptions SET active = 0 WHERE subscription_id = ?').run(subscriptionId);
+  return getWebhookSubscription(subscriptionId);
+}
+
+// Queues one delivery per subscription in a single transaction
+export async function enqueueWebhookDeliveries({ subscription_ids, event_id, event_type, order_id, payload }) {
+  const db = getDb();
+  const insert = db.prepare(
+    `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, order_id, payload)
+     VALUES (?, ?, ?, ?, ?)`
+  );
+  db.transaction(() => {
+    for (const id of subscription_ids) {
+      insert.run(id, event_id, event_type, order_id ?? null, JSON.stringify(payload));
+    }
+  })();
+  return subscription_ids.length;
+}
+
+// PENDING deliveries whose next attempt is due, oldest first, with the subscriber's url/secret
+export async function listDueWebhookDeliveries(limit = 20) {
+  const db = getDb();
+  return db
+    .prepare(
+      `SELECT d.*, s.url, s.secret
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.subscription_id = d.subscription_id
+       WHERE d.status = 'PENDING'
+         AND datetime(d.next_attempt_at) <= datetime('now')
+       ORDER BY d.delivery_id
+       LIMIT ?`
+    )
+    .all(limit);
+}
+
+// Records one delivery attempt; retry_in_seconds = null means no further retries
+export async function recordWebhookAttempt(deliveryId, { delivered, status_code, error, retry_in_seconds }) {
+  const db = getDb();
+  const status = delivered ? 'DELIVERED' : retry_in_seconds == null ? 'FAILED' : 'PENDING';
+  db.prepare(
+    `UPDATE webhook_deliveries
+     SET status = ?,
+         attempts = attempts + 1,
+         last_status_code = ?,
+         last_error = ?,
+         next_attempt_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' seconds') END,
+         delivered_at = CASE WHEN ? = 'DELIVERED' THEN datetime('now') ELSE delivered_at END
+     WHERE delivery_id = ?`
+  ).run(
+    status,
+    status_code ?? null,
+    error ?? null,
+    retry_in_seconds ?? null,
+    retry_in_seconds ?? null,
+    status,
+    deliveryId
+  );
+  return getWebhookDelivery(deliveryId);
+}
+
+export async function getWebhookDelivery(deliveryId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE delivery_id = ?').get(deliveryId);
+}
+
+// Delivery log, newest first, with optional filters
+export async function listWebhookDeliveries({ status, subscriptionId, eventType, orderId, limit = 100 } = {}) {
+  const db = getDb();
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (subscriptionId) {
+    where.push('subscription_id = ?');
+    params.push(subscriptionId);
+  }
+  if (eventType) {
+    where.push('event_type = ?');
+    params.push(eventType);
+  }
+  if (orderId) {
+    where.push('order_id = ?');
+    params.push(orderId);
+  }
+  let sql = 'SELECT * FROM webhook_deliveries';
+  if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
+  sql += ' ORDER BY delivery_id DESC LIMIT ?';
+  return db.prepare(sql).all(...params, limit);
+}
+
+// Puts a delivery back on the queue for an immediate attempt
+export async function requeueWebhookDelivery(deliveryId) {
+  const db = getDb();
+  db.prepare(
+    `UPDATE webhook_deliveries
+     SET status = 'PENDING', next_attempt_at = datetime('now')
+     WHERE delivery_id = ?`
+  ).run(deliveryId);
+  return getWebhookDelivery(deliveryId);
+}
+
+// --- inbound provider webhook events ---
+export async function getProviderWebhookEvent(eventId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM provider_webhook_events WHERE event_id = ?').get(eventId);
+}
+
+// Remembers a handled event; returns false if it was already recorded
+export async function recordProviderWebhookEvent({ event_id, provider_token, order_id, outcome, result }) {
+  const db = getDb();
+  const info = db
+    .prepare(
+      `INSERT INTO provider_webhook_events (event_id, provider_token, order_id, outcome, result)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(event_id) DO NOTHING`
+    )
+    .run(event_id, provider_token ?? null, order_id ?? null, outcome ?? null, result);
+  return info.changes === 1;
+}
+
+// --- users / API keys ---
+export async function getUserByUsername(username) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+}
+
+export async function createUser({ username, password_hash, role }) {
+  const db = getDb();
+  db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)').run(
+    username,
+    password_hash,
+    role
+  );
+  return getUserByUsername(username);
+}
+
+export async function createApiKey({ name, key_hash, role }) {
+  const db = getDb();
+  const info = db
+    .prepare('INSERT INTO api_keys (name, key_hash, role) VALUES (?, ?, ?)')
+    .run(name, key_hash, role);
+  return db.prepare('SELECT * FROM api_keys WHERE key_id = ?').get(info.lastInsertRowid);
+}
+
+// Active key by its hash; stamps last_used_at
+export async function useApiKey(keyHash) {
+  const db = getDb();
+  const key = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND active = 1').get(keyHash);
+  if (key) {
+    db.prepare("UPDATE api_keys SET last_used_at = datetime('now') WHERE key_id = ?").run(key.key_id);
+  }
+  return key;
+}
+
+// --- rate limiting ---
+// Counts one request against a fixed window and returns { count, resets_at }
+// (unix seconds). An expired window starts over at 1.
+export async function hitRateLimit(bucket, windowSeconds) {
+  const db = getDb();
+  const now = Math.floor(Date.now() / 1000);
+  return db.transaction(() => {
+    db.prepare('DELETE FROM rate_limit_counters WHERE resets_at <= ?').run(now);
+    return db
+      .prepare(
+        `INSERT INTO rate_limit_counters (bucket, count, resets_at)
+         VALUES (?, 1, ?)
+         ON CONFLICT(bucket) DO UPDATE SET count = count + 1
+         RETURNING count, resets_at`
+      )
+      .get(bucket, now + windowSeconds);
+  })();
+}
+
+export async function recordThrottleEvent({ route, scope, subject, limit_max, window_seconds, retry_after }) {
+  const db = getDb();
+  const { actor, ip, requestId } = getRequestContext();
+  db.prepare(
+    `INSERT INTO throttle_events
+       (route, scope, subject, limit_max, window_seconds, retry_after, actor, source_ip, request_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(route, scope, subject, limit_max, window_seconds, retry_after, actor, ip, requestId);
+}
+
+// Newest first, with optional filters
+export async function listThrottleEvents({ route, scope, subject, from, limit = 200 } = {}) {
+  const db = getDb();
+  const where = [];
+  const params = [];
+  if (route) {
+    where.push('route = ?');
+    params.push(route);
+  }
+  if (scope) {
+    where.push('scope = ?');
+    params.push(scope);
+  }
+  if (subject) {
+    where.push('subject = ?');
+    params.push(subject);
+  }
+  if (from) {
+    where.push('datetime(created_at) >= datetime(?)');
+    params.push(from);
+  }
+  let sql = 'SELECT * FROM throttle_events';
+  if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
+  sql += ' ORDER BY throttle_id DESC LIMIT ?';
+  return db.prepare(sql).all(...params, limit);
 }
@@ -0,0 +1,347 @@
+// --------------------------------------------------------------------
+// src/db/schema.js
+// Idempotent schema upgrades applied when the shared connection opens.
+// The core tables (orders, authorizations, settlements) predate this file;
+// anything added since is created here with IF NOT EXISTS so existing
+// databases pick up new tables without a manual migration step.
+// --------------------------------------------------------------------
+import { ORDER_STATUS, AUTH_OUTCOME, SETTLEMENT_BATCH_STATUS, RECONCILIATION_RESULT } from '../shared/constants.js';
+
+const hasColumn = (db, table, column) =>
+  db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+
+const tableSql = (db, table) =>
+  db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table)?.sql;
+
+const indexSqls = (db, table) =>
+  db
+    .prepare(`SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL`)
+    .all(table)
+    .map((r) => r.sql);
+
+// SQLite can't ALTER a CHECK constraint, so rebuild a table from a rewritten
+// CREATE statement (the documented 12-step procedure, minus the unused steps).
+function rebuildTable(db, table, newCreateSql) {
+  const indexes = indexSqls(db, table);
+  const tmp = `${table}__rebuild`;
+
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.prepare(newCreateSql.replace(/CREATE TABLE\s+("?)\w+\1/i, `CREATE TABLE ${tmp}`)).run();
+      db.prepare(`INSERT INTO ${tmp} SELECT * FROM ${table}`).run();
+      db.prepare(`DROP TABLE ${table}`).run();
+      db.prepare(`ALTER TABLE ${tmp} RENAME TO ${table}`).run();
+      indexes.forEach((sql) => db.prepare(sql).run());
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+}
+
+// Widen a CHECK(<column> IN (...)) constraint so it accepts every value in `wanted`
+function ensureInCheck(db, table, column, wanted) {
+  const sql = tableSql(db, table);
+  const check = new RegExp(`CHECK\\s*\\(\\s*${column}\\s+IN\\s*\\(([^)]*)\\)\\s*\\)`, 'i');
+  const m = sql && check.exec(sql);
+  if (!m) return; // no constraint (e.g. tables created by reset-db.js)
+
+  const allowed = m[1].split(',').map((v) => v.trim().replace(/^'|'$/g, ''));
+  if (wanted.every((s) => allowed.includes(s))) return;
+
+  const list = wanted.map((s) => `'${s}'`).join(',');
+  rebuildTable(db, table, sql.replace(check, `CHECK(${column} IN (${list}))`));
+}
+
+// orders.status must accept every ORDER_STATUS value
+const ensureOrderStatusCheck = (db) => ensureInCheck(db, 'orders', 'status', Object.values(ORDER_STATUS));
+
+// authorizations.outcome must accept every AUTH_OUTCOME value (e.g. PENDING)
+const ensureAuthOutcomeCheck = (db) =>
+  ensureInCheck(db, 'authorizations', 'outcome', Object.values(AUTH_OUTCOME));
+
+// authorizations used to be one row per order (order_id UNIQUE, upserted);
+// every attempt is now its own row, so drop the uniqueness
+function ensureAuthorizationHistory(db) {
+  const sql = tableSql(db, 'authorizations');
+  if (!sql) return;
+
+  const addColumn = (name, type) => {
+    if (!hasColumn(db, 'authorizations', name)) {
+      db.prepare(`ALTER TABLE authorizations ADD COLUMN ${name} ${type}`).run();
+    }
+  };
+  // expires_at was a one-off script: scripts/add-expires-column.js
+  addColumn('expires_at', 'TEXT');
+  addColumn('provider_status', 'INTEGER');
+  addColumn('provider_response', 'TEXT');
+
+  const unique = /(\border_id\s+TEXT\b[^,]*?)\s+UNIQUE\b/i;
+  const current = tableSql(db, 'authorizations');
+  if (unique.test(current)) {
+    rebuildTable(db, 'authorizations', current.replace(unique, '$1'));
+  }
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_authorizations_order_id ON authorizations(order_id)').run();
+}
+
+// settlements join an end-of-day batch and are captured when it is submitted
+function ensureSettlementBatches(db) {
+  const statuses = Object.values(SETTLEMENT_BATCH_STATUS)
+    .map((s) => `'${s}'`)
+    .join(',');
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS settlement_batches (
+      batch_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT NOT NULL CHECK(status IN (${statuses})),
+      opened_by TEXT,
+      opened_at TEXT DEFAULT (datetime('now')),
+      closed_by TEXT,
+      closed_at TEXT,
+      submitted_by TEXT,
+      submitted_at TEXT
+    )
+  `).run();
+  // at most one batch collects new settlements
+  db.prepare(
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_settlement_batches_open ON settlement_batches(status) WHERE status = 'OPEN'`
+  ).run();
+
+  if (!tableSql(db, 'settlements')) return;
+  const addColumn = (name, type) => {
+    if (!hasColumn(db, 'settlements', name)) {
+      db.prepare(`ALTER TABLE settlements ADD COLUMN ${name} ${type}`).run();
+    }
+  };
+  addColumn('batch_id', 'INTEGER REFERENCES settlement_batches(batch_id)');
+  addColumn('capture_status', 'TEXT');
+  addColumn('capture_provider_status', 'INTEGER');
+  addColumn('capture_error', 'TEXT');
+  addColumn('captured_at', 'TEXT');
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_settlements_batch_id ON settlements(batch_id)').run();
+}
+
+export function ensureSchema(db) {
+  ensureAuthorizationHistory(db);
+
+  ensureOrderStatusCheck(db);
+  ensureAuthOutcomeCheck(db);
+
+  // Stored responses for Idempotency-Key replays (POST /api/authorize, /api/settlements)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scope TEXT NOT NULL,
+      idem_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status_code INTEGER,
+      response_body TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (scope, idem_key)
+    )
+  `).run();
+
+  // Authorization holds released through POST /api/orders/:id/void
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS voids (
+      void_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      amount REAL CHECK(amount > 0),
+      outcome TEXT NOT NULL,
+      provider_status INTEGER,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_voids_order_id ON voids(order_id)').run();
+
+  // Money returned against settled amounts through POST /api/refunds
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS refunds (
+      refund_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      amount REAL CHECK(amount > 0),
+      reason TEXT,
+      outcome TEXT NOT NULL,
+      provider_status INTEGER,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id)').run();
+
+  // Order status history written by updateOrderStatus (from_status NULL = order created)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS order_transitions (
+      transition_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      reason TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_order_transitions_order_id ON order_transitions(order_id)').run();
+
+  // Outbound webhooks: subscribers and the persistent delivery queue / log
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      subscription_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      event_types TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      delivery_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      order_id TEXT,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING' CHECK(status IN ('PENDING','DELIVERED','FAILED')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT DEFAULT (datetime('now')),
+      last_status_code INTEGER,
+      last_error TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      delivered_at TEXT,
+      FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(subscription_id) ON DELETE CASCADE
+    )
+  `).run();
+  db.prepare(
+    'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)'
+  ).run();
+
+  // Inbound provider webhooks already handled (POST /api/webhooks/provider), for de-duplication
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS provider_webhook_events (
+      event_id TEXT PRIMARY KEY,
+      provider_token TEXT,
+      order_id TEXT,
+      outcome TEXT,
+      result TEXT NOT NULL,
+      received_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  // Append-only audit trail of payment state changes (see insertAuditEvent in db/index.js)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      audit_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_type TEXT NOT NULL,
+      order_id TEXT,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT,
+      actor TEXT NOT NULL,
+      source_ip TEXT,
+      request_id TEXT,
+      before_value TEXT,
+      after_value TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_audit_events_order_id ON audit_events(order_id)').run();
+  for (const op of ['UPDATE', 'DELETE']) {
+    db.prepare(`
+      CREATE TRIGGER IF NOT EXISTS audit_events_no_${op.toLowerCase()}
+      BEFORE ${op} ON audit_events
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_events is append-only');
+      END
+    `).run();
+  }
+
+  // API credentials: user accounts (login → session token) and API keys; secrets stored hashed
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS users (
+      user_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('admin','checkout','warehouse','viewer')),
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      key_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL CHECK(role IN ('admin','checkout','warehouse','viewer')),
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now')),
+      last_used_at TEXT
+    )
+  `).run();
+
+  // Fixed-window request counters for rate limiting (bucket = route:scope:subject)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS rate_limit_counters (
+      bucket TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      resets_at INTEGER NOT NULL
+    )
+  `).run();
+  // Requests rejected by a rate limit, kept for review (GET /api/throttle-events)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS throttle_events (
+      throttle_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      route TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      limit_max INTEGER NOT NULL,
+      window_seconds INTEGER NOT NULL,
+      retry_after INTEGER NOT NULL,
+      actor TEXT,
+      source_ip TEXT,
+      request_id TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  // Default GET /api/orders ordering and keyset paging (matches ORDER_SORT_EXPR.created_at
+  // in db/index.js). Not idx_orders_created_at: older databases already have an index by
+  // that name on plain orders(created_at), which IF NOT EXISTS would silently keep.
+  if (tableSql(db, 'orders')) {
+    db.prepare(
+      "CREATE INDEX IF NOT EXISTS idx_orders_created_at_order_id ON orders(COALESCE(datetime(created_at), ''), order_id)"
+    ).run();
+  }
+
+  // End-of-day settlement batches (open / close / submit)
+  ensureSettlementBatches(db);
+
+  // Provider settlement report imports and their per-order results (src/reconciliation)
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS reconciliation_runs (
+      run_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_name TEXT,
+      period_from TEXT NOT NULL,
+      period_to TEXT NOT NULL,
+      line_count INTEGER NOT NULL,
+      created_by TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+  const results = Object.values(RECONCILIATION_RESULT)
+    .map((r) => `'${r}'`)
+    .join(',');
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS reconciliation_items (
+      item_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL REFERENCES reconciliation_runs(run_id),
+      result TEXT NOT NULL CHECK(result IN (${results})),
+      order_id TEXT,
+      provider_token TEXT,
+      expected_amount REAL,
+      reported_amount REAL,
+      report_lines TEXT,
+      settlement_ids TEXT,
+      note TEXT
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_reconciliation_items_run ON reconciliation_items(run_id, result)').run();
+}
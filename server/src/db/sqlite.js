@@ -7,6 +7,7 @@ import 'dotenv/config';
 import Database from 'better-sqlite3';
 import fs from 'node:fs';
 import path from 'node:path';
+import { ensureSchema } from './schema.js';
 
 // Resolve DB path: prefer env, else ./database/database.db relative to project root
 function resolveDbPath() {
@@ -36,6 +37,9 @@ try {
   // swallow pragma errors safely
 }
 
+// Create any tables added after the original schema
+ensureSchema(db);
+
 // Export default for compatibility with any existing default imports
 export default db;
 
@@ -0,0 +1,67 @@
+// --------------------------------------------------------------------
+// src/events/index.js
+// In-process bus for live order updates streamed by GET /api/events.
+// The DB layer publishes after each write commits; the SSE route
+// subscribes per connection. A short history lets a reconnecting
+// EventSource catch up through the Last-Event-ID header; IDs carry the
+// process's boot epoch, so an ID from before a restart is recognised and
+// the client is told to resync instead.
+// --------------------------------------------------------------------
+import { EventEmitter } from 'node:events';
+
+export const ORDER_EVENT = Object.freeze({
+  ORDER_CREATED: 'order.created',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  SETTLEMENT_CREATED: 'settlement.created',
+});
+
+const HISTORY_SIZE = 200;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+// IDs are "<boot epoch>-<sequence>": the sequence restarts with the process
+const EPOCH = Date.now().toString(36);
+const ID_PATTERN = /^([0-9a-z]+)-(\d+)$/;
+const eventId = (seq) => `${EPOCH}-${seq}`;
+
+let nextSeq = 1;
+const history = [];
+
+/**
+ * @param {string} type one of ORDER_EVENT
+ * @param {object} data JSON-serializable payload (always includes orderId)
+ */
+export function publishOrderEvent(type, data) {
+  const seq = nextSeq++;
+  const event = { id: eventId(seq), seq, type, data, at: new Date().toISOString() };
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+  bus.emit('event', event);
+  return event;
+}
+
+// Returns an unsubscribe function
+export function subscribeOrderEvents(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+/**
+ * Events published after lastEventId, or null when they can't be replayed:
+ * the ID is from another boot (or malformed), or events after it have
+ * already left the history buffer. The client has to reload instead.
+ * @param {string} lastEventId
+ * @returns {object[]|null}
+ */
+export function eventsSince(lastEventId) {
+  const match = ID_PATTERN.exec(String(lastEventId));
+  if (!match || match[1] !== EPOCH) return null;
+  const seq = Number(match[2]);
+  const oldest = history[0]?.seq ?? nextSeq;
+  if (seq >= nextSeq || seq < oldest - 1) return null;
+  return history.filter((e) => e.seq > seq);
+}
+
+// ID of the latest event (sequence 0 before the first one)
+export const latestEventId = () => eventId(nextSeq - 1);
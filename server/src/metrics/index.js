@@ -0,0 +1,138 @@
+// --------------------------------------------------------------------
+// src/metrics/index.js
+// In-process metrics rendered in the Prometheus text format (GET /metrics).
+// Small counter / histogram implementation; values live in memory and
+// start from zero on every restart, which Prometheus' rate() expects.
+//
+//   payment_authorization_outcomes_total{outcome}        one per recorded AUTH_OUTCOME
+//                                                         (PENDING, then the webhook's final one)
+//   payment_provider_request_duration_seconds{provider,operation,result}
+//                                                         provider calls, retries included
+//   payment_settlements_total{outcome}
+//   payment_settlement_amount_total{outcome}             dollars
+//   http_requests_total{method,route,status}
+//   http_request_duration_seconds{method,route}
+// --------------------------------------------------------------------
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+};
+
+// label values in the declared order, so { a, b } and { b, a } share a series
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((n) => String(labels[n] ?? '')));
+const labelsOf = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((v, i) => [labelNames[i], v]));
+
+class Counter {
+  constructor({ name, help, labelNames = [] }) {
+    Object.assign(this, { name, help, labelNames, values: new Map() });
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + value);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels(labelsOf(this.labelNames, key))} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    Object.assign(this, { name, help, labelNames, buckets, series: new Map() });
+  }
+
+  observe(labels = {}, seconds) {
+    const key = seriesKey(this.labelNames, labels);
+    let s = this.series.get(key);
+    if (!s) {
+      s = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, s);
+    }
+    this.buckets.forEach((le, i) => {
+      if (seconds <= le) s.counts[i] += 1;
+    });
+    s.sum += seconds;
+    s.count += 1;
+  }
+
+  // returns a function that records the seconds elapsed since startTimer()
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (moreLabels = {}) =>
+      this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, s] of this.series) {
+      const labels = labelsOf(this.labelNames, key);
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${s.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export const authorizationOutcomes = new Counter({
+  name: 'payment_authorization_outcomes_total',
+  help: 'Authorization outcomes recorded, by AUTH_OUTCOME',
+  labelNames: ['outcome'],
+});
+
+export const providerRequestDuration = new Histogram({
+  name: 'payment_provider_request_duration_seconds',
+  help: 'Payment provider call latency in seconds, retries included',
+  labelNames: ['provider', 'operation', 'result'],
+});
+
+export const settlementsTotal = new Counter({
+  name: 'payment_settlements_total',
+  help: 'Settlement attempts, by outcome',
+  labelNames: ['outcome'],
+});
+
+export const settlementAmount = new Counter({
+  name: 'payment_settlement_amount_total',
+  help: 'Settlement amounts in dollars, by outcome',
+  labelNames: ['outcome'],
+});
+
+export const httpRequestsTotal = new Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests, by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+});
+
+export const httpRequestDuration = new Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds, by method and route',
+  labelNames: ['method', 'route'],
+});
+
+const ALL = [
+  authorizationOutcomes,
+  providerRequestDuration,
+  settlementsTotal,
+  settlementAmount,
+  httpRequestsTotal,
+  httpRequestDuration,
+];
+
+export const renderMetrics = () => `${ALL.map((m) => m.render()).join('\n\n')}\n`;
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
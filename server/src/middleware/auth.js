@@ -0,0 +1,59 @@
+// --------------------------------------------------------------------
+// src/middleware/auth.js
+// Per-router access control, mounted in index.js in front of each router:
+//   app.use('/api/settlements', requireRole(ROLE.WAREHOUSE), settlementsRouter)
+// Credentials, in order of precedence:
+//   - Authorization: Bearer <session token>   (from POST /api/auth/login)
+//   - X-API-Key: <key>                         (machine clients)
+//   - ?access_token=<session token>            (EventSource can't set headers)
+// admin passes every check. The caller becomes the audit trail actor.
+// --------------------------------------------------------------------
+import { ROLE } from '../shared/constants.js';
+import { verifySessionToken, hashApiKey } from '../auth/index.js';
+import { getUserByUsername, useApiKey } from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+async function authenticate(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '')?.[1];
+  const sessionToken = bearer || (typeof req.query.access_token === 'string' ? req.query.access_token : null);
+  if (sessionToken) {
+    const session = verifySessionToken(sessionToken);
+    if (!session) return null;
+    // a disabled account loses access right away, not when its token expires
+    const user = await getUserByUsername(session.username);
+    if (!user?.active) return null;
+    return { username: user.username, role: user.role, via: 'session' };
+  }
+
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    const key = await useApiKey(hashApiKey(apiKey));
+    if (!key) return null;
+    return { username: `key:${key.name}`, role: key.role, keyId: key.key_id, via: 'api_key' };
+  }
+  return null;
+}
+
+/**
+ * @param {...string} roles roles allowed through (besides admin); none = any signed-in caller
+ */
+export function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await authenticate(req);
+      if (!user) {
+        return res.status(401).json({ code: 'UNAUTHENTICATED' });
+      }
+      req.user = user;
+      if (req.context) req.context.actor = user.username;
+
+      if (roles.length && user.role !== ROLE.ADMIN && !roles.includes(user.role)) {
+        return res.status(403).json({ code: 'FORBIDDEN', role: user.role });
+      }
+      return next();
+    } catch (e) {
+      logger.error('Authentication failed', { err: e });
+      return res.status(500).json({ code: 'SERVER_ERROR' });
+    }
+  };
+}
@@ -0,0 +1,40 @@
+// --------------------------------------------------------------------
+// src/middleware/http-metrics.js
+// Counts requests and their latency per route for GET /metrics.
+// The route label is the matched route pattern (/api/orders/:id), not the
+// concrete URL, so order IDs don't each become their own series.
+// --------------------------------------------------------------------
+import { httpRequestsTotal, httpRequestDuration } from '../metrics/index.js';
+
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  // a mount path with params (/api/orders/:id/void) shows up in baseUrl with the
+  // values filled in; put the param names back
+  const byValue = new Map(Object.entries(req.params ?? {}).map(([name, value]) => [String(value), `:${name}`]));
+  const base = req.baseUrl
+    .split('/')
+    .map((segment) => byValue.get(decode(segment)) ?? segment)
+    .join('/');
+  const path = req.route.path === '/' && base ? '' : req.route.path;
+  return `${base}${path}` || '/';
+}
+
+export function httpMetrics() {
+  return (req, res, next) => {
+    const stopTimer = httpRequestDuration.startTimer();
+    res.on('finish', () => {
+      const route = routeLabel(req);
+      httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+      stopTimer({ method: req.method, route });
+    });
+    next();
+  };
+}
@@ -0,0 +1,119 @@
+// --------------------------------------------------------------------
+// src/middleware/idempotency.js
+// Express middleware adding Idempotency-Key support to POST routes.
+// The first request with a key runs normally and its response is stored
+// in SQLite; a replay with the same key and body gets the stored response,
+// while a replay with a different body is rejected with 409.
+// A reservation is released when the request ends without a stored
+// response, and reclaimed once it is older than
+// IDEMPOTENCY_RESERVATION_TIMEOUT_SECONDS (default 120).
+// --------------------------------------------------------------------
+import crypto from 'node:crypto';
+
+import {
+  getIdempotencyKey,
+  reserveIdempotencyKey,
+  saveIdempotentResponse,
+  releaseIdempotencyKey,
+} from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// How long a reservation without a response blocks retries before it counts as abandoned
+export function reservationTimeoutSeconds() {
+  const seconds = Number(process.env.IDEMPOTENCY_RESERVATION_TIMEOUT_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : 120;
+}
+
+// JSON.stringify with sorted object keys so property order doesn't change the hash
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// the URL is part of the hash so one key can't replay across orders (/api/orders/:id/void)
+const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(stableStringify({ url: req.originalUrl, body: req.body ?? {} }))
+    .digest('hex');
+
+/**
+ * @param {string} scope  namespace for keys, e.g. 'authorize', 'settlements' or 'void'
+ */
+export function idempotency(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ code: 'INVALID_IDEMPOTENCY_KEY' });
+    }
+
+    try {
+      const requestHash = hashRequest(req);
+      const reserved = await reserveIdempotencyKey({
+        scope,
+        key,
+        request_hash: requestHash,
+        staleAfterSeconds: reservationTimeoutSeconds(),
+      });
+
+      if (!reserved) {
+        const existing = await getIdempotencyKey(scope, key);
+        if (existing.request_hash !== requestHash) {
+          return res.status(409).json({ code: 'IDEMPOTENCY_KEY_REUSED' });
+        }
+        if (existing.status_code == null) {
+          // first request with this key is still running
+          return res.status(409).json({ code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status_code).json(JSON.parse(existing.response_body));
+      }
+
+      let done = false; // response stored or reservation released
+      const release = () => {
+        if (done) return;
+        done = true;
+        releaseIdempotencyKey(scope, key).catch((err) =>
+          logger.error('Failed to release idempotency key', { err })
+        );
+      };
+
+      // capture the route's response so it can be replayed later
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        const status = res.statusCode;
+        if (!done) {
+          done = true;
+          // server-side failures are not cached so the client can retry with the same key
+          const store = status >= 500
+            ? releaseIdempotencyKey(scope, key)
+            : saveIdempotentResponse({ scope, key, status_code: status, response_body: body });
+          store.catch((err) => logger.error('Failed to store idempotent response', { err }));
+        }
+        return originalJson(body);
+      };
+
+      // Responded without res.json (res.send / res.end, error handler): nothing
+      // to replay, so free the key. If the client went away before a response,
+      // the handler may still be running (e.g. waiting on the provider) and will
+      // store its result; if it never does, the reservation times out instead.
+      res.on('close', () => {
+        if (res.writableEnded) release();
+      });
+
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
@@ -0,0 +1,99 @@
+// --------------------------------------------------------------------
+// src/middleware/rate-limit.js
+// Express middleware limiting how often a route can be called, counted
+// in fixed windows in SQLite (rate_limit_counters) so limits hold across
+// restarts. Each request is counted against every scope that applies:
+//   ip      → req.ip
+//   api_key → the X-API-Key client (see middleware/auth.js)
+//   card    → fingerprint of the card number in the body (never the PAN)
+// Over any limit → 429 { code: 'RATE_LIMITED', scope, retryAfter } with a
+// Retry-After header, and a row in throttle_events for review.
+// Mount after requireRole (needs req.user) and before idempotency (so a
+// 429 isn't stored as the key's response).
+// --------------------------------------------------------------------
+import { cardFingerprint } from '../shared/card-fingerprint.js';
+import { hitRateLimit, recordThrottleEvent } from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+const envNumber = (name, fallback) => {
+  const raw = process.env[name];
+  const n = Number(raw);
+  return raw !== undefined && raw !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+// max = 0 turns a scope off
+export const rateLimitConfig = () => ({
+  ip: {
+    max: envNumber('RATE_LIMIT_IP_MAX', 30),
+    windowSeconds: envNumber('RATE_LIMIT_IP_WINDOW_SECONDS', 60) || 60,
+  },
+  api_key: {
+    max: envNumber('RATE_LIMIT_API_KEY_MAX', 120),
+    windowSeconds: envNumber('RATE_LIMIT_API_KEY_WINDOW_SECONDS', 60) || 60,
+  },
+  card: {
+    max: envNumber('RATE_LIMIT_CARD_MAX', 5),
+    windowSeconds: envNumber('RATE_LIMIT_CARD_WINDOW_SECONDS', 600) || 600,
+  },
+});
+
+// same places the authorize route looks for the card number
+const cardNumberFrom = (b = {}) => {
+  const pan = b.card?.number ?? b.cardNumber ?? (typeof b.card === 'string' ? b.card : '');
+  return String(pan ?? '');
+};
+
+const subjectsFor = (req) => ({
+  ip: req.ip || null,
+  api_key: req.user?.via === 'api_key' ? `key:${req.user.keyId}` : null,
+  card: cardFingerprint(cardNumberFrom(req.body ?? {})),
+});
+
+/**
+ * @param {string} route name the counters and throttle events are kept under, e.g. 'authorize'
+ */
+export function rateLimit(route) {
+  return async (req, res, next) => {
+    try {
+      const config = rateLimitConfig();
+      const subjects = subjectsFor(req);
+      const now = Math.floor(Date.now() / 1000);
+
+      let blocked = null;
+      for (const [scope, { max, windowSeconds }] of Object.entries(config)) {
+        const subject = subjects[scope];
+        if (!max || !subject) continue;
+
+        const { count, resets_at } = await hitRateLimit(`${route}:${scope}:${subject}`, windowSeconds);
+        if (count > max) {
+          const retryAfter = Math.max(1, resets_at - now);
+          // report the scope that keeps the caller out the longest
+          if (!blocked || retryAfter > blocked.retryAfter) {
+            blocked = { scope, subject, max, windowSeconds, retryAfter };
+          }
+        }
+      }
+      if (!blocked) return next();
+
+      await recordThrottleEvent({
+        route,
+        scope: blocked.scope,
+        subject: blocked.subject,
+        limit_max: blocked.max,
+        window_seconds: blocked.windowSeconds,
+        retry_after: blocked.retryAfter,
+      });
+      logger.warn('Rate limited', {
+        route,
+        scope: blocked.scope,
+        subject: blocked.subject,
+        retryAfter: blocked.retryAfter,
+      });
+
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({ code: 'RATE_LIMITED', scope: blocked.scope, retryAfter: blocked.retryAfter });
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
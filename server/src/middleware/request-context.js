@@ -0,0 +1,35 @@
+// --------------------------------------------------------------------
+// src/middleware/request-context.js
+// Per-request context (request ID, actor, source IP) carried through
+// async calls with AsyncLocalStorage, so the DB layer can stamp audit
+// events without every route passing these values down.
+// Work outside a request (background sweeps) reports actor "system".
+// --------------------------------------------------------------------
+import crypto from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+const SYSTEM_CONTEXT = Object.freeze({ requestId: null, actor: 'system', ip: null });
+
+// accept a caller-supplied id if it looks sane, otherwise mint one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+export function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', requestId);
+
+    const ctx = {
+      requestId,
+      // who is acting; middleware/auth.js swaps in the authenticated user
+      actor: 'anonymous',
+      ip: req.ip ?? null,
+    };
+    req.context = ctx;
+    storage.run(ctx, next);
+  };
+}
+
+export const getRequestContext = () => storage.getStore() ?? SYSTEM_CONTEXT;
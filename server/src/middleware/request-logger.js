@@ -0,0 +1,37 @@
+// --------------------------------------------------------------------
+// src/middleware/request-logger.js
+// Logs one structured line per finished request (method, path, status,
+// duration). Mount after requestContext() so the line carries the request
+// ID; the query string is logged without access_token.
+// --------------------------------------------------------------------
+import { logger } from '../shared/logger.js';
+import { getRequestContext } from './request-context.js';
+
+const loggablePath = (req) => {
+  const url = new URL(req.originalUrl, 'http://local');
+  url.searchParams.delete('access_token');
+  return `${url.pathname}${url.search}`;
+};
+
+export function requestLogger() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    // 'finish' fires outside the request's async context, so keep a handle on it
+    // (the same object, so the actor set later by auth is picked up)
+    const ctx = getRequestContext();
+
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger[level]('request completed', {
+        requestId: ctx.requestId,
+        actor: ctx.actor,
+        method: req.method,
+        path: loggablePath(req),
+        status: res.statusCode,
+        durationMs: Number((Number(process.hrtime.bigint() - started) / 1e6).toFixed(1)),
+        ip: ctx.ip,
+      });
+    });
+    next();
+  };
+}
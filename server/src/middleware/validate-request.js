@@ -0,0 +1,114 @@
+// --------------------------------------------------------------------
+// src/middleware/validate-request.js
+// Checks each request against the OpenAPI document before it reaches a
+// router: path and query parameters (coerced from strings) and the JSON
+// body (bodies in other media types, e.g. text/csv, are left to the route).
+// Failures get 400 { code: 'BAD_REQUEST', errors: [{ in, path, message }] }.
+// Routes the document doesn't describe pass through untouched. Headers
+// are left to the routes, which answer with their own codes (401
+// INVALID_SIGNATURE, 400 INVALID_IDEMPOTENCY_KEY, ...).
+// --------------------------------------------------------------------
+import { validateSchema, resolveRef } from '../openapi/validate.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// '/api/orders/{id}/void' → /^\/api\/orders\/([^/]+)\/void$/ with names ['id']
+function compilePath(template) {
+  const names = [];
+  const pattern = template
+    .split('/')
+    .map((segment) => {
+      const m = /^\{(\w+)\}$/.exec(segment);
+      if (!m) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(m[1]);
+      return '([^/]+)';
+    })
+    .join('/');
+  return { regex: new RegExp(`^${pattern}$`), names };
+}
+
+// query / path values arrive as strings
+function coerce(value, schema) {
+  const types = [schema?.type].flat();
+  if (typeof value !== 'string') return value;
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return Number(value);
+  if (types.includes('number') && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+/**
+ * @param {object} spec OpenAPI document (src/openapi/spec.js)
+ */
+export function validateRequest(spec) {
+  const param = (p) => (p.$ref ? resolveRef(spec, p.$ref) : p);
+
+  // literal paths before templated ones, so /api/orders/next isn't taken as /api/orders/{id}
+  const routes = Object.entries(spec.paths)
+    .flatMap(([template, item]) =>
+      METHODS.filter((m) => item[m]).map((method) => ({
+        method: method.toUpperCase(),
+        ...compilePath(template),
+        parameters: [...(item.parameters ?? []), ...(item[method].parameters ?? [])].map(param),
+        requestBody: item[method].requestBody,
+      }))
+    )
+    .sort((a, b) => a.names.length - b.names.length);
+
+  return (req, res, next) => {
+    const path = req.path.replace(/(.)\/$/, '$1');
+    let pathValues;
+    const route = routes.find((r) => {
+      if (r.method !== req.method) return false;
+      pathValues = r.regex.exec(path);
+      return Boolean(pathValues);
+    });
+    if (!route) return next();
+
+    const errors = [];
+    const check = (where, name, schema, value) =>
+      validateSchema(schema, value, { root: spec, path: name }).forEach((issue) =>
+        errors.push({ in: where, ...issue })
+      );
+
+    for (const p of route.parameters) {
+      if (p.in === 'path') {
+        const value = decode(pathValues[route.names.indexOf(p.name) + 1] ?? '');
+        check('path', p.name, p.schema, coerce(value, p.schema));
+      } else if (p.in === 'query') {
+        const value = req.query[p.name];
+        if (value === undefined || value === '') {
+          if (p.required) errors.push({ in: 'query', path: p.name, message: `${p.name} is required` });
+          continue;
+        }
+        check('query', p.name, p.schema, coerce(value, p.schema));
+      }
+    }
+
+    const content = route.requestBody?.content ?? {};
+    const bodySchema = content['application/json']?.schema;
+    const otherTypes = Object.keys(content).filter((t) => t !== 'application/json');
+    const otherMediaType = req.body === undefined && otherTypes.length > 0 && req.is(otherTypes);
+    if (bodySchema && !otherMediaType) {
+      // express.json leaves req.body undefined when nothing was sent
+      if (req.body === undefined) {
+        if (route.requestBody.required) errors.push({ in: 'body', path: 'body', message: 'body is required' });
+      } else {
+        check('body', 'body', bodySchema, req.body);
+      }
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ code: 'BAD_REQUEST', errors });
+    }
+    return next();
+  };
+}
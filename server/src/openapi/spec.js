@@ -0,0 +1,1286 @@
+// --------------------------------------------------------------------
+// src/openapi/spec.js
+// OpenAPI 3.1 description of the API, served at /openapi.json (UI at /docs)
+// and used by middleware/validate-request.js to check incoming requests.
+// Keep it in step with the routes: a new route, field or error code
+// belongs here in the same change.
+//
+// Request schemas describe shapes (types, required fields, enums), not
+// business rules: e.g. amount <= 0 is left to the route so clients keep
+// getting 422 INVALID_AMOUNT rather than a generic 400.
+// The bundled /mock-provider routes are a dev tool and not described.
+// --------------------------------------------------------------------
+import {
+  ORDER_STATUS,
+  AUTH_OUTCOME,
+  SETTLEMENT_OUTCOME,
+  VOID_OUTCOME,
+  REFUND_OUTCOME,
+  WEBHOOK_EVENT,
+  ROLE,
+  SETTLEMENT_BATCH_STATUS,
+  CAPTURE_STATUS,
+  RECONCILIATION_RESULT,
+} from '../shared/constants.js';
+import { FIELD_ERROR } from '../shared/card-validation.js';
+
+// --- helpers ---
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+const ok = (description, schema) => ({ description, content: json(schema) });
+
+// error body: { code, ...details }; `codes` are the values this response can carry
+const error = (description, codes, extra = {}) => ({
+  description: `${description}: ${codes.map((c) => `\`${c}\``).join(', ')}`,
+  content: json({
+    type: 'object',
+    required: ['code'],
+    properties: { code: { type: 'string', enum: codes }, ...extra },
+  }),
+});
+
+const SERVER_ERROR = error('Unexpected server error', ['SERVER_ERROR']);
+const UNAUTHENTICATED = error('Missing, invalid or expired credentials', ['UNAUTHENTICATED']);
+const FORBIDDEN = error("The caller's role may not use this route", ['FORBIDDEN'], {
+  role: { type: 'string', enum: Object.values(ROLE) },
+});
+const ORDER_NOT_FOUND = error('No such order', ['ORDER_NOT_FOUND']);
+const PROVIDER_UNAVAILABLE = error('Provider circuit breaker is open', ['PROVIDER_UNAVAILABLE'], {
+  retryAt: { type: ['string', 'null'], format: 'date-time' },
+});
+const BATCH_NOT_FOUND = error('No such settlement batch', ['BATCH_NOT_FOUND']);
+const INVALID_BATCH_STATE = (codes) =>
+  error('Batch is not in a state that allows this', codes, {
+    batchId: { type: 'integer' },
+    status: { type: 'string', enum: Object.values(SETTLEMENT_BATCH_STATUS) },
+  });
+const INVALID_STATE_TRANSITION = {
+  orderId: { type: 'string' },
+  from: { type: 'string', enum: Object.values(ORDER_STATUS) },
+  to: { type: 'string', enum: Object.values(ORDER_STATUS) },
+};
+const validationIssues = { errors: { type: 'array', items: ref('ValidationIssue') } };
+const BAD_REQUEST = error('Request failed validation (see errors)', ['BAD_REQUEST'], validationIssues);
+const BAD_REQUEST_OR_KEY = error(
+  'Request failed validation, or the Idempotency-Key is empty / too long',
+  ['BAD_REQUEST', 'INVALID_IDEMPOTENCY_KEY'],
+  validationIssues
+);
+
+// responses every authenticated route can give (a route's own entries win)
+const authed = (responses) => ({
+  401: UNAUTHENTICATED,
+  403: FORBIDDEN,
+  500: SERVER_ERROR,
+  ...responses,
+});
+
+const idempotencyKeyHeader = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Replays with the same key and body return the original response (header Idempotent-Replayed: true)',
+  schema: { type: 'string', description: '1-255 characters' },
+};
+const orderIdPath = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+const batchIdPath = { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } };
+const runIdPath = { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } };
+const dateQuery = (name, description) => query(name, { type: 'string', format: 'date' }, description);
+const limitQuery = (max, dflt) => ({
+  name: 'limit',
+  in: 'query',
+  description: `Clamped to 1-${max}`,
+  schema: { type: 'integer', default: dflt },
+});
+const query = (name, schema, description) => ({ name, in: 'query', schema, ...(description ? { description } : {}) });
+
+const money = { type: 'number', description: 'Dollars, at most two decimals' };
+const moneyOrString = { type: ['number', 'string'], description: 'Dollars, at most two decimals' };
+const sqlTime = { type: 'string', description: "SQLite datetime, UTC ('YYYY-MM-DD HH:MM:SS')" };
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'].flat() });
+
+const SESSION = [{ bearerAuth: [] }, { apiKey: [] }];
+
+export const openapiSpec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Payments Capstone API',
+    version: '1.0.0',
+    description:
+      'Authorize card payments, settle / void / refund them from the warehouse, and review orders. ' +
+      'Errors are JSON `{ "code": "SOME_CODE", ... }`; every response carries an `X-Request-Id` header.',
+  },
+  servers: [{ url: '/' }],
+  security: SESSION,
+  tags: [
+    { name: 'Auth' },
+    { name: 'Checkout' },
+    { name: 'Warehouse' },
+    { name: 'Settlement batches' },
+    { name: 'Reconciliation' },
+    { name: 'Orders' },
+    { name: 'Audit' },
+    { name: 'Reports' },
+    { name: 'Webhooks' },
+    { name: 'Operations' },
+  ],
+  paths: {
+    '/health': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Liveness and provider circuit breaker state',
+        security: [],
+        responses: { 200: ok('Service is up', { type: 'object' }) },
+      },
+    },
+    '/metrics': {
+      get: {
+        tags: ['Operations'],
+        summary: 'Prometheus metrics',
+        description: 'Open unless METRICS_TOKEN is set.',
+        security: [{}, { metricsToken: [] }],
+        responses: {
+          200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+          401: UNAUTHENTICATED,
+        },
+      },
+    },
+
+    // --- auth ---
+    '/api/auth/login': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Exchange a username and password for a session token',
+        security: [],
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['username', 'password'],
+            properties: { username: { type: 'string', minLength: 1 }, password: { type: 'string', minLength: 1 } },
+          }),
+        },
+        responses: {
+          200: ok('Signed in', ref('Session')),
+          400: BAD_REQUEST,
+          401: error('Unknown user, wrong password or disabled account', ['INVALID_CREDENTIALS']),
+          500: SERVER_ERROR,
+        },
+      },
+    },
+    '/api/auth/me': {
+      get: {
+        tags: ['Auth'],
+        summary: 'Who the presented credentials belong to',
+        responses: { 200: ok('Caller', ref('User')), 401: UNAUTHENTICATED },
+      },
+    },
+
+    // --- checkout ---
+    '/api/orders/next': {
+      get: {
+        tags: ['Checkout'],
+        summary: 'Next order ID and a random amount for the checkout form',
+        description: 'Role: checkout.',
+        responses: authed({
+          200: ok('Next order', {
+            type: 'object',
+            properties: { orderId: { type: 'string' }, amount: money },
+          }),
+          500: error('Could not generate an order', ['FAILED_TO_GENERATE_NEXT_ORDER']),
+        }),
+      },
+    },
+    '/api/authorize': {
+      post: {
+        tags: ['Checkout'],
+        summary: 'Authorize a card payment',
+        description:
+          'Role: checkout. Creates the order if it does not exist. Send either the canonical shape ' +
+          '(`orderId`, `requestedAmount`, `card{}`, `customer{}`) or the flat aliases the checkout form uses. ' +
+          'Rate limited per IP, API key and card.',
+        parameters: [idempotencyKeyHeader],
+        requestBody: { required: true, content: json(ref('AuthorizeRequest')) },
+        responses: authed({
+          200: ok('Approved', ref('AuthorizeResponse')),
+          202: ok('Provider will confirm later via webhook (order is PENDING_PROVIDER)', ref('AuthorizeResponse')),
+          400: BAD_REQUEST_OR_KEY,
+          402: error('Declined', ['INSUFFICIENT_FUNDS'], { orderId: { type: 'string' }, status: { const: 'DECLINED' } }),
+          409: error('Order is already authorized or cannot be authorized now, or idempotency conflict', [
+            'ORDER_ALREADY_AUTHORIZED',
+            'INVALID_STATE_TRANSITION',
+            'IDEMPOTENCY_KEY_REUSED',
+            'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          ], { ...INVALID_STATE_TRANSITION, status: { type: 'string', enum: Object.values(ORDER_STATUS) } }),
+          422: error('Invalid amount or card fields, or declined for incorrect details', [
+            'INVALID_AMOUNT',
+            'VALIDATION_FAILED',
+            'INCORRECT_DETAILS',
+          ], {
+            orderId: { type: 'string' },
+            fields: {
+              type: 'object',
+              description: 'VALIDATION_FAILED: field → reason',
+              propertyNames: { enum: ['card.number', 'card.expiry', 'card.cvv', 'customer.zip'] },
+              additionalProperties: { type: 'string', enum: Object.values(FIELD_ERROR) },
+            },
+          }),
+          429: {
+            ...error('Too many attempts', ['RATE_LIMITED'], {
+              scope: { type: 'string', enum: ['ip', 'api_key', 'card'] },
+              retryAfter: { type: 'integer', description: 'Seconds' },
+            }),
+            headers: { 'Retry-After': { schema: { type: 'integer' } } },
+          },
+          502: error('Provider error', ['PROVIDER_ERROR']),
+          503: PROVIDER_UNAVAILABLE,
+        }),
+      },
+    },
+
+    // --- warehouse ---
+    '/api/settlements': {
+      post: {
+        tags: ['Warehouse'],
+        summary: 'Settle (capture) part or all of an authorized amount',
+        description:
+          'Role: warehouse. The settlement joins the open batch with capture status PENDING; the order stays ' +
+          'AUTHORIZED and becomes SETTLED when the batch submit captures its last settlement.',
+        parameters: [idempotencyKeyHeader],
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['orderId', 'amount'],
+            properties: { orderId: { type: 'string', minLength: 1 }, amount: moneyOrString },
+          }),
+        },
+        responses: authed({
+          200: ok('Settled', {
+            type: 'object',
+            properties: {
+              orderId: { type: 'string' },
+              status: { type: 'string', enum: [ORDER_STATUS.AUTHORIZED, ORDER_STATUS.SETTLED] },
+              availableToSettle: money,
+              settlement: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  amount: money,
+                  createdAt: sqlTime,
+                  batchId: { type: 'integer', description: 'Settlement batch it was added to' },
+                  captureStatus: { type: 'string', enum: Object.values(CAPTURE_STATUS) },
+                },
+              },
+            },
+          }),
+          400: BAD_REQUEST_OR_KEY,
+          404: ORDER_NOT_FOUND,
+          409: error('Order cannot be settled', [
+            'ORDER_VOIDED',
+            'NO_APPROVED_AUTH',
+            'AUTH_EXPIRED',
+            'VOID_IN_PROGRESS',
+            'INVALID_STATE_TRANSITION',
+            'IDEMPOTENCY_KEY_REUSED',
+            'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          ], { ...INVALID_STATE_TRANSITION, expiresAt: sqlTime }),
+          422: error('Invalid amount', ['INVALID_AMOUNT', 'INVALID_AMOUNT_PRECISION', 'AMOUNT_EXCEEDS_AVAILABLE'], {
+            availableToSettle: money,
+          }),
+        }),
+      },
+    },
+    '/api/settlements/batch': {
+      post: {
+        tags: ['Warehouse'],
+        summary: 'Settle many orders at once (JSON rows or a CSV upload)',
+        description:
+          'Role: warehouse. Each row goes through the same rules as `POST /api/settlements`, in order; ' +
+          'a failing row does not stop the rest. CSV: `orderId,amount` lines, header optional, extra ' +
+          'columns ignored. At most 500 rows.',
+        parameters: [idempotencyKeyHeader],
+        requestBody: {
+          required: true,
+          content: {
+            ...json({
+              type: 'object',
+              required: ['rows'],
+              properties: {
+                rows: {
+                  type: 'array',
+                  minItems: 1,
+                  items: {
+                    type: 'object',
+                    description: 'Rows missing a field are reported as BAD_REQUEST in the results',
+                    properties: { orderId: { type: 'string' }, amount: moneyOrString },
+                  },
+                },
+              },
+            }),
+            'text/csv': { schema: { type: 'string' }, example: 'orderId,amount\nORD-1001,25.00\nORD-1002,40' },
+          },
+        },
+        responses: authed({
+          200: ok('Per-row report', ref('SettlementBatchReport')),
+          400: BAD_REQUEST_OR_KEY,
+          409: error('Idempotency-Key conflict', ['IDEMPOTENCY_KEY_REUSED', 'IDEMPOTENCY_REQUEST_IN_PROGRESS']),
+          422: error('More rows than allowed', ['BATCH_TOO_LARGE'], { maxRows: { type: 'integer' } }),
+        }),
+      },
+    },
+
+    // --- settlement batches (warehouse) ---
+    '/api/settlement-batches': {
+      get: {
+        tags: ['Settlement batches'],
+        summary: 'List settlement batches with their totals',
+        description: 'Role: warehouse. Newest first.',
+        parameters: [
+          query('status', {
+            type: 'string',
+            enum: Object.values(SETTLEMENT_BATCH_STATUS).flatMap((s) => [s, s.toLowerCase()]),
+          }),
+          limitQuery(200, 50),
+        ],
+        responses: authed({
+          200: ok('Batches', { type: 'array', items: ref('SettlementBatch') }),
+          400: BAD_REQUEST,
+        }),
+      },
+      post: {
+        tags: ['Settlement batches'],
+        summary: 'Open a batch for new settlements',
+        description:
+          'Role: warehouse. Only one batch is open at a time; the first settlement after a close ' +
+          'opens one automatically, so this is only needed to start the day explicitly.',
+        responses: authed({
+          201: ok('Opened', ref('SettlementBatchDetails')),
+          409: error('A batch is already open', ['BATCH_ALREADY_OPEN'], { batchId: { type: 'integer' } }),
+        }),
+      },
+    },
+    '/api/settlement-batches/{id}': {
+      parameters: [batchIdPath],
+      get: {
+        tags: ['Settlement batches'],
+        summary: 'Batch report: status, totals and every settlement with its capture result',
+        description: 'Role: warehouse.',
+        responses: authed({
+          200: ok('Batch', ref('SettlementBatchDetails')),
+          400: BAD_REQUEST,
+          404: BATCH_NOT_FOUND,
+        }),
+      },
+    },
+    '/api/settlement-batches/{id}/close': {
+      parameters: [batchIdPath],
+      post: {
+        tags: ['Settlement batches'],
+        summary: 'Close the open batch',
+        description: 'Role: warehouse. OPEN → CLOSED; settlements recorded afterwards go to a new batch.',
+        responses: authed({
+          200: ok('Closed', ref('SettlementBatchDetails')),
+          400: BAD_REQUEST,
+          404: BATCH_NOT_FOUND,
+          409: INVALID_BATCH_STATE(['INVALID_BATCH_STATE', 'BATCH_EMPTY']),
+        }),
+      },
+    },
+    '/api/settlement-batches/{id}/submit': {
+      parameters: [batchIdPath],
+      post: {
+        tags: ['Settlement batches'],
+        summary: 'Submit a closed batch, capturing each settlement with the provider',
+        description:
+          'Role: warehouse. CLOSED → SUBMITTED, or SUBMITTED_WITH_ERRORS when any capture failed. ' +
+          'Submitting a SUBMITTED_WITH_ERRORS batch again retries only the settlements not yet captured.',
+        responses: authed({
+          200: ok('Submitted; see the per-settlement capture results', ref('SettlementBatchDetails')),
+          400: BAD_REQUEST,
+          404: BATCH_NOT_FOUND,
+          409: INVALID_BATCH_STATE(['INVALID_BATCH_STATE']),
+        }),
+      },
+    },
+
+    // --- reconciliation (warehouse) ---
+    '/api/reconciliations': {
+      get: {
+        tags: ['Reconciliation'],
+        summary: 'List reconciliation runs with their counts',
+        description: 'Role: warehouse. Newest first.',
+        parameters: [limitQuery(200, 50)],
+        responses: authed({
+          200: ok('Runs', { type: 'array', items: ref('ReconciliationRun') }),
+          400: BAD_REQUEST,
+        }),
+      },
+      post: {
+        tags: ['Reconciliation'],
+        summary: 'Import a provider settlement report and reconcile it',
+        description:
+          'Role: warehouse. The body is the report file as-is. Lines are matched to orders by provider ' +
+          'token (falling back to order id), summed per order and compared with our captured settlements. ' +
+          'Orders captured within the period but absent from the report are MISSING. Recognised columns / ' +
+          'properties: providerToken (token, reference, transactionId), orderId (order, merchantReference), ' +
+          'amount (capturedAmount, settledAmount), date (settledAt, settlementDate, capturedAt, createdAt).',
+        parameters: [
+          query('fileName', { type: 'string' }, 'Stored with the run'),
+          dateQuery('from', 'Period start (inclusive); defaults to the earliest date in the report'),
+          dateQuery('to', 'Period end (inclusive); defaults to the latest date in the report'),
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            ...json({
+              anyOf: [
+                { type: 'array', items: { type: 'object' } },
+                {
+                  type: 'object',
+                  description: 'Lines under lines, transactions or settlements',
+                  properties: { lines: { type: 'array', items: { type: 'object' } } },
+                },
+              ],
+            }),
+            'text/csv': {
+              schema: { type: 'string' },
+              example: 'provider_token,order_id,amount,settled_at\ntok_123,ORD-1001,25.00,2025-11-03',
+            },
+          },
+        },
+        responses: authed({
+          201: ok('Run stored', ref('ReconciliationRunDetails')),
+          400: BAD_REQUEST,
+          422: error('Report could not be reconciled', ['INVALID_REPORT', 'PERIOD_REQUIRED', 'INVALID_PERIOD'], {
+            errors: {
+              type: 'array',
+              description: 'INVALID_REPORT only (first 20); line 0 is the file as a whole',
+              items: { type: 'object', properties: { line: { type: 'integer' }, message: { type: 'string' } } },
+            },
+          }),
+        }),
+      },
+    },
+    '/api/reconciliations/{id}': {
+      parameters: [runIdPath],
+      get: {
+        tags: ['Reconciliation'],
+        summary: 'A reconciliation run and its per-order results',
+        description: 'Role: warehouse.',
+        parameters: [
+          query('result', {
+            type: 'string',
+            enum: Object.values(RECONCILIATION_RESULT).flatMap((r) => [r, r.toLowerCase()]),
+          }),
+        ],
+        responses: authed({
+          200: ok('Run', ref('ReconciliationRunDetails')),
+          400: BAD_REQUEST,
+          404: error('No such run', ['RECONCILIATION_NOT_FOUND']),
+        }),
+      },
+    },
+
+    '/api/orders/{id}/void': {
+      post: {
+        tags: ['Warehouse'],
+        summary: 'Release an authorization hold',
+        description:
+          'Role: warehouse. Voids the whole authorization (order → VOIDED), or with `remainingOnly` ' +
+          'the unsettled remainder of a partially settled order (order → SETTLED, or stays AUTHORIZED until its ' +
+          'settlements are captured). The void is reserved before the provider is called, so a concurrent void or ' +
+          'settlement gets 409.',
+        parameters: [orderIdPath, idempotencyKeyHeader],
+        requestBody: {
+          required: false,
+          content: json({ type: 'object', properties: { remainingOnly: { type: 'boolean', default: false } } }),
+        },
+        responses: authed({
+          200: ok('Voided', {
+            type: 'object',
+            properties: {
+              orderId: { type: 'string' },
+              status: { type: 'string', enum: [ORDER_STATUS.VOIDED, ORDER_STATUS.SETTLED, ORDER_STATUS.AUTHORIZED] },
+              availableToSettle: { const: 0 },
+              void: { type: 'object', properties: { id: { type: 'integer' }, amount: money, createdAt: sqlTime } },
+            },
+          }),
+          400: BAD_REQUEST_OR_KEY,
+          404: ORDER_NOT_FOUND,
+          409: error('Order cannot be voided', [
+            'ORDER_NOT_VOIDABLE',
+            'NO_APPROVED_AUTH',
+            'ORDER_HAS_SETTLEMENTS',
+            'NOTHING_TO_VOID',
+            'VOID_IN_PROGRESS',
+            'ORDER_CHANGED',
+            'INVALID_STATE_TRANSITION',
+            'IDEMPOTENCY_KEY_REUSED',
+            'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          ], { status: { type: 'string' }, settled: money }),
+          502: error('Provider error', ['PROVIDER_ERROR']),
+          503: PROVIDER_UNAVAILABLE,
+        }),
+      },
+    },
+    '/api/refunds': {
+      post: {
+        tags: ['Warehouse'],
+        summary: 'Refund part or all of the settled total',
+        description: 'Role: warehouse. Omit amount to refund everything still refundable.',
+        parameters: [idempotencyKeyHeader],
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['orderId'],
+            properties: {
+              orderId: { type: 'string', minLength: 1 },
+              amount: nullable(moneyOrString),
+              reason: { type: ['string', 'null'], maxLength: 500 },
+            },
+          }),
+        },
+        responses: authed({
+          200: ok('Refunded', {
+            type: 'object',
+            properties: {
+              orderId: { type: 'string' },
+              status: { type: 'string', enum: [ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED] },
+              availableToRefund: money,
+              refund: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  amount: money,
+                  reason: { type: ['string', 'null'] },
+                  createdAt: sqlTime,
+                },
+              },
+            },
+          }),
+          400: BAD_REQUEST_OR_KEY,
+          404: ORDER_NOT_FOUND,
+          409: error('Order cannot be refunded', [
+            'ORDER_NOT_REFUNDABLE',
+            'INVALID_STATE_TRANSITION',
+            'IDEMPOTENCY_KEY_REUSED',
+            'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          ], { status: { type: 'string' } }),
+          422: error('Invalid amount', ['INVALID_AMOUNT', 'INVALID_AMOUNT_PRECISION', 'AMOUNT_EXCEEDS_REFUNDABLE'], {
+            availableToRefund: money,
+          }),
+          502: error('Provider error', ['PROVIDER_ERROR']),
+          503: PROVIDER_UNAVAILABLE,
+        }),
+      },
+    },
+
+    // --- orders (warehouse, viewer) ---
+    '/api/orders': {
+      get: {
+        tags: ['Orders'],
+        summary: 'Filtered, sorted page of orders',
+        description:
+          'Roles: warehouse, viewer. Keyset-paginated: pass `nextCursor` back as `cursor`, with the same ' +
+          '`sort` and `dir`, for the next page.',
+        parameters: [
+          query('status', { type: 'string' }, 'Comma-separated order statuses (case-insensitive)'),
+          query('q', { type: 'string' }, 'Matches order ID, customer name or status'),
+          query('from', { type: 'string' }, 'Date or date-time (inclusive)'),
+          query('to', { type: 'string' }, 'Date or date-time (inclusive; a date covers the whole day)'),
+          query('sort', { type: 'string', enum: ['created_at', 'amount', 'customer_name', 'status', 'order_id'] }),
+          query('dir', { type: 'string', enum: ['asc', 'desc'] }),
+          limitQuery(500, 50),
+          query('cursor', { type: 'string' }, 'nextCursor from the previous page'),
+        ],
+        responses: authed({
+          200: ok('Orders', ref('OrderPage')),
+          400: error('Bad date or a cursor issued for another sort', ['BAD_REQUEST', 'INVALID_CURSOR'], validationIssues),
+        }),
+      },
+    },
+    '/api/orders/{id}': {
+      get: {
+        tags: ['Orders'],
+        summary: 'Order with its authorization, settlements, voids, refunds and status history',
+        description: 'Roles: warehouse, viewer.',
+        parameters: [orderIdPath],
+        responses: authed({
+          200: ok('Order details', ref('OrderDetails')),
+          404: ORDER_NOT_FOUND,
+        }),
+      },
+    },
+    '/api/orders/{id}/authorizations': {
+      get: {
+        tags: ['Orders'],
+        summary: 'Every authorization attempt for the order, newest first',
+        description: 'Roles: warehouse, viewer.',
+        parameters: [orderIdPath],
+        responses: authed({
+          200: ok('Attempts', { type: 'array', items: ref('Authorization') }),
+          404: ORDER_NOT_FOUND,
+        }),
+      },
+    },
+    '/api/events': {
+      get: {
+        tags: ['Orders'],
+        summary: 'Live order updates (Server-Sent Events)',
+        description:
+          'Roles: warehouse, viewer. Events: `order.created`, `order.status_changed`, `settlement.created`. ' +
+          'EventSource clients authenticate with `?access_token=`; reconnects send Last-Event-ID and get what ' +
+          'they missed, or a `resync` event (reload everything) when that is no longer buffered or the ' +
+          'server has restarted.',
+        security: [{ bearerAuth: [] }, { apiKey: [] }, { accessToken: [] }],
+        parameters: [
+          query('orderId', { type: 'string' }, 'Only this order'),
+          { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } },
+        ],
+        responses: authed({
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        }),
+      },
+    },
+
+    // --- audit ---
+    '/api/reports/summary': {
+      get: {
+        tags: ['Reports'],
+        summary: 'Authorized / settled / outstanding totals, approval rate and aging, per day or week',
+        description:
+          'Roles: warehouse, viewer. Dates are UTC days, inclusive; defaults to the last 30 days by day. ' +
+          'Weeks start on Monday (period = that Monday); the first and last week only count days inside ' +
+          'the range. Authorizations count on their attempt date, settlements on theirs, outstanding ' +
+          'amounts on the date the still-open authorization was approved. At most 731 days.',
+        parameters: [
+          dateQuery('from', 'Defaults to 29 days before to'),
+          dateQuery('to', 'Defaults to today'),
+          query('groupBy', { type: 'string', enum: ['day', 'week'], default: 'day' }),
+        ],
+        responses: authed({
+          200: ok('Summary', ref('ReportSummary')),
+          400: error('Invalid dates or grouping, or range too large', ['BAD_REQUEST', 'RANGE_TOO_LARGE'], {
+            maxDays: { type: 'integer' },
+          }),
+        }),
+      },
+    },
+    '/api/audit': {
+      get: {
+        tags: ['Audit'],
+        summary: 'Append-only audit trail, newest first',
+        description: 'Roles: warehouse, viewer.',
+        parameters: [
+          query('orderId', { type: 'string' }),
+          query('eventType', { type: 'string' }),
+          query('actor', { type: 'string' }),
+          query('from', { type: 'string' }, 'Date or date-time'),
+          query('to', { type: 'string' }, 'Date or date-time'),
+          limitQuery(1000, 200),
+        ],
+        responses: authed({
+          200: ok('Audit events', { type: 'array', items: ref('AuditEvent') }),
+          400: BAD_REQUEST,
+        }),
+      },
+    },
+    '/api/throttle-events': {
+      get: {
+        tags: ['Audit'],
+        summary: 'Requests rejected by rate limits, newest first',
+        description: 'Role: admin.',
+        parameters: [
+          query('route', { type: 'string' }),
+          query('scope', { type: 'string', enum: ['ip', 'api_key', 'card'] }),
+          query('subject', { type: 'string' }),
+          query('from', { type: 'string' }, 'Date or date-time'),
+          limitQuery(1000, 200),
+        ],
+        responses: authed({
+          200: ok('Throttle events', { type: 'array', items: ref('ThrottleEvent') }),
+          400: BAD_REQUEST,
+        }),
+      },
+    },
+
+    // --- webhooks ---
+    '/api/webhooks/subscriptions': {
+      post: {
+        tags: ['Webhooks'],
+        summary: 'Subscribe a URL to order events',
+        description: 'Role: admin. The signing secret is only returned here.',
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['url', 'events'],
+            properties: {
+              url: { type: 'string', format: 'uri' },
+              events: { type: 'array', minItems: 1, items: { type: 'string' } },
+              secret: { type: ['string', 'null'], description: 'At least 16 characters; generated when omitted' },
+            },
+          }),
+        },
+        responses: authed({
+          201: ok('Created', ref('WebhookSubscriptionWithSecret')),
+          400: BAD_REQUEST,
+          422: error('Unknown event type or weak secret', ['UNKNOWN_EVENT_TYPE', 'INVALID_SECRET'], {
+            unknown: { type: 'array', items: { type: 'string' } },
+            known: { type: 'array', items: { type: 'string' } },
+          }),
+        }),
+      },
+      get: {
+        tags: ['Webhooks'],
+        summary: 'List subscriptions',
+        description: 'Role: admin.',
+        responses: authed({ 200: ok('Subscriptions', { type: 'array', items: ref('WebhookSubscription') }) }),
+      },
+    },
+    '/api/webhooks/subscriptions/{id}': {
+      delete: {
+        tags: ['Webhooks'],
+        summary: 'Deactivate a subscription (its delivery log is kept)',
+        description: 'Role: admin.',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: authed({
+          200: ok('Deactivated', ref('WebhookSubscription')),
+          404: error('No such subscription', ['SUBSCRIPTION_NOT_FOUND']),
+        }),
+      },
+    },
+    '/api/webhooks/deliveries': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'Delivery log, newest first',
+        description: 'Role: admin.',
+        parameters: [
+          query('status', { type: 'string', enum: ['PENDING', 'DELIVERED', 'FAILED', 'pending', 'delivered', 'failed'] }),
+          query('subscriptionId', { type: 'integer' }),
+          query('eventType', { type: 'string' }),
+          query('orderId', { type: 'string' }),
+          limitQuery(500, 100),
+        ],
+        responses: authed({
+          200: ok('Deliveries', { type: 'array', items: ref('WebhookDelivery') }),
+          400: BAD_REQUEST,
+        }),
+      },
+    },
+    '/api/webhooks/deliveries/{id}/retry': {
+      post: {
+        tags: ['Webhooks'],
+        summary: 'Send a FAILED or PENDING delivery again now',
+        description: 'Role: admin.',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: authed({
+          202: ok('Queued', ref('WebhookDelivery')),
+          404: error('No such delivery', ['DELIVERY_NOT_FOUND']),
+          409: error('Already delivered', ['ALREADY_DELIVERED']),
+        }),
+      },
+    },
+    '/api/webhooks/provider': {
+      post: {
+        tags: ['Webhooks'],
+        summary: 'Asynchronous authorization result from the payment provider',
+        description:
+          'Authenticated by `X-Provider-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">` ' +
+          'signed with PROVIDER_WEBHOOK_SECRET. Duplicates and stale events are acknowledged with 200.',
+        security: [],
+        parameters: [{ name: 'X-Provider-Signature', in: 'header', required: true, schema: { type: 'string' } }],
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            properties: {
+              EventId: { type: 'string' },
+              Token: { type: 'string' },
+              Status: { type: 'string', description: 'Approved, Declined, Failed or Pending' },
+              Reason: { type: ['string', 'null'] },
+            },
+          }),
+        },
+        responses: {
+          200: ok('Acknowledged', {
+            type: 'object',
+            properties: {
+              received: { const: true },
+              duplicate: { type: 'boolean' },
+              orderId: { type: 'string' },
+              result: { type: 'string', enum: ['STILL_PENDING', 'IGNORED_ALREADY_FINAL', 'AUTHORIZED', 'DECLINED'] },
+              status: { type: 'string' },
+            },
+          }),
+          400: BAD_REQUEST,
+          401: error('Bad or missing signature', ['INVALID_SIGNATURE']),
+          404: error('Unknown provider token', ['ORDER_NOT_FOUND']),
+          500: SERVER_ERROR,
+          503: error('PROVIDER_WEBHOOK_SECRET is not set', ['WEBHOOK_NOT_CONFIGURED']),
+        },
+      },
+    },
+  },
+
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from POST /api/auth/login' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      accessToken: { type: 'apiKey', in: 'query', name: 'access_token', description: 'Session token, for EventSource' },
+      metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN' },
+    },
+    schemas: {
+      ValidationIssue: {
+        type: 'object',
+        properties: {
+          in: { type: 'string', enum: ['body', 'query', 'path', 'header'] },
+          path: { type: 'string', example: 'body.amount' },
+          message: { type: 'string' },
+        },
+      },
+      User: {
+        type: 'object',
+        properties: { username: { type: 'string' }, role: { type: 'string', enum: Object.values(ROLE) } },
+      },
+      Session: {
+        type: 'object',
+        properties: { token: { type: 'string' }, expiresAt: { type: 'string', format: 'date-time' }, user: ref('User') },
+      },
+      AuthorizeCard: {
+        type: 'object',
+        properties: {
+          number: { type: ['string', 'number'] },
+          expMonth: { type: ['string', 'number'] },
+          expYear: { type: ['string', 'number'] },
+          cvv: { type: ['string', 'number'] },
+          name: { type: 'string' },
+        },
+      },
+      AuthorizeRequest: {
+        type: 'object',
+        description: 'Canonical fields first; the others are aliases accepted from older clients.',
+        properties: {
+          orderId: { type: 'string' },
+          requestedAmount: money,
+          card: { anyOf: [ref('AuthorizeCard'), { type: 'string', description: 'Card number' }] },
+          customer: {
+            type: 'object',
+            properties: {
+              firstName: { type: 'string' },
+              lastName: { type: 'string' },
+              address: { type: 'string' },
+              zip: { type: 'string' },
+            },
+          },
+          order_id: { type: 'string', description: 'Alias of orderId' },
+          amount: { ...moneyOrString, description: 'Alias of requestedAmount' },
+          cardNumber: { type: ['string', 'number'], description: 'Alias of card.number' },
+          expiry: { type: 'string', description: 'MM/YY or MMYY' },
+          expiryDate: { type: 'string', description: 'Alias of expiry' },
+          cvv: { type: ['string', 'number'], description: 'Alias of card.cvv' },
+          cvc: { type: ['string', 'number'], description: 'Alias of card.cvv' },
+          securityCode: { type: ['string', 'number'], description: 'Alias of card.cvv' },
+          nameOnCard: { type: 'string', description: 'Alias of card.name' },
+          cardName: { type: 'string', description: 'Alias of card.name' },
+          firstName: { type: 'string' },
+          lastName: { type: 'string' },
+          address: { type: 'string' },
+          zip: { type: ['string', 'number'] },
+        },
+      },
+      AuthorizeResponse: {
+        type: 'object',
+        properties: {
+          orderId: { type: 'string' },
+          status: { type: 'string', enum: [ORDER_STATUS.AUTHORIZED, ORDER_STATUS.PENDING_PROVIDER] },
+          authorization: {
+            type: 'object',
+            properties: {
+              token: { type: 'string' },
+              maskedCard: { type: 'string', example: '**** **** **** 1111' },
+              amount: money,
+              providerRef: { type: 'string' },
+            },
+          },
+          provider: {
+            type: 'object',
+            description: 'Provider status and masked body (200 only)',
+            properties: { status: { type: 'integer' }, body: { type: 'object' } },
+          },
+        },
+      },
+      Order: {
+        type: 'object',
+        properties: {
+          order_id: { type: 'string' },
+          status: { type: 'string', enum: Object.values(ORDER_STATUS) },
+          customer_name: { type: ['string', 'null'] },
+          card_last4: { type: ['string', 'null'] },
+          amount: money,
+          created_at: { type: 'string' },
+        },
+      },
+      SettlementBatchReport: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          failed: { type: 'integer' },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              description:
+                'The row as sent plus the fields POST /api/settlements would have answered with ' +
+                '(status, availableToSettle, settlement on success; code and details on failure)',
+              properties: {
+                row: { type: 'integer', description: '1-based, header excluded' },
+                orderId: { type: ['string', 'null'] },
+                amount: { type: ['number', 'string', 'null'] },
+                ok: { type: 'boolean' },
+                httpStatus: { type: 'integer' },
+                status: { type: 'string', enum: [ORDER_STATUS.AUTHORIZED, ORDER_STATUS.SETTLED] },
+                availableToSettle: money,
+                settlement: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'integer' },
+                    amount: money,
+                    createdAt: sqlTime,
+                    batchId: { type: 'integer' },
+                    captureStatus: { type: 'string', enum: Object.values(CAPTURE_STATUS) },
+                  },
+                },
+                code: { type: 'string', description: 'Error code on failure' },
+              },
+            },
+          },
+        },
+      },
+      SettlementBatch: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          status: { type: 'string', enum: Object.values(SETTLEMENT_BATCH_STATUS) },
+          openedAt: sqlTime,
+          openedBy: { type: 'string' },
+          closedAt: nullable(sqlTime),
+          closedBy: { type: ['string', 'null'] },
+          submittedAt: nullable(sqlTime),
+          submittedBy: { type: ['string', 'null'] },
+          settlementCount: { type: 'integer' },
+          totalAmount: money,
+          captured: ref('SettlementBatchTotal'),
+          failed: ref('SettlementBatchTotal'),
+          pending: ref('SettlementBatchTotal'),
+        },
+      },
+      SettlementBatchTotal: {
+        type: 'object',
+        properties: { count: { type: 'integer' }, amount: money },
+      },
+      SettlementBatchDetails: {
+        allOf: [
+          ref('SettlementBatch'),
+          {
+            type: 'object',
+            properties: {
+              settlements: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'integer' },
+                    orderId: { type: 'string' },
+                    amount: money,
+                    createdAt: sqlTime,
+                    captureStatus: { type: 'string', enum: Object.values(CAPTURE_STATUS) },
+                    captureProviderStatus: { type: ['integer', 'null'] },
+                    captureError: { type: ['string', 'null'], example: 'PROVIDER_ERROR' },
+                    capturedAt: nullable(sqlTime),
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+      ReconciliationRun: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          fileName: { type: ['string', 'null'] },
+          periodFrom: { type: 'string', format: 'date' },
+          periodTo: { type: 'string', format: 'date' },
+          lineCount: { type: 'integer' },
+          createdBy: { type: ['string', 'null'] },
+          createdAt: sqlTime,
+          counts: {
+            type: 'object',
+            properties: {
+              matched: { type: 'integer' },
+              amountMismatch: { type: 'integer' },
+              missing: { type: 'integer' },
+              extra: { type: 'integer' },
+            },
+          },
+        },
+      },
+      ReconciliationRunDetails: {
+        allOf: [
+          ref('ReconciliationRun'),
+          {
+            type: 'object',
+            properties: {
+              items: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'integer' },
+                    result: { type: 'string', enum: Object.values(RECONCILIATION_RESULT) },
+                    orderId: { type: ['string', 'null'] },
+                    providerToken: { type: ['string', 'null'] },
+                    expectedAmount: { ...nullable(money), description: 'Our captured total (null for EXTRA)' },
+                    reportedAmount: { ...nullable(money), description: 'Report total (null for MISSING)' },
+                    reportLines: { type: 'array', items: { type: 'integer' } },
+                    settlementIds: { type: 'array', items: { type: 'integer' } },
+                    note: {
+                      type: ['string', 'null'],
+                      enum: ['NOT_CAPTURED', 'UNKNOWN_REFERENCE', null],
+                      description: 'EXTRA only: the order exists but has no capture, or nothing matched at all',
+                    },
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+      ReportMetrics: {
+        type: 'object',
+        properties: {
+          authorizationCount: { type: 'integer', description: 'Authorization attempts' },
+          approvedCount: { type: 'integer' },
+          approvalRate: {
+            type: ['number', 'null'],
+            description: 'SUCCESS / attempts with a final outcome (PENDING excluded), 0-1; null when none',
+          },
+          outcomes: {
+            type: 'object',
+            description: 'Attempts per AUTH_OUTCOME',
+            properties: Object.fromEntries(Object.values(AUTH_OUTCOME).map((o) => [o, { type: 'integer' }])),
+          },
+          authorizedAmount: { ...money, description: 'Sum of approved authorizations' },
+          averageTicket: { ...nullable(money), description: 'Average approved authorization' },
+          settlementCount: { type: 'integer', description: 'Settlements captured in the period' },
+          settledAmount: { ...money, description: 'Captured, by capture date' },
+          outstandingCount: { type: 'integer', description: 'Approved authorizations still open (AUTHORIZED)' },
+          outstandingAmount: { ...money, description: 'What has not been captured or voided on them yet' },
+        },
+      },
+      ReportSummary: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          groupBy: { type: 'string', enum: ['day', 'week'] },
+          totals: ref('ReportMetrics'),
+          periods: {
+            type: 'array',
+            description: 'Every day / week of the range, oldest first (empty ones included)',
+            items: {
+              allOf: [
+                { type: 'object', properties: { period: { type: 'string', format: 'date' } } },
+                ref('ReportMetrics'),
+              ],
+            },
+          },
+          aging: {
+            type: 'array',
+            description: 'Outstanding authorizations of the range by days since approval',
+            items: {
+              type: 'object',
+              properties: {
+                label: { type: 'string', example: '1-3d' },
+                minDays: { type: 'integer' },
+                maxDays: { type: ['integer', 'null'], description: 'Exclusive; null for the last bucket' },
+                count: { type: 'integer' },
+                amount: money,
+                oldestDays: { type: ['number', 'null'] },
+              },
+            },
+          },
+        },
+      },
+      OrderPage: {
+        type: 'object',
+        properties: {
+          data: { type: 'array', items: ref('Order') },
+          total: { type: 'integer', description: 'Orders matching the filters, across all pages' },
+          nextCursor: { type: ['string', 'null'], description: 'null on the last page' },
+        },
+      },
+      Authorization: {
+        type: 'object',
+        properties: {
+          auth_id: { type: 'integer' },
+          order_id: { type: 'string' },
+          provider_token: { type: 'string' },
+          amount: money,
+          outcome: { type: 'string', enum: Object.values(AUTH_OUTCOME) },
+          provider_status: { type: ['integer', 'null'] },
+          provider_response: { type: ['object', 'null'], description: 'Masked provider body' },
+          expires_at: nullable(sqlTime),
+          created_at: sqlTime,
+        },
+      },
+      OrderDetails: {
+        type: 'object',
+        properties: {
+          order: ref('Order'),
+          authorization: { anyOf: [ref('Authorization'), { type: 'null' }] },
+          settlements: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                settlement_id: { type: 'integer' },
+                order_id: { type: 'string' },
+                amount: money,
+                outcome: { type: 'string', enum: Object.values(SETTLEMENT_OUTCOME) },
+                created_at: sqlTime,
+                batch_id: { type: ['integer', 'null'] },
+                capture_status: {
+                  type: ['string', 'null'],
+                  enum: [...Object.values(CAPTURE_STATUS), null],
+                  description: 'null for settlements recorded before batches existed',
+                },
+                capture_provider_status: { type: ['integer', 'null'] },
+                capture_error: { type: ['string', 'null'] },
+                captured_at: nullable(sqlTime),
+              },
+            },
+          },
+          voids: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                void_id: { type: 'integer' },
+                order_id: { type: 'string' },
+                amount: money,
+                outcome: { type: 'string', enum: Object.values(VOID_OUTCOME) },
+                provider_status: { type: ['integer', 'null'] },
+                created_at: sqlTime,
+              },
+            },
+          },
+          refunds: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                refund_id: { type: 'integer' },
+                order_id: { type: 'string' },
+                amount: money,
+                reason: { type: ['string', 'null'] },
+                outcome: { type: 'string', enum: Object.values(REFUND_OUTCOME) },
+                provider_status: { type: ['integer', 'null'] },
+                created_at: sqlTime,
+              },
+            },
+          },
+          availableToSettle: money,
+          availableToRefund: {
+            ...money,
+            description: 'Dollars: captured settlements less refunds, 0 unless the order is SETTLED or PARTIALLY_REFUNDED',
+          },
+          transitions: {
+            type: 'array',
+            description: 'Oldest first',
+            items: {
+              type: 'object',
+              properties: {
+                transition_id: { type: 'integer' },
+                order_id: { type: 'string' },
+                from_status: { type: ['string', 'null'] },
+                to_status: { type: 'string' },
+                reason: { type: ['string', 'null'] },
+                created_at: sqlTime,
+              },
+            },
+          },
+        },
+      },
+      AuditEvent: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          eventType: { type: 'string', example: 'order.status_changed' },
+          orderId: { type: ['string', 'null'] },
+          entityType: { type: 'string' },
+          entityId: { type: ['string', 'null'] },
+          actor: { type: 'string' },
+          sourceIp: { type: ['string', 'null'] },
+          requestId: { type: ['string', 'null'] },
+          before: { type: ['object', 'null'] },
+          after: { type: ['object', 'null'] },
+          createdAt: sqlTime,
+        },
+      },
+      ThrottleEvent: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          route: { type: 'string' },
+          scope: { type: 'string', enum: ['ip', 'api_key', 'card'] },
+          subject: { type: 'string', description: 'IP, key:<id> or card fingerprint' },
+          limit: { type: 'integer' },
+          windowSeconds: { type: 'integer' },
+          retryAfter: { type: 'integer' },
+          actor: { type: ['string', 'null'] },
+          sourceIp: { type: ['string', 'null'] },
+          requestId: { type: ['string', 'null'] },
+          createdAt: sqlTime,
+        },
+      },
+      WebhookSubscription: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          url: { type: 'string' },
+          events: { type: 'array', items: { type: 'string', enum: [...Object.values(WEBHOOK_EVENT), '*'] } },
+          active: { type: 'boolean' },
+          createdAt: sqlTime,
+        },
+      },
+      WebhookSubscriptionWithSecret: {
+        allOf: [ref('WebhookSubscription'), { type: 'object', properties: { secret: { type: 'string' } } }],
+      },
+      WebhookDelivery: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          subscriptionId: { type: 'integer' },
+          eventId: { type: 'string' },
+          eventType: { type: 'string' },
+          orderId: { type: ['string', 'null'] },
+          status: { type: 'string', enum: ['PENDING', 'DELIVERED', 'FAILED'] },
+          attempts: { type: 'integer' },
+          nextAttemptAt: nullable(sqlTime),
+          lastStatusCode: { type: ['integer', 'null'] },
+          lastError: { type: ['string', 'null'] },
+          createdAt: sqlTime,
+          deliveredAt: nullable(sqlTime),
+          payload: { type: 'object' },
+        },
+      },
+    },
+  },
+};
+
+export default openapiSpec;
@@ -0,0 +1,102 @@
+// --------------------------------------------------------------------
+// src/openapi/validate.js
+// Minimal JSON Schema checker for the keywords src/openapi/spec.js uses:
+//   $ref (local), type (string or list), const, enum, required, properties,
+//   additionalProperties, items, minItems, minLength, maxLength, minimum,
+//   maximum, anyOf, allOf
+// Anything else (format, description, example, ...) is ignored. Returns
+// a list of { path, message }; empty means valid.
+// --------------------------------------------------------------------
+
+const typeOf = (v) => {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// '#/components/schemas/Order' → the schema object
+export function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+/**
+ * @param {object} schema
+ * @param {*} value
+ * @param {{ root: object, path?: string }} opts root = the whole spec (for $ref)
+ * @returns {{ path: string, message: string }[]}
+ */
+export function validateSchema(schema, value, { root, path = '' }) {
+  if (!schema || typeof schema !== 'object') return [];
+  if (schema.$ref) return validateSchema(resolveRef(root, schema.$ref), value, { root, path });
+
+  const issues = [];
+  const fail = (message, at = path) => issues.push({ path: at, message });
+  const here = path || 'value';
+
+  if (schema.allOf) {
+    schema.allOf.forEach((s) => issues.push(...validateSchema(s, value, { root, path })));
+  }
+  if (schema.anyOf && !schema.anyOf.some((s) => validateSchema(s, value, { root, path }).length === 0)) {
+    fail(`${here} does not match any allowed shape`);
+    return issues;
+  }
+
+  if (schema.type) {
+    const types = [schema.type].flat();
+    if (!types.some((t) => matchesType(value, t))) {
+      fail(`${here} must be ${types.join(' or ')}`);
+      return issues;
+    }
+  }
+  if ('const' in schema && value !== schema.const) fail(`${here} must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`${here} must be one of ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      fail(`${here} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      fail(`${here} must be at most ${schema.maxLength} characters`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) fail(`${here} must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`${here} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      fail(`${here} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => issues.push(...validateSchema(schema.items, item, { root, path: `${path}[${i}]` })));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const child = (key) => (path ? `${path}.${key}` : key);
+    (schema.required ?? []).forEach((key) => {
+      if (value[key] === undefined) fail(`${child(key)} is required`, child(key));
+    });
+    const props = schema.properties ?? {};
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) issues.push(...validateSchema(props[key], v, { root, path: child(key) }));
+      else if (schema.additionalProperties === false) fail(`${child(key)} is not allowed`, child(key));
+      else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...validateSchema(schema.additionalProperties, v, { root, path: child(key) }));
+      }
+    }
+  }
+
+  return issues;
+}
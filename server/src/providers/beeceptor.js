@@ -0,0 +1,133 @@
+// --------------------------------------------------------------------
+// src/providers/beeceptor.js
+// Beeceptor mock processor implementation of the payment provider adapter.
+// Translates our canonical requests into the Beeceptor payload shape
+// and maps its status codes / Success + Reason fields back to AUTH_OUTCOME.
+// --------------------------------------------------------------------
+import { AUTH_OUTCOME, PROVIDER_BASE_URL } from '../shared/constants.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { postJson } from './http.js';
+
+const toMoney = (n) => Number(Number(n).toFixed(2));
+
+const baseUrl = () => process.env.PROVIDER_BASE_URL || PROVIDER_BASE_URL;
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+// one breaker per adapter; state is reported in /health
+const breaker = new CircuitBreaker({
+  name: 'beeceptor',
+  failureThreshold: envNumber('PROVIDER_CB_FAILURE_THRESHOLD', 5),
+  cooldownMs: envNumber('PROVIDER_CB_COOLDOWN_MS', 30_000),
+});
+
+// authorize / capture / refund may double-charge or double-credit if replayed;
+// releasing a hold twice is harmless, so only void is idempotent
+const post = (path, payload, { idempotent = false } = {}) =>
+  postJson(`${baseUrl()}${path}`, payload, { breaker, idempotent });
+
+// map provider status & body to our AUTH_OUTCOME
+function mapAuthOutcome(status, body) {
+  // 202 / Status "Pending": accepted, final answer comes via POST /api/webhooks/provider
+  if (status === 202 || String(body?.Status ?? '').toLowerCase() === 'pending') return AUTH_OUTCOME.PENDING;
+  if (status === 200) {
+    // Beeceptor puts scenario text in body.Reason or body.Success
+    const reason = body?.Reason?.toLowerCase?.() || '';
+    if (body?.Success === true) return AUTH_OUTCOME.SUCCESS;
+    if (reason.includes('insufficient')) return AUTH_OUTCOME.INSUFFICIENT_FUNDS;
+    if (reason.includes('incorrect') || reason.includes('invalid')) return AUTH_OUTCOME.INCORRECT_DETAILS;
+    return AUTH_OUTCOME.SERVER_ERROR;
+  }
+  if (status === 402) return AUTH_OUTCOME.INSUFFICIENT_FUNDS;
+  if (status === 422) return AUTH_OUTCOME.INCORRECT_DETAILS;
+  return AUTH_OUTCOME.SERVER_ERROR;
+}
+
+// capture / void / refund only need to know whether the processor accepted it
+const isAccepted = (status, body) => status >= 200 && status < 300 && body?.Success !== false;
+
+// provider webhook status → AUTH_OUTCOME (PENDING = no decision yet)
+function mapWebhookOutcome(status, reason = '') {
+  const s = String(status ?? '').toUpperCase();
+  const r = String(reason ?? '').toLowerCase();
+  if (s === 'APPROVED') return AUTH_OUTCOME.SUCCESS;
+  if (s === 'PENDING') return AUTH_OUTCOME.PENDING;
+  if (s === 'DECLINED') {
+    return r.includes('insufficient') ? AUTH_OUTCOME.INSUFFICIENT_FUNDS : AUTH_OUTCOME.INCORRECT_DETAILS;
+  }
+  if (s === 'FAILED') return AUTH_OUTCOME.SERVER_ERROR;
+  return null;
+}
+
+const beeceptor = {
+  name: 'beeceptor',
+  breaker,
+
+  /**
+   * @param {{ orderId: string, amount: number, card: { number: string, expMonth: string, expYear: string, cvv: string } }} req
+   * @returns {Promise<{ outcome: string, providerStatus: number, providerBody: object }>}
+   */
+  async authorize({ orderId, amount, card }) {
+    // --- build provider payload per brief ---
+    const payload = {
+      OrderId: orderId,
+      CardDetails: {
+        CardNumber: String(card?.number ?? ''),
+        CardMonth: String(card?.expMonth ?? ''),
+        CardYear: String(card?.expYear ?? ''),
+        CCV: String(card?.cvv ?? ''),
+      },
+      RequestedAmount: toMoney(amount),
+    };
+
+    const { status, body } = await post('/authorize', payload);
+    return { outcome: mapAuthOutcome(status, body), providerStatus: status, providerBody: body };
+  },
+
+  /**
+   * Reads an asynchronous authorization result posted to /api/webhooks/provider.
+   * Body: { "EventId": "evt_1", "Token": "STATIC_TOKEN_ORD-1008", "OrderId": "ORD-1008",
+   *         "Status": "Approved" | "Declined" | "Failed" | "Pending", "Reason": "Insufficient funds" }
+   * @returns {{ eventId: string, providerToken: string, outcome: string } | null} null if malformed
+   */
+  parseWebhook(body) {
+    const eventId = String(body?.EventId ?? '').trim();
+    const providerToken = String(body?.Token ?? '').trim();
+    const outcome = mapWebhookOutcome(body?.Status, body?.Reason);
+    if (!eventId || !providerToken || !outcome) return null;
+    return { eventId, providerToken, outcome };
+  },
+
+  async capture({ orderId, providerToken, amount }) {
+    const { status, body } = await post('/capture', {
+      OrderId: orderId,
+      Token: providerToken,
+      Amount: toMoney(amount),
+    });
+    return { ok: isAccepted(status, body), providerStatus: status, providerBody: body };
+  },
+
+  async void({ orderId, providerToken, amount }) {
+    const { status, body } = await post(
+      '/void',
+      {
+        OrderId: orderId,
+        Token: providerToken,
+        ...(amount == null ? {} : { Amount: toMoney(amount) }),
+      },
+      { idempotent: true }
+    );
+    return { ok: isAccepted(status, body), providerStatus: status, providerBody: body };
+  },
+
+  async refund({ orderId, providerToken, amount }) {
+    const { status, body } = await post('/refund', {
+      OrderId: orderId,
+      Token: providerToken,
+      Amount: toMoney(amount),
+    });
+    return { ok: isAccepted(status, body), providerStatus: status, providerBody: body };
+  },
+};
+
+export default beeceptor;
@@ -0,0 +1,81 @@
+// --------------------------------------------------------------------
+// src/providers/circuit-breaker.js
+// Minimal circuit breaker for payment provider calls.
+//   CLOSED    → calls go through; consecutive failures are counted
+//   OPEN      → calls fail fast with ProviderUnavailableError until the cooldown ends
+//   HALF_OPEN → one trial call; success closes the circuit, failure re-opens it
+// --------------------------------------------------------------------
+
+export const CIRCUIT_STATE = Object.freeze({
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN',
+});
+
+export class ProviderUnavailableError extends Error {
+  constructor(providerName, retryAt) {
+    super(`Payment provider "${providerName}" is unavailable (circuit open)`);
+    this.name = 'ProviderUnavailableError';
+    this.code = 'PROVIDER_UNAVAILABLE';
+    this.retryAt = retryAt;
+  }
+}
+
+export class CircuitBreaker {
+  constructor({ name, failureThreshold, cooldownMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailureAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Throws ProviderUnavailableError when calls should not reach the provider
+  beforeRequest() {
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      if (Date.now() - this.openedAt < this.cooldownMs) {
+        throw new ProviderUnavailableError(this.name, new Date(this.openedAt + this.cooldownMs));
+      }
+      this.state = CIRCUIT_STATE.HALF_OPEN;
+    }
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      if (this.trialInFlight) {
+        throw new ProviderUnavailableError(this.name, null);
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.lastFailureAt = Date.now();
+    this.trialInFlight = false;
+    if (this.state === CIRCUIT_STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATE.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Current state for /health
+  snapshot() {
+    const iso = (t) => (t ? new Date(t).toISOString() : null);
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: iso(this.openedAt),
+      retryAt: this.state === CIRCUIT_STATE.OPEN ? iso(this.openedAt + this.cooldownMs) : null,
+      lastFailureAt: iso(this.lastFailureAt),
+    };
+  }
+}
@@ -0,0 +1,102 @@
+// --------------------------------------------------------------------
+// src/providers/http.js
+// Resilient JSON POST used by HTTP-based provider adapters.
+// Adds a per-attempt timeout, bounded retries with exponential backoff,
+// and circuit breaker bookkeeping. Always resolves to { status, body }
+// unless the circuit is open (ProviderUnavailableError).
+//
+// Retry policy:
+//   - the request never reached the provider (connection refused, DNS) or the
+//     provider said so explicitly (429, 503) → always safe to retry
+//   - timeouts, resets and 500/502/504 may have been processed → retried only
+//     when the operation is idempotent (e.g. void)
+// --------------------------------------------------------------------
+import { providerRequestDuration } from '../metrics/index.js';
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+export const providerHttpConfig = () => ({
+  timeoutMs: envNumber('PROVIDER_TIMEOUT_MS', 10_000),
+  maxRetries: envNumber('PROVIDER_MAX_RETRIES', 2),
+  retryBaseMs: envNumber('PROVIDER_RETRY_BASE_MS', 200),
+});
+
+// connection-level errors where the request was never sent
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+const NOT_PROCESSED_STATUSES = new Set([429, 503]);
+const MAYBE_PROCESSED_STATUSES = new Set([500, 502, 504]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const backoff = (attempt, baseMs) => baseMs * 2 ** attempt + Math.floor(Math.random() * baseMs);
+
+async function attemptPost(url, payload, timeoutMs) {
+  try {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    // providers might respond with JSON or text; read once, try JSON then fallback
+    const text = await resp.text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = { raw: text };
+    }
+    return { status: resp.status, body };
+  } catch (err) {
+    if (err?.name === 'TimeoutError' || err?.name === 'AbortError') {
+      return { status: 504, body: { error: 'TIMEOUT' }, failure: 'timeout' };
+    }
+    const code = err?.cause?.code || err?.code;
+    return {
+      status: 500,
+      body: { error: 'NETWORK_ERROR' },
+      failure: NOT_SENT_CODES.has(code) ? 'not-sent' : 'network',
+    };
+  }
+}
+
+function isRetryable(result, idempotent) {
+  if (result.failure === 'not-sent' || NOT_PROCESSED_STATUSES.has(result.status)) return true;
+  if (!idempotent) return false;
+  return result.failure === 'timeout' || result.failure === 'network' || MAYBE_PROCESSED_STATUSES.has(result.status);
+}
+
+// provider trouble (as opposed to a business answer like 402/422)
+const isProviderFailure = (result) => Boolean(result.failure) || result.status >= 500 || result.status === 429;
+
+/**
+ * @param {string} url
+ * @param {object} payload
+ * @param {{ breaker: import('./circuit-breaker.js').CircuitBreaker, idempotent?: boolean }} opts
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+export async function postJson(url, payload, { breaker, idempotent = false }) {
+  const { timeoutMs, maxRetries, retryBaseMs } = providerHttpConfig();
+
+  breaker.beforeRequest();
+
+  // e.g. .../authorize → operation "authorize"
+  const stopTimer = providerRequestDuration.startTimer({
+    provider: breaker.name,
+    operation: new URL(url).pathname.split('/').filter(Boolean).pop() || 'unknown',
+  });
+  let result;
+  for (let attempt = 0; ; attempt++) {
+    result = await attemptPost(url, payload, timeoutMs);
+    if (attempt >= maxRetries || !isProviderFailure(result) || !isRetryable(result, idempotent)) break;
+    await sleep(backoff(attempt, retryBaseMs));
+  }
+
+  if (isProviderFailure(result)) breaker.recordFailure();
+  else breaker.recordSuccess();
+  stopTimer({ result: result.failure || String(result.status) });
+
+  return { status: result.status, body: result.body };
+}
@@ -0,0 +1,42 @@
+// --------------------------------------------------------------------
+// src/providers/index.js
+// Payment provider adapter registry.
+// Every provider implements the same interface:
+//   authorize({ orderId, amount, card })              -> { outcome, providerStatus, providerBody }
+//   capture({ orderId, providerToken, amount })       -> { ok, providerStatus, providerBody }
+//   void({ orderId, providerToken, amount? })         -> { ok, providerStatus, providerBody }
+//   refund({ orderId, providerToken, amount })        -> { ok, providerStatus, providerBody }
+// Providers also expose `breaker` (see circuit-breaker.js); calls made while the
+// circuit is open reject with ProviderUnavailableError (code PROVIDER_UNAVAILABLE).
+// The active provider is chosen by PAYMENT_PROVIDER (default: beeceptor).
+// --------------------------------------------------------------------
+import beeceptor from './beeceptor.js';
+
+export { ProviderUnavailableError } from './circuit-breaker.js';
+
+const PROVIDERS = {
+  [beeceptor.name]: beeceptor,
+};
+
+export const DEFAULT_PROVIDER = beeceptor.name;
+
+/**
+ * Returns the configured payment provider adapter.
+ * Throws if PAYMENT_PROVIDER names a provider that isn't registered.
+ */
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || DEFAULT_PROVIDER) {
+  const provider = PROVIDERS[String(name).toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+// Provider name + circuit breaker state for /health
+export function getProviderHealth() {
+  const provider = getPaymentProvider();
+  return {
+    name: provider.name,
+    circuit: provider.breaker?.snapshot() ?? null,
+  };
+}
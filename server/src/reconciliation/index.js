@@ -0,0 +1,215 @@
+// --------------------------------------------------------------------
+// src/reconciliation/index.js
+// Compares a provider settlement report (what the processor says it paid
+// out) with our captured settlements, per order:
+//   - report lines are matched by provider token (authorizations), falling
+//     back to the order id, and summed per order
+//   - our side is every captured settlement of those orders, plus any order
+//     with a capture dated inside the report period (those are MISSING when
+//     the report doesn't list them)
+// Used by POST /api/reconciliations and scripts/reconcile.js; results are
+// stored as a run with one item per order (RECONCILIATION_RESULT).
+// --------------------------------------------------------------------
+import { RECONCILIATION_RESULT } from '../shared/constants.js';
+import { parseCsv } from '../shared/csv.js';
+
+import { findReportReferences, listCapturedTotalsByOrder, createReconciliationRun } from '../db/index.js';
+
+const MAX_REPORTED_ERRORS = 20;
+const DATE = /^\d{4}-\d{2}-\d{2}/;
+
+// column / property names accepted for each field, compared without case,
+// spaces, underscores or dashes ("Provider Token", "provider_token", ...)
+const FIELD_ALIASES = {
+  providerToken: ['providertoken', 'token', 'reference', 'transactionid'],
+  orderId: ['orderid', 'order', 'merchantreference'],
+  amount: ['amount', 'capturedamount', 'settledamount'],
+  date: ['date', 'settledat', 'settlementdate', 'capturedat', 'createdat'],
+};
+const normalizeKey = (key) => String(key).trim().toLowerCase().replace(/[\s_-]/g, '');
+
+const toCents = (n) => Math.round(Number(n) * 100);
+
+export class ReportError extends Error {
+  constructor(code, details = {}) {
+    super(`Provider report rejected: ${code}`);
+    this.name = 'ReportError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// one report record (keyed by the file's own names) → { line, providerToken, orderId, amount, date }
+function readRecord(record, line, errors) {
+  const byKey = new Map(Object.entries(record).map(([k, v]) => [normalizeKey(k), v]));
+  const field = (name) => {
+    const key = FIELD_ALIASES[name].find((alias) => byKey.has(alias));
+    const value = key === undefined ? '' : String(byKey.get(key) ?? '').trim();
+    return value || null;
+  };
+
+  const providerToken = field('providerToken');
+  const orderId = field('orderId');
+  const rawAmount = field('amount');
+  const date = field('date');
+  const amount = Number(rawAmount);
+
+  if (!providerToken && !orderId) {
+    errors.push({ line, message: 'providerToken or orderId is required' });
+  } else if (rawAmount === null || !Number.isFinite(amount)) {
+    errors.push({ line, message: 'amount must be a number' });
+  } else if (date && !DATE.test(date)) {
+    errors.push({ line, message: 'date must start with YYYY-MM-DD' });
+  }
+  return { line, providerToken, orderId, amount, date: date ? date.slice(0, 10) : null };
+}
+
+/**
+ * Reads a provider report file.
+ * CSV: a header row naming the columns, then one line per capture.
+ * JSON: an array of line objects, or { lines | transactions | settlements: [...] }.
+ * Line numbers are 1-based, CSV header excluded.
+ * @param {string|object|Array} content file text (or already parsed JSON)
+ * @param {'csv'|'json'} format
+ * @returns {{ line: number, providerToken: string|null, orderId: string|null, amount: number, date: string|null }[]}
+ * @throws {ReportError} INVALID_REPORT with { errors: [{ line, message }] }
+ */
+export function parseProviderReport(content, format) {
+  let records;
+  if (format === 'csv') {
+    const [header = [], ...rows] = parseCsv(content);
+    const keys = header.map(normalizeKey);
+    const has = (name) => FIELD_ALIASES[name].some((alias) => keys.includes(alias));
+    if (!has('amount') || !(has('providerToken') || has('orderId'))) {
+      throw new ReportError('INVALID_REPORT', {
+        errors: [{ line: 0, message: 'header row must name an amount column and a providerToken or orderId column' }],
+      });
+    }
+    records = rows.map((cells) => Object.fromEntries(header.map((h, i) => [h, cells[i]])));
+  } else {
+    let data = content;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch {
+        throw new ReportError('INVALID_REPORT', { errors: [{ line: 0, message: 'file is not valid JSON' }] });
+      }
+    }
+    records = Array.isArray(data) ? data : (data?.lines ?? data?.transactions ?? data?.settlements);
+    if (!Array.isArray(records)) {
+      throw new ReportError('INVALID_REPORT', {
+        errors: [{ line: 0, message: 'expected an array of lines, or { lines: [...] }' }],
+      });
+    }
+  }
+
+  const errors = [];
+  const lines = [];
+  records.forEach((record, i) => {
+    if (record && typeof record === 'object') {
+      lines.push(readRecord(record, i + 1, errors));
+    } else {
+      errors.push({ line: i + 1, message: 'line must be an object' });
+    }
+  });
+  if (errors.length) {
+    throw new ReportError('INVALID_REPORT', { errors: errors.slice(0, MAX_REPORTED_ERRORS) });
+  }
+  return lines;
+}
+
+/**
+ * Matches report lines against our captured settlements and stores the run.
+ * The period defaults to the first and last dates found in the report.
+ * @param {{ fileName?: string, lines: object[], from?: string, to?: string }} input
+ *   lines from parseProviderReport; from / to are YYYY-MM-DD, inclusive
+ * @returns {Promise<number>} the run id
+ * @throws {ReportError} PERIOD_REQUIRED when no period is given and the report has no dates
+ */
+export async function reconcileReport({ fileName, lines, from, to }) {
+  const dates = lines
+    .map((l) => l.date)
+    .filter(Boolean)
+    .sort();
+  const periodFrom = from || dates[0];
+  const periodTo = to || dates[dates.length - 1];
+  if (!periodFrom || !periodTo) {
+    throw new ReportError('PERIOD_REQUIRED');
+  }
+  if (periodFrom > periodTo) {
+    throw new ReportError('INVALID_PERIOD', { from: periodFrom, to: periodTo });
+  }
+
+  // 1) resolve each line to an order: provider token first, then the order id
+  const { tokenOrders, knownOrders } = await findReportReferences({
+    tokens: [...new Set(lines.map((l) => l.providerToken).filter(Boolean))],
+    orderIds: [...new Set(lines.map((l) => l.orderId).filter(Boolean))],
+  });
+  const reported = new Map(); // order id (or unmatched reference) → summed lines
+  for (const l of lines) {
+    const orderId =
+      tokenOrders.get(l.providerToken) ?? (l.orderId && knownOrders.has(l.orderId) ? l.orderId : null);
+    const key = orderId ?? `?${l.providerToken ?? ''}|${l.orderId ?? ''}`;
+    const entry = reported.get(key) ?? {
+      orderId,
+      providerToken: l.providerToken,
+      referencedOrderId: l.orderId,
+      cents: 0,
+      lines: [],
+    };
+    entry.cents += toCents(l.amount);
+    entry.lines.push(l.line);
+    reported.set(key, entry);
+  }
+
+  // 2) our captured totals for those orders and for the period
+  const matchedOrderIds = [...reported.values()].map((e) => e.orderId).filter(Boolean);
+  const captured = await listCapturedTotalsByOrder({ from: periodFrom, to: periodTo, orderIds: matchedOrderIds });
+  const ours = new Map(captured.map((row) => [row.order_id, row]));
+
+  // 3) one item per order
+  const items = [];
+  for (const entry of reported.values()) {
+    const mine = entry.orderId ? ours.get(entry.orderId) : undefined;
+    const base = {
+      order_id: entry.orderId ?? entry.referencedOrderId,
+      provider_token: entry.providerToken ?? mine?.provider_token,
+      reported_amount: entry.cents / 100,
+      report_lines: entry.lines,
+    };
+    if (!mine) {
+      items.push({
+        ...base,
+        result: RECONCILIATION_RESULT.EXTRA,
+        note: entry.orderId ? 'NOT_CAPTURED' : 'UNKNOWN_REFERENCE',
+      });
+      continue;
+    }
+    items.push({
+      ...base,
+      result:
+        toCents(mine.amount) === entry.cents ? RECONCILIATION_RESULT.MATCHED : RECONCILIATION_RESULT.AMOUNT_MISMATCH,
+      expected_amount: mine.amount,
+      settlement_ids: JSON.parse(mine.settlement_ids),
+    });
+  }
+  for (const mine of captured) {
+    if (mine.in_period && !reported.has(mine.order_id)) {
+      items.push({
+        result: RECONCILIATION_RESULT.MISSING,
+        order_id: mine.order_id,
+        provider_token: mine.provider_token,
+        expected_amount: mine.amount,
+        settlement_ids: JSON.parse(mine.settlement_ids),
+      });
+    }
+  }
+
+  return createReconciliationRun({
+    file_name: fileName,
+    period_from: periodFrom,
+    period_to: periodTo,
+    line_count: lines.length,
+    items,
+  });
+}
@@ -0,0 +1,52 @@
+// --------------------------------------------------------------------
+// src/routes/audit.js
+// Express router handling /api/audit GET requests
+// Read-only view of the append-only audit trail (order creation,
+// authorization attempts, status changes, settlements, voids, refunds).
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { listAuditEvents } from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+// before/after values are stored as JSON text
+const parse = (v) => (v == null ? null : JSON.parse(v));
+
+const toAuditEvent = (row) => ({
+  id: row.audit_id,
+  eventType: row.event_type,
+  orderId: row.order_id,
+  entityType: row.entity_type,
+  entityId: row.entity_id,
+  actor: row.actor,
+  sourceIp: row.source_ip,
+  requestId: row.request_id,
+  before: parse(row.before_value),
+  after: parse(row.after_value),
+  createdAt: row.created_at,
+});
+
+const isDateLike = (v) => !v || !Number.isNaN(new Date(v).getTime());
+
+/**
+ * GET /api/audit?orderId=ORD-1008&eventType=order.status_changed&actor=alice&from=2025-10-01&to=2025-10-31&limit=100
+ * All filters optional; newest first (limit defaults to 200, max 1000)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { orderId, eventType, actor, from, to } = req.query;
+    if (!isDateLike(from) || !isDateLike(to)) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 200));
+
+    const rows = await listAuditEvents({ orderId, eventType, actor, from, to, limit });
+    return res.json(rows.map(toAuditEvent));
+  } catch (e) {
+    logger.error('Failed to list audit events', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
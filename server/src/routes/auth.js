@@ -0,0 +1,51 @@
+// --------------------------------------------------------------------
+// src/routes/auth.js
+// Express router handling /api/auth requests
+// POST /login trades a username/password for a signed session token;
+// GET /me returns who the presented credentials belong to.
+// Accounts and API keys are created with scripts/create-credential.js.
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { getUserByUsername } from '../db/index.js';
+import { verifyPassword, issueSessionToken } from '../auth/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+/**
+ * POST /api/auth/login
+ * Body: { "username": "dock1", "password": "..." }
+ * 200 { token, expiresAt, user: { username, role } }; send the token as
+ * "Authorization: Bearer <token>". Unknown user, wrong password and a
+ * disabled account all get the same 401 INVALID_CREDENTIALS.
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+
+    const user = await getUserByUsername(username.trim());
+    if (!user || !user.active || !verifyPassword(password, user.password_hash)) {
+      return res.status(401).json({ code: 'INVALID_CREDENTIALS' });
+    }
+
+    const { token, expiresAt } = issueSessionToken(user);
+    return res.json({ token, expiresAt, user: { username: user.username, role: user.role } });
+  } catch (e) {
+    logger.error('Login failed', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * 200 { username, role } for any valid session token or API key
+ */
+router.get('/me', requireRole(), (req, res) => {
+  res.json({ username: req.user.username, role: req.user.role });
+});
+
+export default router;
@@ -1,11 +1,21 @@
 // --------------------------------------------------------------------
 // src/routes/authorize.js
 // Express router handling /api/authorize POST requests
-// Integrates with mock payment provider to authorize payments
-// and updates order and authorization records accordingly.
+// Authorizes payments through the configured payment provider adapter
+// (see src/providers) and updates order and authorization records accordingly.
 // --------------------------------------------------------------------
 import { Router } from 'express';
-import { ORDER_STATUS, AUTH_OUTCOME, PROVIDER_BASE_URL, STATIC_TOKEN_PREFIX } from '../shared/constants.js';
+import {
+  ORDER_STATUS,
+  AUTH_OUTCOME,
+  DECLINED_AUTH_OUTCOMES,
+  STATIC_TOKEN_PREFIX,
+  WEBHOOK_EVENT,
+} from '../shared/constants.js';
+import { getPaymentProvider, ProviderUnavailableError } from '../providers/index.js';
+import { redact } from '../shared/redact.js';
+import { validateCardRequest } from '../shared/card-validation.js';
+import { canTransition, InvalidStateTransitionError, invalidTransitionBody } from '../shared/order-state.js';
 
 import {
   getOrder,
@@ -13,9 +23,10 @@ import {
   updateOrderStatus,
   createAuthorization,
 } from '../db/index.js';
-
-// Enable debug logging if DEBUG_AUTH=1 is set
-const DEBUG = String(process.env.DEBUG_AUTH || '') === '1';
+import { idempotency } from '../middleware/idempotency.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { emitWebhookEvent } from '../webhooks/index.js';
+import { logger } from '../shared/logger.js';
 
 const router = Router();
 
@@ -32,9 +43,14 @@ const toMoney = (n) => Number(Number(n).toFixed(2));
  *   "card": { "number":"4111...", "expMonth":"08", "expYear":"2028", "cvv":"123", "name":"John Doe" },
  *   "requestedAmount": 50.00
  * }
+ * Optional header: Idempotency-Key (replays return the original response)
+ * Too many attempts per IP / API key / card → 429 { code: 'RATE_LIMITED' } with Retry-After
+ * Provider answered "pending" → 202 { status: 'PENDING_PROVIDER' }; the result arrives by webhook
+ * Invalid card/customer fields → 422 { code: 'VALIDATION_FAILED', fields: { 'card.number': 'LUHN_FAILED', ... } }
  */
-router.post('/', async (req, res) => {
-  if (DEBUG) console.log('[AUTH] incoming body:', JSON.stringify(req.body));
+router.post('/', rateLimit('authorize'), idempotency('authorize'), async (req, res) => {
+  // card fields are masked by the logger; shown with LOG_LEVEL=debug
+  logger.debug('authorize request', { body: req.body });
   try {
     // --- normalize incoming UI variants into the canonical shape above ---
     // This preserves contract while accepting newer/simpler payloads from the checkout UI.
@@ -102,7 +118,7 @@ router.post('/', async (req, res) => {
           };
 
     // Build card object if caller didn't already send canonical shape
-    const normalizedCard = b.card ?? {
+    const normalizedCard = (b.card && typeof b.card === 'object') ? b.card : {
       number  : normCardNumber,
       expMonth: expMonth,
       expYear : expYear,
@@ -130,6 +146,12 @@ router.post('/', async (req, res) => {
       return res.status(422).json({ code: 'INVALID_AMOUNT' });
     }
 
+    // --- card / customer validation (field-level, shown inline by the checkout form) ---
+    const fields = validateCardRequest({ card, customer });
+    if (Object.keys(fields).length > 0) {
+      return res.status(422).json({ orderId, code: 'VALIDATION_FAILED', fields });
+    }
+
     // ensure order exists (create if not present so checkout flow is smooth)
     let order = await getOrder(orderId);
     if (!order) {
@@ -143,75 +165,55 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // --- build provider payload per brief ---
-    const payload = {
-      OrderId: orderId,
-      CardDetails: {
-        CardNumber: String(card.number ?? ''),
-        CardMonth: String(card.expMonth ?? ''),
-        CardYear: String(card.expYear ?? ''),
-        CCV: String(card.cvv ?? ''),
-      },
-      RequestedAmount: toMoney(requestedAmount),
-    };
-
-    // --- call mock provider (Beeceptor) ---
-    const url = `${process.env.PROVIDER_BASE_URL || PROVIDER_BASE_URL}/authorize`;
-    let providerStatus = 500;
-    let providerBody = null;
-
-    try {
-      const resp = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
+    // an attempt ends in AUTHORIZED, ERROR or PENDING_PROVIDER, so all three
+    // moves must be legal (PENDING / ERROR / EXPIRED). Checked before calling the
+    // provider so e.g. a SETTLED order is never re-authorized or pushed back to ERROR.
+    if (order.status === ORDER_STATUS.AUTHORIZED) {
+      return res.status(409).json({ orderId, code: 'ORDER_ALREADY_AUTHORIZED', status: order.status });
+    }
+    const attemptEndStates = [ORDER_STATUS.AUTHORIZED, ORDER_STATUS.ERROR, ORDER_STATUS.PENDING_PROVIDER];
+    const blocked = attemptEndStates.find((to) => !canTransition(order.status, to));
+    if (blocked) {
+      return res.status(409).json({
+        orderId,
+        code: 'INVALID_STATE_TRANSITION',
+        from: order.status,
+        to: blocked,
       });
-      providerStatus = resp.status;
-      // Beeceptor might respond with JSON or text; try JSON then fallback
-      try {
-        providerBody = await resp.json();
-      } catch {
-        providerBody = { raw: await resp.text() };
-      }
-    } catch (_netErr) {
-      // network failure → treat as provider error
-      providerStatus = 500;
-      providerBody = { error: 'NETWORK_ERROR' };
     }
 
-    // --- map provider status & body to our outcome ---
-    let outcome = AUTH_OUTCOME.SERVER_ERROR;
-
-    if (providerStatus === 200) {
-      // Beeceptor puts scenario text in body.Reason or body.Success
-      const reason = providerBody?.Reason?.toLowerCase?.() || '';
-      if (providerBody?.Success === true) {
-        outcome = AUTH_OUTCOME.SUCCESS;
-      } else if (reason.includes('insufficient')) {
-        outcome = AUTH_OUTCOME.INSUFFICIENT_FUNDS;
-      } else if (reason.includes('incorrect') || reason.includes('invalid')) {
-        outcome = AUTH_OUTCOME.INCORRECT_DETAILS;
-      } else {
-        outcome = AUTH_OUTCOME.SERVER_ERROR;
-      }
-    } else if (providerStatus === 402) {
-      outcome = AUTH_OUTCOME.INSUFFICIENT_FUNDS;
-    } else if (providerStatus === 422) {
-      outcome = AUTH_OUTCOME.INCORRECT_DETAILS;
-    }
+    // --- call the configured payment provider (canonical request → canonical outcome) ---
+    const provider = getPaymentProvider();
+    const {
+      outcome, // SUCCESS | INSUFFICIENT_FUNDS | INCORRECT_DETAILS | SERVER_ERROR | PENDING
+      providerStatus,
+      providerBody,
+    } = await provider.authorize({
+      orderId,
+      amount: toMoney(requestedAmount),
+      card: {
+        number: String(card.number ?? ''),
+        expMonth: String(card.expMonth ?? ''),
+        expYear: String(card.expYear ?? ''),
+        cvv: String(card.cvv ?? ''),
+      },
+    });
 
-    // --- persist authorization record (never store PAN/CVV) ---
+    // --- persist this attempt (never store PAN/CVV; provider response is masked) ---
     const provider_token = `${STATIC_TOKEN_PREFIX}${orderId}`;
+    const maskedProviderBody = redact(providerBody);
     await createAuthorization({
       order_id: orderId,
       provider_token,
       amount: toMoney(requestedAmount),
-      outcome, // SUCCESS | INSUFFICIENT_FUNDS | INCORRECT_DETAILS | SERVER_ERROR
+      outcome,
+      provider_status: providerStatus,
+      provider_response: maskedProviderBody,
     });
 
     // --- set order status based on outcome ---
     if (outcome === AUTH_OUTCOME.SUCCESS) {
-      await updateOrderStatus(orderId, ORDER_STATUS.AUTHORIZED);
+      await updateOrderStatus(orderId, ORDER_STATUS.AUTHORIZED, `authorization approved (${provider.name})`);
       const response = {
         orderId,
         status: ORDER_STATUS.AUTHORIZED,
@@ -219,28 +221,67 @@ router.post('/', async (req, res) => {
           token: provider_token,
           maskedCard: `**** **** **** ${last4(card.number)}`,
           amount: toMoney(requestedAmount),
-          providerRef: 'beeceptor',
+          providerRef: provider.name,
         },
-        provider: { status: providerStatus, body: providerBody }, // helpful for debugging
+        provider: { status: providerStatus, body: maskedProviderBody }, // helpful for debugging
       };
+      await emitWebhookEvent(WEBHOOK_EVENT.ORDER_AUTHORIZED, {
+        orderId,
+        status: ORDER_STATUS.AUTHORIZED,
+        amount: toMoney(requestedAmount),
+        cardLast4: last4(card.number),
+        providerToken: provider_token,
+      });
       return res.status(200).json(response);
     }
 
-    // failure cases
+    // provider will confirm later via POST /api/webhooks/provider
+    if (outcome === AUTH_OUTCOME.PENDING) {
+      await updateOrderStatus(orderId, ORDER_STATUS.PENDING_PROVIDER, 'authorization pending with provider');
+      return res.status(202).json({
+        orderId,
+        status: ORDER_STATUS.PENDING_PROVIDER,
+        authorization: {
+          token: provider_token,
+          maskedCard: `**** **** **** ${last4(card.number)}`,
+          amount: toMoney(requestedAmount),
+          providerRef: provider.name,
+        },
+      });
+    }
+
+    // failure cases: a decline is the issuer's answer, anything else the provider failing
+    const declined = DECLINED_AUTH_OUTCOMES.includes(outcome);
+    await updateOrderStatus(
+      orderId,
+      ORDER_STATUS.ERROR,
+      declined ? `authorization declined: ${outcome}` : `provider error (HTTP ${providerStatus})`
+    );
+    await emitWebhookEvent(declined ? WEBHOOK_EVENT.AUTHORIZATION_DECLINED : WEBHOOK_EVENT.AUTHORIZATION_FAILED, {
+      orderId,
+      status: ORDER_STATUS.ERROR,
+      amount: toMoney(requestedAmount),
+      outcome,
+      providerStatus,
+    });
+
     if (outcome === AUTH_OUTCOME.INSUFFICIENT_FUNDS) {
-      await updateOrderStatus(orderId, ORDER_STATUS.ERROR);
       return res.status(402).json({ orderId, status: 'DECLINED', code: 'INSUFFICIENT_FUNDS' });
     }
-
     if (outcome === AUTH_OUTCOME.INCORRECT_DETAILS) {
-      await updateOrderStatus(orderId, ORDER_STATUS.ERROR);
       return res.status(422).json({ orderId, status: 'DECLINED', code: 'INCORRECT_DETAILS' });
     }
-
-    await updateOrderStatus(orderId, ORDER_STATUS.ERROR);
     return res.status(502).json({ orderId, status: 'ERROR', code: 'PROVIDER_ERROR' });
   } catch (e) {
-    console.error(e);
+    // circuit open: fail fast without touching the provider
+    if (e instanceof ProviderUnavailableError) {
+      return res.status(503).json({ code: 'PROVIDER_UNAVAILABLE', retryAt: e.retryAt });
+    }
+    // status changed underneath us (concurrent request)
+    if (e instanceof InvalidStateTransitionError) {
+      return res.status(409).json(invalidTransitionBody(e));
+    }
+    logger.error('Authorization failed', { err: e });
     return res.status(500).json({ code: 'SERVER_ERROR' });
   }
 });
@@ -0,0 +1,44 @@
+// --------------------------------------------------------------------
+// src/routes/docs.js
+// Express router serving the API description:
+//   GET /openapi.json → the OpenAPI document (src/openapi/spec.js)
+//   GET /docs         → Swagger UI pointed at it
+// Swagger UI's files come from the swagger-ui-dist package, so the page
+// works offline and loads nothing from third parties.
+// --------------------------------------------------------------------
+import express, { Router } from 'express';
+import swaggerUiDist from 'swagger-ui-dist';
+import { openapiSpec } from '../openapi/spec.js';
+
+const router = Router();
+
+const SWAGGER_UI = '/docs/assets';
+
+const DOCS_HTML = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${openapiSpec.info.title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+    </script>
+  </body>
+</html>
+`;
+
+router.get('/openapi.json', (_req, res) => {
+  res.json(openapiSpec);
+});
+
+router.use(SWAGGER_UI, express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+router.get('/docs', (_req, res) => {
+  res.type('html').send(DOCS_HTML);
+});
+
+export default router;
@@ -0,0 +1,61 @@
+// --------------------------------------------------------------------
+// src/routes/events.js
+// Express router handling /api/events GET requests
+// Server-Sent Events stream of live order updates (order.created,
+// order.status_changed, settlement.created) for the Orders Viewer and
+// Warehouse Settlement screens, plus resync when missed events can't be
+// replayed.
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { subscribeOrderEvents, eventsSince, latestEventId } from '../events/index.js';
+
+const router = Router();
+
+// comment line every so often so proxies don't close an idle stream
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 25_000;
+
+const format = (e) => `id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify({ ...e.data, at: e.at })}\n\n`;
+
+/**
+ * GET /api/events
+ * Optional query: ?orderId=ORD-1008 to only receive events for one order
+ * Reconnecting clients send Last-Event-ID (EventSource does this automatically)
+ * and receive anything they missed that is still buffered. If that isn't
+ * possible (the server restarted, or too much was missed) they get a resync
+ * event instead and should reload what they show.
+ */
+router.get('/', (req, res) => {
+  const orderId = req.query.orderId ? String(req.query.orderId) : null;
+  const wanted = (e) => !orderId || e.data?.orderId === orderId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    const missed = eventsSince(lastEventId);
+    if (missed) {
+      missed.filter(wanted).forEach((e) => res.write(format(e)));
+    } else {
+      res.write(format({ id: latestEventId(), type: 'resync', data: {}, at: new Date().toISOString() }));
+    }
+  }
+
+  const unsubscribe = subscribeOrderEvents((e) => {
+    if (wanted(e)) res.write(format(e));
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
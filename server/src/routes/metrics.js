@@ -0,0 +1,38 @@
+// --------------------------------------------------------------------
+// src/routes/metrics.js
+// Express router handling /metrics GET requests
+// Prometheus scrape endpoint (text exposition format, see src/metrics).
+// Open like /health unless METRICS_TOKEN is set, in which case the scraper
+// must send "Authorization: Bearer <METRICS_TOKEN>".
+// --------------------------------------------------------------------
+import crypto from 'node:crypto';
+import { Router } from 'express';
+import { renderMetrics, METRICS_CONTENT_TYPE } from '../metrics/index.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+const hasMetricsToken = (req) => {
+  const expected = Buffer.from(`Bearer ${process.env.METRICS_TOKEN}`);
+  const given = Buffer.from(req.get('Authorization') || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * GET /metrics
+ * 200 text/plain; version=0.0.4
+ */
+router.get('/', (req, res) => {
+  try {
+    if (process.env.METRICS_TOKEN && !hasMetricsToken(req)) {
+      return res.status(401).json({ code: 'UNAUTHENTICATED' });
+    }
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    return res.send(renderMetrics());
+  } catch (e) {
+    logger.error('Failed to render metrics', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+// --------------------------------------------------------------------
+// src/routes/mock-provider.js
+// Local stand-in for the Beeceptor mock processor so the team can work offline.
+// Mimics the Beeceptor /authorize contract (plus /capture, /void, /refund)
+// and picks a scenario from magic card numbers, CVVs or amounts so every
+// AUTH_OUTCOME can be reproduced on demand.
+// Mounted at /mock-provider when MOCK_PROVIDER=1, or run standalone with
+// `npm run mock-provider`.
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { STATIC_TOKEN_PREFIX } from '../shared/constants.js';
+import { PROVIDER_SIGNATURE_HEADER, signatureHeader } from '../webhooks/signing.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+// Delay used by the "slow" scenario (ms)
+const SLOW_MS = () => Number(process.env.MOCK_PROVIDER_SLOW_MS) || 5000;
+
+// "pending" scenarios: answer 202, then POST the result to the API's provider webhook
+const WEBHOOK_DELAY_MS = () => Number(process.env.MOCK_PROVIDER_WEBHOOK_DELAY_MS) || 2000;
+const WEBHOOK_URL = () =>
+  process.env.MOCK_PROVIDER_WEBHOOK_URL ||
+  `http://localhost:${Number(process.env.PORT) || 3001}/api/webhooks/provider`;
+
+// --- scenario responses (status + Beeceptor-style body) ---
+const SCENARIOS = Object.freeze({
+  SUCCESS: { status: 200, body: { Success: true, Reason: 'Approved' } },
+  INSUFFICIENT_FUNDS: { status: 200, body: { Success: false, Reason: 'Insufficient funds' } },
+  INCORRECT_DETAILS: { status: 200, body: { Success: false, Reason: 'Incorrect card details' } },
+  HTTP_402: { status: 402, body: { Success: false, Reason: 'Payment required' } },
+  HTTP_422: { status: 422, body: { Success: false, Reason: 'Invalid card details' } },
+  HTTP_500: { status: 500, body: { Success: false, Reason: 'Processor error' } },
+  SLOW: { status: 200, body: { Success: true, Reason: 'Approved (slow)' }, delay: true },
+  PENDING_APPROVE: {
+    status: 202,
+    body: { Success: null, Status: 'Pending', Reason: 'Awaiting issuer' },
+    webhook: { Status: 'Approved', Reason: 'Approved' },
+  },
+  PENDING_DECLINE: {
+    status: 202,
+    body: { Success: null, Status: 'Pending', Reason: 'Awaiting issuer' },
+    webhook: { Status: 'Declined', Reason: 'Insufficient funds' },
+  },
+});
+
+// Magic card numbers → scenario
+export const MAGIC_CARDS = Object.freeze({
+  '4000000000000002': 'INSUFFICIENT_FUNDS',
+  '4000000000000069': 'INCORRECT_DETAILS',
+  '4000000000009995': 'HTTP_402',
+  '4000000000000127': 'HTTP_422',
+  '4000000000000119': 'HTTP_500',
+  '4000000000000259': 'SLOW',
+  '4000000000003220': 'PENDING_APPROVE',
+  '4000000000003246': 'PENDING_DECLINE',
+});
+
+// Magic CVVs → scenario
+export const MAGIC_CVVS = Object.freeze({
+  '000': 'INCORRECT_DETAILS',
+  '999': 'HTTP_500',
+});
+
+// Magic amounts → scenario. Exact values far above any real basket (and the
+// /api/orders/next range), so an ordinary order never trips one by accident.
+export const MAGIC_AMOUNTS = Object.freeze({
+  '9000.51': 'INSUFFICIENT_FUNDS',
+  '9000.52': 'INCORRECT_DETAILS',
+  '9000.02': 'HTTP_402',
+  '9000.22': 'HTTP_422',
+  '9000.99': 'HTTP_500',
+  '9000.77': 'SLOW',
+  '9000.33': 'PENDING_APPROVE',
+  '9000.34': 'PENDING_DECLINE',
+});
+
+const amountScenario = (amount) =>
+  Number.isFinite(Number(amount)) ? MAGIC_AMOUNTS[Number(amount).toFixed(2)] : undefined;
+
+// card number wins over CVV, CVV wins over amount; anything else approves
+function pickScenario({ cardNumber, cvv, amount }) {
+  return (
+    MAGIC_CARDS[cardNumber] ||
+    MAGIC_CVVS[cvv] ||
+    amountScenario(amount) ||
+    'SUCCESS'
+  );
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function respond(res, scenarioName, extra = {}) {
+  const scenario = SCENARIOS[scenarioName];
+  if (scenario.delay) await sleep(SLOW_MS());
+  return res.status(scenario.status).json({ ...scenario.body, ...extra });
+}
+
+// Sends the delayed result of a pending authorization, signed like a real provider would
+function sendAuthorizationWebhook(orderId, result) {
+  const secret = process.env.PROVIDER_WEBHOOK_SECRET;
+  if (!secret) {
+    logger.warn('[mock-provider] PROVIDER_WEBHOOK_SECRET not set; pending result not sent');
+    return;
+  }
+  setTimeout(async () => {
+    const body = JSON.stringify({
+      EventId: `mock_evt_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      Token: `${STATIC_TOKEN_PREFIX}${orderId}`,
+      OrderId: orderId,
+      ...result,
+    });
+    try {
+      await fetch(WEBHOOK_URL(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [PROVIDER_SIGNATURE_HEADER]: signatureHeader(secret, body) },
+        body,
+      });
+    } catch (err) {
+      logger.warn('[mock-provider] webhook delivery failed', { cause: err?.cause?.code || err.message });
+    }
+  }, WEBHOOK_DELAY_MS()).unref();
+}
+
+/**
+ * POST /authorize
+ * Body (Beeceptor contract):
+ * {
+ *   "OrderId": "ORD-1008",
+ *   "CardDetails": { "CardNumber": "4111...", "CardMonth": "08", "CardYear": "2028", "CCV": "123" },
+ *   "RequestedAmount": 50.00
+ * }
+ */
+router.post('/authorize', async (req, res) => {
+  const { OrderId, CardDetails, RequestedAmount } = req.body || {};
+  if (!OrderId || !CardDetails || !Number.isFinite(Number(RequestedAmount))) {
+    return res.status(422).json({ Success: false, Reason: 'Invalid request' });
+  }
+
+  const scenario = pickScenario({
+    cardNumber: String(CardDetails.CardNumber ?? '').replace(/\D/g, ''),
+    cvv: String(CardDetails.CCV ?? ''),
+    amount: RequestedAmount,
+  });
+  if (SCENARIOS[scenario].webhook) sendAuthorizationWebhook(OrderId, SCENARIOS[scenario].webhook);
+  return respond(res, scenario, { OrderId });
+});
+
+// capture / void / refund: only the magic-amount 500 and slow scenarios apply
+function followUp(kind) {
+  return async (req, res) => {
+    const { OrderId, Amount } = req.body || {};
+    if (!OrderId) {
+      return res.status(422).json({ Success: false, Reason: 'Invalid request' });
+    }
+    const byAmount = Amount == null ? null : amountScenario(Amount);
+    const scenario = byAmount === 'HTTP_500' || byAmount === 'SLOW' ? byAmount : 'SUCCESS';
+    return respond(res, scenario, { OrderId, Operation: kind });
+  };
+}
+
+router.post('/capture', followUp('capture'));
+router.post('/void', followUp('void'));
+router.post('/refund', followUp('refund'));
+
+export default router;
@@ -6,6 +6,7 @@
 // --------------------------------------------------------------------
 import { Router } from 'express';
 import { getNextOrderIdORD, generateRandomAmount } from '../db/sequence.js';
+import { logger } from '../shared/logger.js';
 
 const router = Router();
 
@@ -20,8 +21,8 @@ router.get('/', (_req, res) => {
     const amount = generateRandomAmount();
     res.json({ orderId, amount });
   } catch (err) {
-    console.error('Error generating next order/amount:', err);
-    res.status(500).json({ error: 'FAILED_TO_GENERATE_NEXT_ORDER' });
+    logger.error('Error generating next order/amount', { err });
+    res.status(500).json({ code: 'FAILED_TO_GENERATE_NEXT_ORDER' });
   }
 });
 
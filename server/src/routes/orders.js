@@ -11,64 +11,96 @@ import {
   listOrders as dbListOrders,
   getOrder,
   getAuthorizationByOrderId,
+  listAuthorizationsByOrderId,
   listSettlementsByOrderId,
   sumSettlementsForOrder,
+  sumCapturedSettlementsForOrder,
+  expireLapsedAuthorizations,
+  listVoidsByOrderId,
+  sumVoidsForOrder,
+  listRefundsByOrderId,
+  sumReservedRefundsForOrder,
+  listOrderTransitions,
 } from '../db/index.js';
+import { isAuthorizationExpired } from '../shared/authorization.js';
+import { REFUNDABLE_STATUSES } from '../shared/order-state.js';
+import { AUTH_OUTCOME } from '../shared/constants.js';
+import { logger } from '../shared/logger.js';
 
 // --- Helper functions ---
-const cmpStr = (a = '', b = '') => a.localeCompare(b, undefined, { sensitivity: 'base' });
-const cmpNum = (a = 0, b = 0) => a - b;
-const cmpDate = (a, b) => new Date(a).getTime() - new Date(b).getTime();
+// provider_response is stored as (masked) JSON text
+const withParsedResponse = (auth) =>
+  auth && {
+    ...auth,
+    provider_response: auth.provider_response ? JSON.parse(auth.provider_response) : null,
+  };
+
+const isDateLike = (v) => !v || !Number.isNaN(new Date(v).getTime());
+const isDateOnly = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+
+// Cursors are opaque to clients: base64url JSON of the sort they were issued
+// for plus the last row's sort value and order ID.
+const encodeCursor = ({ sort, dir, after }) =>
+  Buffer.from(JSON.stringify({ s: sort, d: dir, v: after.value, id: after.orderId })).toString('base64url');
+
+const decodeCursor = (cursor, { sort, dir }) => {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (c.s !== sort || c.d !== dir || typeof c.id !== 'string') return null;
+    return { value: c.v, orderId: c.id };
+  } catch {
+    return null;
+  }
+};
 
 // ===========================================================
-// GET /api/orders
-// Returns ALL orders (no pagination) with optional filtering and sorting.
+// GET /api/orders?status=SETTLED,VOIDED&q=smith&from=2025-10-01&to=2025-10-31&sort=amount&dir=desc&limit=50&cursor=...
+// Filtering, sorting and paging happen in SQL. status takes a comma-separated
+// list; q matches order ID, customer name or status; a date-only "to" includes
+// that whole day. Returns { data, total, nextCursor }: pass nextCursor back
+// (with the same sort / dir) for the next page; it is null on the last one.
+// limit defaults to 50, max 500. Statuses are as stored: a lapsed authorization
+// reads AUTHORIZED until the background expiry sweep (index.js) catches it.
 // ===========================================================
 router.get('/', async (req, res) => {
   try {
-    const {
-      status,
-      q,
-      sort = 'created_at',
-      dir = 'desc',
-    } = req.query;
-
-    // --- Pull all rows from DB (no LIMIT or OFFSET) ---
-    let rows = await dbListOrders();
-
-    // --- Filter by status if provided ---
-    if (status) {
-      rows = rows.filter((r) => String(r.status).toUpperCase() === String(status).toUpperCase());
-    }
+    const { q, from, to, cursor } = req.query;
+    const sort = String(req.query.sort || 'created_at');
+    const dir = String(req.query.dir || 'desc').toLowerCase() === 'asc' ? 'asc' : 'desc';
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+    const statuses = req.query.status
+      ? String(req.query.status)
+          .split(',')
+          .map((s) => s.trim().toUpperCase())
+          .filter(Boolean)
+      : undefined;
 
-    // --- Filter by search query (order ID or customer name) ---
-    if (q) {
-      const needle = String(q).toLowerCase();
-      rows = rows.filter(
-        (r) =>
-          String(r.order_id).toLowerCase().includes(needle) ||
-          String(r.customer_name || '').toLowerCase().includes(needle)
-      );
+    if (!isDateLike(from) || !isDateLike(to)) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    const after = cursor ? decodeCursor(cursor, { sort, dir }) : undefined;
+    if (after === null) {
+      return res.status(400).json({ code: 'INVALID_CURSOR' });
     }
 
-    // --- Sort results ---
-    const dirSign = String(dir).toLowerCase() === 'asc' ? 1 : -1;
-    const key = String(sort);
-    rows.sort((a, b) => {
-      let delta = 0;
-      if (key === 'created_at') delta = cmpDate(a.created_at, b.created_at);
-      else if (key === 'amount') delta = cmpNum(Number(a.amount || 0), Number(b.amount || 0));
-      else if (key === 'customer_name') delta = cmpStr(a.customer_name, b.customer_name);
-      else if (key === 'status') delta = cmpStr(a.status, b.status);
-      else if (key === 'order_id') delta = cmpStr(a.order_id, b.order_id);
-      else delta = cmpDate(a.created_at, b.created_at);
-      return dirSign * delta;
+    const { rows, total, nextAfter } = await dbListOrders({
+      statuses,
+      q: q ? String(q) : undefined,
+      from,
+      to: isDateOnly(to) ? `${to} 23:59:59` : to,
+      sort,
+      dir,
+      limit,
+      after,
     });
 
-    // --- Return ALL rows (no pagination slicing) ---
-    return res.json(rows);
+    return res.json({
+      data: rows,
+      total,
+      nextCursor: nextAfter ? encodeCursor({ sort, dir, after: nextAfter }) : null,
+    });
   } catch (e) {
-    console.error('Error listing orders:', e);
+    logger.error('Error listing orders', { err: e });
     res.status(500).json({ code: 'SERVER_ERROR' });
   }
 });
@@ -76,32 +108,77 @@ router.get('/', async (req, res) => {
 // ==========================================================
 // GET /api/orders/:id
 // Returns detailed order info for the Warehouse Settlement UI.
-// Includes order, authorization, settlements, and availableToSettle amount.
+// Includes order, authorization, settlements, voids, refunds, availableToSettle
+// (0 once the authorization has expired or been voided), availableToRefund
+// (captured settlements less refunds; settlements awaiting capture don't count, and
+// it is 0 unless the order is SETTLED or PARTIALLY_REFUNDED) and
+// the order's status transitions (oldest first, each with its reason).
 // ===========================================================
 router.get('/:id', async (req, res) => {
   try {
     const orderId = req.params.id;
 
+    await expireLapsedAuthorizations(orderId);
     const order = await getOrder(orderId);
     if (!order) {
       return res.status(404).json({ code: 'ORDER_NOT_FOUND' });
     }
 
-    const authorization = await getAuthorizationByOrderId(orderId);
+    const authorization = withParsedResponse(await getAuthorizationByOrderId(orderId));
     const settlements = await listSettlementsByOrderId(orderId);
     const settled = await sumSettlementsForOrder(orderId);
+    const voids = await listVoidsByOrderId(orderId);
+    const voided = await sumVoidsForOrder(orderId);
+
+    // nothing can be settled against a lapsed, voided, declined or still-pending authorization
+    const approved = authorization?.outcome === AUTH_OUTCOME.SUCCESS;
+    const authorizedAmt = !approved || isAuthorizationExpired(authorization) ? settled : authorization.amount;
+    const availableToSettle = Math.max(0, Number((authorizedAmt - settled - voided).toFixed(2)));
 
-    const authorizedAmt = authorization?.amount ?? 0;
-    const availableToSettle = Math.max(0, Number((authorizedAmt - settled).toFixed(2)));
+    const refunds = await listRefundsByOrderId(orderId);
+    // refunds still waiting for the provider hold their amount too
+    const refunded = await sumReservedRefundsForOrder(orderId);
+    // only captured settlements can be refunded, and only once the order is settled
+    const captured = await sumCapturedSettlementsForOrder(orderId);
+    const availableToRefund = REFUNDABLE_STATUSES.includes(order.status)
+      ? Math.max(0, Number((captured - refunded).toFixed(2)))
+      : 0;
+    const transitions = await listOrderTransitions(orderId);
 
     return res.json({
       order,
       authorization,
       settlements,
+      voids,
+      refunds,
       availableToSettle,
+      availableToRefund,
+      transitions,
     });
   } catch (e) {
-    console.error('Error fetching order details:', e);
+    logger.error('Error fetching order details', { err: e });
+    res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+// ==========================================================
+// GET /api/orders/:id/authorizations
+// Returns every authorization attempt for the order, newest first,
+// with its outcome, provider status code and masked provider response.
+// ===========================================================
+router.get('/:id/authorizations', async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    const order = await getOrder(orderId);
+    if (!order) {
+      return res.status(404).json({ code: 'ORDER_NOT_FOUND' });
+    }
+
+    const attempts = await listAuthorizationsByOrderId(orderId);
+    return res.json(attempts.map(withParsedResponse));
+  } catch (e) {
+    logger.error('Error listing authorization attempts', { err: e });
     res.status(500).json({ code: 'SERVER_ERROR' });
   }
 });
@@ -0,0 +1,135 @@
+// --------------------------------------------------------------------
+// src/routes/provider-webhooks.js
+// Express router handling /api/webhooks/provider POST requests
+// Receives asynchronous authorization results from the payment provider
+// for orders left in PENDING_PROVIDER, verifies the signature, and moves
+// the order to AUTHORIZED or ERROR.
+//
+// Providers retry and don't guarantee ordering, so:
+//   - an EventId that was already handled is acknowledged and ignored
+//   - a result for an attempt that is no longer PENDING (already decided
+//     by an earlier event) is acknowledged and ignored; the first final
+//     result wins and orders never move backwards
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { ORDER_STATUS, AUTH_OUTCOME, DECLINED_AUTH_OUTCOMES, WEBHOOK_EVENT } from '../shared/constants.js';
+import { getPaymentProvider } from '../providers/index.js';
+import { redact } from '../shared/redact.js';
+import { PROVIDER_SIGNATURE_HEADER, verifySignature } from '../webhooks/signing.js';
+import { emitWebhookEvent } from '../webhooks/index.js';
+
+import {
+  getOrder,
+  getLatestAuthorizationByToken,
+  resolvePendingAuthorization,
+  updateOrderStatus,
+  getProviderWebhookEvent,
+  recordProviderWebhookEvent,
+} from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+/**
+ * POST /api/webhooks/provider
+ * Header: X-Provider-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Body (Beeceptor-style, see providers/beeceptor.js parseWebhook):
+ * { "EventId": "evt_1", "Token": "STATIC_TOKEN_ORD-1008", "Status": "Approved", "Reason": "" }
+ * Always 200 once the event is understood (including duplicates / stale events)
+ * so the provider stops retrying.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const secret = process.env.PROVIDER_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(503).json({ code: 'WEBHOOK_NOT_CONFIGURED' });
+    }
+    const validSignature = verifySignature({
+      secret,
+      header: req.get(PROVIDER_SIGNATURE_HEADER),
+      rawBody: req.rawBody ?? '',
+    });
+    if (!validSignature) {
+      return res.status(401).json({ code: 'INVALID_SIGNATURE' });
+    }
+
+    // changes made from here on are the provider's doing
+    req.context.actor = 'provider';
+
+    const provider = getPaymentProvider();
+    const event = provider.parseWebhook(req.body);
+    if (!event) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    const { eventId, providerToken, outcome } = event;
+
+    // 1) duplicate delivery of an event we already handled
+    const seen = await getProviderWebhookEvent(eventId);
+    if (seen) {
+      return res.json({ received: true, duplicate: true, orderId: seen.order_id, result: seen.result });
+    }
+
+    // 2) find the attempt (and order) this token belongs to
+    const auth = await getLatestAuthorizationByToken(providerToken);
+    if (!auth) {
+      return res.status(404).json({ code: 'ORDER_NOT_FOUND' });
+    }
+    const orderId = auth.order_id;
+    const order = await getOrder(orderId);
+
+    const finish = async (result, extra = {}) => {
+      await recordProviderWebhookEvent({
+        event_id: eventId,
+        provider_token: providerToken,
+        order_id: orderId,
+        outcome,
+        result,
+      });
+      return res.json({ received: true, orderId, result, ...extra });
+    };
+
+    // 3) nothing to do yet, or a late event for an attempt that was already decided
+    if (outcome === AUTH_OUTCOME.PENDING) {
+      return finish('STILL_PENDING', { status: order?.status });
+    }
+    if (order?.status !== ORDER_STATUS.PENDING_PROVIDER || auth.outcome !== AUTH_OUTCOME.PENDING) {
+      return finish('IGNORED_ALREADY_FINAL', { status: order?.status });
+    }
+
+    // 4) apply the final outcome
+    const resolved = await resolvePendingAuthorization(auth.auth_id, {
+      outcome,
+      provider_response: redact(req.body),
+    });
+    if (!resolved) {
+      return finish('IGNORED_ALREADY_FINAL', { status: order.status });
+    }
+
+    const approved = outcome === AUTH_OUTCOME.SUCCESS;
+    const declined = DECLINED_AUTH_OUTCOMES.includes(outcome);
+    const newStatus = approved ? ORDER_STATUS.AUTHORIZED : ORDER_STATUS.ERROR;
+    const reason = approved
+      ? 'authorization approved'
+      : `authorization ${declined ? 'declined' : 'failed'}: ${outcome}`;
+    await updateOrderStatus(orderId, newStatus, `${reason} (provider webhook ${eventId})`);
+
+    const eventType = approved
+      ? WEBHOOK_EVENT.ORDER_AUTHORIZED
+      : declined
+        ? WEBHOOK_EVENT.AUTHORIZATION_DECLINED
+        : WEBHOOK_EVENT.AUTHORIZATION_FAILED;
+    await emitWebhookEvent(eventType, {
+      orderId,
+      status: newStatus,
+      amount: resolved.amount,
+      ...(approved ? { providerToken } : { outcome }),
+    });
+
+    return finish(approved ? 'AUTHORIZED' : 'DECLINED', { status: newStatus });
+  } catch (e) {
+    logger.error('Provider webhook failed', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,129 @@
+// --------------------------------------------------------------------
+// src/routes/reconciliations.js
+// Express router handling /api/reconciliations requests
+// Imports a provider settlement report, matches it against our captured
+// settlements (src/reconciliation) and exposes the stored results.
+// --------------------------------------------------------------------
+import express, { Router } from 'express';
+import { RECONCILIATION_RESULT } from '../shared/constants.js';
+import { parseProviderReport, reconcileReport, ReportError } from '../reconciliation/index.js';
+
+import { getReconciliationRun, listReconciliationRuns, listReconciliationItems } from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+// helpers
+const RESULTS = new Set(Object.values(RECONCILIATION_RESULT));
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+const toRun = (row) => ({
+  id: row.run_id,
+  fileName: row.file_name,
+  periodFrom: row.period_from,
+  periodTo: row.period_to,
+  lineCount: row.line_count,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  counts: {
+    matched: row.matched_count,
+    amountMismatch: row.mismatch_count,
+    missing: row.missing_count,
+    extra: row.extra_count,
+  },
+});
+
+const toItem = (row) => ({
+  id: row.item_id,
+  result: row.result,
+  orderId: row.order_id,
+  providerToken: row.provider_token,
+  expectedAmount: row.expected_amount,
+  reportedAmount: row.reported_amount,
+  reportLines: JSON.parse(row.report_lines),
+  settlementIds: JSON.parse(row.settlement_ids),
+  note: row.note,
+});
+
+const runReport = async (runId, { result } = {}) => {
+  const row = await getReconciliationRun(runId);
+  return row && { ...toRun(row), items: (await listReconciliationItems(runId, { result })).map(toItem) };
+};
+
+// Reports can be large, so both formats get the same limit. index.js also
+// mounts reportJsonBody, behind the role check, ahead of its app-wide (100kb)
+// JSON parser and the request validator; a body already read there is left
+// alone here.
+const REPORT_LIMIT = '5mb';
+const reportTextBody = express.text({ type: ['text/csv', 'text/plain'], limit: REPORT_LIMIT });
+export const reportJsonBody = express.json({ limit: REPORT_LIMIT });
+
+/**
+ * POST /api/reconciliations?fileName=payouts-2025-11-03.csv&from=2025-11-03&to=2025-11-03
+ * Body: the provider report file as-is, either
+ *   Content-Type: text/csv with a header row (providerToken / orderId, amount, date columns), or
+ *   Content-Type: application/json: [{ "providerToken": "...", "amount": 25.00, "date": "2025-11-03" }, ...]
+ *     (or { "lines": [...] })
+ * from / to default to the first and last dates in the report.
+ * Returns 201 with the run: per-result counts plus one item per order.
+ */
+router.post('/', reportTextBody, reportJsonBody, async (req, res) => {
+  try {
+    const { fileName, from, to } = req.query;
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    if (req.body === undefined) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+
+    const format = typeof req.body === 'string' ? 'csv' : 'json';
+    const lines = parseProviderReport(req.body, format);
+    if (lines.length === 0) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+
+    const runId = await reconcileReport({ fileName, lines, from, to });
+    const report = await runReport(runId);
+    logger.info('Reconciliation completed', { runId, lineCount: report.lineCount, ...report.counts });
+    return res.status(201).json(report);
+  } catch (e) {
+    if (e instanceof ReportError) {
+      return res.status(422).json({ code: e.code, ...e.details });
+    }
+    logger.error('Reconciliation failed', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+// GET /api/reconciliations?limit=20  (runs with their counts, newest first; limit defaults to 50, max 200)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const rows = await listReconciliationRuns({ limit });
+    return res.json(rows.map(toRun));
+  } catch (e) {
+    logger.error('Failed to list reconciliations', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+// GET /api/reconciliations/:id?result=MISSING  (the run and its items, optionally one result only)
+router.get('/:id', async (req, res) => {
+  try {
+    const result = req.query.result ? String(req.query.result).toUpperCase() : undefined;
+    if (result && !RESULTS.has(result)) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    const report = await runReport(Number(req.params.id), { result });
+    if (!report) {
+      return res.status(404).json({ code: 'RECONCILIATION_NOT_FOUND' });
+    }
+    return res.json(report);
+  } catch (e) {
+    logger.error('Failed to fetch reconciliation', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+// --------------------------------------------------------------------
+// src/routes/refunds.js
+// Express router handling /api/refunds POST requests
+// Refunds all or part of an order's settled total through the
+// payment provider and moves the order to PARTIALLY_REFUNDED / REFUNDED.
+// The amount is reserved (a PENDING refund) before the provider is called,
+// so concurrent refunds can't together exceed what was captured.
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { ORDER_STATUS, REFUND_OUTCOME, WEBHOOK_EVENT } from '../shared/constants.js';
+import { getPaymentProvider, ProviderUnavailableError } from '../providers/index.js';
+import { InvalidStateTransitionError, invalidTransitionBody, REFUNDABLE_STATUSES } from '../shared/order-state.js';
+import { toMoney, hasTwoDecimalsMax } from '../shared/money.js';
+
+import {
+  getOrder,
+  getAuthorizationByOrderId,
+  sumCapturedSettlementsForOrder,
+  sumRefundsForOrder,
+  sumReservedRefundsForOrder,
+  reserveRefund,
+  releaseRefund,
+  completeRefund,
+  updateOrderStatus,
+} from '../db/index.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { emitWebhookEvent } from '../webhooks/index.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+// Captured settlements less refunds made or still in flight with the provider
+// (settlements waiting in a batch, or whose capture failed, haven't moved any money)
+const refundableAmount = async (orderId) =>
+  toMoney(toMoney(await sumCapturedSettlementsForOrder(orderId)) - (await sumReservedRefundsForOrder(orderId)));
+
+/**
+ * POST /api/refunds
+ * Body: { "orderId": "ORD-1001", "amount": 10.00, "reason": "Damaged item" }
+ *   amount is optional; when omitted the whole remaining settled total is refunded
+ * Optional header: Idempotency-Key (replays return the original response)
+ */
+router.post('/', idempotency('refunds'), async (req, res) => {
+  try {
+    // normalize inputs
+    let { orderId, amount, reason } = req.body || {};
+    orderId = (orderId ?? '').toString().trim();
+    reason = reason == null ? null : String(reason).trim().slice(0, 500) || null;
+    const fullRefund = amount === undefined || amount === null || amount === '';
+    amount = fullRefund ? null : Number(amount);
+
+    // basic request validation
+    if (!orderId || (!fullRefund && !Number.isFinite(amount))) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    if (!fullRefund && amount <= 0) {
+      return res.status(422).json({ code: 'INVALID_AMOUNT' });
+    }
+    if (!fullRefund && !hasTwoDecimalsMax(amount)) {
+      return res.status(422).json({ code: 'INVALID_AMOUNT_PRECISION' });
+    }
+
+    // 1) order must exist and be settled
+    const order = await getOrder(orderId);
+    if (!order) {
+      return res.status(404).json({ code: 'ORDER_NOT_FOUND' });
+    }
+    if (!REFUNDABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ code: 'ORDER_NOT_REFUNDABLE', status: order.status });
+    }
+
+    // 2) refunds can't exceed what the provider has captured
+    const availableToRefund = await refundableAmount(orderId);
+    const refundAmount = fullRefund ? availableToRefund : toMoney(amount);
+
+    if (refundAmount <= 0 || refundAmount > availableToRefund) {
+      return res.status(422).json({ code: 'AMOUNT_EXCEEDS_REFUNDABLE', availableToRefund });
+    }
+
+    // 3) reserve the amount, so a concurrent refund can't spend it too
+    const reserved = await reserveRefund({
+      order_id: orderId,
+      amount: refundAmount,
+      reason,
+      statuses: [...REFUNDABLE_STATUSES],
+    });
+    if (!reserved) {
+      const current = await getOrder(orderId);
+      if (!REFUNDABLE_STATUSES.includes(current.status)) {
+        return res.status(409).json({ code: 'ORDER_NOT_REFUNDABLE', status: current.status });
+      }
+      const availableNow = await refundableAmount(orderId);
+      return res.status(422).json({ code: 'AMOUNT_EXCEEDS_REFUNDABLE', availableToRefund: availableNow });
+    }
+
+    // 4) send the refund to the provider
+    const auth = await getAuthorizationByOrderId(orderId);
+    let result;
+    try {
+      const provider = getPaymentProvider();
+      result = await provider.refund({
+        orderId,
+        providerToken: auth?.provider_token,
+        amount: refundAmount,
+      });
+    } catch (e) {
+      // no answer (e.g. circuit open): give the amount back so the refund can be retried
+      await releaseRefund(reserved.refund_id);
+      throw e;
+    }
+
+    const refund = await completeRefund({
+      refund_id: reserved.refund_id,
+      outcome: result.ok ? REFUND_OUTCOME.SUCCESS : REFUND_OUTCOME.PROVIDER_ERROR,
+      provider_status: result.providerStatus,
+    });
+
+    if (!result.ok) {
+      return res.status(502).json({ orderId, status: order.status, code: 'PROVIDER_ERROR' });
+    }
+
+    // 5) update order status (REFUNDED once everything captured has come back,
+    //    possibly through a concurrent refund that finished first)
+    const captured = toMoney(await sumCapturedSettlementsForOrder(orderId));
+    const fullyRefunded =
+      toMoney(captured - (await sumRefundsForOrder(orderId))) === 0 ||
+      (await getOrder(orderId)).status === ORDER_STATUS.REFUNDED;
+    const newStatus = fullyRefunded ? ORDER_STATUS.REFUNDED : ORDER_STATUS.PARTIALLY_REFUNDED;
+    const remaining = await refundableAmount(orderId);
+    await updateOrderStatus(
+      orderId,
+      newStatus,
+      `refunded ${refundAmount.toFixed(2)}${reason ? `: ${reason}` : ''}`
+    );
+    await emitWebhookEvent(WEBHOOK_EVENT.REFUND_CREATED, {
+      orderId,
+      status: newStatus,
+      refundId: refund.refund_id,
+      amount: refundAmount,
+      availableToRefund: remaining,
+    });
+
+    return res.json({
+      orderId,
+      status: newStatus,
+      availableToRefund: remaining,
+      refund: {
+        id: refund.refund_id,
+        amount: refund.amount,
+        reason: refund.reason,
+        createdAt: refund.created_at,
+      },
+    });
+  } catch (e) {
+    // circuit open: fail fast without touching the provider
+    if (e instanceof ProviderUnavailableError) {
+      return res.status(503).json({ code: 'PROVIDER_UNAVAILABLE', retryAt: e.retryAt });
+    }
+    // status changed underneath us (concurrent request)
+    if (e instanceof InvalidStateTransitionError) {
+      return res.status(409).json(invalidTransitionBody(e));
+    }
+    logger.error('Refund failed', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+// --------------------------------------------------------------------
+// src/routes/reports.js
+// Express router handling /api/reports requests
+// Management summaries (authorized / settled / outstanding amounts,
+// approval rates, outcome breakdowns, aging), aggregated in SQL.
+// Dates are UTC calendar days.
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { AUTH_OUTCOME } from '../shared/constants.js';
+
+import {
+  REPORT_BUCKET,
+  AGING_BUCKETS,
+  getReportMetrics,
+  getOutstandingAging,
+  expireLapsedAuthorizations,
+} from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+// helpers
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const toMetrics = (row) => {
+  const counts = JSON.parse(row.outcome_counts);
+  return {
+    authorizationCount: row.attempts,
+    approvedCount: row.approved,
+    approvalRate: row.approval_rate,
+    outcomes: Object.fromEntries(Object.values(AUTH_OUTCOME).map((o) => [o, counts[o] ?? 0])),
+    authorizedAmount: row.authorized_amount,
+    averageTicket: row.average_ticket,
+    settlementCount: row.settlement_count,
+    settledAmount: row.settled_amount,
+    outstandingCount: row.outstanding_count,
+    outstandingAmount: row.outstanding_amount,
+  };
+};
+
+/**
+ * GET /api/reports/summary?from=2025-11-01&to=2025-11-30&groupBy=day|week
+ * Defaults: the last 30 days, grouped by day. Weeks start on Monday; the
+ * first and last week only count the days inside the range.
+ * Returns { from, to, groupBy, totals, periods: [{ period, ...metrics }], aging }
+ *   approvalRate = SUCCESS / decided attempts (PENDING excluded), null when none
+ *   outstandingAmount = still-open authorizations approved in the period, less
+ *   what has been settled or voided against them
+ *   aging buckets those open authorizations by days since approval
+ */
+router.get('/summary', async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy ? String(req.query.groupBy) : 'day';
+    const to = req.query.to ? String(req.query.to) : isoDay(Date.now());
+    const from = req.query.from ? String(req.query.from) : isoDay(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+    if (!Object.hasOwn(REPORT_BUCKET, groupBy) || !isDate(from) || !isDate(to) || from > to) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      return res.status(400).json({ code: 'RANGE_TOO_LARGE', maxDays: MAX_RANGE_DAYS });
+    }
+
+    // lapsed holds are no longer outstanding
+    await expireLapsedAuthorizations();
+
+    const [totalsRow] = await getReportMetrics({ from, to });
+    const periodRows = await getReportMetrics({ from, to, bucket: REPORT_BUCKET[groupBy] });
+    const agingRows = new Map((await getOutstandingAging({ from, to })).map((r) => [r.bucket, r]));
+
+    return res.json({
+      from,
+      to,
+      groupBy,
+      totals: toMetrics(totalsRow),
+      periods: periodRows.map((row) => ({ period: row.period, ...toMetrics(row) })),
+      aging: AGING_BUCKETS.map((b) => ({
+        ...b,
+        count: agingRows.get(b.label)?.count ?? 0,
+        amount: agingRows.get(b.label)?.amount ?? 0,
+        oldestDays: agingRows.get(b.label)?.oldest_days ?? null,
+      })),
+    });
+  } catch (e) {
+    logger.error('Failed to build summary report', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
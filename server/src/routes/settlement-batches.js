@@ -0,0 +1,172 @@
+// --------------------------------------------------------------------
+// src/routes/settlement-batches.js
+// Express router handling /api/settlement-batches requests
+// End-of-day settlement batches: settlements collect in the open batch,
+// the warehouse closes it at end of day and submits it, which captures
+// each settlement with the payment provider (src/settlements).
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { SETTLEMENT_BATCH_STATUS } from '../shared/constants.js';
+import { submitSettlementBatch } from '../settlements/index.js';
+
+import {
+  getSettlementBatch,
+  listSettlementBatches,
+  listSettlementsByBatch,
+  openSettlementBatch,
+  closeSettlementBatch,
+} from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+// helpers
+const toMoney = (n) => Number(Number(n).toFixed(2));
+const BATCH_STATUSES = new Set(Object.values(SETTLEMENT_BATCH_STATUS));
+
+const toBatch = (row) => ({
+  id: row.batch_id,
+  status: row.status,
+  openedAt: row.opened_at,
+  openedBy: row.opened_by,
+  closedAt: row.closed_at,
+  closedBy: row.closed_by,
+  submittedAt: row.submitted_at,
+  submittedBy: row.submitted_by,
+  settlementCount: row.settlement_count,
+  totalAmount: toMoney(row.total_amount),
+  captured: { count: row.captured_count, amount: toMoney(row.captured_amount) },
+  failed: { count: row.failed_count, amount: toMoney(row.failed_amount) },
+  pending: { count: row.pending_count, amount: toMoney(row.pending_amount) },
+});
+
+const toBatchSettlement = (row) => ({
+  id: row.settlement_id,
+  orderId: row.order_id,
+  amount: row.amount,
+  createdAt: row.created_at,
+  captureStatus: row.capture_status,
+  captureProviderStatus: row.capture_provider_status,
+  captureError: row.capture_error,
+  capturedAt: row.captured_at,
+});
+
+// batch totals plus every settlement in it (the batch report)
+const batchReport = async (batchId) => {
+  const row = await getSettlementBatch(batchId);
+  return row && { ...toBatch(row), settlements: (await listSettlementsByBatch(batchId)).map(toBatchSettlement) };
+};
+
+const invalidState = (res, batch, code = 'INVALID_BATCH_STATE') =>
+  res.status(409).json({ code, batchId: batch.batch_id, status: batch.status });
+
+/**
+ * GET /api/settlement-batches?status=SUBMITTED_WITH_ERRORS&limit=20
+ * Batches with their totals, newest first (limit defaults to 50, max 200)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+    if (status && !BATCH_STATUSES.has(status)) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+
+    const rows = await listSettlementBatches({ status, limit });
+    return res.json(rows.map(toBatch));
+  } catch (e) {
+    logger.error('Failed to list settlement batches', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * POST /api/settlement-batches
+ * Opens a batch for new settlements (one is also opened automatically by the
+ * first settlement after a close). 409 BATCH_ALREADY_OPEN if one is open.
+ */
+router.post('/', async (_req, res) => {
+  try {
+    const { batch, created } = await openSettlementBatch();
+    if (!created) {
+      return res.status(409).json({ code: 'BATCH_ALREADY_OPEN', batchId: batch.batch_id });
+    }
+    return res.status(201).json(await batchReport(batch.batch_id));
+  } catch (e) {
+    logger.error('Failed to open settlement batch', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+// GET /api/settlement-batches/:id  (totals, capture results and every settlement in the batch)
+router.get('/:id', async (req, res) => {
+  try {
+    const report = await batchReport(Number(req.params.id));
+    if (!report) {
+      return res.status(404).json({ code: 'BATCH_NOT_FOUND' });
+    }
+    return res.json(report);
+  } catch (e) {
+    logger.error('Failed to fetch settlement batch', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+// POST /api/settlement-batches/:id/close  (OPEN → CLOSED; later settlements start a new batch)
+router.post('/:id/close', async (req, res) => {
+  try {
+    const batch = await getSettlementBatch(Number(req.params.id));
+    if (!batch) {
+      return res.status(404).json({ code: 'BATCH_NOT_FOUND' });
+    }
+    if (batch.status !== SETTLEMENT_BATCH_STATUS.OPEN) {
+      return invalidState(res, batch);
+    }
+    if (batch.settlement_count === 0) {
+      return invalidState(res, batch, 'BATCH_EMPTY');
+    }
+
+    const closed = await closeSettlementBatch(batch.batch_id);
+    if (!closed) {
+      // closed by someone else in the meantime
+      return invalidState(res, await getSettlementBatch(batch.batch_id));
+    }
+    return res.json(await batchReport(batch.batch_id));
+  } catch (e) {
+    logger.error('Failed to close settlement batch', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * POST /api/settlement-batches/:id/submit
+ * Captures the batch's settlements with the provider. Allowed for CLOSED
+ * batches, and for SUBMITTED_WITH_ERRORS ones to retry the failed captures.
+ * Returns the batch report; failed captures are listed with their error.
+ */
+router.post('/:id/submit', async (req, res) => {
+  try {
+    const batch = await getSettlementBatch(Number(req.params.id));
+    if (!batch) {
+      return res.status(404).json({ code: 'BATCH_NOT_FOUND' });
+    }
+
+    const submitted = await submitSettlementBatch(batch.batch_id);
+    if (!submitted) {
+      return invalidState(res, await getSettlementBatch(batch.batch_id));
+    }
+    const report = await batchReport(batch.batch_id);
+    logger.info('Settlement batch submitted', {
+      batchId: report.id,
+      status: report.status,
+      captured: report.captured.count,
+      failed: report.failed.count,
+    });
+    return res.json(report);
+  } catch (e) {
+    logger.error('Failed to submit settlement batch', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
@@ -1,95 +1,104 @@
 // --------------------------------------------------------------------
 // src/routes/settlements.js
 // Express router handling /api/settlements POST requests
-// Processes settlement requests against authorized orders,
-// ensuring business rules are followed and updating records.
+// Processes settlement requests against authorized orders, one at a time
+// or as an end-of-shift batch; the rules live in src/settlements.
 // --------------------------------------------------------------------
-import { Router } from 'express';
-import { ORDER_STATUS } from '../shared/constants.js';
+import express, { Router } from 'express';
 
-import {
-  getOrder,
-  getAuthorizationByOrderId,
-  sumSettlementsForOrder,
-  createSettlement,
-  updateOrderStatus,
-} from '../db/index.js';
+import { settleOrder } from '../settlements/index.js';
+import { parseCsv } from '../shared/csv.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { logger } from '../shared/logger.js';
 
 const router = Router();
 
-// helpers
-const toMoney = (n) => Number(Number(n).toFixed(2));
-const hasTwoDecimalsMax = (n) => Number.isFinite(n) && Math.round(n * 100) === n * 100;
+const MAX_BATCH_ROWS = 500;
 
-router.post('/', async (req, res) => {
+/**
+ * POST /api/settlements
+ * Body: { "orderId": "ORD-1001", "amount": 25.00 }
+ * Optional header: Idempotency-Key (replays return the original response)
+ */
+router.post('/', idempotency('settlements'), async (req, res) => {
   try {
-    // normalize inputs
-    let { orderId, amount } = req.body || {};
-    orderId = (orderId ?? '').toString().trim();
-    amount = Number(amount);
-
-    // basic request validation
-    if (!orderId || !Number.isFinite(amount)) {
-      return res.status(400).json({ code: 'BAD_REQUEST' });
-    }
-    if (amount <= 0) {
-      return res.status(422).json({ code: 'INVALID_AMOUNT' });
-    }
-    if (!hasTwoDecimalsMax(amount)) {
-      return res.status(422).json({ code: 'INVALID_AMOUNT_PRECISION' });
-    }
+    const { status, body } = await settleOrder(req.body || {});
+    return res.status(status).json(body);
+  } catch (e) {
+    logger.error('Settlement failed', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
 
-    // 1) order must exist
-    const order = await getOrder(orderId);
-    if (!order) {
-      return res.status(404).json({ code: 'ORDER_NOT_FOUND' });
-    }
+// CSV rows → [{ orderId, amount }]. A header row naming orderId / amount
+// picks the columns; without one they are the first two. Extra columns
+// (e.g. the error column of a downloaded failures file) are ignored.
+function rowsFromCsv(text) {
+  const lines = parseCsv(text);
+  const header = (lines[0] ?? []).map((h) => h.trim().toLowerCase().replace(/[\s_]/g, ''));
+  const orderCol = header.indexOf('orderid');
+  const amountCol = header.indexOf('amount');
+  const hasHeader = orderCol !== -1 && amountCol !== -1;
+  const [o, a] = hasHeader ? [orderCol, amountCol] : [0, 1];
+  return (hasHeader ? lines.slice(1) : lines).map((cells) => ({
+    orderId: (cells[o] ?? '').trim(),
+    amount: (cells[a] ?? '').trim(),
+  }));
+}
 
-    // 2) must have a successful/approved authorization for this order
-    const auth = await getAuthorizationByOrderId(orderId);
-    if (!auth || auth.outcome !== 'SUCCESS') {
-      return res.status(409).json({ code: 'NO_APPROVED_AUTH' });
-    }
+/**
+ * POST /api/settlements/batch
+ * Body: { "rows": [{ "orderId": "ORD-1001", "amount": 25.00 }, ...] }
+ *   or Content-Type: text/csv with orderId,amount lines (header optional)
+ * Optional header: Idempotency-Key
+ * Each row goes through the same rules as POST /api/settlements, in order,
+ * and a failing row doesn't stop the rest. Returns 200 with
+ * { total, succeeded, failed, results: [{ row, orderId, amount, ok, httpStatus, ... }] }
+ * where a result carries the single route's response fields (status,
+ * availableToSettle, settlement) or its error (code, ...).
+ */
+router.post(
+  '/batch',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  idempotency('settlements-batch'),
+  async (req, res) => {
+    try {
+      const rows = typeof req.body === 'string' ? rowsFromCsv(req.body) : req.body?.rows;
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ code: 'BAD_REQUEST' });
+      }
+      if (rows.length > MAX_BATCH_ROWS) {
+        return res.status(422).json({ code: 'BATCH_TOO_LARGE', maxRows: MAX_BATCH_ROWS });
+      }
 
-    // 3) compute remaining authorized amount
-    const settledSoFar = (await sumSettlementsForOrder(orderId)) ?? 0;
-    const authorized = toMoney(auth.amount);
-    const available = toMoney(authorized - settledSoFar);
+      const results = [];
+      for (const [i, input] of rows.entries()) {
+        const { orderId = null, amount = null } = input && typeof input === 'object' ? input : {};
+        let outcome;
+        try {
+          outcome = await settleOrder({ orderId, amount });
+        } catch (e) {
+          logger.error('Batch settlement row failed', { err: e, row: i + 1, orderId });
+          outcome = { status: 500, body: { code: 'SERVER_ERROR' } };
+        }
+        results.push({
+          row: i + 1,
+          orderId,
+          amount,
+          ok: outcome.status === 200,
+          httpStatus: outcome.status,
+          ...outcome.body,
+        });
+      }
 
-    if (amount > available) {
-      // Preserving current behavior: 422 when exceeding available
-      return res
-        .status(422)
-        .json({ code: 'AMOUNT_EXCEEDS_AVAILABLE', availableToSettle: available });
+      const succeeded = results.filter((r) => r.ok).length;
+      logger.info('Settlement batch processed', { total: results.length, succeeded });
+      return res.json({ total: results.length, succeeded, failed: results.length - succeeded, results });
+    } catch (e) {
+      logger.error('Settlement batch failed', { err: e });
+      return res.status(500).json({ code: 'SERVER_ERROR' });
     }
-
-    // 4) create the settlement
-    const settlement = await createSettlement({
-      order_id: orderId,
-      amount: toMoney(amount),
-      outcome: 'SUCCESS',
-    });
-
-    // 5) update order status (SETTLED if no remaining, else stay AUTHORIZED)
-    const remaining = toMoney(available - amount);
-    const newStatus = remaining === 0 ? ORDER_STATUS.SETTLED : ORDER_STATUS.AUTHORIZED;
-    await updateOrderStatus(orderId, newStatus);
-
-    // 6) response
-    return res.json({
-      orderId,
-      status: newStatus,
-      availableToSettle: remaining,
-      settlement: {
-        id: settlement.settlement_id ?? settlement.id,
-        amount: settlement.amount,
-        createdAt: settlement.created_at ?? settlement.createdAt,
-      },
-    });
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ code: 'SERVER_ERROR' });
   }
-});
+);
 
 export default router;
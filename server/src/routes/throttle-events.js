@@ -0,0 +1,47 @@
+// --------------------------------------------------------------------
+// src/routes/throttle-events.js
+// Express router handling /api/throttle-events GET requests
+// Requests rejected by the rate limiter (see middleware/rate-limit.js),
+// for reviewing card-testing and other abuse.
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { listThrottleEvents } from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+const toThrottleEvent = (row) => ({
+  id: row.throttle_id,
+  route: row.route,
+  scope: row.scope,
+  subject: row.subject,
+  limit: row.limit_max,
+  windowSeconds: row.window_seconds,
+  retryAfter: row.retry_after,
+  actor: row.actor,
+  sourceIp: row.source_ip,
+  requestId: row.request_id,
+  createdAt: row.created_at,
+});
+
+/**
+ * GET /api/throttle-events?route=authorize&scope=card&subject=<fingerprint>&from=2025-10-01&limit=100
+ * All filters optional; newest first (limit defaults to 200, max 1000)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { route, scope, subject, from } = req.query;
+    if (from && Number.isNaN(new Date(from).getTime())) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 200));
+
+    const rows = await listThrottleEvents({ route, scope, subject, from, limit });
+    return res.json(rows.map(toThrottleEvent));
+  } catch (e) {
+    logger.error('Failed to list throttle events', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
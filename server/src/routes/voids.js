@@ -0,0 +1,160 @@
+// --------------------------------------------------------------------
+// src/routes/voids.js
+// Express router handling /api/orders/:id/void POST requests
+// Releases an authorization hold through the payment provider's void
+// operation, records the void, and moves the order to VOIDED.
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { ORDER_STATUS, AUTH_OUTCOME, VOID_OUTCOME, WEBHOOK_EVENT } from '../shared/constants.js';
+import { getPaymentProvider, ProviderUnavailableError } from '../providers/index.js';
+import { InvalidStateTransitionError, invalidTransitionBody } from '../shared/order-state.js';
+
+import {
+  getOrder,
+  getAuthorizationByOrderId,
+  sumSettlementsForOrder,
+  sumVoidsForOrder,
+  listVoidsByOrderId,
+  reserveVoid,
+  completeVoid,
+  releaseVoid,
+  updateOrderStatus,
+} from '../db/index.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { settleIfFullyCaptured } from '../settlements/index.js';
+import { emitWebhookEvent } from '../webhooks/index.js';
+import { logger } from '../shared/logger.js';
+
+// mergeParams so :id from the mount path is visible here
+const router = Router({ mergeParams: true });
+
+// helpers
+const toMoney = (n) => Number(Number(n).toFixed(2));
+
+// What a void of the order would release right now, or the error to answer with
+async function checkVoidable(orderId, remainingOnly) {
+  // 1) order must exist and still hold an authorization
+  const order = await getOrder(orderId);
+  if (!order) {
+    return { error: [404, { code: 'ORDER_NOT_FOUND' }] };
+  }
+  if (order.status !== ORDER_STATUS.AUTHORIZED) {
+    return { error: [409, { code: 'ORDER_NOT_VOIDABLE', status: order.status }] };
+  }
+
+  const auth = await getAuthorizationByOrderId(orderId);
+  if (!auth || auth.outcome !== AUTH_OUTCOME.SUCCESS) {
+    return { error: [409, { code: 'NO_APPROVED_AUTH' }] };
+  }
+  if ((await listVoidsByOrderId(orderId)).some((v) => v.outcome === VOID_OUTCOME.PENDING)) {
+    return { error: [409, { code: 'VOID_IN_PROGRESS' }] };
+  }
+
+  // 2) a full void is refused once any settlement exists
+  const settled = toMoney(await sumSettlementsForOrder(orderId));
+  if (settled > 0 && !remainingOnly) {
+    return { error: [409, { code: 'ORDER_HAS_SETTLEMENTS', settled }] };
+  }
+
+  const remaining = toMoney(toMoney(auth.amount) - settled - (await sumVoidsForOrder(orderId)));
+  if (remaining <= 0) {
+    return { error: [409, { code: 'NOTHING_TO_VOID' }] };
+  }
+  return { order, auth, settled, remaining };
+}
+
+/**
+ * Mounted at /api/orders/:id/void
+ * POST /api/orders/:id/void
+ * Body (optional): { "remainingOnly": true }
+ *   - default: void the whole authorization; refused once any settlement exists
+ *   - remainingOnly: release just the unsettled remainder of a partially settled
+ *     order; the settled part stands and the order becomes SETTLED (or once its
+ *     settlements have been captured, if some are still waiting in a batch)
+ * The void is reserved (PENDING) before the provider is called, so concurrent
+ * voids, or a settlement racing one, can't both go through.
+ * Optional header: Idempotency-Key
+ */
+router.post('/', idempotency('void'), async (req, res) => {
+  try {
+    const orderId = String(req.params.id ?? '').trim();
+    const remainingOnly = req.body?.remainingOnly === true;
+
+    // 1-2) what can be voided
+    const checked = await checkVoidable(orderId, remainingOnly);
+    if (checked.error) {
+      const [status, body] = checked.error;
+      return res.status(status).json(body);
+    }
+    const { order, auth, settled, remaining } = checked;
+
+    // 3) reserve it; if the order changed since the checks, report how
+    const reserved = await reserveVoid({ order_id: orderId, amount: remaining, settled });
+    if (!reserved) {
+      const [status, body] = (await checkVoidable(orderId, remainingOnly)).error ?? [409, { code: 'ORDER_CHANGED' }];
+      return res.status(status).json(body);
+    }
+
+    // 4) release the hold with the provider
+    let result;
+    try {
+      const provider = getPaymentProvider();
+      result = await provider.void({
+        orderId,
+        providerToken: auth.provider_token,
+        amount: remaining,
+      });
+    } catch (e) {
+      // no answer (e.g. circuit open): drop the reservation so the void can be retried
+      await releaseVoid(reserved.void_id);
+      throw e;
+    }
+
+    const voidRow = await completeVoid({
+      void_id: reserved.void_id,
+      outcome: result.ok ? VOID_OUTCOME.SUCCESS : VOID_OUTCOME.PROVIDER_ERROR,
+      provider_status: result.providerStatus,
+    });
+
+    if (!result.ok) {
+      return res.status(502).json({ orderId, status: order.status, code: 'PROVIDER_ERROR' });
+    }
+
+    // 5) nothing settled → VOIDED; partially settled → the settled part is final
+    //    (SETTLED now if it has all been captured, else when its batch is submitted)
+    const newStatus =
+      settled > 0
+        ? await settleIfFullyCaptured(orderId, `unsettled remainder ${remaining.toFixed(2)} voided`)
+        : (await updateOrderStatus(orderId, ORDER_STATUS.VOIDED, 'authorization voided')).status;
+    await emitWebhookEvent(WEBHOOK_EVENT.ORDER_VOIDED, {
+      orderId,
+      status: newStatus,
+      voidedAmount: remaining,
+      remainingOnly: settled > 0,
+    });
+
+    return res.json({
+      orderId,
+      status: newStatus,
+      availableToSettle: 0,
+      void: {
+        id: voidRow.void_id,
+        amount: voidRow.amount,
+        createdAt: voidRow.created_at,
+      },
+    });
+  } catch (e) {
+    // circuit open: fail fast without touching the provider
+    if (e instanceof ProviderUnavailableError) {
+      return res.status(503).json({ code: 'PROVIDER_UNAVAILABLE', retryAt: e.retryAt });
+    }
+    // status changed underneath us (concurrent request)
+    if (e instanceof InvalidStateTransitionError) {
+      return res.status(409).json(invalidTransitionBody(e));
+    }
+    logger.error('Void failed', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
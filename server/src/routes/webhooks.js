@@ -0,0 +1,169 @@
+// --------------------------------------------------------------------
+// src/routes/webhooks.js
+// Express router handling /api/webhooks requests
+// Manages outbound webhook subscriptions (WMS, ERP, ...) and exposes
+// the delivery log. Delivery itself lives in src/webhooks.
+// --------------------------------------------------------------------
+import { Router } from 'express';
+import { WEBHOOK_EVENT } from '../shared/constants.js';
+import { generateWebhookSecret } from '../webhooks/signing.js';
+import { scheduleWebhookDispatch } from '../webhooks/index.js';
+
+import {
+  createWebhookSubscription,
+  getWebhookSubscription,
+  listWebhookSubscriptions,
+  deactivateWebhookSubscription,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  requeueWebhookDelivery,
+} from '../db/index.js';
+import { logger } from '../shared/logger.js';
+
+const router = Router();
+
+// helpers
+const KNOWN_EVENTS = new Set([...Object.values(WEBHOOK_EVENT), '*']);
+const DELIVERY_STATUSES = new Set(['PENDING', 'DELIVERED', 'FAILED']);
+
+const isHttpUrl = (value) => {
+  try {
+    const u = new URL(value);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// the secret is only ever returned when the subscription is created
+const toSubscription = (row, { withSecret = false } = {}) => ({
+  id: row.subscription_id,
+  url: row.url,
+  events: JSON.parse(row.event_types),
+  active: row.active === 1,
+  createdAt: row.created_at,
+  ...(withSecret ? { secret: row.secret } : {}),
+});
+
+const toDelivery = (row) => ({
+  id: row.delivery_id,
+  subscriptionId: row.subscription_id,
+  eventId: row.event_id,
+  eventType: row.event_type,
+  orderId: row.order_id,
+  status: row.status,
+  attempts: row.attempts,
+  nextAttemptAt: row.status === 'PENDING' ? row.next_attempt_at : null,
+  lastStatusCode: row.last_status_code,
+  lastError: row.last_error,
+  createdAt: row.created_at,
+  deliveredAt: row.delivered_at,
+  payload: JSON.parse(row.payload),
+});
+
+/**
+ * POST /api/webhooks/subscriptions
+ * Body: { "url": "https://wms.example.com/hooks", "events": ["order.authorized", "order.settled"], "secret": "optional" }
+ *   events may be ["*"] for everything; a secret is generated when omitted
+ * Returns 201 with the subscription, including the signing secret (shown only here)
+ */
+router.post('/subscriptions', async (req, res) => {
+  try {
+    const { url, events, secret } = req.body || {};
+
+    if (!isHttpUrl(url) || !Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    const unknown = events.filter((e) => !KNOWN_EVENTS.has(e));
+    if (unknown.length > 0) {
+      return res.status(422).json({ code: 'UNKNOWN_EVENT_TYPE', unknown, known: [...KNOWN_EVENTS] });
+    }
+    if (secret != null && (typeof secret !== 'string' || secret.length < 16)) {
+      return res.status(422).json({ code: 'INVALID_SECRET' });
+    }
+
+    const row = await createWebhookSubscription({
+      url,
+      event_types: [...new Set(events)],
+      secret: secret || generateWebhookSecret(),
+    });
+    return res.status(201).json(toSubscription(row, { withSecret: true }));
+  } catch (e) {
+    logger.error('Failed to create webhook subscription', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+// GET /api/webhooks/subscriptions
+router.get('/subscriptions', async (_req, res) => {
+  try {
+    const rows = await listWebhookSubscriptions();
+    return res.json(rows.map((r) => toSubscription(r)));
+  } catch (e) {
+    logger.error('Failed to list webhook subscriptions', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+// DELETE /api/webhooks/subscriptions/:id  (deactivates; the delivery log is kept)
+router.delete('/subscriptions/:id', async (req, res) => {
+  try {
+    const existing = await getWebhookSubscription(Number(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ code: 'SUBSCRIPTION_NOT_FOUND' });
+    }
+    const row = await deactivateWebhookSubscription(existing.subscription_id);
+    return res.json(toSubscription(row));
+  } catch (e) {
+    logger.error('Failed to deactivate webhook subscription', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries?status=FAILED&subscriptionId=1&eventType=order.settled&orderId=ORD-1001&limit=50
+ * Delivery log, newest first (limit defaults to 100, max 500)
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { status, subscriptionId, eventType, orderId } = req.query;
+    const statusUp = status ? String(status).toUpperCase() : undefined;
+    if (statusUp && !DELIVERY_STATUSES.has(statusUp)) {
+      return res.status(400).json({ code: 'BAD_REQUEST' });
+    }
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+
+    const rows = await listWebhookDeliveries({
+      status: statusUp,
+      subscriptionId: subscriptionId ? Number(subscriptionId) : undefined,
+      eventType,
+      orderId,
+      limit,
+    });
+    return res.json(rows.map(toDelivery));
+  } catch (e) {
+    logger.error('Failed to list webhook deliveries', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+// POST /api/webhooks/deliveries/:id/retry  (re-queues a FAILED or PENDING delivery now)
+router.post('/deliveries/:id/retry', async (req, res) => {
+  try {
+    const existing = await getWebhookDelivery(Number(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ code: 'DELIVERY_NOT_FOUND' });
+    }
+    if (existing.status === 'DELIVERED') {
+      return res.status(409).json({ code: 'ALREADY_DELIVERED' });
+    }
+    const row = await requeueWebhookDelivery(existing.delivery_id);
+    scheduleWebhookDispatch();
+    return res.status(202).json(toDelivery(row));
+  } catch (e) {
+    logger.error('Failed to requeue webhook delivery', { err: e });
+    return res.status(500).json({ code: 'SERVER_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,249 @@
+// --------------------------------------------------------------------
+// src/settlements/index.js
+// Settlement rules shared by POST /api/settlements and the batch route.
+// settleOrder checks one { orderId, amount } against the order and its
+// authorization, records the settlement and queues the webhooks. It
+// answers with the HTTP status and JSON body the single-settlement route
+// returns, so a batch row reports exactly what settling that order on its
+// own would have.
+// Recorded settlements wait in the open end-of-day batch; the provider
+// capture happens in submitSettlementBatch once the batch is closed. The
+// order stays AUTHORIZED until then: it becomes SETTLED (order.settled)
+// only when nothing is left to settle and every settlement is captured.
+// --------------------------------------------------------------------
+import {
+  ORDER_STATUS,
+  WEBHOOK_EVENT,
+  SETTLEMENT_BATCH_STATUS,
+  CAPTURE_STATUS,
+  VOID_OUTCOME,
+} from '../shared/constants.js';
+import { isAuthorizationExpired } from '../shared/authorization.js';
+import { canTransition, InvalidStateTransitionError } from '../shared/order-state.js';
+import { toMoney, hasTwoDecimalsMax } from '../shared/money.js';
+
+import {
+  getOrder,
+  getAuthorizationByOrderId,
+  sumSettlementsForOrder,
+  sumCapturedSettlementsForOrder,
+  createSettlement,
+  updateOrderStatus,
+  expireLapsedAuthorizations,
+  listLapsedSettledOrderIds,
+  sumVoidsForOrder,
+  listVoidsByOrderId,
+  listSettlementsByBatch,
+  beginSettlementBatchSubmit,
+  recordSettlementCapture,
+  finishSettlementBatchSubmit,
+} from '../db/index.js';
+import { getPaymentProvider, ProviderUnavailableError } from '../providers/index.js';
+import { emitWebhookEvent } from '../webhooks/index.js';
+import { logger } from '../shared/logger.js';
+
+// helpers
+const reply = (status, body) => ({ status, body });
+
+/**
+ * @param {{ orderId: string, amount: number|string }} input
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+export async function settleOrder(input) {
+  // normalize inputs
+  let { orderId, amount } = input || {};
+  orderId = (orderId ?? '').toString().trim();
+  amount = Number(amount);
+
+  // basic request validation
+  if (!orderId || !Number.isFinite(amount)) {
+    return reply(400, { code: 'BAD_REQUEST' });
+  }
+  if (amount <= 0) {
+    return reply(422, { code: 'INVALID_AMOUNT' });
+  }
+  if (!hasTwoDecimalsMax(amount)) {
+    return reply(422, { code: 'INVALID_AMOUNT_PRECISION' });
+  }
+
+  // 1) order must exist
+  const order = await getOrder(orderId);
+  if (!order) {
+    return reply(404, { code: 'ORDER_NOT_FOUND' });
+  }
+  if (order.status === ORDER_STATUS.VOIDED) {
+    return reply(409, { code: 'ORDER_VOIDED' });
+  }
+
+  // 2) must have a successful/approved authorization for this order
+  const auth = await getAuthorizationByOrderId(orderId);
+  if (!auth || auth.outcome !== 'SUCCESS') {
+    return reply(409, { code: 'NO_APPROVED_AUTH' });
+  }
+
+  // 2b) the approved authorization must not have lapsed
+  if (isAuthorizationExpired(auth)) {
+    await expireLapsedAuthorizations(orderId);
+    return reply(409, { code: 'AUTH_EXPIRED', expiresAt: auth.expires_at });
+  }
+
+  // 2c) only AUTHORIZED orders can take a settlement (not SETTLED, REFUNDED, ...)
+  if (!canTransition(order.status, ORDER_STATUS.SETTLED)) {
+    return reply(409, {
+      orderId,
+      code: 'INVALID_STATE_TRANSITION',
+      from: order.status,
+      to: ORDER_STATUS.SETTLED,
+    });
+  }
+
+  // 2d) a void in flight with the provider may release what is left
+  if ((await listVoidsByOrderId(orderId)).some((v) => v.outcome === VOID_OUTCOME.PENDING)) {
+    return reply(409, { code: 'VOID_IN_PROGRESS' });
+  }
+
+  // 3) compute remaining authorized amount (voided remainders are gone)
+  const settledSoFar = (await sumSettlementsForOrder(orderId)) ?? 0;
+  const voided = (await sumVoidsForOrder(orderId)) ?? 0;
+  const authorized = toMoney(auth.amount);
+  const available = toMoney(authorized - settledSoFar - voided);
+
+  if (amount > available) {
+    // Preserving current behavior: 422 when exceeding available
+    return reply(422, { code: 'AMOUNT_EXCEEDS_AVAILABLE', availableToSettle: available });
+  }
+
+  // 4) create the settlement
+  const settlement = await createSettlement({
+    order_id: orderId,
+    amount: toMoney(amount),
+    outcome: 'SUCCESS',
+  });
+
+  // 5) notify subscribers; the order stays AUTHORIZED until the capture
+  const remaining = toMoney(available - amount);
+  await emitWebhookEvent(WEBHOOK_EVENT.SETTLEMENT_CREATED, {
+    orderId,
+    settlementId: settlement.settlement_id ?? settlement.id ?? null,
+    amount: toMoney(amount),
+    availableToSettle: remaining,
+  });
+
+  // 6) response
+  return reply(200, {
+    orderId,
+    status: order.status,
+    availableToSettle: remaining,
+    settlement: {
+      id: settlement.settlement_id ?? settlement.id,
+      amount: settlement.amount,
+      createdAt: settlement.created_at ?? settlement.createdAt,
+      batchId: settlement.batch_id ?? null,
+      captureStatus: settlement.capture_status ?? null,
+    },
+  });
+}
+
+/**
+ * Moves an AUTHORIZED order to SETTLED, and sends order.settled, once nothing
+ * is left to settle and every settlement against it has been captured. Until
+ * then it stays AUTHORIZED: settlements still waiting in a batch, or whose
+ * capture failed (retried when the batch is submitted again), hold their
+ * share of the authorization but are not settled money yet. Once the
+ * authorization has lapsed its unsettled rest no longer counts.
+ * @param {string} orderId
+ * @param {string} [reason]  recorded on the SETTLED transition
+ * @returns {Promise<string|null>} the order's status afterwards
+ */
+export async function settleIfFullyCaptured(orderId, reason) {
+  const order = await getOrder(orderId);
+  if (order?.status !== ORDER_STATUS.AUTHORIZED) return order?.status ?? null;
+
+  const auth = await getAuthorizationByOrderId(orderId);
+  const settled = toMoney(await sumSettlementsForOrder(orderId));
+  const captured = toMoney(await sumCapturedSettlementsForOrder(orderId));
+  const voided = toMoney(await sumVoidsForOrder(orderId));
+  const unsettled = toMoney(toMoney(auth?.amount ?? 0) - settled - voided);
+  const lapsed = isAuthorizationExpired(auth);
+  if (settled === 0 || (unsettled > 0 && !lapsed) || captured < settled) return order.status;
+
+  const detail = unsettled > 0 ? `authorization lapsed with ${unsettled.toFixed(2)} unsettled` : 'fully settled';
+  try {
+    await updateOrderStatus(orderId, ORDER_STATUS.SETTLED, reason ?? `captured ${captured.toFixed(2)} (${detail})`);
+  } catch (e) {
+    // status changed underneath us (e.g. a concurrent void); leave it as it is now
+    if (!(e instanceof InvalidStateTransitionError)) throw e;
+    return (await getOrder(orderId))?.status ?? null;
+  }
+  await emitWebhookEvent(WEBHOOK_EVENT.ORDER_SETTLED, {
+    orderId,
+    status: ORDER_STATUS.SETTLED,
+    settledAmount: captured,
+  });
+  return ORDER_STATUS.SETTLED;
+}
+
+/**
+ * Background sweep for partly settled orders whose authorization lapsed
+ * (expireLapsedAuthorizations leaves them AUTHORIZED): each becomes SETTLED
+ * as soon as its settlements are captured. Those still waiting for their
+ * capture are settled by submitSettlementBatch instead.
+ * @returns {Promise<number>} the number of orders settled
+ */
+export async function settleLapsedAuthorizations() {
+  let count = 0;
+  for (const orderId of await listLapsedSettledOrderIds()) {
+    if ((await settleIfFullyCaptured(orderId)) === ORDER_STATUS.SETTLED) count += 1;
+  }
+  return count;
+}
+
+/**
+ * Captures every not-yet-captured settlement of a CLOSED (or
+ * SUBMITTED_WITH_ERRORS, to retry the failures) batch with the provider,
+ * one at a time. A failed capture is recorded on its settlement and the
+ * rest carry on; the batch ends SUBMITTED or SUBMITTED_WITH_ERRORS. Orders
+ * whose settlements are now all captured move to SETTLED.
+ * @param {number} batchId
+ * @returns {Promise<object|null>} the batch row, or null if it can't be submitted now
+ */
+export async function submitSettlementBatch(batchId) {
+  const batch = await beginSettlementBatchSubmit(batchId);
+  if (!batch) return null;
+
+  const provider = getPaymentProvider();
+  let failed = 0;
+  try {
+    const due = (await listSettlementsByBatch(batchId)).filter((s) => s.capture_status !== CAPTURE_STATUS.CAPTURED);
+    for (const s of due) {
+      let result;
+      try {
+        const auth = await getAuthorizationByOrderId(s.order_id);
+        const r = await provider.capture({
+          orderId: s.order_id,
+          providerToken: auth?.provider_token,
+          amount: s.amount,
+        });
+        result = { ok: r.ok, provider_status: r.providerStatus, error: r.ok ? null : 'PROVIDER_ERROR' };
+      } catch (e) {
+        // circuit open: nothing was sent; the settlement is retried with the batch
+        if (!(e instanceof ProviderUnavailableError)) throw e;
+        result = { ok: false, provider_status: null, error: 'PROVIDER_UNAVAILABLE' };
+      }
+      if (!result.ok) failed += 1;
+      await recordSettlementCapture({ settlement_id: s.settlement_id, ...result });
+      if (result.ok) await settleIfFullyCaptured(s.order_id);
+    }
+  } catch (e) {
+    // unexpected error: don't leave the batch stuck in SUBMITTING; whatever wasn't
+    // captured is still PENDING and goes out when the batch is submitted again
+    logger.error('Settlement batch submit failed', { err: e, batchId });
+    await finishSettlementBatchSubmit(batchId, SETTLEMENT_BATCH_STATUS.SUBMITTED_WITH_ERRORS);
+    throw e;
+  }
+
+  return finishSettlementBatchSubmit(
+    batchId,
+    failed > 0 ? SETTLEMENT_BATCH_STATUS.SUBMITTED_WITH_ERRORS : SETTLEMENT_BATCH_STATUS.SUBMITTED
+  );
+}
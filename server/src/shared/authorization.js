@@ -0,0 +1,27 @@
+// --------------------------------------------------------------------
+// src/shared/authorization.js
+// Helpers for authorization expiry (authorizations.expires_at).
+// expires_at is stored in SQLite's datetime('now') format, in UTC.
+// --------------------------------------------------------------------
+import { AUTH_EXPIRY_DAYS } from './constants.js';
+
+// Expiry window in days, from AUTH_EXPIRY_DAYS env or the default constant
+export function authExpiryDays() {
+  const days = Number(process.env.AUTH_EXPIRY_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : AUTH_EXPIRY_DAYS;
+}
+
+// Parses 'YYYY-MM-DD HH:MM:SS' (UTC) or ISO strings; null when missing/invalid
+export function parseDbTimestamp(value) {
+  if (!value) return null;
+  const s = String(value);
+  const iso = /[zZ]|[+-]\d{2}:?\d{2}$/.test(s) ? s : `${s.replace(' ', 'T')}Z`;
+  const t = Date.parse(iso);
+  return Number.isNaN(t) ? null : t;
+}
+
+// True when the authorization has an expires_at that is now in the past
+export function isAuthorizationExpired(auth, now = Date.now()) {
+  const expiresAt = parseDbTimestamp(auth?.expires_at);
+  return expiresAt != null && expiresAt <= now;
+}
@@ -0,0 +1,19 @@
+// --------------------------------------------------------------------
+// src/shared/card-fingerprint.js
+// Stable, non-reversible identifier for a card number so the same card
+// can be recognised (e.g. for velocity limits) without storing the PAN.
+// HMAC-SHA256 keyed with CARD_FINGERPRINT_SECRET: a plain hash of a PAN
+// can be brute-forced, so set the secret in production.
+// --------------------------------------------------------------------
+import crypto from 'node:crypto';
+
+/**
+ * @param {string} pan card number (spaces/dashes are ignored)
+ * @returns {string|null} hex fingerprint, or null when there are no digits
+ */
+export function cardFingerprint(pan) {
+  const digits = String(pan ?? '').replace(/\D/g, '');
+  if (!digits) return null;
+  const secret = process.env.CARD_FINGERPRINT_SECRET || 'card-fingerprint';
+  return crypto.createHmac('sha256', secret).update(digits).digest('hex');
+}
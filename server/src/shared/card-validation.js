@@ -0,0 +1,98 @@
+// --------------------------------------------------------------------
+// src/shared/card-validation.js
+// Server-side card and customer validation for POST /api/authorize.
+// Mirrors the checkout form rules in PaymentProcessingUI.jsx
+// (detectCardType, isFutureExpiry, isValidCvvForType) and adds Luhn and
+// brand length checks. Errors are reported per field so the form can
+// show them inline, e.g. { "card.number": "LUHN_FAILED" }.
+// --------------------------------------------------------------------
+
+export const FIELD_ERROR = Object.freeze({
+  REQUIRED: 'REQUIRED',
+  INVALID_LENGTH: 'INVALID_LENGTH',
+  LUHN_FAILED: 'LUHN_FAILED',
+  INVALID_EXPIRY: 'INVALID_EXPIRY',
+  EXPIRED: 'EXPIRED',
+  INVALID_CVV: 'INVALID_CVV',
+  INVALID_ZIP: 'INVALID_ZIP',
+});
+
+// Brand → allowed PAN lengths and CVV length (null = unknown brand)
+const BRAND_RULES = Object.freeze({
+  Visa: { lengths: [13, 16, 19], cvv: [3] },
+  Mastercard: { lengths: [16], cvv: [3] },
+  'American Express': { lengths: [15], cvv: [4] },
+  Discover: { lengths: [16, 19], cvv: [3] },
+});
+const UNKNOWN_BRAND_RULES = Object.freeze({ lengths: [12, 13, 14, 15, 16, 17, 18, 19], cvv: [3, 4] });
+
+const digitsOf = (v) => String(v ?? '').replace(/\D/g, '');
+
+/* ---------- Card brand detection (same BIN ranges as the checkout UI) ---------- */
+export function detectCardType(input) {
+  const n = digitsOf(input);
+  if (/^4/.test(n)) return 'Visa';
+  if (/^(5[1-5]|2(2[2-9]|[3-6][0-9]|7[01]|720))/.test(n)) return 'Mastercard';
+  if (/^3[47]/.test(n)) return 'American Express';
+  if (/^6(?:011|5|4[4-9]|22)/.test(n)) return 'Discover';
+  return null;
+}
+
+export function passesLuhn(input) {
+  const n = digitsOf(input);
+  if (!n) return false;
+  let sum = 0;
+  for (let i = 0; i < n.length; i++) {
+    let d = Number(n[n.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// expMonth "01"-"12", expYear "YYYY" or "YY"; valid through the end of that month
+export function checkExpiry(expMonth, expYear, now = new Date()) {
+  const mm = digitsOf(expMonth);
+  let yy = digitsOf(expYear);
+  if (!mm || !yy) return FIELD_ERROR.REQUIRED;
+  if (yy.length === 2) yy = `20${yy}`;
+  const month = Number(mm);
+  const year = Number(yy);
+  if (month < 1 || month > 12 || yy.length !== 4) return FIELD_ERROR.INVALID_EXPIRY;
+  const endOfMonth = new Date(year, month, 0, 23, 59, 59, 999);
+  return endOfMonth >= now ? null : FIELD_ERROR.EXPIRED;
+}
+
+/**
+ * Validates the canonical { card, customer } shape built by the authorize route.
+ * @returns {Record<string, string>} field path → error code (empty when valid)
+ */
+export function validateCardRequest({ card, customer } = {}) {
+  const fields = {};
+
+  // card number: present, brand length, Luhn
+  const pan = digitsOf(card?.number);
+  const brand = detectCardType(pan);
+  const rules = BRAND_RULES[brand] ?? UNKNOWN_BRAND_RULES;
+  if (!pan) fields['card.number'] = FIELD_ERROR.REQUIRED;
+  else if (!rules.lengths.includes(pan.length)) fields['card.number'] = FIELD_ERROR.INVALID_LENGTH;
+  else if (!passesLuhn(pan)) fields['card.number'] = FIELD_ERROR.LUHN_FAILED;
+
+  // expiry: valid month/year, not in the past
+  const expiryError = checkExpiry(card?.expMonth, card?.expYear);
+  if (expiryError) fields['card.expiry'] = expiryError;
+
+  // CVV: brand-specific length (Amex 4, others 3, unknown 3 or 4)
+  const cvv = String(card?.cvv ?? '').trim();
+  if (!cvv) fields['card.cvv'] = FIELD_ERROR.REQUIRED;
+  else if (!/^\d+$/.test(cvv) || !rules.cvv.includes(cvv.length)) fields['card.cvv'] = FIELD_ERROR.INVALID_CVV;
+
+  // ZIP: optional for older clients, but must be 5 digits or ZIP+4 when sent
+  const zip = String(customer?.zip ?? '').trim();
+  if (zip && !/^\d{5}(-\d{4})?$/.test(zip)) fields['customer.zip'] = FIELD_ERROR.INVALID_ZIP;
+
+  return fields;
+}
@@ -1,21 +1,36 @@
 // From Milestone 2: Order.status values
 // PENDING, AUTHORIZED, SETTLED, ERROR
+// EXPIRED: the approved authorization lapsed before it was fully settled
+// VOIDED: the authorization hold was released before any settlement
+// PARTIALLY_REFUNDED / REFUNDED: part / all of the settled total was refunded
+// PENDING_PROVIDER: the provider accepted the authorization but will confirm it
+//   later through POST /api/webhooks/provider
 export const ORDER_STATUS = Object.freeze({
   PENDING: 'PENDING',
   AUTHORIZED: 'AUTHORIZED',
   SETTLED: 'SETTLED',
   ERROR: 'ERROR',
+  EXPIRED: 'EXPIRED',
+  VOIDED: 'VOIDED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  REFUNDED: 'REFUNDED',
+  PENDING_PROVIDER: 'PENDING_PROVIDER',
 });
 
 // From Milestone 2: Authorization.outcome values
 // SUCCESS, INSUFFICIENT_FUNDS, INCORRECT_DETAILS, SERVER_ERROR
+// PENDING: provider answered "pending"; the final outcome arrives by webhook
 export const AUTH_OUTCOME = Object.freeze({
   SUCCESS: 'SUCCESS',
   INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
   INCORRECT_DETAILS: 'INCORRECT_DETAILS',
   SERVER_ERROR: 'SERVER_ERROR',
+  PENDING: 'PENDING',
 });
 
+// The outcomes that are the card issuer's answer; SERVER_ERROR is the provider failing
+export const DECLINED_AUTH_OUTCOMES = Object.freeze([AUTH_OUTCOME.INSUFFICIENT_FUNDS, AUTH_OUTCOME.INCORRECT_DETAILS]);
+
 // From Milestone 2: Settlement.outcome values
 // SUCCESS, EXCEEDS_AUTH
 export const SETTLEMENT_OUTCOME = Object.freeze({
@@ -23,6 +38,76 @@ export const SETTLEMENT_OUTCOME = Object.freeze({
   EXCEEDS_AUTH: 'EXCEEDS_AUTH',
 });
 
+// settlement_batches.status: settlements collect in the OPEN batch; a CLOSED
+// batch is submitted to the provider (capture), ending SUBMITTED or, when some
+// captures failed, SUBMITTED_WITH_ERRORS (submitting again retries those)
+export const SETTLEMENT_BATCH_STATUS = Object.freeze({
+  OPEN: 'OPEN',
+  CLOSED: 'CLOSED',
+  SUBMITTING: 'SUBMITTING',
+  SUBMITTED: 'SUBMITTED',
+  SUBMITTED_WITH_ERRORS: 'SUBMITTED_WITH_ERRORS',
+});
+
+// settlements.capture_status (NULL for settlements recorded before batches existed)
+export const CAPTURE_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  CAPTURED: 'CAPTURED',
+  FAILED: 'FAILED',
+});
+
+// reconciliation_items.result: how one order compares between our captured
+// settlements and a provider settlement report (src/reconciliation)
+//   MATCHED          both sides, same amount
+//   AMOUNT_MISMATCH  both sides, different amounts
+//   MISSING          captured here, absent from the report
+//   EXTRA            in the report, no captured settlement here
+export const RECONCILIATION_RESULT = Object.freeze({
+  MATCHED: 'MATCHED',
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',
+  MISSING: 'MISSING',
+  EXTRA: 'EXTRA',
+});
+
+// How long a SUCCESS authorization can be settled against (override with AUTH_EXPIRY_DAYS)
+export const AUTH_EXPIRY_DAYS = 7;
+
+// Void.outcome values (PENDING: reserved, waiting for the provider's answer)
+export const VOID_OUTCOME = Object.freeze({
+  PENDING: 'PENDING',
+  SUCCESS: 'SUCCESS',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+});
+
+// Refund.outcome values (PENDING: reserved, waiting for the provider's answer)
+export const REFUND_OUTCOME = Object.freeze({
+  PENDING: 'PENDING',
+  SUCCESS: 'SUCCESS',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+});
+
+// Outbound webhook event types (subscribers pick any subset, or '*')
+export const WEBHOOK_EVENT = Object.freeze({
+  ORDER_AUTHORIZED: 'order.authorized',
+  AUTHORIZATION_DECLINED: 'authorization.declined',
+  // the provider errored instead of answering; the order is ERROR and can be retried
+  AUTHORIZATION_FAILED: 'authorization.failed',
+  SETTLEMENT_CREATED: 'settlement.created',
+  ORDER_SETTLED: 'order.settled',
+  ORDER_VOIDED: 'order.voided',
+  REFUND_CREATED: 'refund.created',
+});
+
+// API roles (users and API keys each have one)
+// checkout: authorize payments; warehouse: settle/void/refund and read orders;
+// viewer: read-only; admin: everything, including webhook subscriptions
+export const ROLE = Object.freeze({
+  ADMIN: 'admin',
+  CHECKOUT: 'checkout',
+  WAREHOUSE: 'warehouse',
+  VIEWER: 'viewer',
+});
+
 // Beeceptor base from docs
 export const PROVIDER_BASE_URL = 'https://capstoneproject.free.beeceptor.com';
 
@@ -0,0 +1,51 @@
+// --------------------------------------------------------------------
+// src/shared/csv.js
+// Small RFC 4180 CSV reader for uploaded files: comma-separated,
+// optional double quotes ("" inside quotes is a quote), LF or CRLF line
+// endings, leading byte-order mark ignored. Blank lines are skipped.
+// --------------------------------------------------------------------
+
+/**
+ * @param {string} text
+ * @returns {string[][]} one array of cells per non-blank line
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  const s = String(text ?? '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i += 1) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
@@ -0,0 +1,57 @@
+// --------------------------------------------------------------------
+// src/shared/logger.js
+// Structured JSON logger: one line per entry, e.g.
+//   {"time":"…","level":"error","msg":"Authorize failed","requestId":"…","actor":"dock1","err":{…}}
+// Every entry goes through redact() so PAN, CVV and expiry are masked
+// wherever they appear (fields, messages, error messages and stacks).
+// The request ID and actor come from the request context, so entries
+// written while handling a request can be correlated via X-Request-Id.
+// LOG_LEVEL: debug | info | warn | error | silent (default info)
+// --------------------------------------------------------------------
+import { redact, redactString } from './redact.js';
+import { getRequestContext } from '../middleware/request-context.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const threshold = () => LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: redactString(err.message),
+  ...(err.code ? { code: err.code } : {}),
+  ...(err.stack ? { stack: redactString(err.stack) } : {}),
+});
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+
+  const { requestId, actor } = getRequestContext();
+  const extra = {};
+  for (const [key, value] of Object.entries(fields ?? {})) {
+    extra[key] = value instanceof Error ? serializeError(value) : redact(value);
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(msg),
+    ...(requestId ? { requestId } : {}),
+    actor,
+    ...extra,
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * logger.error('Settlement failed', { err: e, orderId })
+ * Error values are serialized (name, message, code, stack); everything else is redacted.
+ */
+export const logger = Object.freeze({
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+});
+
+export default logger;
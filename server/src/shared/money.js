@@ -0,0 +1,12 @@
+// --------------------------------------------------------------------
+// src/shared/money.js
+// Amount helpers shared by the settlement and refund paths.
+// --------------------------------------------------------------------
+
+// Rounds to cents
+export const toMoney = (n) => Number(Number(n).toFixed(2));
+
+// At most two decimal places. `Math.round(n * 100) === n * 100` is not enough:
+// 19.01 * 100 is 1901.0000000000002 in floating point. n has at most two
+// decimals exactly when rounding it to cents gives back the same number.
+export const hasTwoDecimalsMax = (n) => Number.isFinite(n) && toMoney(n) === n;
@@ -0,0 +1,62 @@
+// --------------------------------------------------------------------
+// src/shared/order-state.js
+// Order status state machine. Every status change goes through
+// updateOrderStatus (src/db/index.js), which checks it against the
+// transition table below and records it with a reason in
+// order_transitions. Illegal moves throw InvalidStateTransitionError,
+// which routes turn into 409 { code: 'INVALID_STATE_TRANSITION' }.
+// --------------------------------------------------------------------
+import { ORDER_STATUS } from './constants.js';
+
+const S = ORDER_STATUS;
+
+// from → statuses it may move to. A status listed under itself is an
+// allowed no-op (e.g. a partial settlement leaves the order AUTHORIZED).
+export const ORDER_TRANSITIONS = Object.freeze({
+  [S.PENDING]: [S.AUTHORIZED, S.ERROR, S.PENDING_PROVIDER],
+  // a declined order can be retried; the retry may be declined again
+  [S.ERROR]: [S.AUTHORIZED, S.ERROR, S.PENDING_PROVIDER],
+  // waiting for the provider's webhook to confirm or decline
+  [S.PENDING_PROVIDER]: [S.AUTHORIZED, S.ERROR],
+  [S.AUTHORIZED]: [S.AUTHORIZED, S.SETTLED, S.EXPIRED, S.VOIDED],
+  // a lapsed hold can be re-authorized
+  [S.EXPIRED]: [S.AUTHORIZED, S.ERROR, S.PENDING_PROVIDER],
+  [S.SETTLED]: [S.PARTIALLY_REFUNDED, S.REFUNDED],
+  [S.PARTIALLY_REFUNDED]: [S.PARTIALLY_REFUNDED, S.REFUNDED],
+  [S.VOIDED]: [],
+  [S.REFUNDED]: [],
+});
+
+// Statuses a refund can be made from: only an order whose settlement is
+// final (captured) can give money back
+export const REFUNDABLE_STATUSES = Object.freeze([S.SETTLED, S.PARTIALLY_REFUNDED]);
+
+export class InvalidStateTransitionError extends Error {
+  constructor(orderId, from, to) {
+    super(`Order ${orderId} cannot move from ${from} to ${to}`);
+    this.name = 'InvalidStateTransitionError';
+    this.code = 'INVALID_STATE_TRANSITION';
+    this.orderId = orderId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] ?? []).includes(to);
+}
+
+// Throws InvalidStateTransitionError for moves not in the table
+export function assertTransition(orderId, from, to) {
+  if (!canTransition(from, to)) {
+    throw new InvalidStateTransitionError(orderId, from, to);
+  }
+}
+
+// JSON body for a rejected transition (409)
+export const invalidTransitionBody = (e) => ({
+  orderId: e.orderId,
+  code: e.code,
+  from: e.from,
+  to: e.to,
+});
@@ -0,0 +1,44 @@
+// --------------------------------------------------------------------
+// src/shared/redact.js
+// Masks card data (PAN, CVV, expiry) in arbitrary objects before they
+// are stored or echoed back, e.g. raw provider responses.
+// --------------------------------------------------------------------
+
+const PAN_KEY = /^(card_?number|cardnumber|pan|number)$/i;
+const CVV_KEY = /^(cvv|ccv|cvc|cvv2|security_?code)$/i;
+const EXPIRY_KEY = /^(exp_?month|exp_?year|card_?month|card_?year|expiry|expiry_?date)$/i;
+
+// 12–19 consecutive digits (optionally space/dash separated) looks like a PAN
+const PAN_PATTERN = /\b(?:\d[ -]?){11,18}\d\b/g;
+
+export function maskPan(value) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  if (digits.length < 4) return '****';
+  return `****${digits.slice(-4)}`;
+}
+
+// Mask PAN-looking digit runs inside free text
+export function redactString(text) {
+  return String(text).replace(PAN_PATTERN, (m) => maskPan(m));
+}
+
+/**
+ * Returns a deep copy of value with card fields masked.
+ * Keys are matched case-insensitively; any string is also scanned for PANs.
+ */
+export function redact(value, depth = 0) {
+  if (depth > 10) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (PAN_KEY.test(key) && v != null && typeof v !== 'object') out[key] = maskPan(v);
+      else if (CVV_KEY.test(key) && v != null && typeof v !== 'object') out[key] = '***';
+      else if (EXPIRY_KEY.test(key) && v != null && typeof v !== 'object') out[key] = '**';
+      else out[key] = redact(v, depth + 1);
+    }
+    return out;
+  }
+  if (typeof value === 'string') return redactString(value);
+  return value;
+}
@@ -0,0 +1,126 @@
+// --------------------------------------------------------------------
+// src/webhooks/index.js
+// Outbound webhooks for order lifecycle events.
+//   emitWebhookEvent → queues one delivery per matching subscription in
+//                      webhook_deliveries (SQLite, survives restarts)
+//   processDueWebhookDeliveries → POSTs due deliveries, signed with the
+//                      subscription secret; failures are retried with
+//                      exponential backoff until WEBHOOK_MAX_ATTEMPTS
+// The dispatcher runs on an interval from index.js and is also kicked
+// right after an event is queued so deliveries normally go out at once.
+// --------------------------------------------------------------------
+import crypto from 'node:crypto';
+import {
+  listWebhookSubscriptions,
+  enqueueWebhookDeliveries,
+  listDueWebhookDeliveries,
+  recordWebhookAttempt,
+} from '../db/index.js';
+import { SIGNATURE_HEADER, signatureHeader } from './signing.js';
+import { logger } from '../shared/logger.js';
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export const webhookConfig = () => ({
+  timeoutMs: envNumber('WEBHOOK_TIMEOUT_MS', 5_000),
+  maxAttempts: envNumber('WEBHOOK_MAX_ATTEMPTS', 8),
+  retryBaseSeconds: envNumber('WEBHOOK_RETRY_BASE_SECONDS', 30),
+  retryMaxSeconds: envNumber('WEBHOOK_RETRY_MAX_SECONDS', 3_600),
+});
+
+const subscribesTo = (sub, type) => {
+  const types = JSON.parse(sub.event_types || '[]');
+  return types.includes('*') || types.includes(type);
+};
+
+/**
+ * Queues an event for every active subscription that wants it.
+ * Never throws: a webhook problem must not fail the payment request.
+ * @param {string} type one of WEBHOOK_EVENT
+ * @param {object} data event body; data.orderId is indexed for the delivery log
+ */
+export async function emitWebhookEvent(type, data) {
+  try {
+    const subs = (await listWebhookSubscriptions({ activeOnly: true })).filter((s) => subscribesTo(s, type));
+    if (subs.length === 0) return 0;
+
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+    const queued = await enqueueWebhookDeliveries({
+      subscription_ids: subs.map((s) => s.subscription_id),
+      event_id: event.id,
+      event_type: type,
+      order_id: data?.orderId,
+      payload: event,
+    });
+
+    scheduleWebhookDispatch();
+    return queued;
+  } catch (err) {
+    logger.error('Failed to queue webhook event', { type, err });
+    return 0;
+  }
+}
+
+async function deliver(delivery, timeoutMs) {
+  const body = delivery.payload;
+  try {
+    const resp = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.delivery_id),
+        [SIGNATURE_HEADER]: signatureHeader(delivery.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    return { delivered: resp.ok, status_code: resp.status, error: resp.ok ? null : `HTTP ${resp.status}` };
+  } catch (err) {
+    const timedOut = err?.name === 'TimeoutError' || err?.name === 'AbortError';
+    return { delivered: false, status_code: null, error: timedOut ? 'TIMEOUT' : err?.cause?.code || err.message };
+  }
+}
+
+let running = false;
+
+// Runs the dispatcher on the next tick instead of waiting for the interval
+export function scheduleWebhookDispatch() {
+  setImmediate(() => {
+    processDueWebhookDeliveries().catch((err) => logger.error('Webhook dispatch failed', { err }));
+  });
+}
+
+// Sends every due delivery once; returns how many were attempted
+export async function processDueWebhookDeliveries() {
+  if (running) return 0; // the interval and an emit kick can overlap
+  running = true;
+  try {
+    const { timeoutMs, maxAttempts, retryBaseSeconds, retryMaxSeconds } = webhookConfig();
+    let attempted = 0;
+    let batch;
+    while ((batch = await listDueWebhookDeliveries()).length > 0) {
+      for (const delivery of batch) {
+        const result = await deliver(delivery, timeoutMs);
+        const attempts = delivery.attempts + 1;
+        const retry_in_seconds =
+          result.delivered || attempts >= maxAttempts
+            ? null
+            : Math.min(retryMaxSeconds, retryBaseSeconds * 2 ** (attempts - 1));
+        await recordWebhookAttempt(delivery.delivery_id, { ...result, retry_in_seconds });
+        attempted++;
+      }
+    }
+    return attempted;
+  } finally {
+    running = false;
+  }
+}
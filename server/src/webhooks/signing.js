@@ -0,0 +1,44 @@
+// --------------------------------------------------------------------
+// src/webhooks/signing.js
+// HMAC-SHA256 signatures for webhook bodies, used both for our outbound
+// webhooks and to verify inbound ones from the payment provider.
+// Header format (same idea as Stripe's): X-Webhook-Signature: t=<unix seconds>,v1=<hex>
+// where v1 = HMAC_SHA256(secret, `${t}.${rawBody}`). Including the timestamp
+// lets receivers reject replays of old deliveries.
+// --------------------------------------------------------------------
+import crypto from 'node:crypto';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+// same scheme, signed by the payment provider with PROVIDER_WEBHOOK_SECRET
+export const PROVIDER_SIGNATURE_HEADER = 'X-Provider-Signature';
+
+export function computeSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+export function signatureHeader(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * Checks a signature header against the raw body.
+ * @param {{ secret: string, header: string, rawBody: string, toleranceSeconds?: number }} opts
+ * @returns {boolean}
+ */
+export function verifySignature({ secret, header, rawBody, toleranceSeconds = 300 }) {
+  const parts = Object.fromEntries(
+    String(header ?? '')
+      .split(',')
+      .map((p) => p.trim().split('='))
+      .filter(([k, v]) => k && v)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, rawBody), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
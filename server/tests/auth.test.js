@@ -0,0 +1,103 @@
+// --------------------------------------------------------------------
+// tests/auth.test.js
+// scrypt password hashes, signed session tokens (expiry, tampering) and
+// logging in through POST /api/auth/login and GET /api/auth/me.
+// --------------------------------------------------------------------
+import { startApp, uniqueId } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+process.env.AUTH_TOKEN_SECRET = 'test-token-secret';
+
+const { hashPassword, verifyPassword, issueSessionToken, verifySessionToken, generateApiKey, hashApiKey } =
+  await import('../src/auth/index.js');
+const { createUser } = await import('../src/db/index.js');
+const { default: authRouter } = await import('../src/routes/auth.js');
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/api/auth': authRouter });
+});
+
+after(() => app.close());
+
+// a token signed the way issueSessionToken does, with any payload
+const forgeToken = (payload, secret = process.env.AUTH_TOKEN_SECRET) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+};
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+const aSecondAgo = () => Math.floor(Date.now() / 1000) - 1;
+
+test('passwords are stored as salted scrypt hashes', () => {
+  const stored = hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notEqual(hashPassword('correct horse'), stored);
+
+  assert.equal(verifyPassword('correct horse', stored), true);
+  assert.equal(verifyPassword('correct horsE', stored), false);
+  assert.equal(verifyPassword('correct horse', stored.replace(/.$/, (c) => (c === '0' ? '1' : '0'))), false);
+  assert.equal(verifyPassword('correct horse', `bcrypt$${stored.slice(7)}`), false);
+  assert.equal(verifyPassword('correct horse', null), false);
+});
+
+test('a session token carries the user until it expires', () => {
+  const { token, expiresAt } = issueSessionToken({ username: 'ana', role: 'warehouse' });
+  assert.deepEqual(verifySessionToken(token), { username: 'ana', role: 'warehouse' });
+  const ttl = Date.parse(expiresAt) - Date.now();
+  assert.ok(ttl > 7.9 * 3600_000 && ttl <= 8 * 3600_000, expiresAt);
+
+  assert.deepEqual(verifySessionToken(forgeToken({ sub: 'ana', role: 'viewer', exp: inAnHour() })), {
+    username: 'ana',
+    role: 'viewer',
+  });
+  assert.equal(verifySessionToken(forgeToken({ sub: 'ana', role: 'viewer', exp: aSecondAgo() })), null);
+  assert.equal(verifySessionToken(forgeToken({ sub: 'ana', role: 'viewer' })), null);
+});
+
+test('tampered, re-signed or malformed tokens are rejected', () => {
+  const { token } = issueSessionToken({ username: 'ana', role: 'viewer' });
+  const [, signature] = token.split('.');
+
+  // promote yourself to admin, keeping the old signature
+  const promoted = Buffer.from(JSON.stringify({ sub: 'ana', role: 'admin', exp: inAnHour() })).toString('base64url');
+  assert.equal(verifySessionToken(`${promoted}.${signature}`), null);
+  assert.equal(verifySessionToken(forgeToken({ sub: 'ana', role: 'admin', exp: inAnHour() }, 'guessed-secret')), null);
+  // a correctly signed token with a role that doesn't exist
+  assert.equal(verifySessionToken(forgeToken({ sub: 'ana', role: 'root', exp: inAnHour() })), null);
+
+  for (const bad of [undefined, '', 'abc', 'a.b', `${token}x`, `.${signature}`]) {
+    assert.equal(verifySessionToken(bad), null, String(bad));
+  }
+});
+
+test('API keys are random and only their SHA-256 is kept', () => {
+  const key = generateApiKey();
+  assert.match(key, /^pk_[0-9a-f]{48}$/);
+  assert.notEqual(generateApiKey(), key);
+  assert.equal(hashApiKey(key), crypto.createHash('sha256').update(key).digest('hex'));
+});
+
+test('logging in returns a token that authenticates the user', async () => {
+  const username = uniqueId('user');
+  await createUser({ username, password_hash: hashPassword('s3cret-pass'), role: 'viewer' });
+
+  const wrong = await app.request('POST', '/api/auth/login', { body: { username, password: 'nope' } });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+
+  const login = await app.request('POST', '/api/auth/login', { body: { username, password: 's3cret-pass' } });
+  assert.equal(login.status, 200, login.text);
+  assert.equal(login.body.user.role, 'viewer');
+
+  const me = await app.request('GET', '/api/auth/me', { headers: { Authorization: `Bearer ${login.body.token}` } });
+  assert.equal(me.status, 200, me.text);
+  assert.deepEqual(me.body, { username, role: 'viewer' });
+
+  const expired = forgeToken({ sub: username, role: 'viewer', exp: aSecondAgo() });
+  const rejected = await app.request('GET', '/api/auth/me', { headers: { Authorization: `Bearer ${expired}` } });
+  assert.equal(rejected.status, 401);
+  assert.equal(rejected.body.code, 'UNAUTHENTICATED');
+});
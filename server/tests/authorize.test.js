@@ -0,0 +1,93 @@
+// --------------------------------------------------------------------
+// tests/authorize.test.js
+// POST /api/authorize: which orders can (not) be authorized again, the
+// 409 body that says why, and the webhook event a failed attempt sends.
+// --------------------------------------------------------------------
+import { startApp, uniqueId, authorizeOrder, settleAndCapture } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { default: authorizeRouter } = await import('../src/routes/authorize.js');
+const { default: settlementsRouter } = await import('../src/routes/settlements.js');
+const { default: settlementBatchesRouter } = await import('../src/routes/settlement-batches.js');
+const { createWebhookSubscription, listWebhookDeliveries } = await import('../src/db/index.js');
+
+let app;
+let subscription;
+
+before(async () => {
+  app = await startApp(
+    {
+      '/api/authorize': authorizeRouter,
+      '/api/settlements': settlementsRouter,
+      '/api/settlement-batches': settlementBatchesRouter,
+    },
+    { setup: (a) => a.post('/hooks', (_req, res) => res.sendStatus(204)) }
+  );
+  subscription = await createWebhookSubscription({
+    url: `${app.url}/hooks`,
+    event_types: ['authorization.declined', 'authorization.failed'],
+    secret: 'test-secret',
+  });
+});
+
+after(() => app.close());
+
+const authorize = (orderId, amount) =>
+  app.request('POST', '/api/authorize', {
+    body: { orderId, amount, cardNumber: '4111111111111111', expiry: '12/30', cvv: '123', nameOnCard: 'Test Buyer' },
+  });
+
+test('an authorized order is not authorized again', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 20);
+
+  const res = await authorize(orderId, 20);
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body, { orderId, code: 'ORDER_ALREADY_AUTHORIZED', status: 'AUTHORIZED' });
+});
+
+test('a declined order can be authorized again', async () => {
+  const orderId = uniqueId('ORD');
+  // the mock provider declines 9000.51 for insufficient funds
+  assert.equal((await authorize(orderId, 9000.51)).status, 402);
+
+  const res = await authorize(orderId, 20);
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.status, 'AUTHORIZED');
+});
+
+test('the 409 names the transition that is not allowed', async () => {
+  const settled = uniqueId('ORD');
+  await authorizeOrder(app.request, settled, 20);
+  await settleAndCapture(app.request, settled, 20);
+  const again = await authorize(settled, 20);
+  assert.equal(again.status, 409);
+  assert.deepEqual(again.body, { orderId: settled, code: 'INVALID_STATE_TRANSITION', from: 'SETTLED', to: 'AUTHORIZED' });
+
+  // the mock provider leaves 9000.33 pending; a pending order can't go back to pending
+  const pending = uniqueId('ORD');
+  assert.equal((await authorize(pending, 9000.33)).status, 202);
+  const retry = await authorize(pending, 9000.33);
+  assert.equal(retry.status, 409);
+  assert.equal(retry.body.from, 'PENDING_PROVIDER');
+  assert.equal(retry.body.to, 'PENDING_PROVIDER');
+});
+
+test('declines send authorization.declined; provider errors send authorization.failed', async () => {
+  const eventsFor = async (orderId) =>
+    (await listWebhookDeliveries({ orderId, subscriptionId: subscription.subscription_id })).map((d) => d.event_type);
+
+  const declined = uniqueId('ORD');
+  const refused = await authorize(declined, 9000.52);
+  assert.equal(refused.status, 422);
+  assert.equal(refused.body.code, 'INCORRECT_DETAILS');
+  assert.deepEqual(await eventsFor(declined), ['authorization.declined']);
+
+  // the mock provider answers 9000.99 with a 500
+  const failed = uniqueId('ORD');
+  const res = await authorize(failed, 9000.99);
+  assert.equal(res.status, 502);
+  assert.equal(res.body.code, 'PROVIDER_ERROR');
+  assert.deepEqual(await eventsFor(failed), ['authorization.failed']);
+});
@@ -0,0 +1,92 @@
+// --------------------------------------------------------------------
+// tests/card-validation.test.js
+// Card brand detection, Luhn, brand lengths / CVVs and expiry checks
+// behind POST /api/authorize's field errors.
+// --------------------------------------------------------------------
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FIELD_ERROR,
+  detectCardType,
+  passesLuhn,
+  checkExpiry,
+  validateCardRequest,
+} from '../src/shared/card-validation.js';
+
+const card = (overrides = {}) => ({
+  number: '4111111111111111',
+  expMonth: '12',
+  expYear: '2030',
+  cvv: '123',
+  ...overrides,
+});
+
+test('detects the brand from the BIN range', () => {
+  const brands = {
+    '4111111111111111': 'Visa',
+    '5555555555554444': 'Mastercard',
+    '2223003122003222': 'Mastercard',
+    '378282246310005': 'American Express',
+    '371449635398431': 'American Express',
+    '6011111111111117': 'Discover',
+    '6445644564456445': 'Discover',
+    '9111111111111111': null,
+  };
+  for (const [number, brand] of Object.entries(brands)) {
+    assert.equal(detectCardType(number), brand, number);
+  }
+  assert.equal(detectCardType('4111 1111-1111 1111'), 'Visa');
+});
+
+test('Luhn accepts valid test numbers and catches a wrong digit', () => {
+  for (const n of ['4111111111111111', '4222222222222', '5555555555554444', '378282246310005', '6011 0009 9013 9424']) {
+    assert.equal(passesLuhn(n), true, n);
+  }
+  for (const n of ['4111111111111112', '5555555555554443', '', 'abcd']) {
+    assert.equal(passesLuhn(n), false, n);
+  }
+});
+
+test('a valid card has no field errors', () => {
+  assert.deepEqual(validateCardRequest({ card: card(), customer: { zip: '02134' } }), {});
+  assert.deepEqual(validateCardRequest({ card: card({ number: '3782 822463 10005', cvv: '1234' }) }), {});
+});
+
+test('card numbers must have their brand length and pass Luhn', () => {
+  const numberError = (number) => validateCardRequest({ card: card({ number }) })['card.number'];
+  assert.equal(numberError(''), FIELD_ERROR.REQUIRED);
+  // Visa is 13, 16 or 19 digits; Amex 15
+  assert.equal(numberError('411111111111111'), FIELD_ERROR.INVALID_LENGTH);
+  assert.equal(numberError('3782822463100050'), FIELD_ERROR.INVALID_LENGTH);
+  // an unknown brand may be 12-19 digits
+  assert.equal(numberError('91111111111'), FIELD_ERROR.INVALID_LENGTH);
+  assert.equal(numberError('4111111111111112'), FIELD_ERROR.LUHN_FAILED);
+});
+
+test('the CVV length depends on the brand', () => {
+  const cvvError = (number, cvv) => validateCardRequest({ card: card({ number, cvv }) })['card.cvv'];
+  assert.equal(cvvError('4111111111111111', ''), FIELD_ERROR.REQUIRED);
+  assert.equal(cvvError('4111111111111111', '1234'), FIELD_ERROR.INVALID_CVV);
+  assert.equal(cvvError('4111111111111111', '12a'), FIELD_ERROR.INVALID_CVV);
+  assert.equal(cvvError('378282246310005', '123'), FIELD_ERROR.INVALID_CVV);
+  assert.equal(cvvError('378282246310005', '1234'), undefined);
+});
+
+test('a card is valid through the last day of its expiry month', () => {
+  const endOfJune = new Date(2026, 5, 30, 23, 0, 0);
+  assert.equal(checkExpiry('06', '26', endOfJune), null);
+  assert.equal(checkExpiry('6', '2026', endOfJune), null);
+  assert.equal(checkExpiry('06', '2026', new Date(2026, 6, 1)), FIELD_ERROR.EXPIRED);
+  assert.equal(checkExpiry('13', '2030'), FIELD_ERROR.INVALID_EXPIRY);
+  assert.equal(checkExpiry('00', '2030'), FIELD_ERROR.INVALID_EXPIRY);
+  assert.equal(checkExpiry('12', '203'), FIELD_ERROR.INVALID_EXPIRY);
+  assert.equal(checkExpiry('', '2030'), FIELD_ERROR.REQUIRED);
+});
+
+test('a ZIP, when sent, is 5 digits or ZIP+4', () => {
+  const zipError = (zip) => validateCardRequest({ card: card(), customer: { zip } })['customer.zip'];
+  assert.equal(zipError(''), undefined);
+  assert.equal(zipError('02134-1234'), undefined);
+  assert.equal(zipError('2134'), FIELD_ERROR.INVALID_ZIP);
+  assert.equal(zipError('ABCDE'), FIELD_ERROR.INVALID_ZIP);
+});
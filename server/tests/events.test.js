@@ -0,0 +1,64 @@
+// --------------------------------------------------------------------
+// tests/events.test.js
+// GET /api/events: a reconnect replays what it missed, or gets a resync
+// event when the Last-Event-ID is from an earlier boot or too old.
+// --------------------------------------------------------------------
+import { startApp } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { default: eventsRouter } = await import('../src/routes/events.js');
+const { publishOrderEvent, eventsSince, latestEventId } = await import('../src/events/index.js');
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/api/events': eventsRouter });
+});
+
+after(() => app.close());
+
+// Opens the stream with lastEventId, reads until `until` shows up, then disconnects
+const readStream = async (lastEventId, until) => {
+  const controller = new AbortController();
+  const res = await fetch(`${app.url}/api/events`, {
+    headers: { 'Last-Event-ID': lastEventId },
+    signal: controller.signal,
+  });
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of res.body) {
+    text += decoder.decode(chunk, { stream: true });
+    if (text.includes(until)) break;
+  }
+  controller.abort();
+  return text;
+};
+
+test('event IDs carry the boot epoch; replay only works within this boot', () => {
+  const first = publishOrderEvent('order.created', { orderId: 'ORD-EV-1' });
+  const second = publishOrderEvent('order.created', { orderId: 'ORD-EV-2' });
+  assert.match(first.id, /^[0-9a-z]+-\d+$/);
+  assert.equal(latestEventId(), second.id);
+
+  assert.deepEqual(eventsSince(first.id).map((e) => e.id), [second.id]);
+  assert.deepEqual(eventsSince(second.id), []);
+
+  const [epoch, seq] = first.id.split('-');
+  // the same sequence number from an earlier boot is not a position here
+  assert.equal(eventsSince(`x${epoch}-${seq}`), null);
+  assert.equal(eventsSince(seq), null);
+  assert.equal(eventsSince(`${epoch}-${Number(seq) + 1000}`), null);
+});
+
+test('a reconnect replays missed events, or is told to resync', async () => {
+  const seen = publishOrderEvent('order.created', { orderId: 'ORD-EV-3' });
+  const missed = publishOrderEvent('order.status_changed', { orderId: 'ORD-EV-3', to: 'AUTHORIZED' });
+
+  const replayed = await readStream(seen.id, `id: ${missed.id}`);
+  assert.match(replayed, /event: order\.status_changed/);
+  assert.doesNotMatch(replayed, /event: resync/);
+
+  const restarted = await readStream('lxyz0000-42', 'event: resync');
+  assert.ok(restarted.includes(`id: ${latestEventId()}\nevent: resync`));
+});
@@ -0,0 +1,112 @@
+// --------------------------------------------------------------------
+// tests/helpers.js
+// Shared setup for the node:test suites (npm test).
+// Importing this module points DB_PATH at a throwaway copy of
+// database/database.db, so it must be imported before anything that opens
+// the database (src/db/sqlite.js reads DB_PATH when it loads). Each test
+// file runs in its own process and therefore gets its own copy.
+// --------------------------------------------------------------------
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import express from 'express';
+
+const SOURCE_DB = fileURLToPath(new URL('../database/database.db', import.meta.url));
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'capstone-test-'));
+// the -wal file holds recent writes, so copy it (and -shm) along with the database
+for (const suffix of ['', '-wal', '-shm']) {
+  if (fs.existsSync(SOURCE_DB + suffix)) {
+    fs.copyFileSync(SOURCE_DB + suffix, path.join(tmpDir, `database.db${suffix}`));
+  }
+}
+process.env.DB_PATH = path.join(tmpDir, 'database.db');
+process.env.LOG_LEVEL ??= 'silent';
+// suites authorize many orders with the same test card
+process.env.RATE_LIMIT_IP_MAX ??= '10000';
+process.env.RATE_LIMIT_CARD_MAX ??= '10000';
+process.on('exit', () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// the app modules are loaded only after DB_PATH is set
+const { requestContext } = await import('../src/middleware/request-context.js');
+const { default: mockProviderRouter } = await import('../src/routes/mock-provider.js');
+
+/**
+ * Starts an Express app on a random port with the given routers mounted,
+ * e.g. startApp({ '/api/refunds': refundsRouter }). The bundled mock
+ * provider is mounted too and PROVIDER_BASE_URL points at it.
+ * bodyParsers ({ path: middleware }) go ahead of the app-wide JSON parser,
+ * as index.js does for reconciliation reports.
+ * Returns { url, request(method, path, { body, headers }), close() }.
+ */
+export async function startApp(mounts = {}, { setup, bodyParsers = {} } = {}) {
+  const app = express();
+  for (const [mountPath, parser] of Object.entries(bodyParsers)) app.use(mountPath, parser);
+  app.use(express.json());
+  app.use(requestContext());
+  setup?.(app);
+  for (const [mountPath, router] of Object.entries(mounts)) app.use(mountPath, router);
+  app.use('/mock-provider', mockProviderRouter);
+  app.use((err, _req, res, _next) => {
+    res.status(500).json({ code: 'SERVER_ERROR', message: err.message });
+  });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.PROVIDER_BASE_URL = `${url}/mock-provider`;
+
+  const request = async (method, urlPath, { body, headers = {} } = {}) => {
+    const res = await fetch(`${url}${urlPath}`, {
+      method,
+      headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+  };
+
+  return {
+    url,
+    request,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
+
+// unique ids so tests never collide with the seeded orders
+let seq = 0;
+export const uniqueId = (prefix = 'TEST') => `${prefix}-${process.pid}-${Date.now()}-${++seq}`;
+
+// Authorizes orderId for amount through POST /api/authorize (needs the
+// authorize router mounted at /api/authorize); mock provider approves it
+export async function authorizeOrder(request, orderId, amount) {
+  const res = await request('POST', '/api/authorize', {
+    body: { orderId, amount, cardNumber: '4111111111111111', expiry: '12/30', cvv: '123', nameOnCard: 'Test Buyer' },
+  });
+  if (res.status !== 200) throw new Error(`authorize ${orderId} failed: ${res.status} ${res.text}`);
+  return res.body;
+}
+
+// Settles orderId for amount, then closes and submits its batch so the
+// provider captures it (needs /api/settlements and /api/settlement-batches)
+export async function settleAndCapture(request, orderId, amount) {
+  const settled = await request('POST', '/api/settlements', { body: { orderId, amount } });
+  if (settled.status !== 200) throw new Error(`settle ${orderId} failed: ${settled.status} ${settled.text}`);
+  const { batchId } = settled.body.settlement;
+  await request('POST', `/api/settlement-batches/${batchId}/close`);
+  const submitted = await request('POST', `/api/settlement-batches/${batchId}/submit`);
+  if (submitted.status !== 200) throw new Error(`submit batch ${batchId} failed: ${submitted.status} ${submitted.text}`);
+  return { settlement: settled.body, batch: submitted.body };
+}
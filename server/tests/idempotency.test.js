@@ -0,0 +1,175 @@
+// --------------------------------------------------------------------
+// tests/idempotency.test.js
+// Idempotency-Key middleware: replay, key reuse, in-flight requests,
+// releasing reservations that stored nothing, and stale reservations.
+// --------------------------------------------------------------------
+import { startApp, uniqueId } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { Router } from 'express';
+
+const { idempotency } = await import('../src/middleware/idempotency.js');
+const { getDb } = await import('../src/db/sqlite.js');
+const { getIdempotencyKey, reserveIdempotencyKey } = await import('../src/db/index.js');
+
+let app;
+let calls = 0;
+let unblock; // resolves the in-flight /slow request
+
+before(async () => {
+  const router = Router();
+  router.post('/json', idempotency('test'), (req, res) => {
+    calls += 1;
+    res.status(201).json({ calls, echo: req.body });
+  });
+  router.post('/send', idempotency('test'), (_req, res) => {
+    calls += 1;
+    res.status(200).send('ok');
+  });
+  router.post('/fail', idempotency('test'), (_req, res) => {
+    calls += 1;
+    res.status(500).json({ code: 'SERVER_ERROR' });
+  });
+  router.post('/throw', idempotency('test'), () => {
+    calls += 1;
+    throw new Error('boom');
+  });
+  router.post('/slow', idempotency('test'), async (_req, res) => {
+    calls += 1;
+    await new Promise((resolve) => {
+      unblock = resolve;
+    });
+    res.status(201).json({ calls });
+  });
+  app = await startApp({ '/idem': router });
+});
+
+after(() => app.close());
+
+const post = (path, key, body = { a: 1 }) =>
+  app.request('POST', `/idem${path}`, { body, headers: key ? { 'Idempotency-Key': key } : {} });
+
+// the middleware stores / releases asynchronously after the response is written
+const settle = () => sleep(50);
+
+test('replays the stored response for the same key and body', async () => {
+  const key = uniqueId('key');
+  const first = await post('/json', key);
+  await settle();
+  const replay = await post('/json', key);
+
+  assert.equal(first.status, 201);
+  assert.equal(replay.status, 201);
+  assert.deepEqual(replay.body, first.body);
+  assert.equal(replay.headers.get('Idempotent-Replayed'), 'true');
+});
+
+test('rejects the same key with a different body', async () => {
+  const key = uniqueId('key');
+  await post('/json', key, { a: 1 });
+  await settle();
+  const res = await post('/json', key, { a: 2 });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('rejects a blank key', async () => {
+  const res = await post('/json', '   ');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'INVALID_IDEMPOTENCY_KEY');
+});
+
+test('reports a request still in flight, then replays its response', async () => {
+  const key = uniqueId('key');
+  const first = post('/slow', key);
+  await sleep(100);
+
+  const during = await post('/slow', key);
+  assert.equal(during.status, 409);
+  assert.equal(during.body.code, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+  unblock();
+  const done = await first;
+  await settle();
+  const replay = await post('/slow', key);
+  assert.equal(replay.status, 201);
+  assert.deepEqual(replay.body, done.body);
+});
+
+test('releases the key when the response is not sent with res.json', async () => {
+  const key = uniqueId('key');
+  const before = calls;
+  assert.equal((await post('/send', key)).status, 200);
+  await settle();
+  assert.equal(await getIdempotencyKey('test', key), undefined);
+
+  assert.equal((await post('/send', key)).status, 200);
+  assert.equal(calls, before + 2);
+});
+
+test('releases the key after a server error or a thrown error', async () => {
+  for (const path of ['/fail', '/throw']) {
+    const key = uniqueId('key');
+    assert.equal((await post(path, key)).status, 500);
+    await settle();
+    assert.equal(await getIdempotencyKey('test', key), undefined, path);
+  }
+});
+
+test('stores the response of a request whose client disconnected', async () => {
+  const key = uniqueId('key');
+  const controller = new AbortController();
+  const aborted = fetch(`${app.url}/idem/slow`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify({ a: 1 }),
+    signal: controller.signal,
+  }).catch(() => null);
+  await sleep(100);
+  controller.abort();
+  await aborted;
+  await sleep(50);
+
+  // the handler is still running, so the key stays reserved
+  assert.equal((await post('/slow', key)).body.code, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+  unblock();
+  await settle();
+  const replay = await post('/slow', key);
+  assert.equal(replay.status, 201);
+  assert.equal(replay.headers.get('Idempotent-Replayed'), 'true');
+});
+
+test('reclaims a reservation that never got a response', async () => {
+  const key = uniqueId('key');
+  const hash = 'stale-request';
+  assert.equal(await reserveIdempotencyKey({ scope: 'test', key, request_hash: hash, staleAfterSeconds: 120 }), true);
+
+  // a fresh reservation still blocks
+  assert.equal(await reserveIdempotencyKey({ scope: 'test', key, request_hash: hash, staleAfterSeconds: 120 }), false);
+  assert.equal((await post('/json', key)).body.code, 'IDEMPOTENCY_KEY_REUSED');
+
+  // ...until it is older than the timeout
+  getDb()
+    .prepare(`UPDATE idempotency_keys SET created_at = datetime('now', '-10 minutes') WHERE scope = ? AND idem_key = ?`)
+    .run('test', key);
+  const res = await post('/json', key);
+  assert.equal(res.status, 201);
+  await settle();
+  assert.equal((await getIdempotencyKey('test', key)).status_code, 201);
+});
+
+test('never reclaims a key that has a stored response', async () => {
+  const key = uniqueId('key');
+  const first = await post('/json', key);
+  await settle();
+  getDb()
+    .prepare(`UPDATE idempotency_keys SET created_at = datetime('now', '-10 minutes') WHERE scope = ? AND idem_key = ?`)
+    .run('test', key);
+
+  const replay = await post('/json', key);
+  assert.deepEqual(replay.body, first.body);
+  assert.equal(replay.headers.get('Idempotent-Replayed'), 'true');
+});
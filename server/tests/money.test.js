@@ -0,0 +1,24 @@
+// --------------------------------------------------------------------
+// tests/money.test.js
+// Amount precision checks shared by settlements and refunds.
+// --------------------------------------------------------------------
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMoney, hasTwoDecimalsMax } from '../src/shared/money.js';
+
+test('accepts amounts with up to two decimals, including ones that are inexact in binary', () => {
+  for (const n of [1, 0.1, 0.29, 1.1, 19.01, 49.97, 1234567.89, 0.01]) {
+    assert.equal(hasTwoDecimalsMax(n), true, String(n));
+  }
+});
+
+test('rejects more than two decimals and non-finite values', () => {
+  for (const n of [0.001, 19.011, 1.005, 0.295, NaN, Infinity]) {
+    assert.equal(hasTwoDecimalsMax(n), false, String(n));
+  }
+});
+
+test('toMoney rounds to cents', () => {
+  assert.equal(toMoney(19.01 + 0.29), 19.3);
+  assert.equal(toMoney('12.345'), 12.35);
+});
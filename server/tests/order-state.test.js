@@ -0,0 +1,98 @@
+// --------------------------------------------------------------------
+// tests/order-state.test.js
+// The order status transition table, and updateOrderStatus refusing
+// (and not recording) moves that are not in it.
+// --------------------------------------------------------------------
+import { uniqueId } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { ORDER_STATUS } = await import('../src/shared/constants.js');
+const { ORDER_TRANSITIONS, canTransition, assertTransition, InvalidStateTransitionError, invalidTransitionBody } =
+  await import('../src/shared/order-state.js');
+const { createOrder, updateOrderStatus, getOrder, listOrderTransitions } = await import('../src/db/index.js');
+
+const S = ORDER_STATUS;
+
+test('every status has an entry, and every target is a known status', () => {
+  const statuses = Object.values(S);
+  assert.deepEqual(Object.keys(ORDER_TRANSITIONS).sort(), [...statuses].sort());
+  for (const [from, targets] of Object.entries(ORDER_TRANSITIONS)) {
+    for (const to of targets) assert.ok(statuses.includes(to), `${from} → ${to}`);
+  }
+});
+
+test('allows the payment lifecycle and retries after a decline or lapse', () => {
+  const allowed = [
+    [S.PENDING, S.AUTHORIZED],
+    [S.PENDING, S.PENDING_PROVIDER],
+    [S.PENDING_PROVIDER, S.ERROR],
+    [S.ERROR, S.AUTHORIZED],
+    [S.EXPIRED, S.AUTHORIZED],
+    [S.AUTHORIZED, S.AUTHORIZED],
+    [S.AUTHORIZED, S.SETTLED],
+    [S.AUTHORIZED, S.VOIDED],
+    [S.SETTLED, S.PARTIALLY_REFUNDED],
+    [S.PARTIALLY_REFUNDED, S.REFUNDED],
+  ];
+  for (const [from, to] of allowed) assert.equal(canTransition(from, to), true, `${from} → ${to}`);
+});
+
+test('refuses moving back, out of final states and from unknown statuses', () => {
+  const refused = [
+    [S.SETTLED, S.AUTHORIZED],
+    [S.SETTLED, S.VOIDED],
+    [S.SETTLED, S.SETTLED],
+    [S.PENDING_PROVIDER, S.PENDING_PROVIDER],
+    [S.VOIDED, S.AUTHORIZED],
+    [S.REFUNDED, S.PARTIALLY_REFUNDED],
+    [S.PENDING, S.SETTLED],
+    ['NO_SUCH_STATUS', S.AUTHORIZED],
+  ];
+  for (const [from, to] of refused) assert.equal(canTransition(from, to), false, `${from} → ${to}`);
+});
+
+test('assertTransition throws InvalidStateTransitionError with the 409 body', () => {
+  assert.doesNotThrow(() => assertTransition('ORD-1', S.AUTHORIZED, S.SETTLED));
+
+  assert.throws(
+    () => assertTransition('ORD-1', S.VOIDED, S.SETTLED),
+    (e) => {
+      assert.ok(e instanceof InvalidStateTransitionError);
+      assert.deepEqual(invalidTransitionBody(e), {
+        orderId: 'ORD-1',
+        code: 'INVALID_STATE_TRANSITION',
+        from: S.VOIDED,
+        to: S.SETTLED,
+      });
+      return true;
+    }
+  );
+});
+
+test('updateOrderStatus records allowed moves and leaves the order alone on refused ones', async () => {
+  const orderId = uniqueId('ORD');
+  await createOrder({
+    order_id: orderId,
+    status: S.PENDING,
+    customer_name: 'Test Buyer',
+    card_last4: '1111',
+    amount: 10,
+    created_at: new Date().toISOString(),
+  });
+
+  await updateOrderStatus(orderId, S.AUTHORIZED, 'approved');
+  // a no-op move is allowed but not recorded
+  await updateOrderStatus(orderId, S.AUTHORIZED, 'approved again');
+  await assert.rejects(updateOrderStatus(orderId, S.REFUNDED, 'too early'), InvalidStateTransitionError);
+
+  assert.equal((await getOrder(orderId)).status, S.AUTHORIZED);
+  const transitions = await listOrderTransitions(orderId);
+  assert.deepEqual(
+    transitions.map((t) => [t.from_status, t.to_status, t.reason]),
+    [
+      [null, S.PENDING, 'order created'],
+      [S.PENDING, S.AUTHORIZED, 'approved'],
+    ]
+  );
+});
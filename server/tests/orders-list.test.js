@@ -0,0 +1,144 @@
+// --------------------------------------------------------------------
+// tests/orders-list.test.js
+// GET /api/orders keyset paging: cursor encoding / decoding, page walks
+// without gaps or repeats, and the index behind the default ordering.
+// --------------------------------------------------------------------
+import { startApp, uniqueId } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+
+const { default: ordersRouter } = await import('../src/routes/orders.js');
+const { getDb } = await import('../src/db/sqlite.js');
+const { ensureSchema } = await import('../src/db/schema.js');
+
+let app;
+const customer = uniqueId('Paging Customer');
+const seeded = [];
+
+before(async () => {
+  app = await startApp({ '/api/orders': ordersRouter });
+
+  // 7 orders, with ties on created_at and on amount so order_id has to break them
+  const insert = getDb().prepare(
+    `INSERT INTO orders (order_id, status, customer_name, card_last4, amount, created_at)
+     VALUES (?, 'ERROR', ?, '1111', ?, ?)`
+  );
+  const rows = [
+    ['2025-11-01 09:00:00', 10],
+    ['2025-11-01 09:00:00', 20],
+    ['2025-11-01 09:00:00', 10],
+    ['2025-11-02 10:30:00', 5],
+    ['2025-11-03T08:00Z', 20],
+    ['2025-11-04 12:00:00', 7.5],
+    [null, 1],
+  ];
+  rows.forEach(([createdAt, amount], i) => {
+    const orderId = `PAGE-${process.pid}-${i}`;
+    insert.run(orderId, customer, amount, createdAt);
+    seeded.push(orderId);
+  });
+});
+
+after(() => app.close());
+
+const list = (params) => app.request('GET', `/api/orders?${new URLSearchParams({ q: customer, ...params })}`);
+
+// follows nextCursor until the last page; returns the order ids in order
+async function walk(params) {
+  const ids = [];
+  let cursor;
+  for (let pages = 0; pages < 20; pages += 1) {
+    const res = await list({ ...params, ...(cursor ? { cursor } : {}) });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.total, seeded.length);
+    ids.push(...res.body.data.map((o) => o.order_id));
+    cursor = res.body.nextCursor;
+    if (!cursor) return ids;
+  }
+  throw new Error('paging did not end');
+}
+
+test('walks every page of the default ordering exactly once', async () => {
+  const all = (await list({ limit: '100' })).body.data.map((o) => o.order_id);
+  assert.equal(all.length, seeded.length);
+  assert.deepEqual(await walk({ limit: '2' }), all);
+  // newest first; the order without a created_at sorts last
+  assert.equal(all[0], seeded[5]);
+  assert.equal(all.at(-1), seeded[6]);
+});
+
+test('pages ascending and by other sort columns without gaps or repeats', async () => {
+  for (const params of [
+    { sort: 'created_at', dir: 'asc' },
+    { sort: 'amount', dir: 'desc' },
+    { sort: 'amount', dir: 'asc' },
+    { sort: 'order_id', dir: 'asc' },
+  ]) {
+    const all = (await list({ ...params, limit: '100' })).body.data.map((o) => o.order_id);
+    const paged = await walk({ ...params, limit: '3' });
+    assert.deepEqual(paged, all, JSON.stringify(params));
+    assert.equal(new Set(paged).size, seeded.length);
+  }
+});
+
+test('cursors are opaque base64url and only valid for the sort they were issued for', async () => {
+  const first = await list({ sort: 'amount', dir: 'desc', limit: '2' });
+  const { nextCursor } = first.body;
+  assert.match(nextCursor, /^[A-Za-z0-9_-]+$/);
+
+  const decoded = JSON.parse(Buffer.from(nextCursor, 'base64url').toString('utf8'));
+  const last = first.body.data.at(-1);
+  assert.deepEqual(decoded, { s: 'amount', d: 'desc', v: last.amount, id: last.order_id });
+
+  for (const params of [
+    { sort: 'amount', dir: 'asc' },
+    { sort: 'created_at', dir: 'desc' },
+  ]) {
+    const res = await list({ ...params, cursor: nextCursor });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_CURSOR');
+  }
+});
+
+test('rejects cursors that are not ours', async () => {
+  const forged = Buffer.from(JSON.stringify({ s: 'created_at', d: 'desc', v: 'x' })).toString('base64url');
+  for (const cursor of ['not-a-cursor', forged]) {
+    const res = await list({ cursor });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_CURSOR');
+  }
+});
+
+test('the default ordering is served by its index, not a sort', () => {
+  const expr = "COALESCE(datetime(created_at), '')";
+  const plan = getDb()
+    .prepare(`EXPLAIN QUERY PLAN SELECT * FROM orders ORDER BY ${expr} DESC, order_id DESC LIMIT 21`)
+    .all()
+    .map((r) => r.detail)
+    .join('\n');
+  assert.match(plan, /USING INDEX idx_orders_created_at_order_id/);
+  assert.doesNotMatch(plan, /TEMP B-TREE/);
+});
+
+test('schema upgrade adds the paging index next to an older idx_orders_created_at', () => {
+  const db = new Database(':memory:');
+  db.prepare(
+    "CREATE TABLE orders (order_id TEXT PRIMARY KEY, status TEXT NOT NULL, customer_name TEXT, card_last4 TEXT, amount REAL, created_at TEXT)"
+  ).run();
+  db.prepare('CREATE INDEX idx_orders_created_at ON orders(created_at)').run();
+  ensureSchema(db);
+
+  const names = db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'orders'")
+    .all()
+    .map((r) => r.name);
+  assert.ok(names.includes('idx_orders_created_at_order_id'));
+  db.close();
+});
+
+test('schema upgrade runs on a database without an orders table', () => {
+  const db = new Database(':memory:');
+  assert.doesNotThrow(() => ensureSchema(db));
+  db.close();
+});
@@ -0,0 +1,118 @@
+// --------------------------------------------------------------------
+// tests/provider-resilience.test.js
+// The circuit breaker's CLOSED → OPEN → HALF_OPEN cycle, and which
+// provider failures postJson retries (src/providers/http.js).
+// --------------------------------------------------------------------
+import { startApp } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.PROVIDER_MAX_RETRIES = '2';
+process.env.PROVIDER_RETRY_BASE_MS = '1';
+
+const { CircuitBreaker, CIRCUIT_STATE, ProviderUnavailableError } = await import(
+  '../src/providers/circuit-breaker.js'
+);
+const { postJson } = await import('../src/providers/http.js');
+
+let app;
+const hits = new Map();
+
+before(async () => {
+  app = await startApp(
+    {},
+    {
+      // answers with the status in the path and counts the attempts per path
+      setup: (a) =>
+        a.post('/stub/:name/:status', (req, res) => {
+          hits.set(req.params.name, (hits.get(req.params.name) ?? 0) + 1);
+          res.status(Number(req.params.status)).json({ ok: req.params.status === '200' });
+        }),
+    }
+  );
+});
+
+after(() => app.close());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const newBreaker = () => new CircuitBreaker({ name: 'test', failureThreshold: 2, cooldownMs: 30 });
+
+test('the breaker opens after the threshold, fails fast, then lets one trial call through', async () => {
+  const breaker = newBreaker();
+  breaker.beforeRequest();
+  breaker.recordFailure();
+  assert.equal(breaker.state, CIRCUIT_STATE.CLOSED);
+  breaker.recordFailure();
+  assert.equal(breaker.state, CIRCUIT_STATE.OPEN);
+
+  assert.throws(
+    () => breaker.beforeRequest(),
+    (e) => e instanceof ProviderUnavailableError && e.code === 'PROVIDER_UNAVAILABLE' && e.retryAt instanceof Date
+  );
+  assert.equal(breaker.snapshot().consecutiveFailures, 2);
+  assert.ok(breaker.snapshot().retryAt);
+
+  await sleep(40);
+  breaker.beforeRequest();
+  assert.equal(breaker.state, CIRCUIT_STATE.HALF_OPEN);
+  // only one trial at a time
+  assert.throws(() => breaker.beforeRequest(), ProviderUnavailableError);
+
+  // a failed trial re-opens at once; a successful one closes the circuit
+  breaker.recordFailure();
+  assert.equal(breaker.state, CIRCUIT_STATE.OPEN);
+  await sleep(40);
+  breaker.beforeRequest();
+  breaker.recordSuccess();
+  assert.deepEqual(
+    { state: breaker.state, failures: breaker.failures, retryAt: breaker.snapshot().retryAt },
+    { state: CIRCUIT_STATE.CLOSED, failures: 0, retryAt: null }
+  );
+});
+
+test('a success resets the consecutive failure count', () => {
+  const breaker = newBreaker();
+  breaker.recordFailure();
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  assert.equal(breaker.state, CIRCUIT_STATE.CLOSED);
+});
+
+test('requests the provider did not process are retried; maybe-processed ones only when idempotent', async () => {
+  const post = (name, status, idempotent) =>
+    postJson(`${app.url}/stub/${name}/${status}`, {}, { breaker: newBreaker(), idempotent });
+
+  assert.equal((await post('unavailable', 503, false)).status, 503);
+  assert.equal(hits.get('unavailable'), 3);
+  assert.equal((await post('throttled', 429, false)).status, 429);
+  assert.equal(hits.get('throttled'), 3);
+
+  assert.equal((await post('error', 500, false)).status, 500);
+  assert.equal(hits.get('error'), 1);
+  assert.equal((await post('error-idempotent', 500, true)).status, 500);
+  assert.equal(hits.get('error-idempotent'), 3);
+
+  // business answers are not failures
+  assert.equal((await post('declined', 402, true)).status, 402);
+  assert.equal(hits.get('declined'), 1);
+});
+
+test('a refused connection counts as one breaker failure per call, and enough of them open the circuit', async () => {
+  const breaker = newBreaker();
+  // nothing listens on port 1
+  const res = await postJson('http://127.0.0.1:1/authorize', {}, { breaker });
+  assert.deepEqual(res, { status: 500, body: { error: 'NETWORK_ERROR' } });
+  assert.equal(breaker.failures, 1);
+
+  await postJson('http://127.0.0.1:1/authorize', {}, { breaker });
+  await assert.rejects(postJson(`${app.url}/stub/never/200`, {}, { breaker }), ProviderUnavailableError);
+  assert.equal(hits.get('never'), undefined);
+});
+
+test('a success through postJson closes the circuit', async () => {
+  const breaker = newBreaker();
+  breaker.recordFailure();
+  const res = await postJson(`${app.url}/stub/fine/200`, { a: 1 }, { breaker });
+  assert.deepEqual(res, { status: 200, body: { ok: true } });
+  assert.equal(breaker.failures, 0);
+});
@@ -0,0 +1,112 @@
+// --------------------------------------------------------------------
+// tests/rate-limit.test.js
+// The rateLimit middleware: fixed windows per IP / card, the 429 body
+// and Retry-After header, and the throttle event it records.
+// --------------------------------------------------------------------
+import { startApp, uniqueId } from './helpers.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { rateLimit } = await import('../src/middleware/rate-limit.js');
+const { listThrottleEvents } = await import('../src/db/index.js');
+
+let app;
+
+before(async () => {
+  app = await startApp(
+    {},
+    {
+      // each test limits its own route name, so counters never carry over
+      setup: (a) =>
+        a.post(
+          '/limited/:route',
+          (req, res, next) => rateLimit(req.params.route)(req, res, next),
+          (_req, res) => res.json({ ok: true })
+        ),
+    }
+  );
+});
+
+after(() => app.close());
+
+// limits are read on every request; start each test with everything but the test's own scope out of the way
+beforeEach(() => {
+  Object.assign(process.env, {
+    RATE_LIMIT_IP_MAX: '10000',
+    RATE_LIMIT_IP_WINDOW_SECONDS: '60',
+    RATE_LIMIT_CARD_MAX: '10000',
+    RATE_LIMIT_CARD_WINDOW_SECONDS: '600',
+  });
+});
+
+const hit = (route, body = {}) => app.request('POST', `/limited/${route}`, { body });
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('over the per-IP limit → 429 with Retry-After, and a throttle event', async () => {
+  process.env.RATE_LIMIT_IP_MAX = '2';
+  const route = uniqueId('ip');
+
+  assert.equal((await hit(route)).status, 200);
+  assert.equal((await hit(route)).status, 200);
+  const limited = await hit(route);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'RATE_LIMITED');
+  assert.equal(limited.body.scope, 'ip');
+  assert.ok(limited.body.retryAfter >= 1 && limited.body.retryAfter <= 60, String(limited.body.retryAfter));
+  assert.equal(limited.headers.get('Retry-After'), String(limited.body.retryAfter));
+
+  const [event] = await listThrottleEvents({ route });
+  assert.equal(event.scope, 'ip');
+  assert.equal(event.limit_max, 2);
+  assert.equal(event.window_seconds, 60);
+  assert.equal(event.retry_after, limited.body.retryAfter);
+});
+
+test('the count starts over once the window has passed', async () => {
+  process.env.RATE_LIMIT_IP_MAX = '1';
+  process.env.RATE_LIMIT_IP_WINDOW_SECONDS = '1';
+  const route = uniqueId('window');
+
+  assert.equal((await hit(route)).status, 200);
+  const limited = await hit(route);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.retryAfter, 1);
+
+  await sleep(1_100);
+  assert.equal((await hit(route)).status, 200);
+});
+
+test('cards are counted by fingerprint, whichever field the number comes in', async () => {
+  process.env.RATE_LIMIT_CARD_MAX = '1';
+  const route = uniqueId('card');
+
+  assert.equal((await hit(route, { cardNumber: '4111 1111 1111 1111' })).status, 200);
+  const limited = await hit(route, { card: { number: '4111111111111111' } });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.scope, 'card');
+  assert.ok(limited.body.retryAfter > 60, 'the card window is 10 minutes');
+
+  // another card, and requests without one, are not held back
+  assert.equal((await hit(route, { cardNumber: '5555555555554444' })).status, 200);
+  assert.equal((await hit(route)).status, 200);
+
+  const [event] = await listThrottleEvents({ route });
+  assert.doesNotMatch(event.subject, /4111/);
+});
+
+test('the reply names the scope that keeps the caller out longest', async () => {
+  process.env.RATE_LIMIT_IP_MAX = '1';
+  process.env.RATE_LIMIT_CARD_MAX = '1';
+  const route = uniqueId('both');
+
+  await hit(route, { cardNumber: '4111111111111111' });
+  const limited = await hit(route, { cardNumber: '4111111111111111' });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.scope, 'card');
+});
+
+test('a max of 0 turns a scope off', async () => {
+  process.env.RATE_LIMIT_IP_MAX = '0';
+  const route = uniqueId('off');
+  for (let i = 0; i < 5; i++) assert.equal((await hit(route)).status, 200);
+});
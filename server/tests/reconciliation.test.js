@@ -0,0 +1,171 @@
+// --------------------------------------------------------------------
+// tests/reconciliation.test.js
+// Provider report parsing and POST /api/reconciliations: each order in
+// the report is MATCHED, AMOUNT_MISMATCH or EXTRA, and captures of the
+// period the report leaves out are MISSING.
+// --------------------------------------------------------------------
+import { startApp, uniqueId, authorizeOrder } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { default: authorizeRouter } = await import('../src/routes/authorize.js');
+const { default: settlementsRouter } = await import('../src/routes/settlements.js');
+const { default: settlementBatchesRouter } = await import('../src/routes/settlement-batches.js');
+const { default: reconciliationsRouter, reportJsonBody } = await import('../src/routes/reconciliations.js');
+const { parseProviderReport, ReportError } = await import('../src/reconciliation/index.js');
+
+let app;
+
+before(async () => {
+  app = await startApp(
+    {
+      '/api/authorize': authorizeRouter,
+      '/api/settlements': settlementsRouter,
+      '/api/settlement-batches': settlementBatchesRouter,
+      '/api/reconciliations': reconciliationsRouter,
+    },
+    { bodyParsers: { '/api/reconciliations': reportJsonBody } }
+  );
+});
+
+after(() => app.close());
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const settle = async (orderId, amount) => {
+  const res = await app.request('POST', '/api/settlements', { body: { orderId, amount } });
+  assert.equal(res.status, 200, res.text);
+  return res.body.settlement.batchId;
+};
+const captureBatch = async (batchId) => {
+  await app.request('POST', `/api/settlement-batches/${batchId}/close`);
+  const res = await app.request('POST', `/api/settlement-batches/${batchId}/submit`);
+  assert.equal(res.status, 200, res.text);
+};
+const reconcile = (body, contentType) =>
+  app.request('POST', `/api/reconciliations?fileName=test-report&from=${today()}&to=${today()}`, {
+    body,
+    headers: contentType ? { 'Content-Type': contentType } : {},
+  });
+const itemFor = (run, orderId) => run.items.find((i) => i.orderId === orderId);
+
+const rejection = (fn) => {
+  try {
+    fn();
+  } catch (e) {
+    assert.ok(e instanceof ReportError);
+    return e;
+  }
+  assert.fail('expected a ReportError');
+};
+
+test('parses CSV and JSON reports, resolving column aliases', () => {
+  const csv = 'Provider Token,order_id,Captured Amount,settled_at\nTOK-1,,12.50,2025-11-03T10:00:00Z\n,ORD-2,3,\n';
+  assert.deepEqual(parseProviderReport(csv, 'csv'), [
+    { line: 1, providerToken: 'TOK-1', orderId: null, amount: 12.5, date: '2025-11-03' },
+    { line: 2, providerToken: null, orderId: 'ORD-2', amount: 3, date: null },
+  ]);
+
+  const json = { lines: [{ reference: 'TOK-1', amount: '12.50' }] };
+  assert.deepEqual(parseProviderReport(json, 'json'), [
+    { line: 1, providerToken: 'TOK-1', orderId: null, amount: 12.5, date: null },
+  ]);
+  assert.equal(parseProviderReport(JSON.stringify([{ orderId: 'ORD-2', amount: 3 }]), 'json').length, 1);
+});
+
+test('rejects malformed reports with INVALID_REPORT and the offending lines', () => {
+  const noAmount = rejection(() => parseProviderReport('orderId,date\nORD-1,2025-11-03\n', 'csv'));
+  assert.equal(noAmount.code, 'INVALID_REPORT');
+  assert.equal(noAmount.details.errors[0].line, 0);
+
+  assert.equal(rejection(() => parseProviderReport('{not json', 'json')).code, 'INVALID_REPORT');
+  assert.equal(rejection(() => parseProviderReport({ rows: [] }, 'json')).code, 'INVALID_REPORT');
+
+  const badLines = rejection(() =>
+    parseProviderReport(
+      [{ orderId: 'ORD-1', amount: 'ten' }, { amount: 1 }, 'x', { orderId: 'ORD-2', amount: 1, date: 'Nov 3' }],
+      'json'
+    )
+  );
+  assert.deepEqual(badLines.details.errors.map((e) => e.line), [1, 2, 3, 4]);
+});
+
+test('matches a report against captured settlements', async () => {
+  const matched = uniqueId('ORD');
+  const mismatched = uniqueId('ORD');
+  const missing = uniqueId('ORD');
+  const notCaptured = uniqueId('ORD');
+  const matchedAuth = await authorizeOrder(app.request, matched, 10);
+  await authorizeOrder(app.request, mismatched, 20);
+  await authorizeOrder(app.request, missing, 5);
+  await authorizeOrder(app.request, notCaptured, 7);
+
+  await settle(matched, 10);
+  await settle(mismatched, 20);
+  await captureBatch(await settle(missing, 5));
+  // still waiting in the new open batch, so not captured
+  await settle(notCaptured, 7);
+
+  const csv = [
+    'providerToken,orderId,amount,date',
+    `${matchedAuth.authorization.token},,4.00,${today()}`,
+    `${matchedAuth.authorization.token},,6.00,${today()}`,
+    `,${mismatched},19.00,${today()}`,
+    `,${notCaptured},7.00,${today()}`,
+    `,NO-SUCH-ORDER-${mismatched},1.00,${today()}`,
+  ].join('\n');
+  const res = await reconcile(csv, 'text/csv');
+  assert.equal(res.status, 201, res.text);
+  const run = res.body;
+  assert.equal(run.lineCount, 5);
+
+  assert.equal(itemFor(run, matched).result, 'MATCHED');
+  assert.deepEqual(itemFor(run, matched).reportLines, [1, 2]);
+  assert.equal(itemFor(run, matched).reportedAmount, 10);
+
+  assert.equal(itemFor(run, mismatched).result, 'AMOUNT_MISMATCH');
+  assert.equal(itemFor(run, mismatched).expectedAmount, 20);
+  assert.equal(itemFor(run, mismatched).reportedAmount, 19);
+
+  assert.equal(itemFor(run, missing).result, 'MISSING');
+  assert.equal(itemFor(run, missing).expectedAmount, 5);
+
+  assert.equal(itemFor(run, notCaptured).result, 'EXTRA');
+  assert.equal(itemFor(run, notCaptured).note, 'NOT_CAPTURED');
+
+  const unknown = itemFor(run, `NO-SUCH-ORDER-${mismatched}`);
+  assert.equal(unknown.result, 'EXTRA');
+  assert.equal(unknown.note, 'UNKNOWN_REFERENCE');
+
+  const stored = await app.request('GET', `/api/reconciliations/${run.id}?result=EXTRA`);
+  assert.equal(stored.status, 200);
+  assert.ok(stored.body.items.every((i) => i.result === 'EXTRA'));
+});
+
+test('accepts JSON reports larger than the default 100kb body limit', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 25);
+  await captureBatch(await settle(orderId, 25));
+
+  // 2500 lines of 0.01 for one order, padded well past 100kb
+  const lines = Array.from({ length: 2500 }, (_, i) => ({
+    orderId,
+    amount: 0.01,
+    date: today(),
+    description: `capture part ${i} of order ${orderId}`,
+  }));
+  const body = JSON.stringify({ lines });
+  assert.ok(body.length > 100 * 1024);
+
+  const res = await reconcile(body, 'application/json');
+  assert.equal(res.status, 201, res.text);
+  assert.equal(res.body.lineCount, 2500);
+  assert.equal(itemFor(res.body, orderId).result, 'MATCHED');
+});
+
+test('rejects a report whose lines are missing a reference', async () => {
+  const res = await reconcile([{ amount: 1, date: today() }], 'application/json');
+  assert.equal(res.status, 422);
+  assert.equal(res.body.code, 'INVALID_REPORT');
+  assert.deepEqual(res.body.errors, [{ line: 1, message: 'providerToken or orderId is required' }]);
+});
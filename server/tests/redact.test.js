@@ -0,0 +1,85 @@
+// --------------------------------------------------------------------
+// tests/redact.test.js
+// PAN / CVV / expiry masking in objects, free text and log entries.
+// --------------------------------------------------------------------
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maskPan, redactString, redact } from '../src/shared/redact.js';
+import { logger } from '../src/shared/logger.js';
+
+test('maskPan keeps only the last four digits', () => {
+  assert.equal(maskPan('4111 1111 1111 1234'), '****1234');
+  assert.equal(maskPan(378282246310005), '****0005');
+  assert.equal(maskPan('12'), '****');
+  assert.equal(maskPan(null), '****');
+});
+
+test('card fields are masked by key, case-insensitively and at any depth', () => {
+  const input = {
+    orderId: 'ORD-1008',
+    card: { Number: '4111111111111111', CVV: '123', expMonth: '12', exp_year: '2030' },
+    payments: [{ card_number: '5555-5555-5555-4444', security_code: 987, expiry: '12/30' }],
+    PAN: '6011111111111117',
+    cvc: '4321',
+  };
+  assert.deepEqual(redact(input), {
+    orderId: 'ORD-1008',
+    card: { Number: '****1111', CVV: '***', expMonth: '**', exp_year: '**' },
+    payments: [{ card_number: '****4444', security_code: '***', expiry: '**' }],
+    PAN: '****1117',
+    cvc: '***',
+  });
+  // a deep copy: the input is left as it was
+  assert.equal(input.card.Number, '4111111111111111');
+});
+
+test('PAN-looking digit runs are masked inside any string', () => {
+  assert.equal(
+    redactString('card 4111 1111 1111 1111 declined, retry 4111-1111-1111-1111'),
+    'card ****1111 declined, retry ****1111'
+  );
+  assert.deepEqual(redact({ note: 'raw: 4111111111111111', reason: ['PAN 378282246310005'] }), {
+    note: 'raw: ****1111',
+    reason: ['PAN ****0005'],
+  });
+});
+
+test('leaves amounts, IDs and other short numbers alone', () => {
+  const value = { amount: 9000.51, orderId: 'ORD-20251103', phone: '555-0100', zip: '02134-1234', cvvRequired: true };
+  assert.deepEqual(redact(value), value);
+  assert.equal(redactString('order ORD-1008 for 123456789.00'), 'order ORD-1008 for 123456789.00');
+});
+
+test('null card fields and nested objects under card keys are not replaced', () => {
+  assert.deepEqual(redact({ cvv: null, number: { pan: '4111111111111111' } }), {
+    cvv: null,
+    number: { pan: '****1111' },
+  });
+});
+
+test('log entries are masked in fields, messages and error stacks', () => {
+  const previousLevel = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'debug';
+  const lines = [];
+  const write = process.stderr.write;
+  process.stderr.write = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  try {
+    logger.error('charge of 4111111111111111 failed', {
+      body: { cardNumber: '4111111111111111', cvv: '123' },
+      err: new Error('provider rejected 5555555555554444'),
+    });
+  } finally {
+    process.stderr.write = write;
+    if (previousLevel === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = previousLevel;
+  }
+
+  const entry = JSON.parse(lines.join(''));
+  assert.equal(entry.msg, 'charge of ****1111 failed');
+  assert.deepEqual(entry.body, { cardNumber: '****1111', cvv: '***' });
+  assert.equal(entry.err.message, 'provider rejected ****4444');
+  assert.doesNotMatch(JSON.stringify(entry), /4111111111111111|5555555555554444/);
+});
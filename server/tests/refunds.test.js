@@ -0,0 +1,91 @@
+// --------------------------------------------------------------------
+// tests/refunds.test.js
+// POST /api/refunds: amount precision, what can be refunded and
+// concurrent refunds of the same order.
+// --------------------------------------------------------------------
+import { startApp, uniqueId, authorizeOrder, settleAndCapture } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// the mock provider answers 9000.77 slowly, keeping a refund in flight
+process.env.MOCK_PROVIDER_SLOW_MS = '300';
+
+const { default: authorizeRouter } = await import('../src/routes/authorize.js');
+const { default: settlementsRouter } = await import('../src/routes/settlements.js');
+const { default: settlementBatchesRouter } = await import('../src/routes/settlement-batches.js');
+const { default: refundsRouter } = await import('../src/routes/refunds.js');
+const { default: ordersRouter } = await import('../src/routes/orders.js');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/authorize': authorizeRouter,
+    '/api/settlements': settlementsRouter,
+    '/api/settlement-batches': settlementBatchesRouter,
+    '/api/refunds': refundsRouter,
+    '/api/orders': ordersRouter,
+  });
+});
+
+after(() => app.close());
+
+const refund = (orderId, amount) => app.request('POST', '/api/refunds', { body: { orderId, amount } });
+
+test('settles and refunds amounts such as 19.01 and 0.29', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 19.01);
+  await settleAndCapture(app.request, orderId, 19.01);
+
+  const partial = await refund(orderId, 0.29);
+  assert.equal(partial.status, 200, partial.text);
+  assert.equal(partial.body.status, 'PARTIALLY_REFUNDED');
+  assert.equal(partial.body.availableToRefund, 18.72);
+
+  const rest = await refund(orderId, 18.72);
+  assert.equal(rest.status, 200, rest.text);
+  assert.equal(rest.body.status, 'REFUNDED');
+  assert.equal(rest.body.availableToRefund, 0);
+});
+
+test('rejects refund amounts with more than two decimals', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 20);
+  await settleAndCapture(app.request, orderId, 20);
+
+  const res = await refund(orderId, 1.011);
+  assert.equal(res.status, 422);
+  assert.equal(res.body.code, 'INVALID_AMOUNT_PRECISION');
+});
+
+test('concurrent refunds cannot together exceed the captured amount', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 9010);
+  await settleAndCapture(app.request, orderId, 9010);
+
+  const results = await Promise.all([refund(orderId, 9000.77), refund(orderId, 9000.77)]);
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 422], results.map((r) => r.text).join(' | '));
+  const rejected = results.find((r) => r.status === 422).body;
+  assert.equal(rejected.code, 'AMOUNT_EXCEEDS_REFUNDABLE');
+  assert.equal(rejected.availableToRefund, 9.23);
+
+  const order = (await app.request('GET', `/api/orders/${orderId}`)).body;
+  assert.equal(order.order.status, 'PARTIALLY_REFUNDED');
+  assert.equal(order.availableToRefund, 9.23);
+  assert.deepEqual(order.refunds.map((r) => r.outcome), ['SUCCESS']);
+});
+
+test('a refund the provider rejects gives its amount back', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 9010);
+  await settleAndCapture(app.request, orderId, 9010);
+
+  // the mock provider fails a refund of 9000.99
+  const failed = await refund(orderId, 9000.99);
+  assert.equal(failed.status, 502);
+
+  const order = (await app.request('GET', `/api/orders/${orderId}`)).body;
+  assert.equal(order.order.status, 'SETTLED');
+  assert.equal(order.availableToRefund, 9010);
+  assert.deepEqual(order.refunds.map((r) => r.outcome), ['PROVIDER_ERROR']);
+});
@@ -0,0 +1,188 @@
+// --------------------------------------------------------------------
+// tests/settlement-capture.test.js
+// Settlements wait in a batch until the provider captures them: the
+// order only becomes SETTLED, and refundable, once that has happened,
+// even if its authorization lapses in the meantime.
+// --------------------------------------------------------------------
+import { startApp, uniqueId, authorizeOrder } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { default: authorizeRouter } = await import('../src/routes/authorize.js');
+const { default: settlementsRouter } = await import('../src/routes/settlements.js');
+const { default: settlementBatchesRouter } = await import('../src/routes/settlement-batches.js');
+const { default: refundsRouter } = await import('../src/routes/refunds.js');
+const { default: voidsRouter } = await import('../src/routes/voids.js');
+const { default: ordersRouter } = await import('../src/routes/orders.js');
+const { default: reportsRouter } = await import('../src/routes/reports.js');
+const { settleLapsedAuthorizations } = await import('../src/settlements/index.js');
+const { getDb } = await import('../src/db/sqlite.js');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/authorize': authorizeRouter,
+    '/api/settlements': settlementsRouter,
+    '/api/settlement-batches': settlementBatchesRouter,
+    '/api/refunds': refundsRouter,
+    '/api/orders/:id/void': voidsRouter,
+    '/api/orders': ordersRouter,
+    '/api/reports': reportsRouter,
+  });
+});
+
+after(() => app.close());
+
+const settle = async (orderId, amount) => {
+  const res = await app.request('POST', '/api/settlements', { body: { orderId, amount } });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+};
+const submitBatch = async (batchId, { close = true } = {}) => {
+  if (close) await app.request('POST', `/api/settlement-batches/${batchId}/close`);
+  const res = await app.request('POST', `/api/settlement-batches/${batchId}/submit`);
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+};
+const getOrder = async (orderId) => (await app.request('GET', `/api/orders/${orderId}`)).body;
+const voidRemainder = (orderId) =>
+  app.request('POST', `/api/orders/${orderId}/void`, { body: { remainingOnly: true } });
+const refund = (orderId, amount) => app.request('POST', '/api/refunds', { body: { orderId, amount } });
+const lapseAuthorization = (orderId) =>
+  getDb()
+    .prepare("UPDATE authorizations SET expires_at = datetime('now', '-1 minute') WHERE order_id = ?")
+    .run(orderId);
+const today = () => new Date().toISOString().slice(0, 10);
+const settledToday = async () =>
+  (await app.request('GET', `/api/reports/summary?from=${today()}&to=${today()}`)).body.totals.settledAmount;
+
+test('a full settlement leaves the order AUTHORIZED and unrefundable until captured', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 40);
+
+  const settled = await settle(orderId, 40);
+  assert.equal(settled.status, 'AUTHORIZED');
+  assert.equal(settled.availableToSettle, 0);
+  assert.equal(settled.settlement.captureStatus, 'PENDING');
+
+  const pending = await getOrder(orderId);
+  assert.equal(pending.order.status, 'AUTHORIZED');
+  assert.equal(pending.availableToSettle, 0);
+  assert.equal(pending.availableToRefund, 0);
+
+  const early = await refund(orderId, 10);
+  assert.equal(early.status, 409);
+  assert.equal(early.body.code, 'ORDER_NOT_REFUNDABLE');
+
+  const before = await settledToday();
+  await submitBatch(settled.settlement.batchId);
+
+  const captured = await getOrder(orderId);
+  assert.equal(captured.order.status, 'SETTLED');
+  assert.equal(captured.availableToRefund, 40);
+  assert.equal(captured.transitions.at(-1).to_status, 'SETTLED');
+  assert.equal(await settledToday(), Number((before + 40).toFixed(2)));
+
+  const res = await refund(orderId, 10);
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.status, 'PARTIALLY_REFUNDED');
+  assert.equal(res.body.availableToRefund, 30);
+});
+
+test('a failed capture keeps the order AUTHORIZED, its amount reserved and nothing refundable', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 9010);
+
+  // the mock provider fails to capture an amount of 9000.99
+  const settled = await settle(orderId, 9000.99);
+  await settle(orderId, 9.01);
+  const before = await settledToday();
+  const batch = await submitBatch(settled.settlement.batchId);
+  assert.equal(batch.status, 'SUBMITTED_WITH_ERRORS');
+
+  const order = await getOrder(orderId);
+  assert.equal(order.order.status, 'AUTHORIZED');
+  assert.equal(order.availableToSettle, 0);
+  // 9.01 was captured, but nothing is refundable until the order is SETTLED
+  assert.equal(order.availableToRefund, 0);
+  assert.equal(await settledToday(), Number((before + 9.01).toFixed(2)));
+
+  const res = await refund(orderId, 9.01);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'ORDER_NOT_REFUNDABLE');
+
+  // submitting again retries the failed capture only
+  const retried = await submitBatch(settled.settlement.batchId, { close: false });
+  assert.equal(retried.status, 'SUBMITTED_WITH_ERRORS');
+  const failed = retried.settlements.filter((s) => s.orderId === orderId && s.captureStatus === 'FAILED');
+  assert.deepEqual(failed.map((s) => s.amount), [9000.99]);
+  assert.equal((await getOrder(orderId)).order.status, 'AUTHORIZED');
+});
+
+test('voiding the remainder settles the order only once its settlement is captured', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 30);
+  const settled = await settle(orderId, 12);
+
+  const voided = await voidRemainder(orderId);
+  assert.equal(voided.status, 200, voided.text);
+  assert.equal(voided.body.status, 'AUTHORIZED');
+  assert.equal((await getOrder(orderId)).availableToSettle, 0);
+
+  await submitBatch(settled.settlement.batchId);
+  const order = await getOrder(orderId);
+  assert.equal(order.order.status, 'SETTLED');
+  assert.equal(order.availableToRefund, 12);
+});
+
+test('voiding the remainder after the capture settles the order at once', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 30);
+  const settled = await settle(orderId, 12);
+  await submitBatch(settled.settlement.batchId);
+  assert.equal((await getOrder(orderId)).order.status, 'AUTHORIZED');
+
+  const voided = await voidRemainder(orderId);
+  assert.equal(voided.status, 200, voided.text);
+  assert.equal(voided.body.status, 'SETTLED');
+});
+
+test('a lapsed authorization expires only if nothing was settled against it', async () => {
+  const unsettled = uniqueId('ORD');
+  await authorizeOrder(app.request, unsettled, 30);
+  lapseAuthorization(unsettled);
+  assert.equal((await getOrder(unsettled)).order.status, 'EXPIRED');
+
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 30);
+  const settled = await settle(orderId, 12);
+  lapseAuthorization(orderId);
+
+  // the capture is still pending: the order keeps waiting for it instead of expiring
+  const pending = await getOrder(orderId);
+  assert.equal(pending.order.status, 'AUTHORIZED');
+  assert.equal(pending.availableToSettle, 0);
+
+  await submitBatch(settled.settlement.batchId);
+  const captured = await getOrder(orderId);
+  assert.equal(captured.order.status, 'SETTLED');
+  assert.equal(captured.availableToRefund, 12);
+  assert.match(captured.transitions.at(-1).reason, /lapsed with 18\.00 unsettled/);
+});
+
+test('the expiry sweep settles orders captured before their authorization lapsed', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 30);
+  await submitBatch((await settle(orderId, 12)).settlement.batchId);
+  assert.equal((await getOrder(orderId)).order.status, 'AUTHORIZED');
+
+  lapseAuthorization(orderId);
+  assert.ok((await settleLapsedAuthorizations()) >= 1);
+  const order = await getOrder(orderId);
+  assert.equal(order.order.status, 'SETTLED');
+
+  const res = await refund(orderId, 12);
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.status, 'REFUNDED');
+});
@@ -0,0 +1,83 @@
+// --------------------------------------------------------------------
+// tests/voids.test.js
+// POST /api/orders/:id/void: the void is reserved before the provider is
+// called, so concurrent voids and settlements can't both go through.
+// --------------------------------------------------------------------
+import { startApp, uniqueId, authorizeOrder } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// the mock provider answers 9000.77 slowly, keeping a void in flight
+process.env.MOCK_PROVIDER_SLOW_MS = '300';
+
+const { default: authorizeRouter } = await import('../src/routes/authorize.js');
+const { default: settlementsRouter } = await import('../src/routes/settlements.js');
+const { default: voidsRouter } = await import('../src/routes/voids.js');
+const { default: ordersRouter } = await import('../src/routes/orders.js');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/authorize': authorizeRouter,
+    '/api/settlements': settlementsRouter,
+    '/api/orders/:id/void': voidsRouter,
+    '/api/orders': ordersRouter,
+  });
+});
+
+after(() => app.close());
+
+const voidOrder = (orderId, body) => app.request('POST', `/api/orders/${orderId}/void`, { body: body ?? {} });
+const settle = (orderId, amount) => app.request('POST', '/api/settlements', { body: { orderId, amount } });
+const getOrder = async (orderId) => (await app.request('GET', `/api/orders/${orderId}`)).body;
+
+test('only one of two concurrent voids reaches the provider', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 9000.77);
+
+  const results = await Promise.all([voidOrder(orderId), voidOrder(orderId)]);
+  const statuses = results.map((r) => r.status).sort();
+  assert.deepEqual(statuses, [200, 409], results.map((r) => r.text).join(' | '));
+  assert.equal(results.find((r) => r.status === 409).body.code, 'VOID_IN_PROGRESS');
+
+  const order = await getOrder(orderId);
+  assert.equal(order.order.status, 'VOIDED');
+  assert.deepEqual(order.voids.map((v) => v.outcome), ['SUCCESS']);
+});
+
+test('a settlement is refused while a void is in flight', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 9000.77);
+
+  const voiding = voidOrder(orderId);
+  // let the void reserve itself before settling
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const settled = await settle(orderId, 10);
+  assert.equal(settled.status, 409, settled.text);
+  assert.equal(settled.body.code, 'VOID_IN_PROGRESS');
+
+  assert.equal((await voiding).status, 200);
+  const order = await getOrder(orderId);
+  assert.equal(order.order.status, 'VOIDED');
+  assert.equal(order.settlements.length, 0);
+});
+
+test('a void refused by the provider is recorded and can be retried', async () => {
+  const orderId = uniqueId('ORD');
+  await authorizeOrder(app.request, orderId, 9100);
+  assert.equal((await settle(orderId, 99.01)).status, 200);
+
+  // the remainder, 9000.99, makes the mock provider fail
+  const failed = await voidOrder(orderId, { remainingOnly: true });
+  assert.equal(failed.status, 502);
+  assert.equal(failed.body.code, 'PROVIDER_ERROR');
+
+  const again = await voidOrder(orderId, { remainingOnly: true });
+  assert.equal(again.status, 502);
+
+  const order = await getOrder(orderId);
+  assert.equal(order.order.status, 'AUTHORIZED');
+  assert.equal(order.availableToSettle, 9000.99);
+  assert.deepEqual(order.voids.map((v) => v.outcome), ['PROVIDER_ERROR', 'PROVIDER_ERROR']);
+});
@@ -0,0 +1,105 @@
+// --------------------------------------------------------------------
+// tests/webhook-signing.test.js
+// HMAC-SHA256 webhook signatures: signing, verifying against the raw
+// body, the timestamp tolerance, and POST /api/webhooks/provider
+// rejecting what doesn't verify.
+// --------------------------------------------------------------------
+import { startApp, uniqueId } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import express from 'express';
+
+process.env.PROVIDER_WEBHOOK_SECRET = 'whsec_test_provider';
+
+const { computeSignature, signatureHeader, verifySignature, generateWebhookSecret, PROVIDER_SIGNATURE_HEADER } =
+  await import('../src/webhooks/signing.js');
+const { default: providerWebhooksRouter } = await import('../src/routes/provider-webhooks.js');
+
+let app;
+
+before(async () => {
+  app = await startApp(
+    { '/api/webhooks/provider': providerWebhooksRouter },
+    {
+      // as index.js does: keep the exact bytes the signature covers
+      bodyParsers: {
+        '/api/webhooks/provider': express.json({
+          verify: (req, _res, buf) => {
+            req.rawBody = buf.toString('utf8');
+          },
+        }),
+      },
+    }
+  );
+});
+
+after(() => app.close());
+
+const SECRET = 'whsec_test';
+const BODY = '{"EventId":"evt_1","Status":"Approved"}';
+const now = () => Math.floor(Date.now() / 1000);
+
+test('the header carries the timestamp and the HMAC of "<t>.<raw body>"', () => {
+  const header = signatureHeader(SECRET, BODY, 1_700_000_000);
+  const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${BODY}`).digest('hex');
+  assert.equal(header, `t=1700000000,v1=${expected}`);
+  assert.equal(computeSignature(SECRET, 1_700_000_000, BODY), expected);
+});
+
+test('verifies a fresh signature and rejects a changed body or another secret', () => {
+  const header = signatureHeader(SECRET, BODY);
+  assert.equal(verifySignature({ secret: SECRET, header, rawBody: BODY }), true);
+  assert.equal(verifySignature({ secret: SECRET, header, rawBody: BODY.replace('Approved', 'Declined') }), false);
+  assert.equal(verifySignature({ secret: 'whsec_other', header, rawBody: BODY }), false);
+  // re-serialized JSON is not the same bytes
+  assert.equal(verifySignature({ secret: SECRET, header, rawBody: JSON.stringify(JSON.parse(BODY), null, 1) }), false);
+});
+
+test('rejects timestamps outside the tolerance, in either direction', () => {
+  const at = (offset, toleranceSeconds) =>
+    verifySignature({
+      secret: SECRET,
+      header: signatureHeader(SECRET, BODY, now() + offset),
+      rawBody: BODY,
+      toleranceSeconds,
+    });
+  assert.equal(at(-290), true);
+  assert.equal(at(-310), false);
+  assert.equal(at(310), false);
+  assert.equal(at(-50, 30), false);
+  assert.equal(at(-20, 30), true);
+});
+
+test('rejects malformed headers', () => {
+  const v1 = computeSignature(SECRET, now(), BODY);
+  for (const header of [undefined, '', `v1=${v1}`, `t=${now()}`, `t=soon,v1=${v1}`, `t=${now()},v1=${v1.slice(2)}`]) {
+    assert.equal(verifySignature({ secret: SECRET, header, rawBody: BODY }), false, String(header));
+  }
+});
+
+test('generated secrets are random and prefixed', () => {
+  const a = generateWebhookSecret();
+  assert.match(a, /^whsec_[0-9a-f]{48}$/);
+  assert.notEqual(a, generateWebhookSecret());
+});
+
+test('POST /api/webhooks/provider only acts on events signed with PROVIDER_WEBHOOK_SECRET', async () => {
+  const body = JSON.stringify({ EventId: uniqueId('evt'), Token: `STATIC_TOKEN_${uniqueId('ORD')}`, Status: 'Approved' });
+  const post = (header) =>
+    app.request('POST', '/api/webhooks/provider', {
+      body,
+      headers: header ? { [PROVIDER_SIGNATURE_HEADER]: header } : {},
+    });
+
+  assert.equal((await post()).status, 401);
+  assert.equal((await post(signatureHeader('whsec_wrong', body))).status, 401);
+  const stale = await post(signatureHeader(process.env.PROVIDER_WEBHOOK_SECRET, body, now() - 600));
+  assert.equal(stale.status, 401);
+  assert.equal(stale.body.code, 'INVALID_SIGNATURE');
+
+  // signed correctly: gets past the check (the token matches no order)
+  const signed = await post(signatureHeader(process.env.PROVIDER_WEBHOOK_SECRET, body));
+  assert.equal(signed.status, 404);
+  assert.equal(signed.body.code, 'ORDER_NOT_FOUND');
+});